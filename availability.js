@@ -0,0 +1,174 @@
+// availability.js
+// Runtime "86" list — menu items the kitchen has run out of mid-service.
+//
+// Supabase (menu_availability) is the durable store so the list survives
+// restarts and is shared between instances. This module keeps an in-memory
+// copy that is:
+//   • loaded at startup and re-synced every AVAILABILITY_SYNC_MS
+//   • updated immediately when staff call POST /admin/menu/availability
+// so handleManageOrder and buildSystemPrompt never wait on the database.
+//
+// Each restaurant (restaurants.js) has its own list; every function works on
+// the current restaurant's, and the sync refreshes them all.
+
+'use strict';
+
+const { getCatalog, getItemById } = require('./menuCatalog');
+const { fetchMenuAvailability, setMenuAvailability } = require('./supabaseClient');
+const { listRestaurants, currentRestaurant, withRestaurant } = require('./restaurants');
+
+const DEFAULT_SYNC_MS = 60_000;
+
+// restaurant key → (itemId → { reason: string|null, since: string })
+const _unavailable = new Map();
+let _syncTimer = null;
+
+function unavailableList() {
+  const key = currentRestaurant().key;
+  if (!_unavailable.has(key)) _unavailable.set(key, new Map());
+  return _unavailable.get(key);
+}
+
+// ---------------------------------------------------------------------------
+// Sync with Supabase
+// ---------------------------------------------------------------------------
+
+/**
+ * Replaces the current restaurant's in-memory list with its Supabase rows.
+ * Rows for ids no longer in the catalog are ignored (with a warning).
+ *
+ * @returns {Promise<number>} number of unavailable items
+ * @throws if the Supabase read fails — the previous list is kept
+ */
+async function refreshAvailability() {
+  const rows = await fetchMenuAvailability();
+  const next = new Map();
+  for (const row of rows) {
+    if (row.available) continue;
+    if (!getItemById(row.item_id)) {
+      console.warn(`[availability] Ignoring unknown item id "${row.item_id}" from menu_availability`);
+      continue;
+    }
+    next.set(row.item_id, { reason: row.reason || null, since: row.updated_at });
+  }
+  _unavailable.set(currentRestaurant().key, next);
+  return next.size;
+}
+
+/**
+ * Starts the periodic re-sync. Failures are logged and the last good list is
+ * kept, so a database blip never makes sold-out items orderable again.
+ *
+ * @param {number} [intervalMs]
+ */
+function startAvailabilitySync(intervalMs = parseInt(process.env.AVAILABILITY_SYNC_MS || DEFAULT_SYNC_MS, 10)) {
+  stopAvailabilitySync();
+  const sync = () => {
+    for (const restaurant of listRestaurants()) {
+      withRestaurant(restaurant, refreshAvailability)
+        .then(count => console.log(`[availability] Synced ${restaurant.key} — ${count} item(s) unavailable`))
+        .catch(err => console.error(`[availability] Sync failed for ${restaurant.key}, keeping previous list:`, err.message));
+    }
+  };
+
+  sync();
+  _syncTimer = setInterval(sync, intervalMs);
+  _syncTimer.unref(); // don't keep the process alive for this timer
+}
+
+function stopAvailabilitySync() {
+  if (_syncTimer) {
+    clearInterval(_syncTimer);
+    _syncTimer = null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Updates
+// ---------------------------------------------------------------------------
+
+/**
+ * Marks an item available or unavailable. Writes to Supabase first so the
+ * in-memory list never claims a state the database does not have.
+ *
+ * @param {string}  itemId
+ * @param {boolean} available
+ * @param {string}  [reason]
+ * @returns {Promise<{ itemId: string, itemName: string, available: boolean, reason: string|null }>}
+ * @throws if the item id is unknown or the Supabase write fails
+ */
+async function setAvailability(itemId, available, reason) {
+  const item = getItemById(itemId);
+  if (!item) throw new RangeError(`setAvailability: unknown item id "${itemId}"`);
+
+  const row = await setMenuAvailability(itemId, available, reason);
+  if (available) {
+    unavailableList().delete(itemId);
+  } else {
+    unavailableList().set(itemId, { reason: row?.reason ?? (reason || null), since: row?.updated_at || new Date().toISOString() });
+  }
+
+  console.log(`[availability] ${item.name} is now ${available ? 'AVAILABLE' : `UNAVAILABLE${reason ? ` (${reason})` : ''}`}`);
+  return { itemId, itemName: item.name, available, reason: available ? null : (reason || null) };
+}
+
+// ---------------------------------------------------------------------------
+// Queries
+// ---------------------------------------------------------------------------
+
+/** @returns {boolean} */
+function isAvailable(itemId) {
+  return !unavailableList().has(itemId);
+}
+
+/**
+ * @param {string} itemId
+ * @returns {string|null} the reason staff gave, if any
+ */
+function unavailableReason(itemId) {
+  return unavailableList().get(itemId)?.reason || null;
+}
+
+/**
+ * @returns {Array<{ item: object, reason: string|null, since: string }>} in catalog order
+ */
+function getUnavailable() {
+  const unavailable = unavailableList();
+  return getCatalog().items
+    .filter(item => unavailable.has(item.id))
+    .map(item => ({ item, ...unavailable.get(item.id) }));
+}
+
+/**
+ * Available items from the same category, closest in price first.
+ *
+ * @param {object} item    - catalog item that is unavailable
+ * @param {number} [limit]
+ * @returns {object[]} catalog items
+ */
+function suggestAlternatives(item, limit = 3) {
+  const category = getCatalog().categories.find(c => c.id === item.categoryId);
+  if (!category) return [];
+  return category.items
+    .filter(other => other.id !== item.id && isAvailable(other.id))
+    .sort((a, b) => Math.abs(a.price - item.price) - Math.abs(b.price - item.price))
+    .slice(0, limit);
+}
+
+// Exposed for testing — replace the current restaurant's list without touching Supabase
+function _setUnavailable(entries) {
+  _unavailable.set(currentRestaurant().key, new Map(Object.entries(entries)));
+}
+
+module.exports = {
+  refreshAvailability,
+  startAvailabilitySync,
+  stopAvailabilitySync,
+  setAvailability,
+  isAvailable,
+  unavailableReason,
+  getUnavailable,
+  suggestAlternatives,
+  // Exported for testing
+  _setUnavailable,
+};
@@ -0,0 +1,76 @@
+// callerProfile.js
+// Returning-caller recognition.
+//
+// At call start geminiSession looks the Twilio caller ID up in customers.
+// A match gives the name the last order was placed under and the language it
+// was taken in; the agent greets the caller by name and, at checkout, asks
+// "Is this still under Priya at the number you're calling from?" instead of
+// collecting the name and number again. collectCustomerDetails only uses the
+// caller ID after the customer says yes (useCallerId).
+
+'use strict';
+
+const { fetchCustomerByPhone } = require('./supabaseClient');
+const { phoneVariants } = require('./phoneNumbers');
+
+// Languages the agent takes orders in (see systemPrompt LANGUAGE DETECTION), by ISO 639-1 code
+const LANGUAGE_CODES = { en: 'English', ta: 'Tamil', te: 'Telugu', hi: 'Hindi', kn: 'Kannada' };
+const SUPPORTED_LANGUAGES = Object.values(LANGUAGE_CODES);
+
+// The greeting waits for this lookup — a slow database must not leave the caller in silence
+const LOOKUP_TIMEOUT_MS = 1500;
+
+/**
+ * "tamil" / "ta" → "Tamil"; null when it is not a supported language.
+ * @param {string} language
+ * @returns {string|null}
+ */
+function normalizeLanguage(language) {
+  const key = String(language || '').trim().toLowerCase();
+  if (!key) return null;
+  return LANGUAGE_CODES[key] || SUPPORTED_LANGUAGES.find(l => l.toLowerCase() === key) || null;
+}
+
+/**
+ * Looks up the customer record for a caller ID.
+ * Never throws: a hidden number, no match, a failed lookup or a timeout all
+ * return null and the call goes ahead as for a new caller.
+ *
+ * @param {string} callerPhone - Twilio caller ID ('unknown' when withheld)
+ * @param {object} [opts]
+ * @param {number} [opts.timeoutMs]
+ * @returns {Promise<{ name: string, preferredLanguage: string|null, phoneNumber: string }|null>}
+ */
+async function recognizeCaller(callerPhone, { timeoutMs = LOOKUP_TIMEOUT_MS } = {}) {
+  const phones = phoneVariants(callerPhone);
+  if (phones.length === 0) return null;
+
+  let timer;
+  const timeout = new Promise(resolve => { timer = setTimeout(() => resolve('timeout'), timeoutMs); });
+  try {
+    const customer = await Promise.race([fetchCustomerByPhone(phones), timeout]);
+    if (customer === 'timeout') {
+      console.warn(`Returning-caller lookup timed out after ${timeoutMs}ms — treating as a new caller`);
+      return null;
+    }
+    if (!customer || !customer.name) return null;
+
+    console.log(`Returning caller recognised: ${customer.name}${customer.preferred_language ? ` (${customer.preferred_language})` : ''}`);
+    return {
+      name: customer.name,
+      preferredLanguage: normalizeLanguage(customer.preferred_language),
+      phoneNumber: callerPhone
+    };
+  } catch (err) {
+    console.error('Returning-caller lookup failed (non-fatal):', err.message);
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  normalizeLanguage,
+  recognizeCaller,
+};
@@ -0,0 +1,169 @@
+// cloverCatalog.js
+// Links the menu catalog to the merchant's Clover inventory.
+//
+// Mapping lives in data/cloverItems.json (override with CLOVER_ITEMS_PATH):
+//   items         catalog item id → Clover inventory item id
+//   modifiers     "groupId:optionId" → Clover modifier id
+//   taxRateId     Clover tax rate matching the tax in data/pricing.json; put on
+//                 taxable line items and fees so Clover's tax agrees with the
+//                 total the caller was quoted (null = no tax rate sent)
+//   paymentTenderId  Clover tender that payments taken by payment link
+//                 (payments.js) are recorded against — e.g. an "Online payment"
+//                 custom tender (null = the payment is only noted on the order)
+//   printTickets  fire a Clover print event after each push and change so the
+//                 ticket reaches the kitchen printer without anyone touching the POS
+//
+// Line items for mapped items are created against the inventory item, so
+// Clover reports and kitchen routing see the real item. Unmapped items and
+// options still go to Clover by name and price, as before.
+//
+// Clover ids are 13 characters, upper-case letters and digits (e.g. "9ZQTAJSQKZ3NM").
+// server.js calls getCloverMapping() at startup so a bad file stops the process.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { getCatalog, getItemById } = require('./menuCatalog');
+const { restaurantConfig } = require('./restaurants');
+
+const DEFAULT_CLOVER_ITEMS_PATH = path.join(__dirname, 'data', 'cloverItems.json');
+
+const CLOVER_ID = /^[A-Z0-9]{13}$/;
+
+// ---------------------------------------------------------------------------
+// Lazy, per restaurant — each restaurant's file (restaurants.js) is loaded
+// and validated once, on first use
+// ---------------------------------------------------------------------------
+let _mapping = null;   // set by tests — used for every restaurant
+
+const loadForRestaurant = restaurantConfig('cloverItems', () => process.env.CLOVER_ITEMS_PATH || DEFAULT_CLOVER_ITEMS_PATH, loadCloverMapping);
+
+function getCloverMapping() {
+  return _mapping || loadForRestaurant();
+}
+
+// Exposed for testing — a few catalog ids mapped to made-up Clover ids, instead of a cloverItems file
+function _setCloverMapping(mapping) {
+  _mapping = mapping;
+}
+
+// ---------------------------------------------------------------------------
+// Loading & validation
+// ---------------------------------------------------------------------------
+
+/**
+ * Reads and validates a Clover mapping file.
+ *
+ * @param {string} filePath
+ * @returns {{ items: Map<string, string>, modifiers: Map<string, string>,
+ *             taxRateId: string|null, paymentTenderId: string|null, printTickets: boolean }}
+ * @throws if the file cannot be read, is not valid JSON, or fails validation
+ */
+function loadCloverMapping(filePath) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`[cloverCatalog] Cannot load ${filePath}: ${err.message}`);
+  }
+
+  const problems = validateCloverMapping(raw);
+  if (problems.length > 0) {
+    throw new Error(
+      `[cloverCatalog] ${filePath} is inconsistent (${problems.length} problem(s)):\n  - ` +
+      problems.join('\n  - ')
+    );
+  }
+
+  const mapping = {
+    items: new Map(Object.entries(raw.items || {})),
+    modifiers: new Map(Object.entries(raw.modifiers || {})),
+    taxRateId: raw.taxRateId || null,
+    paymentTenderId: raw.paymentTenderId || null,
+    printTickets: raw.printTickets !== false,
+  };
+  const unmapped = getCatalog().items.length - mapping.items.size;
+  console.log(`[cloverCatalog] ${mapping.items.size} item(s) and ${mapping.modifiers.size} option(s) mapped to Clover inventory` +
+              (unmapped > 0 ? `, ${unmapped} item(s) go to Clover by name` : '') +
+              ` (${filePath})`);
+  return mapping;
+}
+
+/**
+ * @param {object} raw     - parsed mapping JSON
+ * @param {object} [catalog]
+ * @returns {string[]} - human-readable problems (empty when valid)
+ */
+function validateCloverMapping(raw, catalog = getCatalog()) {
+  const problems = [];
+  if (!raw || typeof raw !== 'object') return ['Clover mapping must be a JSON object'];
+
+  const isMap = v => v === undefined || (v && typeof v === 'object' && !Array.isArray(v));
+  if (!isMap(raw.items)) problems.push('items must be an object of catalog item id → Clover item id');
+  if (!isMap(raw.modifiers)) problems.push('modifiers must be an object of "groupId:optionId" → Clover modifier id');
+
+  for (const [itemId, cloverId] of Object.entries(isMap(raw.items) ? raw.items || {} : {})) {
+    if (!catalog.byId.has(itemId)) problems.push(`items: unknown catalog item "${itemId}"`);
+    if (!CLOVER_ID.test(cloverId)) problems.push(`items.${itemId}: "${cloverId}" is not a Clover id`);
+  }
+
+  for (const [key, cloverId] of Object.entries(isMap(raw.modifiers) ? raw.modifiers || {} : {})) {
+    const [groupId, optionId] = key.split(':');
+    const group = catalog.modifierGroups.get(groupId);
+    if (!group) problems.push(`modifiers: unknown modifier group "${groupId}" in "${key}"`);
+    else if (!group.options.some(o => o.id === optionId)) problems.push(`modifiers: group "${groupId}" has no option "${optionId}"`);
+    if (!CLOVER_ID.test(cloverId)) problems.push(`modifiers.${key}: "${cloverId}" is not a Clover id`);
+  }
+
+  if (raw.taxRateId !== undefined && raw.taxRateId !== null && !CLOVER_ID.test(raw.taxRateId)) {
+    problems.push(`taxRateId "${raw.taxRateId}" is not a Clover id`);
+  }
+  if (raw.paymentTenderId !== undefined && raw.paymentTenderId !== null && !CLOVER_ID.test(raw.paymentTenderId)) {
+    problems.push(`paymentTenderId "${raw.paymentTenderId}" is not a Clover id`);
+  }
+  if (raw.printTickets !== undefined && typeof raw.printTickets !== 'boolean') {
+    problems.push('printTickets must be true or false');
+  }
+  return problems;
+}
+
+// ---------------------------------------------------------------------------
+// Lookups
+// ---------------------------------------------------------------------------
+
+/** Clover inventory item id for a catalog item, or null when it is not mapped. */
+function cloverItemId(itemId, mapping = getCloverMapping()) {
+  return (itemId && mapping.items.get(itemId)) || null;
+}
+
+/** Clover modifier id for a cart line modifier ({ groupId, optionId }), or null. */
+function cloverModifierId(modifier, mapping = getCloverMapping()) {
+  return mapping.modifiers.get(`${modifier.groupId}:${modifier.optionId}`) || null;
+}
+
+/**
+ * Tax rates for a Clover line item — the configured rate on taxable lines,
+ * none otherwise. A cart line is taxable as in pricing.priceCart.
+ *
+ * @param {boolean|{ itemId?: string }} line - a cart line, or whether a fee is taxable
+ * @returns {Array<{ id: string }>}
+ */
+function taxRatesFor(line, mapping = getCloverMapping()) {
+  if (!mapping.taxRateId) return [];
+  const taxable = typeof line === 'boolean'
+    ? line
+    : line.itemId ? (getItemById(line.itemId)?.taxable ?? true) : true;
+  return taxable ? [{ id: mapping.taxRateId }] : [];
+}
+
+module.exports = {
+  getCloverMapping,
+  loadCloverMapping,
+  validateCloverMapping,
+  cloverItemId,
+  cloverModifierId,
+  taxRatesFor,
+  // Exported for testing
+  _setCloverMapping,
+};
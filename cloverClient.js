@@ -1,21 +1,63 @@
 // cloverClient.js
-// Handles all communication with the Clover POS API.
+// Handles all communication with the Clover POS API — the "clover" POS
+// adapter (posAdapter.js), plus the order fetch the Clover webhook uses.
 // Mirrors the lazy-init pattern from supabaseClient.js.
-// Only called when completeOrder fires — same lifecycle as Supabase writes.
+//
+// Only the Clover-specific operations live here. Pushing, changing and
+// repairing an order are built from them in posAdapter.js: fees (e.g.
+// delivery) become their own line items, discounts (promo codes) order-level
+// discounts, and the total is set on the order, so the Clover order adds up
+// to what the caller was quoted. Items mapped in data/cloverItems.json are
+// added as the Clover inventory item (cloverCatalog.js), and a print event
+// sends the ticket to the kitchen printer.
+
+const { toCents, formatCents } = require('./pricing');
+const { getCloverMapping, cloverItemId, cloverModifierId, taxRatesFor } = require('./cloverCatalog');
+const { currentRestaurant } = require('./restaurants');
 
 const CLOVER_BASE = process.env.CLOVER_BASE_URL || 'https://api.clover.com/v3';
 
-function getCloverConfig() {
-  if (!process.env.CLOVER_API_TOKEN || !process.env.CLOVER_MERCHANT_ID) {
-    throw new Error('CLOVER_API_TOKEN or CLOVER_MERCHANT_ID is not set in env.');
-  }
+// The current restaurant's Clover credentials (restaurants.js), read from the
+// env vars its registry entry names
+function cloverCredentials() {
+  const { clover } = currentRestaurant();
   return {
-    token: process.env.CLOVER_API_TOKEN,
-    merchantId: process.env.CLOVER_MERCHANT_ID
+    token: clover ? process.env[clover.apiTokenEnv] : undefined,
+    merchantId: clover ? process.env[clover.merchantIdEnv] : undefined,
+    names: clover ? `${clover.apiTokenEnv} or ${clover.merchantIdEnv}` : `Clover credentials for "${currentRestaurant().key}"`
   };
 }
 
-async function pushOrderToClover(cart, customerName, total) {
+function getCloverConfig() {
+  const { token, merchantId, names } = cloverCredentials();
+  if (!token || !merchantId) {
+    throw new Error(`${names} is not set in env.`);
+  }
+  return { token, merchantId };
+}
+
+// Without credentials there is nothing to push to — orders still go to Supabase
+function isCloverConfigured() {
+  const { token, merchantId } = cloverCredentials();
+  return Boolean(token && merchantId);
+}
+
+function cloverPost(path, body) {
+  const { token, merchantId } = getCloverConfig();
+  return fetch(`${CLOVER_BASE}/merchants/${merchantId}/orders/${path}`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(body)
+  });
+}
+
+// ── Creating an order ─────────────────────────────────────────────────────
+
+// Returns the Clover order id. Throws if the order cannot be created.
+async function createOrder({ customerName, note }) {
   const { token, merchantId } = getCloverConfig();
 
   const orderRes = await fetch(`${CLOVER_BASE}/merchants/${merchantId}/orders`, {
@@ -26,7 +68,7 @@ async function pushOrderToClover(cart, customerName, total) {
     },
     body: JSON.stringify({
       title: `Phone Order — ${customerName}`,
-      note: `Voice agent order for ${customerName}`,
+      note,
       state: 'open'
     })
   });
@@ -37,33 +79,262 @@ async function pushOrderToClover(cart, customerName, total) {
   }
 
   const cloverOrder = await orderRes.json();
-  const cloverOrderId = cloverOrder.id;
-
-  for (const item of cart) {
-    const lineRes = await fetch(
-      `${CLOVER_BASE}/merchants/${merchantId}/orders/${cloverOrderId}/line_items`,
-      {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          name: item.itemName,
-          price: Math.round(item.price * 100),
-          unitQty: item.quantity * 1000
-        })
-      }
-    );
-
-    if (!lineRes.ok) {
-      const err = await lineRes.text();
-      console.error(`Clover line item failed for "${item.itemName}": ${err}`);
+  return cloverOrder.id;
+}
+
+// Cart line → Clover line item body. A mapped item is created against its
+// inventory item (reports, kitchen routing); the price and name are still
+// sent so the ticket matches what the caller was quoted.
+function lineItemBody(item) {
+  const modifiers = item.modifiers || [];
+  const inventoryId = cloverItemId(item.itemId);
+  const taxRates = taxRatesFor(item);
+  return {
+    ...(inventoryId ? { item: { id: inventoryId } } : {}),
+    name: item.itemName,
+    // Base price — Clover adds each modification's amount on top
+    price: toCents(item.basePrice ?? item.price),
+    unitQty: item.quantity * 1000,
+    ...(taxRates.length > 0 ? { taxRates } : {}),
+    // Kitchen ticket shows the choices even if a modification is rejected
+    ...(modifiers.length > 0 || item.notes
+      ? { note: [modifiers.map(m => m.name).join(', '), item.notes].filter(Boolean).join(' — ') }
+      : {})
+  };
+}
+
+// → { ok: true, lineItemId } | { ok: false, error }
+async function addLineItem(cloverOrderId, item) {
+  const lineRes = await cloverPost(`${cloverOrderId}/line_items`, lineItemBody(item));
+  if (!lineRes.ok) {
+    const err = await lineRes.text();
+    console.error(`Clover line item failed for "${item.itemName}": ${err}`);
+    return { ok: false, error: err };
+  }
+  const lineItem = await lineRes.json();
+  return { ok: true, lineItemId: lineItem.id };
+}
+
+// The add* / setTotal helpers below return a failure record, or null when
+// Clover accepted it
+async function addModification(cloverOrderId, lineItemId, item, modifier) {
+  const modifierId = cloverModifierId(modifier);
+  const modRes = await cloverPost(`${cloverOrderId}/line_items/${lineItemId}/modifications`, {
+    ...(modifierId ? { modifier: { id: modifierId } } : {}),
+    name: modifier.name,
+    amount: toCents(modifier.price)
+  });
+  if (modRes.ok) return null;
+  const err = await modRes.text();
+  console.error(`Clover modification "${modifier.name}" failed for "${item.itemName}": ${err}`);
+  return { kind: 'modification', name: `${item.itemName}: ${modifier.name}`, error: err };
+}
+
+async function addFee(cloverOrderId, fee) {
+  const taxRates = taxRatesFor(fee.taxable === true);
+  const feeRes = await cloverPost(`${cloverOrderId}/line_items`, {
+    name: fee.name,
+    price: fee.amountCents,
+    unitQty: 1000,
+    ...(taxRates.length > 0 ? { taxRates } : {})
+  });
+  if (feeRes.ok) return null;
+  const err = await feeRes.text();
+  console.error(`Clover fee line item "${fee.name}" failed: ${err}`);
+  return { kind: 'fee', name: fee.name, error: err };
+}
+
+async function addDiscount(cloverOrderId, discount) {
+  // Clover discount amounts are negative cents
+  const discRes = await cloverPost(`${cloverOrderId}/discounts`, { name: discount.name, amount: -discount.amountCents });
+  if (discRes.ok) return null;
+  const err = await discRes.text();
+  console.error(`Clover discount "${discount.name}" failed: ${err}`);
+  return { kind: 'discount', name: discount.name, error: err };
+}
+
+// Clover does not add up orders created through the REST API — without this
+// the order shows a zero total on the device
+async function setTotal(cloverOrderId, totalCents) {
+  const res = await cloverPost(cloverOrderId, { total: totalCents });
+  if (res.ok) return null;
+  const err = await res.text();
+  console.error(`Clover order total failed for ${cloverOrderId}: ${err}`);
+  return { kind: 'total', name: formatCents(totalCents), error: err };
+}
+
+// Sends the order to the kitchen printer. A failed print is logged, not
+// retried — the order is on the device and staff can print it from there.
+async function sendToKitchen(cloverOrderId) {
+  if (!getCloverMapping().printTickets) return;
+  const { token, merchantId } = getCloverConfig();
+  const res = await fetch(`${CLOVER_BASE}/merchants/${merchantId}/print_event`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ orderRef: { id: cloverOrderId } })
+  });
+  if (!res.ok) {
+    const err = await res.text();
+    console.error(`Clover print event failed for ${cloverOrderId} — print the ticket from the device: ${err}`);
+  }
+}
+
+// ── Payments ──────────────────────────────────────────────────────────────
+
+// Records a payment taken outside Clover (a payment link, payments.js) against
+// the order so the device shows it as paid. Needs paymentTenderId in
+// data/cloverItems.json; without it the payment is left to the order note.
+async function recordPayment(cloverOrderId, { amountCents, reference }) {
+  const tenderId = getCloverMapping().paymentTenderId;
+  if (!tenderId) {
+    return { kind: 'payment', name: formatCents(amountCents), error: 'no paymentTenderId in data/cloverItems.json' };
+  }
+  const res = await cloverPost(`${cloverOrderId}/payments`, {
+    tender: { id: tenderId },
+    amount: amountCents,
+    externalPaymentId: reference,
+    result: 'SUCCESS'
+  });
+  if (res.ok) return null;
+  const err = await res.text();
+  console.error(`Clover payment failed for ${cloverOrderId}: ${err}`);
+  return { kind: 'payment', name: formatCents(amountCents), error: err };
+}
+
+// ── Reading an order ──────────────────────────────────────────────────────
+
+// An order with its line items (and their modifications) and discounts, or
+// null when Clover no longer has it (deleted on the device)
+async function fetchCloverOrder(cloverOrderId) {
+  const { token, merchantId } = getCloverConfig();
+  const res = await fetch(
+    `${CLOVER_BASE}/merchants/${merchantId}/orders/${cloverOrderId}?expand=lineItems.modifications,discounts`,
+    { headers: { 'Authorization': `Bearer ${token}` } }
+  );
+  if (res.status === 404) return null;
+  if (!res.ok) {
+    const err = await res.text();
+    throw new Error(`Clover order fetch failed: ${err}`);
+  }
+  return res.json();
+}
+
+// fetchCloverOrder() in the adapter's PosOrder shape (posAdapter.js)
+async function fetchOrder(cloverOrderId) {
+  const order = await fetchCloverOrder(cloverOrderId);
+  if (!order) return null;
+  return {
+    id: order.id,
+    state: order.paymentState === 'PAID' ? 'paid'
+      : String(order.state || '').toLowerCase() === 'fulfilled' ? 'fulfilled'
+      : 'open',
+    totalCents: order.total ?? null,
+    lineItems: (order.lineItems?.elements || []).map(li => ({
+      id: li.id,
+      name: li.name,
+      priceCents: li.price,
+      quantity: (li.unitQty ?? 1000) / 1000,
+      modifiers: (li.modifications?.elements || []).map(m => m.name)
+    })),
+    // Clover discount amounts are negative cents
+    discounts: (order.discounts?.elements || []).map(d => ({ name: d.name, amountCents: -d.amount }))
+  };
+}
+
+// ── Placed-order changes ──────────────────────────────────────────────────
+
+// Existing line items and discounts of an order, for replacement
+async function listOrderElements(cloverOrderId, kind) {
+  const { token, merchantId } = getCloverConfig();
+  const res = await fetch(`${CLOVER_BASE}/merchants/${merchantId}/orders/${cloverOrderId}/${kind}`, {
+    headers: { 'Authorization': `Bearer ${token}` }
+  });
+  if (!res.ok) {
+    const err = await res.text();
+    throw new Error(`Clover ${kind} list failed: ${err}`);
+  }
+  const body = await res.json();
+  return body.elements || [];
+}
+
+// Removes every line item (fees included) and discount from an order. Throws
+// if any cannot be removed, since the order would otherwise show both versions.
+async function clearContents(cloverOrderId) {
+  const { token, merchantId } = getCloverConfig();
+  const orderUrl = `${CLOVER_BASE}/merchants/${merchantId}/orders/${cloverOrderId}`;
+  const headers = {
+    'Authorization': `Bearer ${token}`,
+    'Content-Type': 'application/json'
+  };
+
+  const lineItems = await listOrderElements(cloverOrderId, 'line_items');
+  if (lineItems.length > 0) {
+    const ids = lineItems.map(li => li.id).join(',');
+    const delRes = await fetch(`${orderUrl}/line_items?lineItemIds=${ids}`, { method: 'DELETE', headers });
+    if (!delRes.ok) {
+      const err = await delRes.text();
+      throw new Error(`Clover line item removal failed: ${err}`);
+    }
+  }
+
+  for (const discount of await listOrderElements(cloverOrderId, 'discounts')) {
+    const delRes = await fetch(`${orderUrl}/discounts/${discount.id}`, { method: 'DELETE', headers });
+    if (!delRes.ok) {
+      const err = await delRes.text();
+      throw new Error(`Clover discount removal failed: ${err}`);
     }
   }
+}
+
+// A failed note update is logged — the items are what matter
+async function setNote(cloverOrderId, note) {
+  const noteRes = await cloverPost(cloverOrderId, { note });
+  if (!noteRes.ok) {
+    const err = await noteRes.text();
+    console.error(`Clover order note update failed: ${err}`);
+  }
+}
 
-  console.log(`✓ Clover order pushed: ${cloverOrderId} | Customer: ${customerName} | Total: $${total}`);
-  return cloverOrderId;
+// Cancels an open order. Clover has no cancelled state for unpaid orders,
+// so the order is deleted — it drops off the order list and kitchen display.
+async function cancelOrder(cloverOrderId) {
+  const { token, merchantId } = getCloverConfig();
+  const res = await fetch(`${CLOVER_BASE}/merchants/${merchantId}/orders/${cloverOrderId}`, {
+    method: 'DELETE',
+    headers: { 'Authorization': `Bearer ${token}` }
+  });
+
+  if (!res.ok) {
+    const err = await res.text();
+    throw new Error(`Clover order cancel failed: ${err}`);
+  }
+  console.log(`✓ Clover order cancelled: ${cloverOrderId}`);
 }
 
-module.exports = { pushOrderToClover };
+/** @type {import('./posAdapter').PosAdapter} */
+const cloverAdapter = {
+  name: 'clover',
+  label: 'Clover',
+  isConfigured: isCloverConfigured,
+  createOrder,
+  addLineItem,
+  addModification,
+  addFee,
+  addDiscount,
+  setTotal,
+  sendToKitchen,
+  clearContents,
+  setNote,
+  cancelOrder,
+  recordPayment,
+  fetchOrder
+};
+
+module.exports = {
+  isCloverConfigured,
+  fetchCloverOrder,
+  cloverAdapter
+};
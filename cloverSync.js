@@ -0,0 +1,331 @@
+// cloverSync.js
+// Keeps the POS in step with the orders table. Named for Clover, the first
+// POS; it works through the restaurant's POS adapter (posAdapter.js), and the
+// clover_* columns hold the POS order id and sync status for any adapter.
+//
+// Every order row carries its POS order id and a sync status:
+//   pending  written, not pushed yet (the outbox pushes it straight after the write)
+//   synced   the POS order has every line item, option, fee and discount, and the right total
+//   partial  the POS order exists but the POS rejected some of its contents
+//   failed   the POS order could not be created or checked
+//   skipped  not pushed — the POS is not configured, or the order was cancelled first
+//
+// Partial and failed orders form the retry queue: clover_next_attempt_at is
+// set with exponential backoff (1 minute doubling, capped at an hour) and a
+// background worker re-syncs them every CLOVER_SYNC_POLL_MS. A re-sync
+// creates the POS order if there is none, otherwise it adds whatever the
+// POS order is missing. An order deleted on the device is not created
+// again — that is staff cancelling it (cloverWebhook.js). After
+// MAX_SYNC_ATTEMPTS the order stays failed / partial without a next attempt
+// — reconcile picks it up again.
+//
+// Reconcile compares every order placed in the last N hours against the POS
+// and repairs the differences the same way, including older orders whose
+// push was never recorded — for every restaurant, or the one named:
+//   node cloverSync.js [--hours=24] [--dry-run] [--restaurant=<key>]     (npm run reconcile:clover)
+//
+// Nothing is ever removed from a POS order — staff may have added to it on
+// the device. Differences only a person can settle (a line with another
+// quantity) are reported in clover_sync_error.
+
+'use strict';
+
+const {
+  saveCloverSync, fetchOrdersNeedingCloverSync, fetchOrdersSince
+} = require('./supabaseClient');
+const { getPosAdapter, pushOrder, missingContents, addMissingContents } = require('./posAdapter');
+const { formatOrderNumber, cartFromOrder } = require('./orderLookup');
+const { listRestaurants, getRestaurant, restaurantForId, withRestaurant } = require('./restaurants');
+const { priceCart, toCents } = require('./pricing');
+
+const DEFAULT_POLL_MS = 60_000;
+
+// Backoff between attempts: 1m, 2m, 4m ... capped at an hour
+const BASE_BACKOFF_MS = 60_000;
+const MAX_BACKOFF_MS = 60 * 60_000;
+const MAX_SYNC_ATTEMPTS = 10;
+
+// Reconcile leaves orders this young alone when they have no POS order —
+// the outbox may be pushing them right now
+const SETTLE_MS = 2 * 60_000;
+
+const _inFlight = new Map();   // orders.id → Promise of the sync in progress
+let _workerTimer = null;
+
+// ---------------------------------------------------------------------------
+// Sync status
+// ---------------------------------------------------------------------------
+
+function backoffMs(attempts) {
+  return Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+}
+
+function describeFailures(failures) {
+  return failures.map(f => `${f.kind} "${f.name}": ${f.error}`).join('; ').slice(0, 2000);
+}
+
+/**
+ * saveCloverSync() argument for the outcome of a push or repair.
+ *
+ * @param {object} outcome
+ * @param {string} [outcome.cloverOrderId]
+ * @param {Array}  [outcome.failures] - parts the POS rejected (posAdapter)
+ * @param {Error}  [outcome.error]    - the push or check failed outright
+ * @param {number} attempts           - including this one
+ * @param {Date}   [now]
+ * @returns {{ cloverOrderId?: string, status: string, error: string|null, attempts: number, nextAttemptAt: Date|null }}
+ */
+function syncUpdate({ cloverOrderId, failures = [], error }, attempts, now = new Date()) {
+  const status = error ? 'failed' : failures.length > 0 ? 'partial' : 'synced';
+  const retry = status !== 'synced' && attempts < MAX_SYNC_ATTEMPTS;
+  return {
+    cloverOrderId,
+    status,
+    error: error ? error.message : failures.length > 0 ? describeFailures(failures) : null,
+    attempts,
+    nextAttemptAt: retry ? new Date(now.getTime() + backoffMs(attempts)) : null,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Syncing one order
+// ---------------------------------------------------------------------------
+
+/**
+ * The POS push arguments for an orders row: its items at the prices
+ * charged, the delivery fee charged and the discount given.
+ *
+ * @param {object} row - orders row with order_items
+ * @returns {{ cart: Array, customerName: string, totals: object,
+ *            opts: { pickupAt: Date|null, deliveryAddress: string|null, payment: 'paid'|'unpaid'|null } }}
+ */
+function orderForClover(row) {
+  const cart = cartFromOrder(row);
+  const discountCents = toCents(Number(row.discount_amount || 0));
+  const totals = priceCart(cart, {
+    orderType: row.order_type || 'pickup',
+    deliveryFeeCents: toCents(Number(row.delivery_fee || 0)),
+    discounts: discountCents > 0
+      ? [{ code: row.promo_code, name: row.promo_code ? `Promo ${row.promo_code}` : 'Discount', amountCents: discountCents }]
+      : [],
+  });
+  return {
+    cart,
+    customerName: row.customer_name,
+    totals,
+    opts: {
+      pickupAt: row.pickup_at ? new Date(row.pickup_at) : null,
+      deliveryAddress: row.order_type === 'delivery' ? row.delivery_address?.formatted || null : null,
+      payment: ['paid', 'unpaid'].includes(row.payment_status) ? row.payment_status : null,
+    },
+  };
+}
+
+async function runSync(row, { dryRun }) {
+  const orderNumber = formatOrderNumber(row.id);
+  const attempts = (row.clover_sync_attempts || 0) + 1;
+  const adapter = getPosAdapter(row.restaurant_id);
+
+  if (!adapter.isConfigured() || row.status === 'cancelled') {
+    if (!dryRun && row.clover_sync_status !== 'skipped') {
+      await saveCloverSync(row.id, { status: 'skipped', error: row.status === 'cancelled' ? 'order cancelled' : null });
+    }
+    return { orderNumber, outcome: 'skipped' };
+  }
+
+  const order = orderForClover(row);
+  let created = null;   // set once a new POS order exists, so a failed save cannot lead to a second one
+  try {
+    const posOrder = row.clover_order_id ? await adapter.fetchOrder(row.clover_order_id) : null;
+
+    if (row.clover_order_id && !posOrder) {
+      if (!dryRun) await saveCloverSync(row.id, { status: 'skipped', error: `deleted on the ${adapter.label} device` });
+      return { orderNumber, outcome: 'deleted_on_clover', cloverOrderId: row.clover_order_id };
+    }
+
+    if (!posOrder) {
+      if (dryRun) return { orderNumber, outcome: 'missing' };
+      const { posOrderId, failures } = await pushOrder(adapter, order.cart, order.customerName, order.totals, order.opts);
+      created = posOrderId;
+      await saveCloverSync(row.id, syncUpdate({ cloverOrderId: posOrderId, failures }, attempts));
+      console.log(`[cloverSync] ${orderNumber} created on ${adapter.label} as ${posOrderId}`);
+      return { orderNumber, outcome: failures.length > 0 ? 'partial' : 'created', cloverOrderId: posOrderId, failures };
+    }
+
+    const missing = missingContents(posOrder, order.cart, order.totals);
+    const missingCount = missing.lines.length + missing.fees.length + missing.discounts.length +
+                         (missing.totalCents !== null ? 1 : 0);
+    if (dryRun) {
+      const outcome = missingCount > 0 ? 'incomplete' : missing.mismatches.length > 0 ? 'mismatch' : 'in_sync';
+      return { orderNumber, outcome, cloverOrderId: row.clover_order_id, missing };
+    }
+
+    const failures = await addMissingContents(adapter, row.clover_order_id, missing);
+    if (missingCount > 0 || failures.length > 0 || row.clover_sync_status !== 'synced') {
+      await saveCloverSync(row.id, syncUpdate({ failures }, attempts));
+    }
+    if (missingCount > 0) {
+      console.log(`[cloverSync] ${orderNumber} repaired on ${adapter.label}: ${missingCount} missing part(s) added or corrected` +
+                  (failures.length > 0 ? `, ${failures.length} still rejected` : ''));
+    }
+    const outcome = failures.length > 0 ? 'partial' : missingCount > 0 ? 'repaired' : 'in_sync';
+    return { orderNumber, outcome, cloverOrderId: row.clover_order_id, failures };
+  } catch (err) {
+    console.error(`[cloverSync] ${orderNumber} sync failed (attempt ${attempts}): ${err.message}`);
+    if (!dryRun) {
+      // A failure to record the failure leaves the row as it was; the next pass tries again
+      await saveCloverSync(row.id, syncUpdate({ cloverOrderId: created, error: err }, attempts))
+        .catch(saveErr => console.error(`[cloverSync] Could not record sync failure for ${orderNumber}:`, saveErr.message));
+    }
+    return { orderNumber, outcome: 'failed', error: err.message };
+  }
+}
+
+/**
+ * Brings one order's POS order in line with its row: creates it when
+ * missing, otherwise adds what it lacks, and records the sync status.
+ * Never throws for POS errors — they are recorded and retried.
+ *
+ * @param {object}  row - orders row with order_items
+ * @param {object}  [opts]
+ * @param {boolean} [opts.dryRun] - only report; nothing is pushed or saved
+ * @returns {Promise<{ orderNumber: string,
+ *                     outcome: 'created'|'repaired'|'in_sync'|'partial'|'failed'|'skipped'
+ *                              |'missing'|'deleted_on_clover'|'incomplete'|'mismatch',
+ *                     cloverOrderId?: string, failures?: Array, missing?: object, error?: string }>}
+ */
+function syncOrder(row, { dryRun = false } = {}) {
+  // The worker and reconcile must not push the same order at once
+  if (_inFlight.has(row.id)) return _inFlight.get(row.id);
+  // As the order's restaurant — its POS credentials, config and order numbers
+  const running = withRestaurant(restaurantForId(row.restaurant_id), () => runSync(row, { dryRun }))
+    .finally(() => _inFlight.delete(row.id));
+  _inFlight.set(row.id, running);
+  return running;
+}
+
+// ---------------------------------------------------------------------------
+// Retry worker
+// ---------------------------------------------------------------------------
+
+async function syncDue() {
+  for (const restaurant of listRestaurants()) {
+    try {
+      await withRestaurant(restaurant, async () => {
+        if (!getPosAdapter().isConfigured()) return;
+        const rows = await fetchOrdersNeedingCloverSync();
+        // One at a time — POS APIs rate-limit per merchant
+        for (const row of rows) {
+          await syncOrder(row);
+        }
+      });
+    } catch (err) {
+      console.error(`[cloverSync] Worker pass failed for ${restaurant.name}:`, err.message);
+    }
+  }
+}
+
+/**
+ * Starts retrying partial and failed POS pushes every CLOVER_SYNC_POLL_MS.
+ *
+ * @param {number} [intervalMs]
+ */
+function startCloverSyncWorker(intervalMs = parseInt(process.env.CLOVER_SYNC_POLL_MS || DEFAULT_POLL_MS, 10)) {
+  stopCloverSyncWorker();
+  let running = false;
+  const tick = () => {
+    if (running) return;
+    running = true;
+    syncDue()
+      .catch(err => console.error('[cloverSync] Worker pass failed:', err.message))
+      .finally(() => { running = false; });
+  };
+
+  tick();
+  _workerTimer = setInterval(tick, intervalMs);
+  _workerTimer.unref(); // don't keep the process alive for this timer
+}
+
+function stopCloverSyncWorker() {
+  if (_workerTimer) {
+    clearInterval(_workerTimer);
+    _workerTimer = null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Reconcile
+// ---------------------------------------------------------------------------
+
+/**
+ * Checks every order the current restaurant (restaurants.js) took in the
+ * last `hours` against its POS and repairs missing orders and line items.
+ *
+ * @param {object}  [opts]
+ * @param {number}  [opts.hours]
+ * @param {boolean} [opts.dryRun]
+ * @param {Date}    [opts.now]
+ * @returns {Promise<{ checked: number, counts: Object<string, number>, results: Array<object> }>}
+ * @throws if the POS is not configured or the orders cannot be read
+ */
+async function reconcile({ hours = 24, dryRun = false, now = new Date() } = {}) {
+  const adapter = getPosAdapter();
+  if (!adapter.isConfigured()) throw new Error(`reconcile: ${adapter.label} is not configured (see its credentials in env).`);
+
+  const rows = await fetchOrdersSince(new Date(now.getTime() - hours * 3_600_000));
+  const results = [];
+  for (const row of rows) {
+    if (row.status === 'cancelled') continue;
+    const settling = !row.clover_order_id && now.getTime() - new Date(row.created_at).getTime() < SETTLE_MS;
+    if (settling) continue;
+    results.push(await syncOrder(row, { dryRun }));
+  }
+
+  const counts = {};
+  for (const r of results) counts[r.outcome] = (counts[r.outcome] || 0) + 1;
+  console.log(`[cloverSync] Reconciled ${results.length} order(s) from the last ${hours}h` +
+              `${dryRun ? ' (dry run)' : ''}: ${JSON.stringify(counts)}`);
+  return { checked: results.length, counts, results };
+}
+
+module.exports = {
+  MAX_SYNC_ATTEMPTS,
+  syncUpdate,
+  orderForClover,
+  syncOrder,
+  startCloverSyncWorker,
+  stopCloverSyncWorker,
+  reconcile,
+};
+
+// ── Command line ──────────────────────────────────────────────────────────
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const hoursArg = args.find(a => a.startsWith('--hours='));
+  const hours = hoursArg ? Number(hoursArg.split('=')[1]) : 24;
+  const restaurantArg = args.find(a => a.startsWith('--restaurant='));
+  const restaurants = restaurantArg ? [getRestaurant(restaurantArg.split('=')[1])] : listRestaurants();
+  if (!(hours > 0) || !restaurants[0]) {
+    console.error('Usage: node cloverSync.js [--hours=24] [--dry-run] [--restaurant=<key from data/restaurants.json>]');
+    process.exit(2);
+  }
+
+  (async () => {
+    let failed = false;
+    for (const restaurant of restaurants) {
+      console.log(`${restaurant.name}:`);
+      try {
+        const { results } = await withRestaurant(restaurant, () => reconcile({ hours, dryRun: args.includes('--dry-run') }));
+        for (const r of results.filter(r => r.outcome !== 'in_sync')) {
+          console.log(`  ${r.orderNumber}  ${r.outcome}${r.error ? ` — ${r.error}` : ''}` +
+                      (r.failures?.length ? ` — ${describeFailures(r.failures)}` : ''));
+        }
+        failed = failed || results.some(r => r.outcome === 'failed' || r.outcome === 'partial');
+      } catch (err) {
+        console.error(`  ${err.message}`);
+        failed = true;
+      }
+    }
+    process.exit(failed ? 1 : 0);
+  })();
+}
@@ -0,0 +1,161 @@
+// cloverWebhook.js
+// Order state coming back from Clover (POST /webhooks/clover).
+//
+// Clover authenticates every webhook POST with the X-Clover-Auth header —
+// the auth code shown in the Clover developer dashboard once the webhook URL
+// is verified (CLOVER_WEBHOOK_AUTH_CODE). Verifying the URL is a one-off POST
+// of { verificationCode }; it is logged so it can be pasted into the dashboard.
+//
+// Events only name the order ("O:<id>") and whether it was created, updated
+// or deleted, so the order is fetched from Clover to see what changed:
+//   deleted on the device      → cancelled
+//   paymentState PAID          → completed, paid_at set (orders are paid at pickup)
+//                                — except an order paid by payment link
+//                                (payments.js), which is paid before pickup
+//   state "fulfilled"          → completed
+// Anything else — items edited, a note added — leaves the status alone.
+// Completed and cancelled orders never change status again, and orders the
+// voice agent did not place are ignored. Events come grouped by merchant;
+// each merchant's are applied as the restaurant it belongs to (restaurants.js).
+//
+// Every status change is published through orderEvents.js, and
+// lookupOrderStatus reads it from orders.status like any other.
+
+'use strict';
+
+const crypto = require('crypto');
+const { fetchOrderByCloverId, updateOrderFromClover } = require('./supabaseClient');
+const { fetchCloverOrder } = require('./cloverClient');
+const { formatOrderNumber } = require('./orderLookup');
+const { emitOrderStatusChange } = require('./orderEvents');
+const { listRestaurants, withRestaurant } = require('./restaurants');
+
+const FINAL_STATUSES = ['completed', 'cancelled'];
+const FULFILLED_STATES = ['fulfilled'];
+
+/**
+ * Checks the X-Clover-Auth header against CLOVER_WEBHOOK_AUTH_CODE.
+ *
+ * @param {string} header
+ * @returns {boolean}
+ * @throws if CLOVER_WEBHOOK_AUTH_CODE is not set
+ */
+function verifyCloverAuth(header) {
+  const expected = process.env.CLOVER_WEBHOOK_AUTH_CODE;
+  if (!expected) throw new Error('CLOVER_WEBHOOK_AUTH_CODE is not set in env.');
+  const a = Buffer.from(String(header || ''));
+  const b = Buffer.from(expected);
+  // timingSafeEqual throws on length mismatch — check length first
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * The status a Clover order implies, or null when it implies none.
+ * @param {object|null} cloverOrder - null when deleted
+ * @param {object} row              - the order it belongs to
+ * @returns {'cancelled'|'completed'|null}
+ */
+function statusFromClover(cloverOrder, row) {
+  if (!cloverOrder) return 'cancelled';
+  if (cloverOrder.paymentState === 'PAID' && row.payment_status !== 'paid') return 'completed';
+  if (FULFILLED_STATES.includes(String(cloverOrder.state || '').toLowerCase())) return 'completed';
+  return null;
+}
+
+// The orders columns to change for a Clover order, or null when nothing changes
+function changeFor(row, cloverOrder) {
+  const implied = statusFromClover(cloverOrder, row);
+  const status = implied && !FINAL_STATUSES.includes(row.status) && implied !== row.status ? implied : undefined;
+  const paymentState = cloverOrder?.paymentState && cloverOrder.paymentState !== row.clover_payment_state
+    ? cloverOrder.paymentState
+    : undefined;
+  const paidAt = cloverOrder?.paymentState === 'PAID' && !row.paid_at ? new Date() : undefined;
+
+  if (!status && !paymentState && !paidAt) return null;
+  return { status, paymentState, paidAt, cancelReason: 'Deleted on the Clover device' };
+}
+
+/**
+ * Applies one Clover order event.
+ *
+ * @param {string} cloverOrderId
+ * @param {'CREATE'|'UPDATE'|'DELETE'} type
+ * @returns {Promise<{ cloverOrderId: string, outcome: 'not_ours'|'unchanged'|'updated', status?: string }>}
+ * @throws if Supabase or Clover cannot be read, or the update fails — the webhook is retried
+ */
+async function handleOrderEvent(cloverOrderId, type) {
+  let row = await fetchOrderByCloverId(cloverOrderId);
+  if (!row) return { cloverOrderId, outcome: 'not_ours' };
+
+  const cloverOrder = type === 'DELETE' ? null : await fetchCloverOrder(cloverOrderId);
+
+  // The status is only moved from the one just read; if it changed in the
+  // meantime (kitchen, caller) the row is read again and the change re-derived
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const change = changeFor(row, cloverOrder);
+    if (!change) return { cloverOrderId, outcome: 'unchanged', status: row.status };
+
+    const updated = await updateOrderFromClover(row.id, { ...change, expectStatuses: [row.status] });
+    if (updated) {
+      const orderNumber = formatOrderNumber(row.id);
+      if (updated.status !== row.status) {
+        console.log(`[cloverWebhook] ${orderNumber} ${row.status} → ${updated.status} (Clover ${type.toLowerCase()})`);
+        await emitOrderStatusChange({
+          orderId: row.id,
+          orderNumber,
+          status: updated.status,
+          previousStatus: row.status,
+          source: 'clover',
+          order: updated,
+        });
+      }
+      return { cloverOrderId, outcome: 'updated', status: updated.status };
+    }
+    row = await fetchOrderByCloverId(cloverOrderId);
+    if (!row) return { cloverOrderId, outcome: 'not_ours' };
+  }
+  return { cloverOrderId, outcome: 'unchanged', status: row.status };
+}
+
+// Latest event per order (a delete wins), applied in order
+async function handleMerchantEvents(events) {
+  const byOrder = new Map();
+  for (const event of events) {
+    if (typeof event.objectId !== 'string' || !event.objectId.startsWith('O:')) continue;
+    const id = event.objectId.slice(2);
+    if (byOrder.get(id) !== 'DELETE') byOrder.set(id, event.type);
+  }
+
+  const results = [];
+  for (const [cloverOrderId, type] of byOrder) {
+    results.push(await handleOrderEvent(cloverOrderId, type));
+  }
+  return results;
+}
+
+/**
+ * Applies the order events in a webhook body, each merchant's as its
+ * restaurant (restaurants.js). Several events for one order are applied
+ * once; other objects (payments, items, customers) and merchants no
+ * restaurant uses are skipped.
+ *
+ * @param {{ merchants?: Object<string, Array<{ objectId: string, type: string, ts: number }>> }} body
+ * @returns {Promise<Array<object>>} - see handleOrderEvent
+ * @throws if any event could not be applied
+ */
+async function handleCloverEvents(body) {
+  const results = [];
+  for (const restaurant of listRestaurants()) {
+    const merchantId = restaurant.clover && process.env[restaurant.clover.merchantIdEnv];
+    const events = (merchantId && body && body.merchants && body.merchants[merchantId]) || [];
+    if (events.length === 0) continue;
+    results.push(...await withRestaurant(restaurant, () => handleMerchantEvents(events)));
+  }
+  return results;
+}
+
+module.exports = {
+  verifyCloverAuth,
+  statusFromClover,
+  handleCloverEvents,
+};
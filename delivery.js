@@ -0,0 +1,296 @@
+// delivery.js
+// Delivery addresses and delivery zones.
+//
+// Zones live in data/delivery.json (override with DELIVERY_CONFIG_PATH):
+//   enabled       false turns delivery off — every order is pickup
+//   origin        { lat, lng } of the restaurant, for radius zones
+//   defaultState  state assumed when the caller does not say one
+//   estimatedMinutes  typical time to the door for an as-soon-as-possible order
+//   zones         [{ id, name, zips? | radiusMiles?, minimumOrder, fee }] — checked
+//                 in order, first match wins
+//   zipCentroids  zip → [lat, lng]; radius zones are evaluated from the
+//                 address's zip centroid, so no geocoding service is needed
+//
+// server.js calls getDeliveryConfig() at startup so a bad file stops the process.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { restaurantConfig } = require('./restaurants');
+
+const DEFAULT_DELIVERY_PATH = path.join(__dirname, 'data', 'delivery.json');
+
+const DEFAULT_ESTIMATED_MINUTES = 45;
+const EARTH_RADIUS_MILES = 3958.8;
+const ZIP_PATTERN = /^\d{5}$/;
+
+// USPS street suffix and directional abbreviations
+const STREET_ABBREVIATIONS = {
+  street: 'St', st: 'St', avenue: 'Ave', ave: 'Ave', av: 'Ave', boulevard: 'Blvd', blvd: 'Blvd',
+  drive: 'Dr', dr: 'Dr', road: 'Rd', rd: 'Rd', lane: 'Ln', ln: 'Ln', court: 'Ct', ct: 'Ct',
+  parkway: 'Pkwy', pkwy: 'Pkwy', circle: 'Cir', cir: 'Cir', place: 'Pl', pl: 'Pl',
+  highway: 'Hwy', hwy: 'Hwy', trail: 'Trl', trl: 'Trl', terrace: 'Ter', ter: 'Ter',
+  freeway: 'Fwy', fwy: 'Fwy', expressway: 'Expy', expy: 'Expy', square: 'Sq', way: 'Way',
+  north: 'N', south: 'S', east: 'E', west: 'W',
+  northeast: 'NE', northwest: 'NW', southeast: 'SE', southwest: 'SW',
+};
+const UNIT_PREFIXES = {
+  apartment: 'Apt', apt: 'Apt', unit: 'Unit', suite: 'Ste', ste: 'Ste',
+  building: 'Bldg', bldg: 'Bldg', floor: 'Fl', room: 'Rm', '#': '#',
+};
+const STATES = {
+  alabama: 'AL', alaska: 'AK', arizona: 'AZ', arkansas: 'AR', california: 'CA', colorado: 'CO',
+  connecticut: 'CT', delaware: 'DE', 'district of columbia': 'DC', florida: 'FL', georgia: 'GA',
+  hawaii: 'HI', idaho: 'ID', illinois: 'IL', indiana: 'IN', iowa: 'IA', kansas: 'KS',
+  kentucky: 'KY', louisiana: 'LA', maine: 'ME', maryland: 'MD', massachusetts: 'MA',
+  michigan: 'MI', minnesota: 'MN', mississippi: 'MS', missouri: 'MO', montana: 'MT',
+  nebraska: 'NE', nevada: 'NV', 'new hampshire': 'NH', 'new jersey': 'NJ', 'new mexico': 'NM',
+  'new york': 'NY', 'north carolina': 'NC', 'north dakota': 'ND', ohio: 'OH', oklahoma: 'OK',
+  oregon: 'OR', pennsylvania: 'PA', 'rhode island': 'RI', 'south carolina': 'SC',
+  'south dakota': 'SD', tennessee: 'TN', texas: 'TX', utah: 'UT', vermont: 'VT',
+  virginia: 'VA', washington: 'WA', 'west virginia': 'WV', wisconsin: 'WI', wyoming: 'WY',
+};
+const STATE_CODES = new Set(Object.values(STATES));
+
+// ---------------------------------------------------------------------------
+// Lazy, per restaurant — each restaurant's file (restaurants.js) is loaded
+// and validated once, on first use
+// ---------------------------------------------------------------------------
+let _config = null;   // set by tests — used for every restaurant
+
+const loadForRestaurant = restaurantConfig('delivery', () => process.env.DELIVERY_CONFIG_PATH || DEFAULT_DELIVERY_PATH, loadDeliveryConfig);
+
+function getDeliveryConfig() {
+  return _config || loadForRestaurant();
+}
+
+// Exposed for testing — the fixture zones, or a copy with enabled: false to try pickup-only
+function _setDeliveryConfig(config) {
+  _config = config;
+}
+
+// ---------------------------------------------------------------------------
+// Loading & validation
+// ---------------------------------------------------------------------------
+
+/**
+ * Reads and validates a delivery config file.
+ *
+ * @param {string} filePath
+ * @returns {object} config with zone zips as Sets
+ * @throws if the file cannot be read, is not valid JSON, or fails validation
+ */
+function loadDeliveryConfig(filePath) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`[delivery] Cannot load ${filePath}: ${err.message}`);
+  }
+
+  const problems = validateDeliveryConfig(raw);
+  if (problems.length > 0) {
+    throw new Error(
+      `[delivery] ${filePath} is inconsistent (${problems.length} problem(s)):\n  - ` +
+      problems.join('\n  - ')
+    );
+  }
+
+  const config = {
+    enabled: raw.enabled !== false,
+    origin: raw.origin || null,
+    defaultState: raw.defaultState || null,
+    estimatedMinutes: raw.estimatedMinutes ?? DEFAULT_ESTIMATED_MINUTES,
+    zones: (raw.zones || []).map(z => ({
+      id: z.id,
+      name: z.name,
+      zips: z.zips ? new Set(z.zips) : null,
+      radiusMiles: z.radiusMiles ?? null,
+      minimumOrder: z.minimumOrder || 0,
+      fee: z.fee || 0,
+    })),
+    zipCentroids: new Map(Object.entries(raw.zipCentroids || {})),
+  };
+  console.log(`[delivery] ${config.enabled ? `Loaded ${config.zones.length} delivery zone(s)` : 'Delivery disabled'} from ${filePath}`);
+  return config;
+}
+
+/**
+ * @param {object} raw - parsed delivery JSON
+ * @returns {string[]} - human-readable problems (empty when valid)
+ */
+function validateDeliveryConfig(raw) {
+  const problems = [];
+  if (!raw || typeof raw !== 'object') return ['delivery config must be a JSON object'];
+
+  const isCoord = c => c && Number.isFinite(c.lat) && Number.isFinite(c.lng);
+  if (raw.defaultState !== undefined && !STATE_CODES.has(raw.defaultState)) {
+    problems.push(`defaultState "${raw.defaultState}" is not a two-letter state code`);
+  }
+
+  if (raw.estimatedMinutes !== undefined && !(Number.isInteger(raw.estimatedMinutes) && raw.estimatedMinutes > 0)) {
+    problems.push('estimatedMinutes must be a positive integer');
+  }
+
+  if (!Array.isArray(raw.zones)) {
+    problems.push('zones must be an array');
+  } else {
+    const ids = new Set();
+    raw.zones.forEach((z, i) => {
+      const at = `zones[${i}]`;
+      if (!z || typeof z.id !== 'string' || typeof z.name !== 'string') {
+        problems.push(`${at} needs an id and a name`);
+        return;
+      }
+      if (ids.has(z.id)) problems.push(`${at} id "${z.id}" is duplicated`);
+      ids.add(z.id);
+
+      const hasZips = z.zips !== undefined;
+      const hasRadius = z.radiusMiles !== undefined;
+      if (hasZips === hasRadius) {
+        problems.push(`${at} must have exactly one of zips or radiusMiles`);
+      } else if (hasZips && (!Array.isArray(z.zips) || !z.zips.every(zip => ZIP_PATTERN.test(zip)))) {
+        problems.push(`${at}.zips must be an array of 5-digit zip codes`);
+      } else if (hasRadius && !(Number.isFinite(z.radiusMiles) && z.radiusMiles > 0)) {
+        problems.push(`${at}.radiusMiles must be a positive number`);
+      } else if (hasRadius && !isCoord(raw.origin)) {
+        problems.push(`${at} is a radius zone but origin { lat, lng } is missing`);
+      }
+
+      for (const key of ['minimumOrder', 'fee']) {
+        if (z[key] !== undefined && !(Number.isFinite(z[key]) && z[key] >= 0)) {
+          problems.push(`${at}.${key} must be a non-negative number`);
+        }
+      }
+    });
+  }
+
+  if (raw.zipCentroids !== undefined) {
+    if (!raw.zipCentroids || typeof raw.zipCentroids !== 'object') {
+      problems.push('zipCentroids must be an object keyed by zip code');
+    } else {
+      for (const [zip, c] of Object.entries(raw.zipCentroids)) {
+        if (!ZIP_PATTERN.test(zip) || !Array.isArray(c) || c.length !== 2 || !c.every(Number.isFinite)) {
+          problems.push(`zipCentroids["${zip}"] must be [lat, lng] for a 5-digit zip`);
+        }
+      }
+    }
+  }
+
+  return problems;
+}
+
+// ---------------------------------------------------------------------------
+// Address normalisation
+// ---------------------------------------------------------------------------
+
+/**
+ * Cleans up an address as Gemini heard it: USPS abbreviations, title case,
+ * two-letter state, 5-digit zip.
+ *
+ * @param {{ street: string, unit?: string, city?: string, state?: string, zip: string }} input
+ * @returns {{ ok: true, address: { street: string, unit: string|null, city: string|null,
+ *             state: string, zip: string }, formatted: string }
+ *         | { ok: false, message: string }}
+ */
+function normalizeAddress(input = {}, config = getDeliveryConfig()) {
+  const clean = value => String(value || '').replace(/[.,]/g, ' ').replace(/\s+/g, ' ').trim();
+
+  const streetWords = clean(input.street).split(' ').filter(Boolean);
+  if (streetWords.length < 2 || !/^\d+[A-Za-z]?$/.test(streetWords[0])) {
+    return { ok: false, message: 'The street address needs a house number and a street name, e.g. "8604 North MacArthur Boulevard".' };
+  }
+  const street = streetWords
+    .map((word, i) => (i > 0 && STREET_ABBREVIATIONS[word.toLowerCase()]) || titleCase(word))
+    .join(' ');
+
+  // "apartment 5b" → "Apt 5B", "#12" → "#12", bare "12" → "Apt 12"
+  let unit = null;
+  const unitWords = clean(input.unit).replace(/^#\s*/, '# ').split(' ').filter(Boolean);
+  if (unitWords.length > 0) {
+    const prefix = UNIT_PREFIXES[unitWords[0].toLowerCase()];
+    const number = (prefix ? unitWords.slice(1) : unitWords).join(' ').toUpperCase();
+    if (number) unit = prefix === '#' ? `#${number}` : `${prefix || 'Apt'} ${number}`;
+  }
+
+  const zip = clean(input.zip).replace(/\s/g, '').slice(0, 5);
+  if (!ZIP_PATTERN.test(zip)) {
+    return { ok: false, message: 'Please get the 5-digit zip code for the address.' };
+  }
+
+  const spokenState = clean(input.state).toLowerCase();
+  const state = spokenState
+    ? (STATES[spokenState] || (STATE_CODES.has(spokenState.toUpperCase()) ? spokenState.toUpperCase() : null))
+    : config.defaultState;
+  if (!state) {
+    return { ok: false, message: `"${input.state}" is not a US state. Please confirm the state.` };
+  }
+
+  const city = clean(input.city) ? clean(input.city).split(' ').map(titleCase).join(' ') : null;
+  const address = { street, unit, city, state, zip };
+  return { ok: true, address, formatted: formatAddress(address) };
+}
+
+/** "8604 N MacArthur Blvd, Apt 5, Irving, TX 75063" */
+function formatAddress(address) {
+  return [address.street, address.unit, address.city, `${address.state} ${address.zip}`]
+    .filter(Boolean)
+    .join(', ');
+}
+
+function titleCase(word) {
+  // Keep ordinals ("5th") and mixed-case names ("MacArthur") as spoken
+  if (/^\d/.test(word) || /[a-z][A-Z]/.test(word)) return word;
+  return word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+}
+
+// ---------------------------------------------------------------------------
+// Zones
+// ---------------------------------------------------------------------------
+
+/**
+ * First zone that covers a normalised address.
+ *
+ * @param {{ zip: string }} address
+ * @returns {object|null} zone { id, name, minimumOrder, fee, ... } or null if we don't deliver there
+ */
+function findZone(address, config = getDeliveryConfig()) {
+  const centroid = config.zipCentroids.get(address.zip);
+  for (const zone of config.zones) {
+    if (zone.zips) {
+      if (zone.zips.has(address.zip)) return zone;
+    } else if (centroid) {
+      const miles = haversineMiles(config.origin, { lat: centroid[0], lng: centroid[1] });
+      if (miles <= zone.radiusMiles) return zone;
+    }
+  }
+  return null;
+}
+
+/** Great-circle distance in miles between two { lat, lng } points. */
+function haversineMiles(a, b) {
+  const rad = deg => deg * Math.PI / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(h));
+}
+
+/** @returns {boolean} */
+function isDeliveryEnabled(config = getDeliveryConfig()) {
+  return config.enabled && config.zones.length > 0;
+}
+
+module.exports = {
+  getDeliveryConfig,
+  loadDeliveryConfig,
+  validateDeliveryConfig,
+  normalizeAddress,
+  formatAddress,
+  findZone,
+  haversineMiles,
+  isDeliveryEnabled,
+  // Exported for testing
+  _setDeliveryConfig,
+};
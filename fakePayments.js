@@ -0,0 +1,184 @@
+// fakePayments.js
+// The "fake" payment provider (payments.js): payment links served by this
+// server, so prepayment can be tried end to end without a payment account.
+//
+// Links are kept in a JSON file (FAKE_PAYMENTS_PATH, default
+// data/fakePayments.json). Each link's URL is a page on this server
+// (GET /payments/fake/:linkId) with two buttons — pay, or let the link
+// expire — that post to the payment webhook (POST /webhooks/payments/fake)
+// the way a real provider reports a payment. Paying a link after it has
+// expired reports it as expired. A link that has been paid or has expired
+// reports that same outcome on every later post — the page offers to send it
+// again, as a real provider re-sends an event the webhook failed on
+// (payments.js ignores repeats). Link URLs start with PUBLIC_BASE_URL, or
+// http://localhost:PORT when that is not set.
+//
+// The link id is random and only ever texted to the customer, so a webhook
+// post naming a link that exists is taken as genuine — good enough for a
+// provider that moves no money, and the reason payments.js only lets
+// prepay use it with NODE_ENV=development.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { formatCents } = require('./pricing');
+
+const DEFAULT_FAKE_PAYMENTS_PATH = path.join(__dirname, 'data', 'fakePayments.json');
+
+let _fakePaymentsPath = null;
+
+function getFakePaymentsPath() {
+  return _fakePaymentsPath || process.env.FAKE_PAYMENTS_PATH || DEFAULT_FAKE_PAYMENTS_PATH;
+}
+
+function baseUrl() {
+  return (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 8080}`).replace(/\/+$/, '');
+}
+
+// ---------------------------------------------------------------------------
+// Store
+// ---------------------------------------------------------------------------
+
+function readStore() {
+  const file = getFakePaymentsPath();
+  if (!fs.existsSync(file)) return { links: {} };
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`[fakePayments] Cannot read ${file}: ${err.message}`);
+  }
+}
+
+// Written to a temp file and renamed, so a reader never sees half a file
+function writeStore(store) {
+  const file = getFakePaymentsPath();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(store, null, 2) + '\n');
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+// ---------------------------------------------------------------------------
+// Provider operations — see PaymentProvider in payments.js
+// ---------------------------------------------------------------------------
+
+async function createLink({ orderId, restaurant, orderNumber, amountCents, description, expiresAt }) {
+  const store = readStore();
+  const existing = Object.values(store.links).find(l => l.orderId === orderId);
+  if (existing) return { id: existing.id, url: existing.url };
+
+  const id = `fake_${crypto.randomBytes(12).toString('hex')}`;
+  store.links[id] = {
+    id,
+    url: `${baseUrl()}/payments/fake/${id}`,
+    orderId,
+    restaurant,
+    orderNumber,
+    amountCents,
+    description,
+    expiresAt: expiresAt.toISOString(),
+    status: 'open',
+    paidAt: null,
+    reference: null,
+    createdAt: new Date().toISOString(),
+  };
+  writeStore(store);
+  return { id, url: store.links[id].url };
+}
+
+// The event for a link that has been paid or has expired
+function settledEvent(link) {
+  return {
+    orderId: link.orderId,
+    restaurant: link.restaurant,
+    linkId: link.id,
+    status: link.status,
+    paidAt: link.paidAt ? new Date(link.paidAt) : undefined,
+    reference: link.reference || undefined,
+  };
+}
+
+// Body: { linkId, outcome: 'pay'|'expire'|'resend' } — posted by the page below
+async function parseWebhook(req) {
+  const { linkId, outcome } = req.body || {};
+  const store = readStore();
+  const link = typeof linkId === 'string' ? store.links[linkId] : undefined;
+  if (!link) return null;
+  // Already settled — the same outcome again, whatever was clicked, so an
+  // event the webhook failed to apply is not lost
+  if (link.status !== 'open') return [settledEvent(link)];
+
+  const now = new Date();
+  const paid = outcome === 'pay' && now <= new Date(link.expiresAt);
+  link.status = paid ? 'paid' : 'expired';
+  if (paid) {
+    link.paidAt = now.toISOString();
+    link.reference = `fakepay_${crypto.randomBytes(6).toString('hex')}`;
+  }
+  writeStore(store);
+
+  return [settledEvent(link)];
+}
+
+/** @type {import('./payments').PaymentProvider} */
+const fakePaymentProvider = {
+  name: 'fake',
+  label: 'Fake payments',
+  developmentOnly: true,
+  createLink,
+  parseWebhook,
+};
+
+// ---------------------------------------------------------------------------
+// Payment page
+// ---------------------------------------------------------------------------
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+/**
+ * The page a fake payment link opens, or null for an unknown link.
+ *
+ * @param {string} linkId
+ * @returns {string|null} HTML
+ */
+function renderPaymentPage(linkId) {
+  const link = readStore().links[linkId];
+  if (!link) return null;
+
+  const state = link.status !== 'open' ? link.status
+    : new Date() > new Date(link.expiresAt) ? 'expired (not reported yet)'
+    : 'open';
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Pay ${escapeHtml(link.orderNumber)}</title></head>
+<body style="font-family: sans-serif; max-width: 28em; margin: 2em auto">
+<h1>Fake payment</h1>
+<p>${escapeHtml(link.description)}</p>
+<p><strong>$${formatCents(link.amountCents)}</strong> — link ${escapeHtml(state)}</p>
+${link.status === 'open' ? `<form method="post" action="/webhooks/payments/fake">
+<input type="hidden" name="linkId" value="${escapeHtml(link.id)}">
+<button name="outcome" value="pay">Pay</button>
+<button name="outcome" value="expire">Let it expire</button>
+</form>` : `<form method="post" action="/webhooks/payments/fake">
+<input type="hidden" name="linkId" value="${escapeHtml(link.id)}">
+<button name="outcome" value="resend">Send the ${escapeHtml(link.status)} notice again</button>
+</form>`}
+<p><small>No money moves — this is the development payment provider.</small></p>
+</body></html>
+`;
+}
+
+// Exposed for testing — points the fake provider at another file
+function _setFakePaymentsPath(file) {
+  _fakePaymentsPath = file;
+}
+
+module.exports = {
+  fakePaymentProvider,
+  renderPaymentPage,
+  // Exported for testing
+  _setFakePaymentsPath,
+};
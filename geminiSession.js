@@ -10,36 +10,54 @@
 //   opts.onTransferRequested(num)    — you call this to trigger cold transfer
 //   opts.onSessionEnded()            — you call this after clean session close
 //   opts.onClearAudio()              — you call this to flush Twilio audio buffer (barge-in)
+//   opts.callerPhone                 — (optional) caller ID, used for order status lookups
+//                                      and to recognise returning customers
+//   opts.restaurant                  — (optional) the restaurant called (restaurants.js); its
+//                                      prompt, voice, hours and transfer number are used,
+//                                      and every tool runs as it. Default: the current one
 
 require('dotenv').config();
 
 // Red Team #6 — Modality enum intentionally NOT imported.
 // Use raw string 'AUDIO' to avoid undefined errors across SDK versions.
 const { GoogleGenAI } = require('@google/genai');
-const { SYSTEM_PROMPT } = require('./systemPrompt');
+const { buildSystemPrompt } = require('./systemPrompt');
 const { tools } = require('./toolDefinitions');
+const { getUnavailable } = require('./availability');
+const { getOpenStatus, earliestPickup, timeOfDay, describeInstant } = require('./schedule');
 const {
   createSession,
   handleManageOrder,
   collectCustomerDetails,
+  getCartSummary,
+  applyPromoCode,
+  setPickupTime,
+  setOrderType,
+  collectDeliveryAddress,
   confirmOrder,
   handleCompleteOrder,
   deleteSession
 } = require('./orderManager');
+const { lookupOrderStatus } = require('./orderLookup');
+const { modifyPlacedOrder, cancelPlacedOrder } = require('./placedOrders');
+const { getOrderHistory, reorderPrevious } = require('./orderHistory');
+const { recognizeCaller } = require('./callerProfile');
+const { currentRestaurant, withRestaurant } = require('./restaurants');
 
 const MODEL = 'gemini-2.5-flash-native-audio-preview-09-2025';
 const TRANSFER_PHRASE = 'TRANSFER_TO_HUMAN';
-const TRANSFER_NUMBER = process.env.RESTAURANT_TRANSFER_NUMBER;
 
 const KEEPALIVE_INTERVAL_MS = 15000;
 const RECONNECT_DELAY_MS = 2000;
 const MAX_RECONNECT_ATTEMPTS = 1;
 
 class GeminiSession {
-  constructor({ callSid, callDbId, onAudioResponse, onTransferRequested, onSessionEnded, onClearAudio }) {
+  constructor({ callSid, callDbId, callerPhone, restaurant, onAudioResponse, onTransferRequested, onSessionEnded, onClearAudio }) {
     // ── Peter 1's interface contract ──────────────────────────────────────
     this.callSid = callSid;
     this.callDbId = callDbId;
+    this.callerPhone = callerPhone || null;       // Twilio caller ID — 'unknown' when withheld
+    this.restaurant = restaurant || currentRestaurant(); // the restaurant that was dialled
     this.onAudioResponse = onAudioResponse;         // Peter 1 plays this to caller
     this.onTransferRequested = onTransferRequested; // Peter 1 executes cold transfer
     this.onSessionEnded = onSessionEnded;           // Peter 1 cleans up sessions Map
@@ -58,6 +76,12 @@ class GeminiSession {
     this.outputTranscript = '';
     this.transferTriggered = false;
 
+    // Set in start() when the call arrives while closed — next opening time.
+    this.futurePickupAt = null;
+
+    // Set in start() when the caller ID matches a customer — { name, preferredLanguage }.
+    this.knownCaller = null;
+
     // Order lock — prevents close() from killing session mid-completeOrder.
     this.orderInProgress = false;
 
@@ -72,9 +96,22 @@ class GeminiSession {
 
   // ── Called by Peter 1 when the call connects ──────────────────────────
 
-  async start() {
+  start() {
+    return withRestaurant(this.restaurant, () => this._start());
+  }
+
+  async _start() {
     try {
-      createSession(this.callSid, this.callDbId);
+      // Calls that get through while closed (closedBehavior 'future_order')
+      // are taken for the next opening
+      const status = getOpenStatus();
+      this.futurePickupAt = status.open ? null : earliestPickup();
+      this.knownCaller = await recognizeCaller(this.callerPhone);
+      createSession(this.callSid, this.callDbId, {
+        pickupAt: this.futurePickupAt,
+        callerPhone: this.callerPhone,
+        knownCaller: this.knownCaller
+      });
       await this._connectGemini(true);
     } catch (err) {
       console.error('GeminiSession.start() error:', err.message);
@@ -91,9 +128,11 @@ class GeminiSession {
         // Red Team #6 — raw string instead of Modality.AUDIO enum
         responseModalities: ['AUDIO'],
         speechConfig: {
-          voiceConfig: { prebuiltVoiceConfig: { voiceName: 'Kore' } }
+          voiceConfig: { prebuiltVoiceConfig: { voiceName: this.restaurant.voice } }
         },
-        systemInstruction: SYSTEM_PROMPT,
+        // Rebuilt per connect so the menu section reflects the current catalog
+        // and the kitchen's current 86 list
+        systemInstruction: buildSystemPrompt({ unavailableItems: getUnavailable(), knownCaller: this.knownCaller }),
         tools: tools,
         outputAudioTranscription: {},
         inputAudioTranscription: {}
@@ -113,19 +152,27 @@ class GeminiSession {
           this.pendingAudio = [];
 
           // Trigger the agent to speak its opening line immediately
-          this.sessionPromise.then(session => {
-            const hour = new Date().getHours();
-            const timeOfDay =
-              hour < 12 ? 'morning'
-              : hour < 17 ? 'afternoon'
-              : 'evening';
+          this.sessionPromise.then(session => withRestaurant(this.restaurant, () => {
+            // Restaurant's time zone, not the server's clock
+            const greeting = `Good ${timeOfDay()}.`;
+            const closedNote = this.futurePickupAt
+              ? ` The restaurant is CLOSED right now. After your greeting, tell the caller we are closed ` +
+                `and that any order will be ready for pickup ${describeInstant(this.futurePickupAt)}.`
+              : '';
+            const caller = this.knownCaller;
+            const returningNote = caller
+              ? ` This is a returning customer, ${caller.name}. Welcome them back by name` +
+                (caller.preferredLanguage && caller.preferredLanguage !== 'English'
+                  ? ` and greet them in ${caller.preferredLanguage}, the language of their last order.`
+                  : '.')
+              : '';
 
             if (isInitialConnect) {
               session.sendClientContent({
                 turns: [{
                   role: 'user',
                   parts: [{
-                    text: `[CALL_START] Good ${timeOfDay}. Deliver your opening greeting to the caller now.`
+                    text: `[CALL_START] ${greeting} Deliver your opening greeting to the caller now.${returningNote}${closedNote}`
                   }]
                 }],
                 turnComplete: true
@@ -141,11 +188,18 @@ class GeminiSession {
                 turnComplete: true
               });
             }
-          });
+          }));
         },
 
+        // SDK callbacks run outside start() — tools run as the call's restaurant.
+        // The SDK does not await this, so anything thrown here would be an
+        // unhandled rejection, which stops the server and every call on it
         onmessage: async (msg) => {
-          await this._handleMessage(msg);
+          try {
+            await withRestaurant(this.restaurant, () => this._handleMessage(msg));
+          } catch (err) {
+            console.error(`[${this.callSid}] Error handling Gemini message:`, err.stack || err.message);
+          }
         },
 
         onclose: (e) => {
@@ -172,7 +226,7 @@ class GeminiSession {
                 return;
               }
               try {
-                await this._connectGemini(false);
+                await withRestaurant(this.restaurant, () => this._connectGemini(false));
                 this.session = await this.sessionPromise;
               } catch (err) {
                 console.error(`[${this.callSid}] Reconnect failed:`, err.message);
@@ -291,14 +345,19 @@ class GeminiSession {
         this.transferTriggered = true;
         console.log(`Transfer phrase detected on call: ${this.callSid}`);
         if (this.onTransferRequested) {
-          this.onTransferRequested(TRANSFER_NUMBER);
+          this.onTransferRequested(this.restaurant.transferNumber);
         }
       }
       // NOTE: outputTranscript intentionally NOT reset (Red Team #9)
     }
   }
 
-  // ── Internal: handles manageOrder, confirmOrder, and completeOrder tool calls ────────
+  // Who is calling — for tools that act on orders already placed
+  _callContext() {
+    return { callSid: this.callSid, callDbId: this.callDbId, callerPhone: this.callerPhone };
+  }
+
+  // ── Internal: handles the order tool calls (see toolDefinitions.js) ────────
 
   async _handleToolCalls(functionCalls) {
     const responses = [];
@@ -309,30 +368,72 @@ class GeminiSession {
     for (const fc of functionCalls) {
       let result;
 
-      if (fc.name === 'manageOrder') {
-        result = handleManageOrder(this.callSid, fc.args);
+      // One bad tool call gets an error back; it must not take the call
+      // (or, as an unhandled rejection, the server) down with it
+      try {
+        if (fc.name === 'manageOrder') {
+          result = handleManageOrder(this.callSid, fc.args);
+
+        } else if (fc.name === 'lookupOrderStatus') {
+          result = await lookupOrderStatus(fc.args, { callerPhone: this.callerPhone });
 
-      } else if (fc.name === 'collectCustomerDetails') {
-        result = collectCustomerDetails(this.callSid, fc.args);
+        } else if (fc.name === 'modifyPlacedOrder') {
+          result = await modifyPlacedOrder(fc.args, this._callContext());
 
-      } else if (fc.name === 'confirmOrder') {
-        result = confirmOrder(this.callSid);
+        } else if (fc.name === 'cancelPlacedOrder') {
+          result = await cancelPlacedOrder(fc.args, this._callContext());
 
-      } else if (fc.name === 'completeOrder') {
-        this.orderInProgress = true;
-        console.log(`[${this.callSid}] completeOrder started — order lock acquired`);
+        } else if (fc.name === 'getOrderHistory') {
+          result = await getOrderHistory(fc.args, this._callContext());
 
-        try {
-          result = await handleCompleteOrder(this.callSid);
-        } finally {
-          this.orderInProgress = false;
-          console.log(`[${this.callSid}] completeOrder finished — order lock released`);
-        }
+        } else if (fc.name === 'reorderPrevious') {
+          result = await reorderPrevious(this.callSid, fc.args, this._callContext());
 
-        // Red Team #10 — 22s for full farewell
-        if (result.orderId) {
-          setTimeout(() => this._cleanup(), 22000);
+        } else if (fc.name === 'getCartSummary') {
+          result = getCartSummary(this.callSid);
+
+        } else if (fc.name === 'applyPromoCode') {
+          result = await applyPromoCode(this.callSid, fc.args);
+
+        } else if (fc.name === 'setPickupTime') {
+          result = setPickupTime(this.callSid, fc.args);
+
+        } else if (fc.name === 'setOrderType') {
+          result = setOrderType(this.callSid, fc.args);
+
+        } else if (fc.name === 'collectDeliveryAddress') {
+          result = collectDeliveryAddress(this.callSid, fc.args);
+
+        } else if (fc.name === 'collectCustomerDetails') {
+          result = collectCustomerDetails(this.callSid, fc.args);
+
+        } else if (fc.name === 'confirmOrder') {
+          result = await confirmOrder(this.callSid);
+
+        } else if (fc.name === 'completeOrder') {
+          this.orderInProgress = true;
+          console.log(`[${this.callSid}] completeOrder started — order lock acquired`);
+
+          try {
+            result = await handleCompleteOrder(this.callSid);
+          } finally {
+            this.orderInProgress = false;
+            console.log(`[${this.callSid}] completeOrder finished — order lock released`);
+          }
+
+          // Red Team #10 — 22s for full farewell
+          if (result.orderId) {
+            setTimeout(() => this._cleanup(), 22000);
+          }
         }
+      } catch (err) {
+        console.error(`[${this.callSid}] Tool ${fc.name} failed:`, err.stack || err.message);
+        result = {
+          error: err.message,
+          result: 'That request failed because of a system error. Apologise to the customer and try ' +
+                  'once more; if it fails again, offer to transfer them to the restaurant.',
+          success: false
+        };
       }
 
       responses.push({
@@ -0,0 +1,280 @@
+// itemResolver.js
+// Maps whatever name Gemini passes to manageOrder onto a canonical catalog item.
+//
+// Callers say "masala dosai", "two idlis", "filter kaapi", or the item in
+// Tamil / Hindi / Telugu / Kannada script. Gemini passes that through more or
+// less verbatim, so an exact lookup misses and the order used to fall back to
+// a hallucinated price. resolveItem() instead returns one of:
+//
+//   { status: 'matched',   item }         — confident single match
+//   { status: 'ambiguous', candidates }   — ask the customer "X or Y?"
+//   { status: 'not_found' }               — not on the menu, do not add
+//
+// Matching runs on a normalised form of the name and of every catalog name
+// and alias (see data/menu.json "aliases"):
+//   1. lowercase, strip punctuation and "(2)"-style piece counts
+//   2. map transliterations and native-script words to one spelling
+//   3. drop filler words and plural endings
+// then tries an exact key match, then a fuzzy score.
+
+'use strict';
+
+const { getCatalog } = require('./menuCatalog');
+
+// Score at or above which a fuzzy match is accepted without asking
+const MATCH_THRESHOLD = 0.85;
+// The winner must beat the runner-up by this much to count as unambiguous
+const MATCH_MARGIN = 0.08;
+// Anything scoring below this is not offered as a suggestion
+const SUGGEST_THRESHOLD = 0.5;
+const MAX_CANDIDATES = 3;
+
+// ---------------------------------------------------------------------------
+// Word-level synonyms — every spelling maps to the one the catalog uses.
+// Latin transliterations first, then Tamil, Hindi, Telugu and Kannada script.
+// ---------------------------------------------------------------------------
+const WORD_SYNONYMS = {
+  // dosa
+  dosai: 'dosa', dose: 'dosa', thosai: 'dosa', dosay: 'dosa',
+  'தோசை': 'dosa', 'डोसा': 'dosa', 'दोसा': 'dosa', 'దోశ': 'dosa', 'దోసె': 'dosa', 'ದೋಸೆ': 'dosa', 'ದೋಸ': 'dosa',
+  // idly
+  idli: 'idly', iddli: 'idly', itli: 'idly', idlies: 'idly', idlis: 'idly',
+  'இட்லி': 'idly', 'इडली': 'idly', 'ఇడ్లీ': 'idly', 'ఇడ్లి': 'idly', 'ಇಡ್ಲಿ': 'idly',
+  // vada
+  vadai: 'vada', vade: 'vada', wada: 'vada', vadas: 'vada',
+  'வடை': 'vada', 'वड़ा': 'vada', 'वडा': 'vada', 'వడ': 'vada', 'వడలు': 'vada', 'ವಡೆ': 'vada',
+  // medhu
+  medu: 'medhu', 'மெது': 'medhu', 'मेदु': 'medhu', 'మెదు': 'medhu', 'ಮೆದು': 'medhu',
+  // masala
+  masaala: 'masala', masale: 'masala',
+  'மசாலா': 'masala', 'मसाला': 'masala', 'మసాలా': 'masala', 'ಮಸಾಲೆ': 'masala', 'ಮಸಾಲ': 'masala',
+  // onion
+  vengayam: 'onion', vengaya: 'onion', pyaz: 'onion', pyaaz: 'onion', ulli: 'onion', eerulli: 'onion', onions: 'onion',
+  'வெங்காயம்': 'onion', 'வெங்காய': 'onion', 'प्याज़': 'onion', 'प्याज': 'onion', 'ఉల్లి': 'onion', 'ಈರುಳ್ಳಿ': 'onion',
+  // coffee / tea
+  kaapi: 'coffee', kapi: 'coffee', kaafi: 'coffee', coffe: 'coffee', kofi: 'coffee',
+  'காபி': 'coffee', 'कॉफ़ी': 'coffee', 'कॉफी': 'coffee', 'కాఫీ': 'coffee', 'ಕಾಫಿ': 'coffee',
+  'டீ': 'tea', 'चाय': 'tea', 'టీ': 'tea', 'ಟೀ': 'tea',
+  // rice
+  sadam: 'rice', saadam: 'rice', chawal: 'rice', annam: 'rice', anna: 'rice',
+  'சாதம்': 'rice', 'चावल': 'rice', 'అన్నం': 'rice', 'ಅನ್ನ': 'rice',
+  // ghee
+  neyyi: 'ghee', nei: 'ghee', tuppa: 'ghee',
+  'நெய்': 'ghee', 'घी': 'ghee', 'నెయ్యి': 'ghee', 'ತುಪ್ಪ': 'ghee',
+  // rava
+  rawa: 'rava', ravva: 'rava', rave: 'rava', suji: 'rava', sooji: 'rava',
+  'ரவா': 'rava', 'रवा': 'rava', 'రవ్వ': 'rava', 'ರವೆ': 'rava',
+  // pongal / sambar / rasam
+  'பொங்கல்': 'pongal', 'पोंगल': 'pongal', 'పొంగల్': 'pongal', 'ಪೊಂಗಲ್': 'pongal',
+  sambhar: 'sambar', 'சாம்பார்': 'sambar', 'सांभर': 'sambar', 'సాంబార్': 'sambar', 'ಸಾಂಬಾರ್': 'sambar',
+  'ரசம்': 'rasam', 'रसम': 'rasam', 'రసం': 'rasam', 'ಸಾರು': 'rasam', 'ರಸಂ': 'rasam',
+  // uthappam
+  uttapam: 'uthappam', uthapam: 'uthappam', uttappam: 'uthappam', oothappam: 'uthappam', uthappa: 'uthappam', uttapa: 'uthappam',
+  'ஊத்தப்பம்': 'uthappam', 'उत्तपम': 'uthappam', 'ఊతప్పం': 'uthappam', 'ಉತ್ತಪ್ಪ': 'uthappam',
+  // breads
+  puri: 'poori', 'பூரி': 'poori', 'पूरी': 'poori', 'పూరి': 'poori', 'ಪೂರಿ': 'poori',
+  chapati: 'chapathi', chappathi: 'chapathi', chapatti: 'chapathi',
+  'சப்பாத்தி': 'chapathi', 'चपाती': 'chapathi', 'చపాతీ': 'chapathi', 'ಚಪಾತಿ': 'chapathi',
+  paratha: 'parotta', porotta: 'parotta', barotta: 'parotta', parota: 'parotta',
+  'பரோட்டா': 'parotta', 'पराठा': 'parotta', 'పరోటా': 'parotta', 'ಪರೋಟ': 'parotta',
+  nan: 'naan', 'नान': 'naan',
+  // drinks & desserts
+  lasi: 'lassi', 'லஸ்ஸி': 'lassi', 'लस्सी': 'lassi', 'లస్సీ': 'lassi', 'ಲಸ್ಸಿ': 'lassi',
+  aam: 'mango', maambazha: 'mango', mamidi: 'mango',
+  'மாம்பழ': 'mango', 'आम': 'mango', 'మామిడి': 'mango', 'ಮಾವಿನ': 'mango',
+  payasam: 'kheer', payasa: 'kheer',
+  jamoon: 'jamun',
+  // curries & mains
+  panir: 'paneer', 'பனீர்': 'paneer', 'पनीर': 'paneer', 'పనీర్': 'paneer', 'ಪನೀರ್': 'paneer',
+  biriyani: 'biryani', briyani: 'biryani', biriani: 'biryani',
+  'பிரியாணி': 'biryani', 'बिरयानी': 'biryani', 'బిర్యానీ': 'biryani', 'ಬಿರಿಯಾನಿ': 'biryani',
+  chili: 'chilli', chilly: 'chilli', chillies: 'chilli', mirchi: 'chilli',
+  gobhi: 'gobi', alu: 'aloo', matar: 'mutter', mattar: 'mutter', chana: 'channa', chole: 'channa',
+  pulav: 'pulao', pulaw: 'pulao', pilaf: 'pulao',
+  manchoorian: 'manchurian', szechuan: 'schezwan', schezuan: 'schezwan', sichuan: 'schezwan',
+  veggie: 'vegetable', veg: 'vegetable',
+};
+
+// Filler words that carry no item identity (quantity travels separately)
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'of', 'and', 'with', 'please', 'plate', 'order', 'some',
+  'one', 'two', 'three', 'four', 'five', 'six',
+]);
+
+// ---------------------------------------------------------------------------
+// Normalisation
+// ---------------------------------------------------------------------------
+
+/**
+ * Normalises a spoken or catalog item name into comparable tokens.
+ * @param {string} name
+ * @returns {string[]}
+ */
+function tokenize(name) {
+  return String(name)
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/\(\s*\d+\s*\)/g, ' ')          // "(2)" piece counts
+    .replace(/&/g, ' ')
+    // Keep letters (any script), combining marks and digits; everything else splits
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+    .split(' ')
+    .filter(Boolean)
+    .map(word => WORD_SYNONYMS[word] || singular(word))
+    .map(word => WORD_SYNONYMS[word] || word)
+    .filter(word => !STOP_WORDS.has(word));
+}
+
+// Strips English plural endings from Latin-script words only
+function singular(word) {
+  if (!/^[a-z]+$/.test(word) || word.length <= 3) return word;
+  if (word.endsWith('ies')) return word.slice(0, -3) + 'y';
+  if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+// ---------------------------------------------------------------------------
+// Index — built once per catalog object
+// ---------------------------------------------------------------------------
+const _indexes = new WeakMap();
+
+/**
+ * @returns {{ exact: Map<string, Set<object>>, entries: Array<{ tokens: string[], key: string, item: object }> }}
+ */
+function getIndex() {
+  const catalog = getCatalog();
+  let index = _indexes.get(catalog);
+  if (index) return index;
+
+  index = { exact: new Map(), entries: [] };
+  for (const item of catalog.items) {
+    for (const name of [item.name, ...item.aliases]) {
+      const tokens = tokenize(name);
+      if (tokens.length === 0) continue;
+      const key = tokens.join(' ');
+      if (!index.exact.has(key)) index.exact.set(key, new Set());
+      index.exact.get(key).add(item);
+      index.entries.push({ tokens, key, item });
+    }
+  }
+  _indexes.set(catalog, index);
+  return index;
+}
+
+// ---------------------------------------------------------------------------
+// Scoring
+// ---------------------------------------------------------------------------
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      curr[j] = Math.min(
+        prev[j] + 1,
+        curr[j - 1] + 1,
+        prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+// Partial credit for near-miss words ("medu" vs "medhu"), more for longer words
+function wordSimilarity(a, b) {
+  if (a === b) return 1;
+  const distance = levenshtein(a, b);
+  const shorter = Math.min(a.length, b.length);
+  if (distance === 1 && shorter >= 4) return 0.8;
+  if (distance === 2 && shorter >= 6) return 0.6;
+  return 0;
+}
+
+/**
+ * Similarity in [0, 1] between a query and one catalog entry: the better of a
+ * word-overlap (Dice) score and a whole-string edit-distance score.
+ */
+function score(queryTokens, queryKey, entry) {
+  const used = new Set();
+  let matched = 0;
+  for (const q of queryTokens) {
+    let best = 0;
+    let bestIdx = -1;
+    entry.tokens.forEach((t, idx) => {
+      if (used.has(idx)) return;
+      const s = wordSimilarity(q, t);
+      if (s > best) { best = s; bestIdx = idx; }
+    });
+    if (bestIdx >= 0) used.add(bestIdx);
+    matched += best;
+  }
+  const dice = (2 * matched) / (queryTokens.length + entry.tokens.length);
+  const chars = 1 - levenshtein(queryKey, entry.key) / Math.max(queryKey.length, entry.key.length);
+  return Math.max(dice, chars);
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Resolves a spoken item name to a catalog item.
+ *
+ * @param {string} spokenName - name as passed by Gemini
+ * @returns {{ status: 'matched', item: object }
+ *         | { status: 'ambiguous', candidates: object[] }
+ *         | { status: 'not_found' }}
+ */
+function resolveItem(spokenName) {
+  if (typeof spokenName !== 'string' || spokenName.trim() === '') {
+    return { status: 'not_found' };
+  }
+
+  const queryTokens = tokenize(spokenName);
+  if (queryTokens.length === 0) return { status: 'not_found' };
+  const queryKey = queryTokens.join(' ');
+  const index = getIndex();
+
+  // 1. Exact match on a normalised name or alias
+  const exact = index.exact.get(queryKey);
+  if (exact) {
+    const items = [...exact];
+    return items.length === 1
+      ? { status: 'matched', item: items[0] }
+      : { status: 'ambiguous', candidates: items.slice(0, MAX_CANDIDATES) };
+  }
+
+  // 2. Fuzzy — best score per item across its name and aliases
+  const best = new Map();
+  for (const entry of index.entries) {
+    const s = score(queryTokens, queryKey, entry);
+    if (s > (best.get(entry.item) || 0)) best.set(entry.item, s);
+  }
+
+  const ranked = [...best.entries()]
+    .filter(([, s]) => s >= SUGGEST_THRESHOLD)
+    .sort((a, b) => b[1] - a[1]);
+
+  if (ranked.length === 0) return { status: 'not_found' };
+
+  const [top, runnerUp] = ranked;
+  if (top[1] >= MATCH_THRESHOLD && (!runnerUp || top[1] - runnerUp[1] >= MATCH_MARGIN)) {
+    return { status: 'matched', item: top[0] };
+  }
+
+  return {
+    status: 'ambiguous',
+    candidates: ranked.slice(0, MAX_CANDIDATES).map(([item]) => item),
+  };
+}
+
+module.exports = {
+  resolveItem,
+  tokenize,       // shared with modifiers.js so options normalise the same way
+  // Exported for testing
+  _levenshtein: levenshtein,
+};
@@ -0,0 +1,466 @@
+// menuCatalog.js
+// Single source of truth for the menu.
+//
+// The catalog lives in data/menu.json (override with MENU_CATALOG_PATH) and
+// holds categories, items and modifier groups (spice level, add-ons,
+// removals). Groups are attached per category or per item; an add-on option
+// may point at a catalog item ("itemId") to borrow its price. Items are
+// taxable unless the item or its category sets "taxable": false. It drives both:
+//   • orderManager.handleManageOrder  → authoritative unit prices
+//   • systemPrompt.buildSystemPrompt  → the ## MENU section Gemini reads
+//
+// A price change means editing data/menu.json only. server.js calls
+// getCatalog() at startup, so a malformed or inconsistent file stops the
+// process before it can take a call.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { restaurantConfig } = require('./restaurants');
+
+const DEFAULT_CATALOG_PATH = path.join(__dirname, 'data', 'menu.json');
+
+// Lowercase kebab-case, e.g. "onion-rava-masala-dosa"
+const ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// ---------------------------------------------------------------------------
+// Lazy, per restaurant — each restaurant's file (restaurants.js) is loaded
+// and validated once, on first use
+// ---------------------------------------------------------------------------
+let _catalog = null;   // set by tests — used for every restaurant
+
+const loadForRestaurant = restaurantConfig('menu', () => process.env.MENU_CATALOG_PATH || DEFAULT_CATALOG_PATH, loadCatalog);
+
+function getCatalog() {
+  return _catalog || loadForRestaurant();
+}
+
+// Exposed for testing — tests load test/fixtures/menu.json with loadCatalog() and set it here
+function _setCatalog(catalog) {
+  _catalog = catalog;
+}
+
+// ---------------------------------------------------------------------------
+// Loading & validation
+// ---------------------------------------------------------------------------
+
+/**
+ * Reads, validates and indexes a catalog file.
+ *
+ * @param {string} filePath - path to the catalog JSON
+ * @returns {object}        - indexed catalog (see buildCatalog)
+ * @throws if the file cannot be read, is not valid JSON, or fails validation
+ */
+function loadCatalog(filePath) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`[menuCatalog] Cannot load ${filePath}: ${err.message}`);
+  }
+
+  const problems = validateCatalog(raw);
+  if (problems.length > 0) {
+    throw new Error(
+      `[menuCatalog] ${filePath} is inconsistent (${problems.length} problem(s)):\n  - ` +
+      problems.join('\n  - ')
+    );
+  }
+
+  const catalog = buildCatalog(raw);
+  console.log(`[menuCatalog] Loaded ${catalog.items.length} items in ${catalog.categories.length} categories from ${filePath}`);
+  return catalog;
+}
+
+/**
+ * Checks a parsed catalog for structural problems and duplicates.
+ * Returns every problem found rather than stopping at the first, so one
+ * startup failure shows the whole list.
+ *
+ * @param {object} raw - parsed catalog JSON
+ * @returns {string[]} - human-readable problems (empty when valid)
+ */
+function validateCatalog(raw) {
+  const problems = [];
+
+  if (!raw || typeof raw !== 'object') return ['catalog must be a JSON object'];
+  if (!Array.isArray(raw.categories) || raw.categories.length === 0) {
+    return ['catalog.categories must be a non-empty array'];
+  }
+
+  const categoryIds = new Set();
+  const itemIds = new Set();
+  const itemNames = new Set();
+  const aliasOwners = [];
+
+  const groupIds = validateModifierGroups(raw.modifierGroups, problems);
+  const optionItemRefs = [];
+  (raw.modifierGroups || []).forEach((group, gi) => {
+    (group?.options || []).forEach((option, oi) => {
+      if (option?.itemId !== undefined) {
+        optionItemRefs.push({ itemId: option.itemId, at: `modifierGroups[${gi}].options[${oi}]` });
+      }
+    });
+  });
+
+  raw.categories.forEach((category, ci) => {
+    const where = `categories[${ci}]`;
+
+    if (!category || typeof category !== 'object') {
+      problems.push(`${where} must be an object`);
+      return;
+    }
+    if (typeof category.id !== 'string' || !ID_PATTERN.test(category.id)) {
+      problems.push(`${where}.id must be a kebab-case string`);
+    } else if (categoryIds.has(category.id)) {
+      problems.push(`${where}.id "${category.id}" is duplicated`);
+    } else {
+      categoryIds.add(category.id);
+    }
+    if (typeof category.name !== 'string' || category.name.trim() === '') {
+      problems.push(`${where}.name is required`);
+    }
+    checkGroupRefs(category.modifierGroups, groupIds, where, problems);
+    if (category.taxable !== undefined && typeof category.taxable !== 'boolean') {
+      problems.push(`${where}.taxable must be true or false`);
+    }
+    if (!Array.isArray(category.items) || category.items.length === 0) {
+      problems.push(`${where}.items must be a non-empty array`);
+      return;
+    }
+
+    category.items.forEach((item, ii) => {
+      const at = `${where}.items[${ii}]`;
+
+      if (!item || typeof item !== 'object') {
+        problems.push(`${at} must be an object`);
+        return;
+      }
+      if (typeof item.id !== 'string' || !ID_PATTERN.test(item.id)) {
+        problems.push(`${at}.id must be a kebab-case string`);
+      } else if (itemIds.has(item.id)) {
+        problems.push(`${at}.id "${item.id}" is duplicated`);
+      } else {
+        itemIds.add(item.id);
+      }
+
+      if (typeof item.name !== 'string' || item.name.trim() === '') {
+        problems.push(`${at}.name is required`);
+      } else {
+        const key = normalizeName(item.name);
+        if (itemNames.has(key)) problems.push(`${at}.name "${item.name}" is duplicated`);
+        itemNames.add(key);
+      }
+
+      if (typeof item.price !== 'number' || !Number.isFinite(item.price) || item.price <= 0) {
+        problems.push(`${at}.price must be a positive number`);
+      } else if (Math.abs(item.price * 100 - Math.round(item.price * 100)) > 1e-6) {
+        problems.push(`${at}.price ${item.price} has more than 2 decimal places`);
+      }
+
+      if (item.description !== undefined && typeof item.description !== 'string') {
+        problems.push(`${at}.description must be a string`);
+      }
+
+      if (item.taxable !== undefined && typeof item.taxable !== 'boolean') {
+        problems.push(`${at}.taxable must be true or false`);
+      }
+
+      checkGroupRefs(item.modifierGroups, groupIds, at, problems);
+
+      if (item.aliases !== undefined) {
+        if (!Array.isArray(item.aliases)) {
+          problems.push(`${at}.aliases must be an array of strings`);
+        } else {
+          item.aliases.forEach((alias, ai) => {
+            if (typeof alias !== 'string' || alias.trim() === '') {
+              problems.push(`${at}.aliases[${ai}] must be a non-empty string`);
+              return;
+            }
+            aliasOwners.push({ key: normalizeName(alias), alias, at, id: item.id });
+          });
+        }
+      }
+    });
+  });
+
+  // Aliases are checked last so they can be compared against every item name
+  const aliasSeen = new Map();
+  for (const { key, alias, at, id } of aliasOwners) {
+    if (itemNames.has(key)) {
+      problems.push(`${at} alias "${alias}" collides with an item name`);
+    } else if (aliasSeen.has(key) && aliasSeen.get(key) !== id) {
+      problems.push(`${at} alias "${alias}" is also an alias of "${aliasSeen.get(key)}"`);
+    } else {
+      aliasSeen.set(key, id);
+    }
+  }
+
+  for (const { itemId, at } of optionItemRefs) {
+    if (!itemIds.has(itemId)) problems.push(`${at}.itemId "${itemId}" is not a catalog item`);
+  }
+
+  return problems;
+}
+
+/**
+ * Validates the top-level modifierGroups array, pushing into `problems`.
+ * @returns {Set<string>} ids of the groups that were well-formed enough to reference
+ */
+function validateModifierGroups(groups, problems) {
+  const ids = new Set();
+  if (groups === undefined) return ids;
+  if (!Array.isArray(groups)) {
+    problems.push('catalog.modifierGroups must be an array');
+    return ids;
+  }
+
+  groups.forEach((group, gi) => {
+    const where = `modifierGroups[${gi}]`;
+    if (!group || typeof group !== 'object') {
+      problems.push(`${where} must be an object`);
+      return;
+    }
+    if (typeof group.id !== 'string' || !ID_PATTERN.test(group.id)) {
+      problems.push(`${where}.id must be a kebab-case string`);
+    } else if (ids.has(group.id)) {
+      problems.push(`${where}.id "${group.id}" is duplicated`);
+    } else {
+      ids.add(group.id);
+    }
+    if (typeof group.name !== 'string' || group.name.trim() === '') {
+      problems.push(`${where}.name is required`);
+    }
+    if (!Array.isArray(group.options) || group.options.length === 0) {
+      problems.push(`${where}.options must be a non-empty array`);
+      return;
+    }
+
+    const { min, max } = group;
+    if (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || min > max || max > group.options.length) {
+      problems.push(`${where} needs integer min/max with 0 <= min <= max <= options.length`);
+    }
+
+    const optionIds = new Set();
+    const optionKeys = new Set();
+    group.options.forEach((option, oi) => {
+      const at = `${where}.options[${oi}]`;
+      if (!option || typeof option !== 'object') {
+        problems.push(`${at} must be an object`);
+        return;
+      }
+      if (typeof option.id !== 'string' || !ID_PATTERN.test(option.id)) {
+        problems.push(`${at}.id must be a kebab-case string`);
+      } else if (optionIds.has(option.id)) {
+        problems.push(`${at}.id "${option.id}" is duplicated`);
+      } else {
+        optionIds.add(option.id);
+      }
+      if (typeof option.name !== 'string' || option.name.trim() === '') {
+        problems.push(`${at}.name is required`);
+      }
+      for (const label of [option.name, ...(Array.isArray(option.aliases) ? option.aliases : [])]) {
+        if (typeof label !== 'string') continue;
+        const key = normalizeName(label);
+        if (optionKeys.has(key)) problems.push(`${at} name/alias "${label}" is duplicated in the group`);
+        optionKeys.add(key);
+      }
+      if (option.aliases !== undefined && !Array.isArray(option.aliases)) {
+        problems.push(`${at}.aliases must be an array of strings`);
+      }
+
+      // Price comes from exactly one place: an explicit delta or a linked item
+      if (option.itemId !== undefined) {
+        if (option.price !== undefined) problems.push(`${at} has both price and itemId`);
+      } else if (typeof option.price !== 'number' || !Number.isFinite(option.price) || option.price < 0) {
+        problems.push(`${at}.price must be a non-negative number (or set itemId)`);
+      } else if (Math.abs(option.price * 100 - Math.round(option.price * 100)) > 1e-6) {
+        problems.push(`${at}.price ${option.price} has more than 2 decimal places`);
+      }
+    });
+  });
+
+  return ids;
+}
+
+function checkGroupRefs(refs, groupIds, where, problems) {
+  if (refs === undefined) return;
+  if (!Array.isArray(refs)) {
+    problems.push(`${where}.modifierGroups must be an array of group ids`);
+    return;
+  }
+  for (const ref of refs) {
+    if (!groupIds.has(ref)) problems.push(`${where}.modifierGroups references unknown group "${ref}"`);
+  }
+}
+
+/**
+ * Builds lookup indexes over a validated catalog.
+ *
+ * @param {object} raw - validated catalog JSON
+ * @returns {{ restaurant: string, currency: string, categories: Array,
+ *             items: Array, modifierGroups: Map, byId: Map, byName: Map }}
+ */
+function buildCatalog(raw) {
+  const items = [];
+  const byId = new Map();
+  const byName = new Map();
+
+  const rawPrices = new Map();
+  for (const category of raw.categories) {
+    for (const item of category.items) rawPrices.set(item.id, item.price);
+  }
+
+  const modifierGroups = new Map();
+  for (const group of raw.modifierGroups || []) {
+    modifierGroups.set(group.id, {
+      id: group.id,
+      name: group.name,
+      min: group.min,
+      max: group.max,
+      options: group.options.map(option => ({
+        id: option.id,
+        name: option.name,
+        price: option.itemId !== undefined ? rawPrices.get(option.itemId) : option.price,
+        aliases: option.aliases || [],
+        itemId: option.itemId || null,
+      })),
+    });
+  }
+
+  const categories = raw.categories.map(category => ({
+    id: category.id,
+    name: category.name,
+    modifierGroups: (category.modifierGroups || []).map(id => modifierGroups.get(id)),
+    items: category.items.map(item => {
+      // Category groups first, then any item-specific ones
+      const groupIds = [...new Set([...(category.modifierGroups || []), ...(item.modifierGroups || [])])];
+      const entry = {
+        id: item.id,
+        name: item.name,
+        price: item.price,
+        description: item.description || '',
+        aliases: item.aliases || [],
+        categoryId: category.id,
+        // Item setting wins over the category's; taxable unless marked otherwise
+        taxable: item.taxable ?? category.taxable ?? true,
+        modifierGroups: groupIds.map(id => modifierGroups.get(id)),
+      };
+      items.push(entry);
+      byId.set(entry.id, entry);
+      byName.set(normalizeName(entry.name), entry);
+      return entry;
+    }),
+  }));
+
+  return {
+    restaurant: raw.restaurant || '',
+    currency: raw.currency || 'USD',
+    categories,
+    items,
+    modifierGroups,
+    byId,
+    byName,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Lookups
+// ---------------------------------------------------------------------------
+
+// Case- and whitespace-insensitive key for exact name matching
+function normalizeName(name) {
+  return String(name).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Exact (case-insensitive) lookup by display name.
+ * @param {string} name
+ * @returns {object|null} catalog item
+ */
+function findItemByName(name) {
+  if (typeof name !== 'string') return null;
+  return getCatalog().byName.get(normalizeName(name)) || null;
+}
+
+/**
+ * @param {string} id - catalog item id
+ * @returns {object|null} catalog item
+ */
+function getItemById(id) {
+  return getCatalog().byId.get(id) || null;
+}
+
+/**
+ * Price lookup for prompt text that quotes a specific item.
+ * Throws so a renamed item breaks startup instead of silently quoting nothing.
+ *
+ * @param {string} name - exact display name
+ * @returns {string}    - price formatted with two decimals, e.g. "6.49"
+ */
+function priceOf(name) {
+  const item = findItemByName(name);
+  if (!item) throw new Error(`[menuCatalog] priceOf: "${name}" is not in the catalog`);
+  return item.price.toFixed(2);
+}
+
+// ---------------------------------------------------------------------------
+// Prompt rendering
+// ---------------------------------------------------------------------------
+
+/**
+ * Renders the catalog as the plain-text menu block embedded in the system
+ * prompt: one upper-case heading per category, one "Name --- $price" line
+ * per item, with the description appended when present.
+ *
+ * @param {object} [catalog] - defaults to the loaded catalog
+ * @returns {string}
+ */
+function renderMenuText(catalog = getCatalog()) {
+  return catalog.categories.map(category => {
+    const categoryGroups = new Set(category.modifierGroups.map(g => g.id));
+    const lines = category.items.map(item => {
+      let line = `${item.name} --- $${item.price.toFixed(2)}`;
+      if (item.description) line += ` (${item.description})`;
+      const extra = item.modifierGroups.filter(g => !categoryGroups.has(g.id));
+      if (extra.length > 0) line += ` [Options: ${extra.map(g => g.name).join(', ')}]`;
+      return line;
+    });
+    const heading = category.modifierGroups.length > 0
+      ? `${category.name.toUpperCase()}\n(Options: ${category.modifierGroups.map(g => g.name).join(', ')})`
+      : category.name.toUpperCase();
+    return `${heading}\n\n${lines.join('\n')}`;
+  }).join('\n\n');
+}
+
+/**
+ * Renders every modifier group with its choice limits and option prices, for
+ * the ## ITEM OPTIONS section of the system prompt.
+ *
+ * @param {object} [catalog] - defaults to the loaded catalog
+ * @returns {string}
+ */
+function renderModifierText(catalog = getCatalog()) {
+  return [...catalog.modifierGroups.values()].map(group => {
+    const limit = group.min > 0
+      ? `choose ${group.min === group.max ? group.min : `${group.min} to ${group.max}`}, required`
+      : `choose up to ${group.max}, optional`;
+    const options = group.options.map(o => (o.price > 0 ? `${o.name} (+$${o.price.toFixed(2)})` : o.name));
+    return `${group.name} (${limit}): ${options.join(', ')}`;
+  }).join('\n');
+}
+
+module.exports = {
+  getCatalog,
+  loadCatalog,
+  validateCatalog,
+  findItemByName,
+  getItemById,
+  priceOf,
+  renderMenuText,
+  renderModifierText,
+  // Exported for testing
+  _setCatalog,
+  _normalizeName: normalizeName,
+};
@@ -0,0 +1,205 @@
+// mockPos.js
+// The "mock" POS adapter (posAdapter.js): orders are kept in a JSON file
+// instead of a real point-of-sale system, so the agent can take orders on a
+// machine with no POS account and tests can see exactly what was pushed.
+//
+// The file (MOCK_POS_PATH, default data/mockPos.json) is created on first
+// use and read and rewritten on every operation, so it can be watched or
+// edited while the server runs — set an order's "state" to "paid" or
+// "fulfilled" to see what the sync queue makes of it, or delete the order to
+// play staff removing it on the device. Every operation is accepted; there
+// are no rejected line items to simulate.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { toCents, formatCents } = require('./pricing');
+
+const DEFAULT_MOCK_POS_PATH = path.join(__dirname, 'data', 'mockPos.json');
+
+let _mockPosPath = null;
+
+function getMockPosPath() {
+  return _mockPosPath || process.env.MOCK_POS_PATH || DEFAULT_MOCK_POS_PATH;
+}
+
+// ---------------------------------------------------------------------------
+// Store
+// ---------------------------------------------------------------------------
+
+function readStore() {
+  const file = getMockPosPath();
+  if (!fs.existsSync(file)) return { orders: {} };
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`[mockPos] Cannot read ${file}: ${err.message}`);
+  }
+}
+
+// Written to a temp file and renamed, so a reader never sees half a file
+function writeStore(store) {
+  const file = getMockPosPath();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(store, null, 2) + '\n');
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+// Runs fn on the stored order and saves the store. → fn's result, or
+// undefined when there is no such order
+function withOrder(posOrderId, fn) {
+  const store = readStore();
+  const order = store.orders[posOrderId];
+  if (!order) return undefined;
+  const result = fn(order);
+  writeStore(store);
+  return result;
+}
+
+// Upper-case letters and digits, 13 characters — the same shape as a Clover id
+function newId() {
+  return crypto.randomBytes(8).toString('hex').slice(0, 13).toUpperCase();
+}
+
+// ---------------------------------------------------------------------------
+// Adapter operations — see PosAdapter in posAdapter.js
+// ---------------------------------------------------------------------------
+
+async function createOrder({ customerName, note }) {
+  const store = readStore();
+  const id = newId();
+  store.orders[id] = {
+    id,
+    title: `Phone Order — ${customerName}`,
+    note,
+    state: 'open',
+    totalCents: null,
+    lineItems: [],
+    discounts: [],
+    kitchenTickets: 0,
+    createdAt: new Date().toISOString(),
+  };
+  writeStore(store);
+  return id;
+}
+
+async function addLineItem(posOrderId, item) {
+  const lineItemId = newId();
+  const added = withOrder(posOrderId, order => order.lineItems.push({
+    id: lineItemId,
+    name: item.itemName,
+    priceCents: toCents(item.basePrice ?? item.price),
+    quantity: item.quantity,
+    modifiers: [],
+    note: item.notes || null,
+  }));
+  return added ? { ok: true, lineItemId } : { ok: false, error: `mock POS has no order ${posOrderId}` };
+}
+
+async function addModification(posOrderId, lineItemId, item, modifier) {
+  const added = withOrder(posOrderId, order => {
+    const line = order.lineItems.find(li => li.id === lineItemId);
+    if (line) line.modifiers.push(modifier.name);
+    return Boolean(line);
+  });
+  return added ? null : { kind: 'modification', name: `${item.itemName}: ${modifier.name}`, error: `mock POS has no line item ${lineItemId}` };
+}
+
+async function addFee(posOrderId, fee) {
+  const added = withOrder(posOrderId, order => order.lineItems.push({
+    id: newId(), name: fee.name, priceCents: fee.amountCents, quantity: 1, modifiers: [], note: null,
+  }));
+  return added ? null : { kind: 'fee', name: fee.name, error: `mock POS has no order ${posOrderId}` };
+}
+
+async function addDiscount(posOrderId, discount) {
+  const added = withOrder(posOrderId, order => order.discounts.push({
+    id: newId(), name: discount.name, amountCents: discount.amountCents,
+  }));
+  return added ? null : { kind: 'discount', name: discount.name, error: `mock POS has no order ${posOrderId}` };
+}
+
+async function setTotal(posOrderId, totalCents) {
+  const set = withOrder(posOrderId, order => { order.totalCents = totalCents; return true; });
+  return set ? null : { kind: 'total', name: formatCents(totalCents), error: `mock POS has no order ${posOrderId}` };
+}
+
+async function sendToKitchen(posOrderId) {
+  withOrder(posOrderId, order => { order.kitchenTickets += 1; });
+  console.log(`[mockPos] Kitchen ticket for ${posOrderId}`);
+}
+
+async function clearContents(posOrderId) {
+  const cleared = withOrder(posOrderId, order => {
+    order.lineItems = [];
+    order.discounts = [];
+    return true;
+  });
+  if (!cleared) throw new Error(`Mock POS order clear failed: no order ${posOrderId}`);
+}
+
+async function setNote(posOrderId, note) {
+  withOrder(posOrderId, order => { order.note = note; });
+}
+
+// Removed from the file, as Clover deletes a cancelled order
+async function cancelOrder(posOrderId) {
+  const store = readStore();
+  if (!store.orders[posOrderId]) throw new Error(`Mock POS order cancel failed: no order ${posOrderId}`);
+  delete store.orders[posOrderId];
+  writeStore(store);
+  console.log(`✓ Mock POS order cancelled: ${posOrderId}`);
+}
+
+async function recordPayment(posOrderId, { amountCents, reference }) {
+  const paid = withOrder(posOrderId, order => {
+    order.state = 'paid';
+    order.payments = [...(order.payments || []), { amountCents, reference, paidAt: new Date().toISOString() }];
+    return true;
+  });
+  return paid ? null : { kind: 'payment', name: formatCents(amountCents), error: `mock POS has no order ${posOrderId}` };
+}
+
+async function fetchOrder(posOrderId) {
+  const order = readStore().orders[posOrderId];
+  if (!order) return null;
+  return {
+    id: order.id,
+    state: order.state,
+    totalCents: order.totalCents,
+    lineItems: order.lineItems.map(({ id, name, priceCents, quantity, modifiers }) => ({ id, name, priceCents, quantity, modifiers })),
+    discounts: order.discounts.map(({ name, amountCents }) => ({ name, amountCents })),
+  };
+}
+
+/** @type {import('./posAdapter').PosAdapter} */
+const mockPosAdapter = {
+  name: 'mock',
+  label: 'Mock POS',
+  isConfigured: () => true,
+  createOrder,
+  addLineItem,
+  addModification,
+  addFee,
+  addDiscount,
+  setTotal,
+  sendToKitchen,
+  clearContents,
+  setNote,
+  cancelOrder,
+  recordPayment,
+  fetchOrder,
+};
+
+// Exposed for testing — points the mock POS at another file
+function _setMockPosPath(file) {
+  _mockPosPath = file;
+}
+
+module.exports = {
+  mockPosAdapter,
+  // Exported for testing
+  _setMockPosPath,
+};
@@ -0,0 +1,183 @@
+// modifiers.js
+// Validates and prices item modifiers ("extra ghee", "no onion", "less spicy").
+//
+// Modifier groups are defined in the menu catalog and attached per category
+// or per item (see menuCatalog.js). Gemini passes the customer's choices as
+// plain strings in manageOrder's `modifiers` argument; resolveModifiers()
+// maps each one to an allowed option for that item, enforces every group's
+// min/max, and returns priced selections that travel with the cart line into
+// order_items.customizations and the Clover line item.
+
+'use strict';
+
+const { tokenize } = require('./itemResolver');
+const { toCents, fromCents } = require('./pricing');
+
+// ---------------------------------------------------------------------------
+// Resolution
+// ---------------------------------------------------------------------------
+
+/**
+ * Resolves spoken modifier choices against the groups allowed for an item.
+ *
+ * @param {object}   item      - catalog item (with .modifierGroups)
+ * @param {string[]} requested - modifier names as passed by Gemini
+ * @returns {{ ok: true, selections: Array<{ groupId: string, groupName: string,
+ *             optionId: string, name: string, price: number, itemId: string|null }> }
+ *         | { ok: false, message: string }}
+ */
+function resolveModifiers(item, requested = []) {
+  const groups = item.modifierGroups || [];
+  const wanted = (Array.isArray(requested) ? requested : [])
+    .filter(r => typeof r === 'string' && r.trim() !== '');
+
+  const selections = [];
+  const unknown = [];
+
+  for (const spoken of wanted) {
+    const match = findOption(groups, spoken);
+    if (!match) {
+      unknown.push(spoken);
+      continue;
+    }
+    // Saying the same thing twice ("extra ghee, ghee") is one selection
+    if (selections.some(s => s.groupId === match.group.id && s.optionId === match.option.id)) continue;
+    selections.push({
+      groupId: match.group.id,
+      groupName: match.group.name,
+      optionId: match.option.id,
+      name: match.option.name,
+      price: match.option.price,
+      itemId: match.option.itemId,  // set when the option is a priced catalog item
+    });
+  }
+
+  if (unknown.length > 0) {
+    return {
+      ok: false,
+      message: groups.length === 0
+        ? `${item.name} cannot be customised. Unsupported: ${unknown.join(', ')}.`
+        : `${item.name} does not offer: ${unknown.join(', ')}. Allowed options — ${describeGroups(groups)}.`,
+    };
+  }
+
+  for (const group of groups) {
+    const count = selections.filter(s => s.groupId === group.id).length;
+    if (count > group.max) {
+      return {
+        ok: false,
+        message: `${item.name}: choose at most ${group.max} from ${group.name} ` +
+                 `(${group.options.map(o => o.name).join(', ')}).`,
+      };
+    }
+    if (count < group.min) {
+      return {
+        ok: false,
+        message: `${item.name}: ask the customer to choose ${group.min === 1 ? 'one' : `at least ${group.min}`} ` +
+                 `from ${group.name} (${group.options.map(o => o.name).join(', ')}).`,
+      };
+    }
+  }
+
+  // Stable order — catalog group order, then option order — so the same
+  // choices always produce the same cart line key
+  selections.sort((a, b) => rank(groups, a) - rank(groups, b));
+  return { ok: true, selections };
+}
+
+function findOption(groups, spoken) {
+  const key = tokenize(spoken).join(' ');
+  if (!key) return null;
+  for (const group of groups) {
+    for (const option of group.options) {
+      if (option.id === spoken.trim().toLowerCase()) return { group, option };
+      for (const label of [option.name, ...option.aliases]) {
+        if (tokenize(label).join(' ') === key) return { group, option };
+      }
+    }
+  }
+  return null;
+}
+
+function rank(groups, selection) {
+  const gi = groups.findIndex(g => g.id === selection.groupId);
+  const oi = groups[gi].options.findIndex(o => o.id === selection.optionId);
+  return gi * 1000 + oi;
+}
+
+function describeGroups(groups) {
+  return groups.map(g => `${g.name}: ${g.options.map(o => o.name).join(', ')}`).join('; ');
+}
+
+// ---------------------------------------------------------------------------
+// Helpers used by the cart, Supabase writes and the Clover push
+// ---------------------------------------------------------------------------
+
+/** Sum of the selections' price deltas, in dollars (added up in cents). */
+function modifierTotal(selections = []) {
+  return fromCents(selections.reduce((sum, s) => sum + toCents(s.price), 0));
+}
+
+/** Identity of a cart line: same item + same modifiers = same line. */
+function lineKey(itemId, selections = []) {
+  return [itemId, ...selections.map(s => `${s.groupId}:${s.optionId}`)].join('|');
+}
+
+/** "Spicy, Extra Ghee" — for readbacks and kitchen notes. */
+function describeSelections(selections = []) {
+  return selections.map(s => s.name).join(', ');
+}
+
+/**
+ * Shape stored in order_items.customizations.
+ * @param {{ modifiers?: Array, notes?: string }} cartItem
+ * @returns {object}
+ */
+function toCustomizations(cartItem) {
+  const customizations = {};
+  if (cartItem.modifiers && cartItem.modifiers.length > 0) {
+    customizations.modifiers = cartItem.modifiers.map(s => ({
+      group: s.groupId,
+      option: s.optionId,
+      name: s.name,
+      price: s.price,
+    }));
+  }
+  if (cartItem.notes) customizations.notes = cartItem.notes;
+  return customizations;
+}
+
+/**
+ * order_items.customizations → cart line modifiers and notes (the reverse of
+ * toCustomizations). Group names and catalog item links are filled in from
+ * the item's current modifier groups when it still offers them.
+ *
+ * @param {object} customizations
+ * @param {object} [item] - catalog item the line is for
+ * @returns {{ modifiers: Array<object>, notes: string }}
+ */
+function fromCustomizations(customizations, item) {
+  const groups = (item && item.modifierGroups) || [];
+  const modifiers = ((customizations && customizations.modifiers) || []).map(m => {
+    const group = groups.find(g => g.id === m.group);
+    const option = group && group.options.find(o => o.id === m.option);
+    return {
+      groupId: m.group,
+      groupName: group ? group.name : m.group,
+      optionId: m.option,
+      name: m.name,
+      price: Number(m.price),
+      itemId: option ? option.itemId : null,
+    };
+  });
+  return { modifiers, notes: (customizations && customizations.notes) || '' };
+}
+
+module.exports = {
+  resolveModifiers,
+  modifierTotal,
+  lineKey,
+  describeSelections,
+  toCustomizations,
+  fromCustomizations,
+};
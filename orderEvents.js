@@ -0,0 +1,45 @@
+// orderEvents.js
+// Order status changes that happen outside a call — for now, state coming
+// back from Clover (cloverWebhook.js). Customer notifications subscribe here
+// instead of each source knowing who to tell.
+
+'use strict';
+
+const _listeners = [];
+
+/**
+ * Registers a listener for order status changes.
+ *
+ * @param {function({ orderId: string, orderNumber: string, status: string,
+ *                    previousStatus: string, source: string, order: object }): (void|Promise<void>)} listener
+ * @returns {function(): void} - removes the listener
+ */
+function onOrderStatusChange(listener) {
+  _listeners.push(listener);
+  return () => {
+    const i = _listeners.indexOf(listener);
+    if (i !== -1) _listeners.splice(i, 1);
+  };
+}
+
+/**
+ * Tells every listener about a change. A failing listener is logged and does
+ * not stop the others, or the change itself.
+ *
+ * @param {object} change - see onOrderStatusChange
+ * @returns {Promise<void>}
+ */
+async function emitOrderStatusChange(change) {
+  for (const listener of [..._listeners]) {
+    try {
+      await listener(change);
+    } catch (err) {
+      console.error(`[orderEvents] Listener failed for ${change.orderNumber} → ${change.status}:`, err.message);
+    }
+  }
+}
+
+module.exports = {
+  onOrderStatusChange,
+  emitOrderStatusChange,
+};
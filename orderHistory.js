@@ -0,0 +1,216 @@
+// orderHistory.js
+// "Same as last time" — a caller's past orders (getOrderHistory tool) and
+// putting one back in the cart (reorderPrevious tool).
+//
+// History is found by the number the call is coming from (Twilio caller ID).
+// Reordered items go through the same checks as manageOrder — menu, 86 list,
+// day-parts, modifier rules — and are priced from today's catalog, not from
+// what was paid last time. Anything that no longer passes is left out and
+// reported so the agent can offer something else.
+
+'use strict';
+
+const { fetchOrderHistory } = require('./supabaseClient');
+const { getSession, resolveLine, buildCartSummary } = require('./orderManager');
+const { formatOrderNumber, parseOrderNumber } = require('./orderLookup');
+const { phoneVariants } = require('./phoneNumbers');
+const { getItemById } = require('./menuCatalog');
+const { formatLocalDateTime } = require('./schedule');
+const { toCents } = require('./pricing');
+const { spokenDollars } = require('./spokenForms');
+
+const DEFAULT_HISTORY_ORDERS = 3;
+const MAX_HISTORY_ORDERS = 5;
+
+// resolveLine() rejection → why a past item could not be re-added
+const SKIP_REASONS = {
+  ambiguous:         'is no longer on the menu',
+  not_found:         'is no longer on the menu',
+  unavailable:       'is not available right now',
+  not_served_now:    'is not served at this time',
+  invalid_modifiers: 'no longer comes with the same options',
+};
+
+// "2 Masala Dosa (Spicy)"
+function describeOrderItem(oi) {
+  const modifiers = ((oi.customizations && oi.customizations.modifiers) || []).map(m => m.name);
+  return `${oi.quantity} ${oi.item_name}${modifiers.length > 0 ? ` (${modifiers.join(', ')})` : ''}`;
+}
+
+const rejected = response => ({ ok: false, response });
+
+async function loadHistory(context, limit) {
+  const phones = phoneVariants(context.callerPhone);
+  if (phones.length === 0) {
+    return rejected({
+      result: 'The caller ID for this call is hidden, so past orders cannot be looked up. ' +
+              'Ask the customer what they would like today.',
+      success: false,
+      reason: 'no_caller_id'
+    });
+  }
+
+  try {
+    return { ok: true, rows: await fetchOrderHistory(phones, { limit }) };
+  } catch (err) {
+    console.error('Order history lookup failed:', err.message);
+    return rejected({
+      result: 'Past orders cannot be looked up right now. Ask the customer what they would like today.',
+      success: false,
+      reason: 'lookup_failed'
+    });
+  }
+}
+
+// ── Called when Gemini fires the getOrderHistory tool ─────────────────────
+// context.callerPhone — Twilio caller ID for this call ('unknown' when withheld)
+
+async function getOrderHistory(args = {}, context = {}) {
+  const limit = Number.isInteger(args.limit) && args.limit > 0
+    ? Math.min(args.limit, MAX_HISTORY_ORDERS)
+    : DEFAULT_HISTORY_ORDERS;
+
+  const history = await loadHistory(context, limit);
+  if (!history.ok) return history.response;
+
+  if (history.rows.length === 0) {
+    return {
+      result: 'No past orders from the number this call is coming from. Ask the customer what they would like today.',
+      success: false,
+      reason: 'not_found'
+    };
+  }
+
+  const orders = history.rows.map(row => {
+    const items = row.order_items || [];
+    return {
+      orderNumber: formatOrderNumber(row.id),
+      placed: formatLocalDateTime(new Date(row.created_at)),
+      items: items.map(describeOrderItem),
+      total: Number(row.total_amount),
+      spokenTotal: spokenDollars(Number(row.total_amount))
+    };
+  });
+  console.log(`Order history for caller: ${orders.map(o => o.orderNumber).join(', ')}`);
+
+  return {
+    result: `Found ${orders.length} past order${orders.length === 1 ? '' : 's'}, newest first. ` +
+            orders.map((o, i) => `${i + 1}) ${o.placed}: ${o.items.join(', ')} — ${o.spokenTotal}.`).join(' ') +
+            ' Offer these to the customer. If they pick one, call reorderPrevious with its orderNumber. ' +
+            'Prices may have changed since.',
+    success: true,
+    orders
+  };
+}
+
+// ── Called when Gemini fires the reorderPrevious tool ─────────────────────
+// Adds the items of a past order to this call's cart. Without an order number
+// the most recent order is used.
+
+async function reorderPrevious(callSid, args = {}, context = {}) {
+  const session = getSession(callSid);
+  if (!session) return { result: 'Error: session not found', success: false };
+
+  const history = await loadHistory(context, MAX_HISTORY_ORDERS);
+  if (!history.ok) return history.response;
+
+  let row = history.rows[0];
+  if (args.orderNumber) {
+    const ref = parseOrderNumber(args.orderNumber);
+    row = ref && history.rows.find(r => r.id.substring(0, 6).toUpperCase() === ref);
+  }
+  if (!row) {
+    return {
+      result: args.orderNumber
+        ? `${args.orderNumber} is not one of this caller's recent orders. Call getOrderHistory and offer those.`
+        : 'No past orders from the number this call is coming from. Ask the customer what they would like today.',
+      success: false,
+      reason: 'not_found'
+    };
+  }
+
+  const orderNumber = formatOrderNumber(row.id);
+  const when = session.pickupAt || new Date();
+  const added = [];
+  const skipped = [];
+  const repriced = [];
+  const keysAdded = new Set();
+
+  for (const oi of row.order_items || []) {
+    const catalogItem = oi.item_id ? getItemById(oi.item_id) : null;
+    const resolved = resolveLine(callSid, {
+      action: 'add',
+      itemName: catalogItem ? catalogItem.name : oi.item_name,
+      // Option ids resolve exactly, even if the spoken names have changed
+      modifiers: ((oi.customizations && oi.customizations.modifiers) || []).map(m => m.option)
+    }, { cart: session.cart, when });
+
+    if (!resolved.ok) {
+      const reason = SKIP_REASONS[resolved.response.match] || 'cannot be added';
+      skipped.push({ itemName: oi.item_name, reason: resolved.response.match, message: `${oi.item_name} ${reason}` });
+      continue;
+    }
+
+    const { catalogItem: item, selections, key, price, label } = resolved;
+    const notes = (oi.customizations && oi.customizations.notes) || '';
+    // As manageOrder's add, a line already in the cart is set to the past
+    // quantity — a repeated reorderPrevious call must not double the cart.
+    // Two rows of the past order for the same line still add up.
+    const existing = session.cart.find(line => line.lineKey === key);
+    if (existing) {
+      existing.quantity = keysAdded.has(key) ? existing.quantity + oi.quantity : oi.quantity;
+    } else {
+      session.cart.push({
+        lineKey: key,
+        itemId: item.id,
+        itemName: item.name,
+        quantity: oi.quantity,
+        basePrice: item.price,
+        price,
+        modifiers: selections,
+        notes
+      });
+    }
+    keysAdded.add(key);
+    added.push(`${oi.quantity} x ${label}`);
+    if (toCents(price) !== toCents(oi.unit_price)) {
+      repriced.push(`${label} is now ${price.toFixed(2)} dollars (was ${Number(oi.unit_price).toFixed(2)})`);
+    }
+  }
+
+  if (added.length === 0) {
+    return {
+      result: `None of the items from that order can be added: ${skipped.map(s => s.message).join('; ')}. ` +
+              'Tell the customer and ask what they would like instead. The cart was NOT changed.',
+      success: false,
+      reason: 'nothing_available',
+      orderNumber,
+      skipped
+    };
+  }
+
+  // Cart changed — customer must re-confirm
+  session.orderConfirmed = false;
+  const cart = buildCartSummary(session);
+  console.log(`Cart [${callSid}]: Reordered ${orderNumber} — added ${added.join(', ')}` +
+              (skipped.length > 0 ? ` | skipped ${skipped.map(s => s.itemName).join(', ')}` : ''));
+
+  return {
+    result: `Added from the order of ${formatLocalDateTime(new Date(row.created_at))}: ${added.join(', ')}, at today's prices. ` +
+            (repriced.length > 0 ? `Prices have changed since: ${repriced.join('; ')}. ` : '') +
+            (skipped.length > 0
+              ? `Could NOT add: ${skipped.map(s => s.message).join('; ')} — tell the customer and offer something similar. `
+              : '') +
+            'Tell the customer what was added and ask if they want anything else.',
+    success: true,
+    orderNumber,
+    added,
+    skipped,
+    cart
+  };
+}
+
+module.exports = {
+  getOrderHistory,
+  reorderPrevious,
+};
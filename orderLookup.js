@@ -0,0 +1,279 @@
+// orderLookup.js
+// "Where's my order?" — finds a caller's placed orders in Supabase and turns
+// them into something the agent can read out (lookupOrderStatus tool).
+//
+// Orders are found by the number the call is coming from (Twilio caller ID)
+// or by a spoken order number like "SB-IRV-1A2B3C". Order numbers are the
+// restaurant's prefix (orderNumberPrefix, restaurants.js) plus the first six
+// hex digits of orders.id; the suffix is stored in orders.order_ref
+// (migration 20261019000600_orders_lookup.sql).
+
+'use strict';
+
+const { fetchOrdersByPhone, fetchOrdersByRef } = require('./supabaseClient');
+const { getSchedule, describeInstant } = require('./schedule');
+const { getDeliveryConfig } = require('./delivery');
+const { spokenDollars } = require('./spokenForms');
+const { phoneVariants } = require('./phoneNumbers');
+const { getItemById } = require('./menuCatalog');
+const { resolveItem } = require('./itemResolver');
+const { lineKey, modifierTotal, fromCustomizations } = require('./modifiers');
+const { toCents, fromCents } = require('./pricing');
+const { currentRestaurant } = require('./restaurants');
+
+// Caller-ID lookups only look this far back — older orders are history, not status
+const RECENT_HOURS = 48;
+const MAX_ORDERS = 3;
+
+// orders.status → what the agent says after "Your order ..."
+const STATUS_TEXT = {
+  confirmed:        'has been received',
+  preparing:        'is being prepared',
+  ready:            'is ready',
+  out_for_delivery: 'is out for delivery',
+  completed:        'has been completed',
+  cancelled:        'was cancelled',
+};
+
+const ORDER_STATUSES = Object.keys(STATUS_TEXT);
+
+// Still in the kitchen — an estimated ready time is worth giving
+const IN_PROGRESS = ['confirmed', 'preparing'];
+
+// ── Order numbers ──────────────────────────────────────────────────────────
+
+/** orders.id → "SB-IRV-1A2B3C", with the current restaurant's prefix */
+function formatOrderNumber(orderId) {
+  return currentRestaurant().orderNumberPrefix + orderId.substring(0, 6).toUpperCase();
+}
+
+/**
+ * Spoken order number → the six-digit reference stored in orders.order_ref.
+ * Accepts "SB-IRV-1A2B3C", "sb irv 1a2b3c" or just "1A2B3C". The letter O is
+ * read as zero — order numbers never contain it.
+ *
+ * @param {string} spoken
+ * @returns {string|null} - "1A2B3C", or null if it is not an order number
+ */
+function parseOrderNumber(spoken) {
+  const compact = String(spoken || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  const prefix = currentRestaurant().orderNumberPrefix.replace(/[^A-Z0-9]/g, '');
+  const ref = (compact.startsWith(prefix) ? compact.slice(prefix.length) : compact).replace(/O/g, '0');
+  return /^[0-9A-F]{6}$/.test(ref) ? ref : null;
+}
+
+// ── Status readback ────────────────────────────────────────────────────────
+
+/**
+ * When an order should be ready (pickup) or at the door (delivery):
+ * the scheduled pickup time, otherwise the order time plus the usual lead.
+ *
+ * @param {object} row - orders row
+ * @returns {Date}
+ */
+function estimatedReadyAt(row) {
+  if (row.pickup_at) return new Date(row.pickup_at);
+  const minutes = row.order_type === 'delivery'
+    ? getDeliveryConfig().estimatedMinutes
+    : getSchedule().pickup.minLeadMinutes;
+  const at = new Date(row.created_at).getTime() + minutes * 60_000;
+  // Round up to 5 minutes — "6:35pm", not "6:33pm"
+  const step = 5 * 60_000;
+  return new Date(Math.ceil(at / step) * step);
+}
+
+/**
+ * One orders row (with order_items) → what the agent reads out.
+ *
+ * @param {object} row
+ * @param {Date}   [now]
+ * @param {object} [opts]
+ * @param {boolean} [opts.statusOnly] - leave out the name, items and total (an order
+ *                                      looked up by number from another phone)
+ * @returns {{ orderNumber: string, status: string, orderType: string, customerName: string|null,
+ *             items: Array<{ itemName: string, quantity: number }>, total: number|null, spokenTotal: string|null,
+ *             readyAt: string|null, ready: string, paid: boolean, summary: string }}
+ */
+function describeOrder(row, now = new Date(), { statusOnly = false } = {}) {
+  const orderNumber = formatOrderNumber(row.id);
+  const delivery = row.order_type === 'delivery';
+  const items = statusOnly ? [] : (row.order_items || []).map(i => ({ itemName: i.item_name, quantity: i.quantity }));
+  const itemText = items.map(i => `${i.quantity} ${i.itemName}`).join(', ') || 'no items';
+  const customerName = statusOnly ? null : row.customer_name || null;
+
+  let ready;
+  let readyAt = null;
+  if (IN_PROGRESS.includes(row.status)) {
+    const at = estimatedReadyAt(row);
+    readyAt = at.toISOString();
+    ready = at <= now
+      ? (delivery ? 'It should arrive any minute now.' : 'It should be ready now.')
+      : (delivery ? `It should arrive ${describeInstant(at, now)}.` : `It should be ready ${describeInstant(at, now)}.`);
+  } else if (row.status === 'ready') {
+    ready = delivery ? 'It is waiting for the driver.' : 'It is ready for pickup.';
+  } else {
+    ready = '';
+  }
+
+  const statusText = STATUS_TEXT[row.status] || `has status "${row.status}"`;
+  const placed = describeInstant(new Date(row.created_at), now);
+  const summary =
+    `Order ${orderNumber}${customerName ? ` for ${customerName}` : ''}, ` +
+    `${delivery ? 'delivery' : 'pickup'}, placed ${placed}${statusOnly ? '' : `: ${itemText}`}. ` +
+    `It ${statusText}. ${ready}`.trim() +
+    // Paid on the Clover device (cloverWebhook.js)
+    (row.paid_at && row.status !== 'cancelled' ? ' It has been paid for.' : '');
+
+  return {
+    orderNumber,
+    status: row.status,
+    orderType: row.order_type || 'pickup',
+    customerName,
+    items,
+    total: statusOnly ? null : Number(row.total_amount),
+    spokenTotal: statusOnly ? null : spokenDollars(Number(row.total_amount)),
+    readyAt,
+    ready,
+    paid: Boolean(row.paid_at),
+    summary,
+  };
+}
+
+/**
+ * order_items rows → orderManager cart lines, at the prices originally
+ * charged. Used by placedOrders.js (changes) and cloverSync.js (re-pushes).
+ *
+ * @param {object} row - orders row with order_items
+ * @returns {Array<object>} cart lines as in an orderManager session
+ */
+function cartFromOrder(row) {
+  return (row.order_items || []).map(oi => {
+    const item = (oi.item_id && getItemById(oi.item_id)) || resolveItem(oi.item_name).item || null;
+    const { modifiers, notes } = fromCustomizations(oi.customizations, item);
+    const price = Number(oi.unit_price);
+    return {
+      lineKey: item ? lineKey(item.id, modifiers) : `name:${oi.item_name}`,
+      itemId: item ? item.id : null,
+      itemName: oi.item_name,
+      quantity: oi.quantity,
+      basePrice: fromCents(toCents(price) - toCents(modifierTotal(modifiers))),
+      price,
+      modifiers,
+      notes
+    };
+  });
+}
+
+// ── Finding a caller's orders ──────────────────────────────────────────────
+
+const rejected = response => ({ ok: false, response });
+
+/**
+ * Finds orders by spoken order number, or else by caller ID.
+ * Shared by lookupOrderStatus and the placed-order change tools.
+ *
+ * @param {{ orderNumber?: string }} args
+ * @param {{ callerPhone?: string }} context
+ * @param {Date} [now]
+ * @returns {Promise<{ ok: true, rows: Array<object>, byNumber: boolean, by: string }
+ *                  | { ok: false, response: object }>} - response is the tool result to send back
+ */
+async function findOrders(args = {}, context = {}, now = new Date()) {
+  const spoken = typeof args.orderNumber === 'string' ? args.orderNumber.trim() : '';
+  let rows;
+  let by;
+
+  try {
+    if (spoken) {
+      const ref = parseOrderNumber(spoken);
+      if (!ref) {
+        return rejected({
+          result: `"${spoken}" is not an order number. Order numbers look like ${currentRestaurant().orderNumberPrefix}1A2B3C ` +
+                  '(six letters and digits after the prefix). Ask the customer to read it again.',
+          success: false,
+          reason: 'invalid_order_number'
+        });
+      }
+      by = `order number ${currentRestaurant().orderNumberPrefix}${ref}`;
+      rows = await fetchOrdersByRef(ref, { limit: 1 });
+    } else {
+      const phones = phoneVariants(context.callerPhone);
+      if (phones.length === 0) {
+        return rejected({
+          result: 'The caller ID for this call is hidden, so orders cannot be found by phone. ' +
+                  'Ask the customer for their order number and call again with it.',
+          success: false,
+          reason: 'no_caller_id'
+        });
+      }
+      by = 'the number this call is coming from';
+      const since = new Date(now.getTime() - RECENT_HOURS * 3_600_000);
+      rows = await fetchOrdersByPhone(phones, { since, limit: MAX_ORDERS });
+    }
+  } catch (err) {
+    console.error('Order lookup failed:', err.message);
+    return rejected({
+      result: 'Order lookup is not working right now. Apologise and offer to transfer the customer to our team.',
+      success: false,
+      reason: 'lookup_failed'
+    });
+  }
+
+  if (rows.length === 0) {
+    return rejected({
+      result: spoken
+        ? `No order found with ${by}. Ask the customer to check the number and read it again.`
+        : `No orders in the last ${RECENT_HOURS} hours from ${by}. Ask the customer for their ` +
+          'order number — they may have ordered from a different phone.',
+      success: false,
+      reason: 'not_found'
+    });
+  }
+
+  return { ok: true, rows, byNumber: Boolean(spoken), by };
+}
+
+/** Whether an orders row was placed from the phone this call is coming from. */
+function isCallerOrder(row, callerPhone) {
+  return phoneVariants(callerPhone).includes(row.phone_number);
+}
+
+// ── Called when Gemini fires the lookupOrderStatus tool ───────────────────
+// context.callerPhone — Twilio caller ID for this call ('unknown' when withheld)
+// An order number is short enough to guess, so an order found by number from
+// another phone gets its status only — not the name, items or total.
+
+async function lookupOrderStatus(args = {}, context = {}, now = new Date()) {
+  const found = await findOrders(args, context, now);
+  if (!found.ok) return found.response;
+
+  const statusOnly = found.byNumber && !isCallerOrder(found.rows[0], context.callerPhone);
+  const orders = found.rows.map(row => describeOrder(row, now, { statusOnly }));
+  console.log(`Order lookup by ${found.byNumber ? 'order number' : 'caller ID'}: ${orders.map(o => `${o.orderNumber} ${o.status}`).join(', ')}` +
+              (statusOnly ? ' (other phone — status only)' : ''));
+
+  return {
+    result: (orders.length === 1 ? 'Found 1 order. ' : `Found ${orders.length} orders, newest first. `) +
+            orders.map(o => o.summary).join(' ') +
+            (statusOnly
+              ? ' It was placed from a different phone, so tell the customer the status only — for the items, ' +
+                'they can call from the phone they ordered with.'
+              : ' Tell the customer the status and the items.') +
+            ' Do not read out their phone number.',
+    success: true,
+    orders
+  };
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  STATUS_TEXT,
+  formatOrderNumber,
+  parseOrderNumber,
+  estimatedReadyAt,
+  describeOrder,
+  cartFromOrder,
+  findOrders,
+  isCallerOrder,
+  lookupOrderStatus,
+};
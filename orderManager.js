@@ -1,245 +1,68 @@
 // orderManager.js
-// In-memory cart state per call + Supabase writes on order completion.
+// In-memory cart state per call + order completion (through the order outbox, orderOutbox.js).
 // Each call gets its own session keyed by callSid.
 // When the call ends, the session is deleted.
 //
 // Red Team #19 — dotenv removed. geminiSession.js (the entry point) loads it.
 // process.env is shared across all requires — no need to call config() here.
 
-const { createClient } = require('@supabase/supabase-js');
-const { pushOrderToClover } = require('./cloverClient');
+const crypto = require('crypto');
+const { resolveItem } = require('./itemResolver');
+const { isAvailable, unavailableReason, suggestAlternatives } = require('./availability');
+const { getItemById } = require('./menuCatalog');
+const { getDeliveryConfig, isDeliveryEnabled, normalizeAddress, findZone } = require('./delivery');
+const {
+  getSchedule, getOpenStatus, checkDayPart, formatMinutes, describeInstant,
+  earliestPickup, parsePickupTime, checkPickupTime
+} = require('./schedule');
+const { resolveModifiers, modifierTotal, lineKey, describeSelections } = require('./modifiers');
+const { spokenDollars } = require('./spokenForms');
+const { priceCart, toCents, fromCents, formatCents } = require('./pricing');
+const { normalizeCode, fromRow, checkValidity, promotionDiscount } = require('./promotions');
+const { fetchPromotion, hasRedeemedPromotion } = require('./supabaseClient');
+const { enqueueOrder, deliver } = require('./orderOutbox');
+const { formatOrderNumber } = require('./orderLookup');
+const { parsePhone, spokenPhone } = require('./phoneNumbers');
+const { normalizeLanguage } = require('./callerProfile');
+const { receiptFor } = require('./orderReceipts');
+const { paymentFor } = require('./payments');
 
-// Lazy Supabase client — only initialised when completeOrder fires.
-// This lets the Gemini session run and be tested without Supabase credentials.
-let _supabase = null;
-function getSupabase() {
-  if (!_supabase) {
-    if (!process.env.SUPABASE_URL || process.env.SUPABASE_URL.startsWith('peter2')) {
-      throw new Error('SUPABASE_URL is not set. Ask Peter 2 for the Supabase values.');
-    }
-    _supabase = createClient(
-      process.env.SUPABASE_URL,
-      process.env.SUPABASE_SERVICE_KEY
-    );
-  }
-  return _supabase;
-}
-
-const RESTAURANT_ID = process.env.DEFAULT_RESTAURANT_ID;
-const TAX_RATE = 0.0825; // Texas 8.25%
-
-// ── Red Team #12 — PRICE_MAP ─────────────────────────────────────────────────
-// Authoritative prices from the menu. handleManageOrder overrides whatever
-// price Gemini hallucinates with the correct value from this map.
-// Keys must match itemName exactly as Gemini will call them (menu names).
-
-const PRICE_MAP = {
-  // APPETIZERS
-  'Rasam': 6.99,
-  'Rava Kichadi': 8.75,
-  'Thatte Idly': 7.49,
-  'Idly (2)': 8.49,
-  'Idly (1) & Vada (1)': 8.99,
-  'Rasa Vada (2)': 8.49,
-  'Sambar Vada (2)': 8.99,
-  'Medhu Vada (2)': 9.49,
-  'Masala Vada (3)': 8.49,
-  'Curd Vada (2)': 10.49,
-  'Mysore Bonda (3)': 8.99,
-  'Ghee Podi Thatte Idly': 9.49,
-  '14 Pcs Mini Ghee Sambar Idly': 9.99,
-  'Ghee Pongal': 10.49,
-  'Kaima Idly': 12.99,
-  // EVENING SPECIALS
-  'Chilli Bajji (2)': 8.49,
-  'Onion Bajji (3)': 7.99,
-  'Plantain Bajji (2)': 7.99,
-  'Vegetable Bonda (3)': 7.99,
-  // DOSAS
-  'Plain Dosa': 9.99,
-  'Onion Dosa': 9.99,
-  'Masala Dosa': 11.49,
-  'Onion Masala Dosa': 10.99,
-  'Onion Chilli Dosa': 10.49,
-  'Onion Chilli Masala Dosa': 10.99,
-  'Kara Dosa': 12.99,
-  'Kesari Dosa': 11.49,
-  'Milagaipodi Dosa': 11.99,
-  'Milagaipodi Masala Dosa': 12.49,
-  'Mysore Dosa': 12.49,
-  'Mysore Masala Dosa': 12.99,
-  'Mysore Onion Dosa': 13.49,
-  'Mysore Onion Masala Dosa': 13.99,
-  'Rava Dosa': 10.49,
-  'Rava Masala Dosa': 10.99,
-  'Onion Rava Dosa': 11.49,
-  'Onion Rava Masala Dosa': 13.49,
-  'Onion Chilli Rava Dosa': 11.99,
-  'Onion Chilli Rava Masala Dosa': 13.49,
-  'Ghee Rava Dosa': 12.99,
-  'Ghee Rava Masala Dosa': 13.49,
-  'Ghee Onion Rava Dosa': 13.49,
-  'Ghee Onion Rava Masala Dosa': 13.99,
-  'Dry Fruit Rava Dosa': 12.99,
-  'Dry Fruit Rava Masala Dosa': 13.49,
-  'Cheese Dosa': 12.49,
-  'Cheese Masala Dosa': 12.99,
-  'Cheese Kara Dosa': 12.99,
-  'Cheese Podi Masala Dosa': 13.49,
-  'Vegetable Dosa': 11.99,
-  'Paper Roast': 11.49,
-  'Paper Roast Masala': 11.99,
-  'Kal Dosa': 14.49,
-  'Pesarattu Dosa': 13.99,
-  'Pesarat Upma': 14.99,
-  'Saravana Special Dosa': 13.99,
-  'Benne Masala Dosa': 12.99,
-  'Benne Dosa': 16.75,
-  // MORE SPECIAL DOSAS
-  'Onion Podi Dosa': 12.99,
-  'Podi Kara Dosa': 11.99,
-  'Onion Rava Kara Masala Dosa': 13.99,
-  'Spring Dosa': 13.99,
-  'Pav Bhaji Dosa': 13.99,
-  'Sandwich Dosa': 15.99,
-  'Chocolate Dosa': 12.49,
-  'Chettinad Spicy Masala Cheese Dosa': 14.99,
-  'Mixed Vegetable Cheese Dosa': 15.49,
-  'Palak Paneer Cheese Dosa': 15.49,
-  'Paneer Butter Cheese Masala Dosa': 15.49,
-  // MILLET DOSAS & MILLET MENU
-  'Millet Plain Dosa': 10.75,
-  'Millet Masala Dosa': 11.49,
-  'Millet Onion Dosa': 10.99,
-  'Millet Onion Masala Dosa': 11.99,
-  'Millet Idly': 7.99,
-  'Millet Pongal': 10.75,
-  'Millet Kichidi': 10.75,
-  'Millet Bisbilebath': 11.49,
-  'Millet Bagalabath': 11.49,
-  'Millet Vegetable Pulao': 13.49,
-  'Millet Chapathi': 11.25,
-  'Millet Poori': 11.75,
-  'Millet Combo 1': 14.49,
-  'Millet Extra Poori': 4.25,
-  // UTHAPPAMS
-  'Plain Uthappam': 10.99,
-  'Onion Uthappam': 11.99,
-  'Onion Chilli Uthappam': 12.49,
-  'Onion & Peas Uthappam': 12.99,
-  'Tomato Uthappam': 11.99,
-  'Tomato & Onion Uthappam': 12.49,
-  'Tomato & Peas Uthappam': 10.99,
-  'Tomato Onion Chilli Uthappam': 12.99,
-  'Tomato Peas Onion Uthappam': 12.99,
-  'Peas Uthappam': 11.99,
-  'Peas Chilli Uthappam': 12.49,
-  'Masala Podi Uthappam': 11.99,
-  'Ghee Podi Uthappam': 12.49,
-  'Cheese Uthappam': 11.99,
-  'Chilli Cheese Uthappam': 12.49,
-  // TONGUE TICKLERS (House Specials)
-  'Adai Avial': 14.49,
-  'Appam': 12.49,
-  'Idiappam': 12.49,
-  'Channa Batura': 14.49,
-  // RICE MENU
-  'Bagalabath': 10.49,
-  'Bisibelabath': 10.49,
-  'Executive Meal': 14.49,
-  'Rice of the Day': 10.99,
-  // BIRYANIS & PULAO
-  'Jeera Pulao': 12.99,
-  'Peas Pulao': 13.49,
-  'Mushroom Pulao': 13.49,
-  'Vegetable Pulao': 13.49,
-  'Cashew Nut Pulao': 14.99,
-  'Paneer Pulao': 13.99,
-  'Vegetable Biryani': 13.49,
-  'Mushroom Biryani': 14.99,
-  'Paneer Biryani': 15.49,
-  'Mushroom Mutter': 16.99,
-  // FRIED RICE
-  'Veg Fried Rice': 13.99,
-  'Schezwan Veg Fried Rice': 14.99,
-  'Schezwan Paneer Fried Rice': 16.99,
-  'Paneer Veg Fried Rice': 15.99,
-  // NORTH INDIAN CURRIES
-  'Channa Masala': 13.49,
-  'Avial': 11.49,
-  'Mushroom Rogan Josh': 12.49,
-  'Vegetable Butter Masala': 14.49,
-  'Veg Jalfrezi': 14.49,
-  'Palak Paneer': 14.99,
-  'Aloo Gobi Masala': 16.49,
-  'Aloo Mutter': 16.49,
-  'Aloo Pepper Fry': 16.49,
-  'Gobi Masala': 16.49,
-  'Gobi Mutter': 16.49,
-  'Green Peas Masala': 16.49,
-  'Mutter Paneer': 16.99,
-  'Kadai Paneer': 17.49,
-  'Paneer Butter Masala': 17.99,
-  // CHINESE STARTERS
-  'Gobi 65': 13.49,
-  'Gobi Manchurian': 13.49,
-  'Chilli Mushroom': 13.49,
-  'Mushroom Manchurian': 13.99,
-  'Veg Manchurian': 13.99,
-  'Chilly Paneer': 15.49,
-  'Paneer Manchurian': 15.99,
-  // COMBO MENU
-  'Combo 1': 13.99,
-  'Combo 2': 13.99,
-  'Combo 3': 13.99,
-  'Combo 4': 12.49,
-  // BREADS
-  'Chapathi (2)': 9.99,
-  'Poori (2)': 10.49,
-  'Parotta (2)': 11.99,
-  'Plain Naan': 4.99,
-  'Butter Naan': 4.99,
-  'Garlic Naan': 4.99,
-  // SECOND SERVINGS
-  'Extra Chapathi': 3.99,
-  'Extra Poori': 3.99,
-  'Extra Parotta': 4.49,
-  'Rice': 2.99,
-  'Extra Ghee': 1.99,
-  'Milagaipodi': 2.49,
-  // DESSERTS
-  'Sweet Pongal': 6.49,
-  'Gulab Jamun': 6.49,
-  'Rasamalai': 6.49,
-  'Badam Kheer': 6.49,
-  'Desert of the Day': 7.49,
-  'Rava Kesari': 7.99,
-  'Badam Halwa': 9.49,
-  // BEVERAGES
-  'Soft Drinks': 2.00,
-  'Special Milk Tea': 3.99,
-  'Butter Milk': 4.99,
-  'Madras Filter Coffee': 4.99,
-  'Mango Juice': 5.49,
-  'Lassi': 5.49,
-  'Mango Lassi': 6.49
-};
-
-// In-memory sessions: callSid → { callDbId, cart, startedAt, customerName, phoneNumber, orderConfirmed }
+// In-memory sessions: callSid → { callDbId, cart, startedAt, customerName, phoneNumber, orderConfirmed, pickupAt,
+//                                orderType, deliveryAddress, deliveryZone, promotion,
+//                                callerPhone, knownCaller, language, ordersPlaced, completing, lastCompleted }
 const sessions = new Map();
 
+// How long completeOrder waits for the database and the POS before confirming
+// from the outbox alone
+const INLINE_DELIVERY_MS = 5000;
+
 // ── Called by geminiSession.js when the call connects ─────────────────────
+// opts.pickupAt — set when the call arrives while closed and the order is
+// taken for the next opening (schedule closedBehavior 'future_order').
+// opts.callerPhone — Twilio caller ID; opts.knownCaller — callerProfile.recognizeCaller()
+// result for a returning customer.
 
-function createSession(callSid, callDbId) {
+function createSession(callSid, callDbId, opts = {}) {
   sessions.set(callSid, {
     callDbId,
     cart: [],
     startedAt: new Date(),
     customerName: null,
     phoneNumber: null,
-    orderConfirmed: false
+    orderConfirmed: false,
+    pickupAt: opts.pickupAt || null,
+    orderType: 'pickup',        // 'pickup' | 'delivery'
+    deliveryAddress: null,      // { street, unit, city, state, zip, formatted } — set by collectDeliveryAddress
+    deliveryZone: null,         // zone from data/delivery.json — carries the fee and minimum order
+    promotion: null,            // promotions.fromRow() — set by applyPromoCode
+    callerPhone: opts.callerPhone || null,
+    knownCaller: opts.knownCaller || null,  // { name, preferredLanguage } — returning customer
+    language: null,             // language the order was taken in — set by collectCustomerDetails
+    ordersPlaced: 0,            // orders completed on this call — part of the idempotency key
+    completing: null,           // Promise of the completeOrder in flight
+    lastCompleted: null         // completeOrder result for the order just placed
   });
-  console.log(`Session created for call: ${callSid}`);
+  console.log(`Session created for call: ${callSid}${opts.pickupAt ? ` (future order for ${opts.pickupAt.toISOString()})` : ''}`);
 }
 
 function getSession(callSid) {
@@ -252,42 +75,571 @@ function handleManageOrder(callSid, args) {
   const session = sessions.get(callSid);
   if (!session) return { result: 'Error: session not found' };
 
-  const { action, itemName, quantity, notes } = args;
+  const { action, notes } = args;
 
-  // Red Team #12 — Use authoritative PRICE_MAP price. Ignore whatever Gemini
-  // passed as price to prevent hallucinated totals at checkout.
-  const correctPrice = PRICE_MAP[itemName] !== undefined
-    ? PRICE_MAP[itemName]
-    : args.price; // Fallback to Gemini's price only if item not in map
+  if (action !== 'add' && action !== 'remove') {
+    console.warn(`Rejected manageOrder action ${JSON.stringify(action)} [${callSid}]`);
+    return {
+      result: `Unknown action ${JSON.stringify(action)} — use "add" (also to change the quantity) or "remove". ` +
+              'The cart was NOT changed.',
+      success: false,
+      reason: 'invalid_action'
+    };
+  }
 
-  if (PRICE_MAP[itemName] === undefined) {
-    console.warn(`PRICE_MAP miss for: "${itemName}" — using Gemini price $${args.price}`);
+  // Gemini can leave the quantity out (one of the item) or send 0, a negative
+  // number or a fraction — only a whole number of at least one goes in the cart
+  const quantity = args.quantity === undefined || args.quantity === null ? 1 : args.quantity;
+  if (action === 'add' && !(Number.isInteger(quantity) && quantity > 0)) {
+    console.warn(`Rejected quantity ${JSON.stringify(args.quantity)} for "${args.itemName}" [${callSid}]`);
+    return {
+      result: `The quantity must be a whole number of at least 1, not ${JSON.stringify(args.quantity)}. ` +
+              'Ask the customer how many they want, or use action "remove" to take the item out. ' +
+              'The cart was NOT changed.',
+      success: false,
+      reason: 'invalid_quantity'
+    };
   }
 
+  const resolved = resolveLine(callSid, args, { cart: session.cart, when: session.pickupAt || new Date() });
+  if (!resolved.ok) return resolved.response;
+  const { catalogItem, selections, hasModifiers, key, price, label } = resolved;
+  const { id: itemId, name: itemName, price: basePrice } = catalogItem;
+
   if (action === 'add') {
-    // If item already in cart, update quantity instead of duplicating
-    const existing = session.cart.find(i => i.itemName === itemName);
+    // Same item with the same modifiers — update quantity instead of duplicating
+    const existing = session.cart.find(i => i.lineKey === key);
     if (existing) {
       existing.quantity = quantity;
-      existing.price = correctPrice; // Also correct price on update
+      existing.price = price; // Also correct price on update
       existing.notes = notes || existing.notes;
     } else {
-      session.cart.push({ itemName, quantity, price: correctPrice, notes: notes || '' });
+      session.cart.push({
+        lineKey: key,
+        itemId,
+        itemName,
+        quantity,
+        basePrice,
+        price,              // unit price including modifier deltas
+        modifiers: selections,
+        notes: notes || ''
+      });
     }
-    console.log(`Cart [${callSid}]: Added ${quantity}x ${itemName} @ $${correctPrice}`);
+    console.log(`Cart [${callSid}]: Added ${quantity}x ${label} @ $${price}`);
   } else if (action === 'remove') {
-    session.cart = session.cart.filter(i => i.itemName !== itemName);
-    console.log(`Cart [${callSid}]: Removed ${itemName}`);
+    const matches = i => (hasModifiers ? i.lineKey === key : i.itemId === itemId);
+    if (!session.cart.some(matches)) {
+      return {
+        result: `${label} is not in the cart, so nothing was removed.`,
+        success: false,
+        itemName,
+        cart: buildCartSummary(session)
+      };
+    }
+    session.cart = session.cart.filter(i => !matches(i));
+    console.log(`Cart [${callSid}]: Removed ${label}`);
   }
 
   // Reset confirmation when cart changes — customer must re-confirm
   session.orderConfirmed = false;
 
   // Log current cart state after every change
-  const subtotal = session.cart.reduce((s, i) => s + i.price * i.quantity, 0);
-  console.log(`Cart subtotal: $${subtotal.toFixed(2)} | Items: ${session.cart.length}`);
+  const cart = buildCartSummary(session);
+  console.log(`Cart subtotal: $${cart.subtotal.toFixed(2)} | Items: ${session.cart.length}`);
+
+  return {
+    result: action === 'remove'
+      ? `Removed ${label} from the cart.`
+      : `Cart updated: ${quantity} x ${label} at ${price.toFixed(2)} dollars each.`,
+    success: true,
+    itemName,
+    modifiers: selections.map(s => s.name),
+    unitPrice: price,
+    cart
+  };
+}
+
+// ── Item resolution shared by the cart and placed-order changes ───────────
+// Resolves a manageOrder-style request ({ action, itemName, modifiers }) to a
+// catalog item, priced modifiers and a cart line key, applying the same
+// checks (menu, 86 list, day-parts, modifier rules) wherever it is used.
+// cart — lines an ambiguous removal is matched against; when — when the food
+// will be made. Returns { ok: true, ... } or { ok: false, response } where
+// response is the tool result to send back.
+
+const rejected = response => ({ ok: false, response });
+
+function resolveLine(callSid, args, { cart, when }) {
+  const { action, itemName: spokenName } = args;
+
+  // Red Team #12 — Resolve the spoken name to a catalog item and use its
+  // authoritative price. Gemini's args.price is never trusted: an unknown
+  // item is rejected rather than added at a hallucinated price.
+  const resolution = resolveItem(spokenName);
+  let catalogItem = resolution.item || null;
+
+  // For removals, an ambiguous name is fine if only one candidate is in the cart
+  if (action === 'remove' && resolution.status === 'ambiguous') {
+    const inCart = resolution.candidates.filter(c => cart.some(i => i.itemId === c.id));
+    if (inCart.length === 1) catalogItem = inCart[0];
+  }
+
+  if (!catalogItem) {
+    if (resolution.status === 'ambiguous') {
+      const options = resolution.candidates.map(c => `${c.name} (${c.price.toFixed(2)} dollars)`);
+      console.warn(`Ambiguous item "${spokenName}" [${callSid}] — candidates: ${resolution.candidates.map(c => c.name).join(', ')}`);
+      return rejected({
+        result: `"${spokenName}" matches more than one menu item. Ask the customer: did you mean ` +
+                `${joinOptions(options)}? Then call manageOrder again with the exact name they choose. ` +
+                'The cart was NOT changed.',
+        success: false,
+        match: 'ambiguous',
+        candidates: resolution.candidates.map(c => ({ itemName: c.name, price: c.price }))
+      });
+    }
+
+    console.warn(`Rejected off-menu item "${spokenName}" [${callSid}]`);
+    return rejected({
+      result: `"${spokenName}" is not on our menu. Do NOT add it. Tell the customer we do not ` +
+              'have that item and suggest something similar from the menu. The cart was NOT changed.',
+      success: false,
+      match: 'not_found'
+    });
+  }
+
+  // Store the catalog spelling so cart lines, DB rows and Clover all agree
+  const { name: itemName, price: basePrice } = catalogItem;
+
+  // Runtime 86 list — the kitchen has run out of this item
+  if (action === 'add' && !isAvailable(catalogItem.id)) {
+    return rejected(unavailableResponse(callSid, catalogItem));
+  }
+
+  // Day-part menus (e.g. Evening Specials) — checked against when the food
+  // will be made, which is the pickup time for future orders
+  if (action === 'add') {
+    const served = checkDayPart(catalogItem, when);
+    if (!served.ok) {
+      const { dayPart } = served;
+      console.warn(`Rejected ${itemName} outside ${dayPart.name} [${callSid}]`);
+      return rejected({
+        result: `${itemName} is one of our ${dayPart.name}, served only from ` +
+                `${formatMinutes(dayPart.start)} to ${formatMinutes(dayPart.end)}. Do NOT add it. ` +
+                'Tell the customer and suggest something else. The cart was NOT changed.',
+        success: false,
+        match: 'not_served_now',
+        itemName
+      });
+    }
+  }
+
+  // Structured modifiers are validated against the item's allowed groups.
+  // On a removal they are optional and only narrow which line is removed.
+  const hasModifiers = Array.isArray(args.modifiers) && args.modifiers.length > 0;
+  let selections = [];
+  if (action === 'add' || hasModifiers) {
+    const resolved = resolveModifiers(catalogItem, args.modifiers);
+    if (!resolved.ok) {
+      console.warn(`Rejected modifiers for ${itemName} [${callSid}]: ${resolved.message}`);
+      return rejected({
+        result: `${resolved.message} The cart was NOT changed.`,
+        success: false,
+        match: 'invalid_modifiers',
+        itemName
+      });
+    }
+    selections = resolved.selections;
+
+    // An add-on backed by a catalog item (Extra Ghee) is out when that item is
+    const soldOut = selections.find(sel => sel.itemId && !isAvailable(sel.itemId));
+    if (action === 'add' && soldOut) {
+      const reason = unavailableReason(soldOut.itemId);
+      return rejected({
+        result: `${soldOut.name} is not available right now${reason ? ` (${reason})` : ''}. ` +
+                `Ask the customer if they want ${itemName} without it. The cart was NOT changed.`,
+        success: false,
+        match: 'unavailable',
+        itemName
+      });
+    }
+  }
+
+  const key = lineKey(catalogItem.id, selections);
+  const price = fromCents(toCents(basePrice) + toCents(modifierTotal(selections)));
+  const label = selections.length > 0 ? `${itemName} (${describeSelections(selections)})` : itemName;
+
+  return { ok: true, catalogItem, selections, hasModifiers, key, price, label };
+}
+
+function unavailableResponse(callSid, item) {
+  const reason = unavailableReason(item.id);
+  const alternatives = suggestAlternatives(item);
+  console.warn(`Rejected unavailable item ${item.name} [${callSid}]${reason ? ` — ${reason}` : ''}`);
+  return {
+    result: `${item.name} is not available right now${reason ? ` (${reason})` : ''}. Do NOT add it. ` +
+            (alternatives.length > 0
+              ? `Apologise and suggest ${joinOptions(alternatives.map(a => `${a.name} (${a.price.toFixed(2)} dollars)`))} instead. `
+              : 'Apologise and ask if they would like something else. ') +
+            'The cart was NOT changed.',
+    success: false,
+    match: 'unavailable',
+    itemName: item.name,
+    reason,
+    alternatives: alternatives.map(a => ({ itemName: a.name, price: a.price }))
+  };
+}
+
+// "A", "A or B", "A, B or C"
+function joinOptions(options) {
+  if (options.length <= 1) return options.join('');
+  return `${options.slice(0, -1).join(', ')} or ${options[options.length - 1]}`;
+}
+
+// ── Called when Gemini fires the setPickupTime tool ────────────────────────
+// No pickup time = as soon as possible (about minLeadMinutes from now).
+// A scheduled time is validated against opening hours and the lead time,
+// and every day-part item already in the cart must be served at that time.
+
+function setPickupTime(callSid, args = {}) {
+  const session = getSession(callSid);
+  if (!session) return { result: 'Error: session not found', success: false };
+
+  const now = new Date();
+  let pickupAt;
+
+  if (args.asap) {
+    const earliest = earliestPickup(now);
+    if (!earliest) {
+      return { result: 'We are not open for pickup in the coming days. Apologise to the customer.', success: false };
+    }
+    // ASAP while open is the normal order; otherwise it is a scheduled order for the next opening
+    const status = getOpenStatus(now);
+    pickupAt = status.open && earliest <= status.closesAt ? null : earliest;
+  } else {
+    pickupAt = parsePickupTime(args.day, args.time, now);
+    if (!pickupAt) {
+      return {
+        result: `Could not understand the pickup time "${[args.day, args.time].filter(Boolean).join(' ')}". ` +
+                'Ask the customer what time they would like to pick up. The pickup time was NOT changed.',
+        success: false
+      };
+    }
+
+    const check = checkPickupTime(pickupAt, now);
+    if (!check.ok) {
+      const earliest = check.earliest ? describeInstant(check.earliest, now) : null;
+      const why = {
+        too_soon: pickupAt < now
+          ? `${describeInstant(pickupAt, now)} has already passed`
+          : `${describeInstant(pickupAt, now)} is too soon — orders need at least ${getSchedule().pickup.minLeadMinutes} minutes`,
+        too_far: `we only take orders up to ${getSchedule().pickup.maxDaysAhead} days ahead`,
+        closed: `we are not open for pickup ${describeInstant(pickupAt, now)}`
+      }[check.reason];
+      console.warn(`Rejected pickup time ${pickupAt.toISOString()} (${check.reason}) [${callSid}]`);
+      return {
+        result: `Sorry, ${why}.` + (earliest ? ` The earliest pickup we can offer is ${earliest}.` : '') +
+                ' Ask the customer for another time. The pickup time was NOT changed.',
+        success: false,
+        reason: check.reason,
+        earliest
+      };
+    }
+  }
+
+  const notServed = session.cart
+    .map(line => ({ line, served: checkDayPart(getItemById(line.itemId), pickupAt || now) }))
+    .filter(x => !x.served.ok);
+  if (notServed.length > 0) {
+    const names = notServed.map(x =>
+      `${x.line.itemName} (${x.served.dayPart.name}, ${formatMinutes(x.served.dayPart.start)} to ${formatMinutes(x.served.dayPart.end)})`);
+    return {
+      result: `${names.join(', ')} cannot be served at that time. Ask the customer ` +
+              'to choose another time or remove those items. The pickup time was NOT changed.',
+      success: false,
+      reason: 'not_served_then'
+    };
+  }
+
+  session.pickupAt = pickupAt;
+  const pickup = describePickup(session, now);
+  console.log(`Pickup time set [${callSid}]: ${pickupAt ? pickupAt.toISOString() : 'ASAP'}`);
+
+  return {
+    result: `Pickup time set: ready ${pickup}.`,
+    success: true,
+    pickup
+  };
+}
+
+// "today at 6:30pm" for scheduled orders, "in about 20 minutes" otherwise
+// (the delivery estimate for delivery orders)
+function describePickup(session, now = new Date()) {
+  if (session.pickupAt) return describeInstant(session.pickupAt, now);
+  const minutes = session.orderType === 'delivery'
+    ? getDeliveryConfig().estimatedMinutes
+    : getSchedule().pickup.minLeadMinutes;
+  return `in about ${minutes} minutes`;
+}
+
+// When the order should be ready (or at the door) — the scheduled time, or the
+// as-soon-as-possible estimate describePickup reads out
+function readyAt(session, now = new Date()) {
+  if (session.pickupAt) return session.pickupAt;
+  const minutes = session.orderType === 'delivery'
+    ? getDeliveryConfig().estimatedMinutes
+    : getSchedule().pickup.minLeadMinutes;
+  return new Date(now.getTime() + minutes * 60_000);
+}
+
+// ── Called when Gemini fires the setOrderType tool ─────────────────────────
+
+function setOrderType(callSid, args = {}) {
+  const session = getSession(callSid);
+  if (!session) return { result: 'Error: session not found', success: false };
+
+  if (args.orderType === 'pickup') {
+    session.orderType = 'pickup';
+    session.deliveryAddress = null;
+    session.deliveryZone = null;
+    console.log(`Order type set [${callSid}]: pickup`);
+    return { result: 'Order type set to pickup.', success: true, orderType: 'pickup' };
+  }
+
+  if (args.orderType === 'delivery') {
+    if (!isDeliveryEnabled()) {
+      return { result: 'We do not offer delivery. Tell the customer the order is for pickup only.', success: false };
+    }
+    if (!session.deliveryAddress) {
+      return {
+        result: 'Ask the customer for the delivery address (street, apartment or unit, city, zip code) ' +
+                'and call collectDeliveryAddress. The order is still pickup until then.',
+        success: false
+      };
+    }
+    session.orderType = 'delivery';
+    return { result: `Order type set to delivery to ${session.deliveryAddress.formatted}.`, success: true, orderType: 'delivery' };
+  }
+
+  return { result: 'orderType must be "pickup" or "delivery".', success: false };
+}
+
+// ── Called when Gemini fires the collectDeliveryAddress tool ───────────────
+// Normalises the address, finds the delivery zone and switches the order to
+// delivery. The zone's fee is added to the total in confirmOrder.
+
+function collectDeliveryAddress(callSid, args = {}) {
+  const session = getSession(callSid);
+  if (!session) return { result: 'Error: session not found', success: false };
+
+  if (!isDeliveryEnabled()) {
+    return { result: 'We do not offer delivery. Tell the customer the order is for pickup only.', success: false };
+  }
+
+  const normalized = normalizeAddress(args);
+  if (!normalized.ok) {
+    return { result: `${normalized.message} The address was NOT saved.`, success: false, reason: 'invalid_address' };
+  }
+
+  const zone = findZone(normalized.address);
+  if (!zone) {
+    console.warn(`Address outside delivery zones [${callSid}]: ${normalized.formatted}`);
+    return {
+      result: `Sorry, we do not deliver to ${normalized.address.zip}. Offer the customer pickup instead. ` +
+              'The address was NOT saved.',
+      success: false,
+      reason: 'out_of_zone'
+    };
+  }
+
+  session.orderType = 'delivery';
+  session.deliveryAddress = { ...normalized.address, formatted: normalized.formatted };
+  session.deliveryZone = zone;
+
+  const { subtotal } = orderTotals(session);
+  const shortfall = fromCents(toCents(zone.minimumOrder) - toCents(subtotal));
+  console.log(`Delivery address set [${callSid}]: ${normalized.formatted} | zone ${zone.id} | fee $${zone.fee}`);
+
+  return {
+    result: `Delivery address saved: ${normalized.formatted}. Read it back to the customer. ` +
+            `Delivery fee is ${zone.fee.toFixed(2)} dollars` +
+            (zone.minimumOrder > 0 ? ` and the minimum order is ${zone.minimumOrder.toFixed(2)} dollars before tax` : '') + '.' +
+            (shortfall > 0 ? ` The cart is ${shortfall.toFixed(2)} dollars short of the minimum.` : ''),
+    success: true,
+    address: normalized.formatted,
+    deliveryFee: zone.fee,
+    minimumOrder: zone.minimumOrder
+  };
+}
+
+// ── Server-side totals ─────────────────────────────────────────────────────
+// Every amount comes from pricing.priceCart (integer cents). Readbacks
+// (getCartSummary, the running cart in manageOrder results), confirmOrder,
+// the orders row and the POS push all use it, so what the caller hears is
+// what is charged. `totals` is the cents breakdown; the rest are dollars.
+
+// pricing.priceCart options for the session's cart — also what the order is written with
+function pricingOptions(session) {
+  // A promo code is re-evaluated against the current cart every time
+  const promo = session.promotion ? promotionDiscount(session.promotion, session.cart) : null;
+  return {
+    promo,
+    opts: {
+      orderType: session.orderType,
+      deliveryFeeCents: session.orderType === 'delivery' && session.deliveryZone ? toCents(session.deliveryZone.fee) : 0,
+      discounts: promo?.ok ? [promo.discount] : []
+    }
+  };
+}
+
+function orderTotals(session) {
+  const { promo, opts } = pricingOptions(session);
+  const totals = priceCart(session.cart, opts);
+  const deliveryFeeCents = totals.fees.find(f => f.id === 'delivery')?.amountCents || 0;
+  return {
+    totals,
+    promoProblem: promo && !promo.ok ? promo.message : null,
+    subtotal: fromCents(totals.subtotalCents),
+    discount: fromCents(totals.discountCents),
+    tax: fromCents(totals.taxCents),
+    deliveryFee: fromCents(deliveryFeeCents),
+    fees: fromCents(totals.feesCents),
+    total: fromCents(totals.totalCents)
+  };
+}
+
+/**
+ * Line items and totals with spoken forms, for readbacks.
+ * @returns {{ lines: Array<{ itemName: string, modifiers: string[], notes: string, quantity: number,
+ *             unitPrice: number, lineTotal: number, spoken: string }>,
+ *             itemCount: number, subtotal: number, discount: number,
+ *             discounts: Array<{ name: string, amount: number, spoken: string }>, promoProblem: string|null,
+ *             tax: number, taxRate: number, deliveryFee: number,
+ *             fees: Array<{ name: string, amount: number, spoken: string }>, total: number, orderType: string,
+ *             spoken: { subtotal: string, tax: string, deliveryFee: string|null, total: string } }}
+ */
+function buildCartSummary(session) {
+  const { totals, promoProblem, subtotal, discount, tax, deliveryFee, total } = orderTotals(session);
+  const lines = session.cart.map((item, i) => {
+    const lineTotal = fromCents(totals.lines[i].lineTotalCents);
+    const modifiers = (item.modifiers || []).map(m => m.name);
+    return {
+      itemName: item.itemName,
+      modifiers,
+      notes: item.notes || '',
+      quantity: item.quantity,
+      unitPrice: item.price,
+      lineTotal,
+      spoken: `${item.quantity} ${item.itemName}` +
+              (modifiers.length > 0 ? ` with ${modifiers.join(', ')}` : '') +
+              ` — ${spokenDollars(lineTotal)}`
+    };
+  });
+
+  return {
+    lines,
+    itemCount: session.cart.reduce((n, i) => n + i.quantity, 0),
+    subtotal,
+    discount,
+    discounts: totals.discounts.map(d => ({ name: d.name, amount: fromCents(d.amountCents), spoken: spokenDollars(fromCents(d.amountCents)) })),
+    promoProblem,
+    tax,
+    taxRate: totals.taxRatePercent / 100,
+    deliveryFee,
+    fees: totals.fees.map(f => ({ name: f.name, amount: fromCents(f.amountCents), spoken: spokenDollars(fromCents(f.amountCents)) })),
+    total,
+    orderType: session.orderType,
+    spoken: {
+      subtotal: spokenDollars(subtotal),
+      tax: spokenDollars(tax),
+      deliveryFee: deliveryFee > 0 ? spokenDollars(deliveryFee) : null,
+      total: spokenDollars(total)
+    }
+  };
+}
+
+// ── Called when Gemini fires the applyPromoCode tool ───────────────────────
+// Looks the code up in Supabase and keeps it on the session. The discount
+// itself is computed in orderTotals from the current cart, before tax.
+
+async function applyPromoCode(callSid, args = {}) {
+  const session = getSession(callSid);
+  if (!session) return { result: 'Error: session not found', success: false };
+
+  const code = normalizeCode(args.code);
+  if (!code) {
+    return { result: 'Ask the customer to spell out the promo code.', success: false };
+  }
+
+  let row;
+  try {
+    row = await fetchPromotion(code);
+  } catch (err) {
+    console.error(`Promo lookup failed [${callSid}]:`, err.message);
+    return {
+      result: 'The promo code could not be checked right now. Apologise and continue the order without it.',
+      success: false
+    };
+  }
+
+  const notApplied = (reason, message) => {
+    console.warn(`Promo ${code} rejected (${reason}) [${callSid}]`);
+    return { result: `${message} Tell the customer. No discount was applied.`, success: false, reason };
+  };
+
+  if (!row) return notApplied('not_found', `${code} is not a valid promo code.`);
+  const promo = fromRow(row);
+
+  const validity = checkValidity(promo);
+  if (!validity.ok) return notApplied(validity.reason, validity.message);
 
-  return { result: 'Cart updated successfully.' };
+  if (promo.onePerCustomer && session.phoneNumber) {
+    const used = await hasRedeemedPromotion(promo.id, session.phoneNumber).catch(() => false);
+    if (used) return notApplied('already_used', `Code ${code} has already been used with this phone number.`);
+  }
+
+  session.promotion = promo;
+  session.orderConfirmed = false;
+
+  const { promoProblem, discount } = orderTotals(session);
+  console.log(`Promo ${code} applied [${callSid}]${promoProblem ? ' — not yet qualifying' : ` — $${discount.toFixed(2)} off`}`);
+
+  return {
+    result: promoProblem
+      ? `Code ${code} (${promo.description}) is saved but does not apply yet: ${promoProblem} Tell the customer.`
+      : `Code ${code} applied: ${promo.description}. The discount is ${spokenDollars(discount)} before tax.`,
+    success: true,
+    code,
+    description: promo.description,
+    discount: promoProblem ? 0 : discount,
+    cart: buildCartSummary(session)
+  };
+}
+
+// ── Called when Gemini fires the getCartSummary tool ───────────────────────
+
+function getCartSummary(callSid) {
+  const session = getSession(callSid);
+  if (!session) return { result: 'Error: session not found', success: false };
+
+  const cart = buildCartSummary(session);
+  if (cart.lines.length === 0) {
+    return { result: 'The cart is empty.', success: true, cart };
+  }
+
+  const readback =
+    `${cart.lines.map(l => l.spoken).join('; ')}. ` +
+    `Subtotal ${cart.spoken.subtotal}. ` +
+    cart.discounts.map(d => `Discount ${d.name} minus ${d.spoken}. `).join('') +
+    `Tax ${cart.spoken.tax}. ` +
+    cart.fees.map(f => `${f.name} ${f.spoken}. `).join('') +
+    `Total ${cart.spoken.total}.`;
+
+  return {
+    result: `Read this back to the customer exactly, in their language: ${readback}` +
+            (cart.promoProblem ? ` The promo code does not apply yet: ${cart.promoProblem} Tell the customer.` : ''),
+    success: true,
+    cart
+  };
 }
 
 // ── Called when Gemini fires the collectCustomerDetails tool ───────────────
@@ -298,8 +650,12 @@ function collectCustomerDetails(callSid, args) {
     return { result: 'Error: session not found', success: false };
   }
 
-  const customerName = args?.customerName;
-  const phoneNumber = args?.phoneNumber;
+  // Returning caller said yes to "Is this still under [name] at the number
+  // you're calling from?" — the caller ID is the phone number, and the name
+  // on file is used unless they gave a different one
+  const useCallerId = args?.useCallerId === true;
+  const customerName = args?.customerName || (useCallerId ? session.knownCaller?.name : null);
+  const phoneNumber = useCallerId ? session.callerPhone : args?.phoneNumber;
 
   if (!customerName || typeof customerName !== 'string' || customerName.trim().length === 0) {
     return {
@@ -315,32 +671,45 @@ function collectCustomerDetails(callSid, args) {
     };
   }
 
-  const phoneDigits = phoneNumber.replace(/\D/g, '');
-  if (phoneDigits.length < 10) {
+  // Stored as E.164 so the customers upsert finds the same customer however
+  // the number was said
+  const phone = parsePhone(phoneNumber);
+  if (!phone.ok) {
     return {
-      result: 'Please provide a valid phone number with at least 10 digits.',
-      success: false
+      result: useCallerId
+        ? 'The caller ID for this call cannot be used. Ask the customer for their phone number and call ' +
+          'collectCustomerDetails again with phoneNumber.'
+        : `${phone.message} Tell the customer and ask for the number again.`,
+      success: false,
+      reason: phone.reason
     };
   }
 
   session.customerName = customerName.trim();
-  session.phoneNumber = phoneNumber;
+  session.phoneNumber = phone.e164;
+  session.language = normalizeLanguage(args?.language) || session.language;
 
-  console.log(`Customer details collected [${callSid}]: ${session.customerName} | ${session.phoneNumber}`);
+  console.log(`Customer details collected [${callSid}]: ${session.customerName} | ${session.phoneNumber}` +
+              `${useCallerId ? ' (caller ID)' : ''}${session.language ? ` | ${session.language}` : ''}`);
 
   return {
-    result: `Thank you, ${session.customerName}. I've saved your phone number: ${phoneNumber}. Now call confirmOrder to lock in the order.`,
+    result: useCallerId
+      ? `Thank you, ${session.customerName}. The order will be under the number you are calling from. Now call confirmOrder to lock in the order.`
+      : `Thank you, ${session.customerName}. I've saved your phone number: ${spokenPhone(phone.e164)}. ` +
+        'Now call confirmOrder to lock in the order.',
     success: true,
     customerName: session.customerName,
-    phoneNumber: session.phoneNumber
+    phoneNumber: session.phoneNumber,
+    spokenPhoneNumber: spokenPhone(phone.e164)
   };
 }
 
 // ── Called when Gemini fires the confirmOrder tool ─────────────────────────
 // Server-side gate: the customer must have verbally confirmed the order summary.
 // This sets the flag that handleCompleteOrder checks before writing to the DB.
+// Async only for the promo code re-check.
 
-function confirmOrder(callSid) {
+async function confirmOrder(callSid) {
   const session = getSession(callSid);
   if (!session) {
     return { result: 'Error: session not found', confirmed: false };
@@ -354,48 +723,161 @@ function confirmOrder(callSid) {
     return { result: 'Customer name and phone number must be collected before confirming. Call collectCustomerDetails first.', confirmed: false };
   }
 
+  // A scheduled time can slip inside the lead time during a long call
+  if (session.pickupAt) {
+    const check = checkPickupTime(session.pickupAt);
+    if (!check.ok) {
+      return {
+        result: `The pickup time ${describeInstant(session.pickupAt)} is no longer available.` +
+                (check.earliest ? ` The earliest pickup is ${describeInstant(check.earliest)}.` : '') +
+                ' Ask the customer for a new time and call setPickupTime, then confirmOrder again.',
+        confirmed: false
+      };
+    }
+  }
+
+  // One redemption per phone number — the phone is only known by now
+  const promoProblem = await recheckPromotion(callSid, session);
+  if (promoProblem) {
+    return {
+      result: `${promoProblem} The code was removed. ` +
+              'Tell the customer, call getCartSummary and read back the new total, then ask them to confirm again.',
+      confirmed: false
+    };
+  }
+
+  const cart = buildCartSummary(session);
+  const { subtotal, deliveryFee, total } = cart;
+
+  if (session.orderType === 'delivery') {
+    if (!session.deliveryAddress) {
+      return { result: 'Delivery address is missing. Call collectDeliveryAddress first.', confirmed: false };
+    }
+    const { minimumOrder } = session.deliveryZone;
+    if (subtotal < minimumOrder) {
+      return {
+        result: `Delivery orders to this address need at least ${minimumOrder.toFixed(2)} dollars before tax; ` +
+                `the subtotal is ${subtotal.toFixed(2)} dollars. Ask the customer to add more items or switch to pickup.`,
+        confirmed: false
+      };
+    }
+  }
+
   session.orderConfirmed = true;
 
-  const subtotal = session.cart.reduce((s, i) => s + i.price * i.quantity, 0);
-  const total = Math.round(subtotal * (1 + TAX_RATE) * 100) / 100;
+  const pickup = describePickup(session);
+  const fulfilment = session.orderType === 'delivery'
+    ? `Delivery to ${session.deliveryAddress.formatted} ${pickup} (delivery fee ${deliveryFee.toFixed(2)} dollars included)`
+    : `Ready for pickup ${pickup}`;
 
-  console.log(`Order confirmed by customer [${callSid}]: ${session.cart.length} items, total $${total}`);
+  console.log(`Order confirmed by customer [${callSid}]: ${cart.itemCount} items, total $${total}, ${session.orderType} ${pickup}`);
 
   return {
-    result: `Order confirmed by customer. ${session.cart.length} items, total $${total}. You may now call completeOrder to finalize.`,
+    result: `Order confirmed by customer. ${cart.itemCount} ${cart.itemCount === 1 ? 'item' : 'items'}, total ${cart.spoken.total}. ` +
+            `${fulfilment} — tell the customer. You may now call completeOrder to finalize.`,
     confirmed: true,
-    itemCount: session.cart.length,
-    total
+    itemCount: cart.itemCount,
+    orderType: session.orderType,
+    deliveryFee,
+    total,
+    pickup,
+    cart
   };
 }
 
-// ── Red Team #14 — Retry helper ───────────────────────────────────────────
-// Wraps an async function with up to maxRetries attempts, 1s delay between each.
-
-async function withRetry(fn, maxRetries = 3, delayMs = 1000) {
-  let lastErr;
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      return await fn();
-    } catch (err) {
-      lastErr = err;
-      if (attempt < maxRetries) {
-        console.warn(`Supabase write attempt ${attempt} failed: ${err.message} — retrying in ${delayMs}ms`);
-        await new Promise(res => setTimeout(res, delayMs));
-      }
-    }
+// A promo code is checked when it is applied, but it can expire, be switched
+// off or be used on another order before this one is placed. Checks it again
+// against promotions (and the caller's redemptions) and drops it when it no
+// longer holds. Returns why it was dropped, or null.
+
+async function recheckPromotion(callSid, session) {
+  const promo = session.promotion;
+  if (!promo) return null;
+
+  let current = promo;
+  try {
+    const row = await fetchPromotion(promo.code);
+    current = row ? fromRow(row) : null;
+  } catch (err) {
+    // The dates the code had when it was applied still count
+    console.error(`Promo re-check failed [${callSid}]:`, err.message);
+  }
+
+  let problem = null;
+  if (!current) {
+    problem = `Code ${promo.code} is no longer a valid promo code.`;
+  } else {
+    const validity = checkValidity(current);
+    if (!validity.ok) problem = validity.message;
   }
-  throw lastErr;
+  if (!problem && current.onePerCustomer && session.phoneNumber) {
+    const used = await hasRedeemedPromotion(current.id, session.phoneNumber).catch(err => {
+      console.error(`Promo redemption check failed [${callSid}]:`, err.message);
+      return false; // the unique key on promo_redemptions still stops a second use
+    });
+    if (used) problem = `Code ${promo.code} has already been used with this phone number.`;
+  }
+  if (!problem) return null;
+
+  console.warn(`Promo ${promo.code} dropped [${callSid}]: ${problem}`);
+  session.promotion = null;
+  session.orderConfirmed = false;
+  return problem;
+}
+
+// Same call, same order → same key. Stored in orders.idempotency_key (unique),
+// so a retry after the insert went through but timed out finds the order
+// instead of writing it twice. ordersPlaced keeps a second, identical order
+// on the same call from being mistaken for the first.
+
+function idempotencyKey(callSid, session) {
+  const fingerprint = crypto.createHash('sha256').update(JSON.stringify({
+    cart: session.cart.map(line => [line.lineKey, line.quantity, line.price, line.notes || '']),
+    customer: [session.customerName, session.phoneNumber],
+    orderType: session.orderType,
+    pickupAt: session.pickupAt ? session.pickupAt.toISOString() : null,
+    deliveryAddress: session.deliveryAddress?.formatted || null,
+    promoCode: session.promotion?.code || null
+  })).digest('hex').slice(0, 16);
+  return `${callSid}:${session.ordersPlaced}:${fingerprint}`;
+}
+
+// orders.id derived from the idempotency key (formatted as a v4 UUID), so the
+// order number is known before the order reaches the database and a retried
+// completeOrder gets the same number
+function orderIdFor(key) {
+  const h = crypto.createHash('sha256').update(key).digest('hex');
+  const variant = ((parseInt(h[16], 16) & 0x3) | 0x8).toString(16);
+  return `${h.slice(0, 8)}-${h.slice(8, 12)}-4${h.slice(13, 16)}-${variant}${h.slice(17, 20)}-${h.slice(20, 32)}`;
 }
 
 // ── Called when Gemini fires the completeOrder tool ───────────────────────
 // Reads customerName and phoneNumber from the session (set by collectCustomerDetails).
 // Requires orderConfirmed flag (set by confirmOrder).
+// The model sometimes calls completeOrder twice — both calls get the one order.
 
 async function handleCompleteOrder(callSid) {
   const session = sessions.get(callSid);
   if (!session) return { result: 'Error: session not found', orderId: null };
 
+  // Still writing the first one
+  if (session.completing) return session.completing;
+
+  // Already written — the cart was cleared when it went through
+  if (session.cart.length === 0 && session.lastCompleted) {
+    console.log(`Duplicate completeOrder [${callSid}] — returning ${session.lastCompleted.orderNumber}`);
+    return session.lastCompleted;
+  }
+
+  session.completing = placeOrder(callSid, session);
+  try {
+    return await session.completing;
+  } finally {
+    session.completing = null;
+  }
+}
+
+async function placeOrder(callSid, session) {
   if (!session.orderConfirmed) {
     return { result: 'Error: order has not been confirmed by the customer yet. Call confirmOrder first after the customer says yes.', orderId: null };
   }
@@ -410,89 +892,130 @@ async function handleCompleteOrder(callSid) {
     return { result: 'Error: cart is empty', orderId: null };
   }
 
-  try {
-    const result = await withRetry(async () => {
-      const supabase = getSupabase();
-
-      const { data: customer, error: custErr } = await supabase
-        .from('customers')
-        .upsert(
-          { phone_number: phoneNumber, name: customerName },
-          { onConflict: 'phone_number' }
-        )
-        .select()
-        .single();
-
-      if (custErr) console.error('Customer upsert error:', custErr.message);
-
-      const subtotal = cart.reduce((s, i) => s + i.price * i.quantity, 0);
-      const total = Math.round(subtotal * (1 + TAX_RATE) * 100) / 100;
-
-      const { data: order, error: orderErr } = await supabase
-        .from('orders')
-        .insert({
-          restaurant_id: RESTAURANT_ID,
-          customer_id: customer?.id || null,
-          call_id: callDbId,
-          status: 'confirmed',
-          total_amount: total,
-          customer_name: customerName,
-          phone_number: phoneNumber
-        })
-        .select()
-        .single();
-
-      if (orderErr) {
-        throw new Error(`Order insert failed: ${orderErr.message}`);
-      }
-
-      const orderItems = cart.map(item => ({
-        order_id: order.id,
-        item_name: item.itemName,
-        quantity: item.quantity,
-        unit_price: item.price,
-        customizations: item.notes ? { notes: item.notes } : {}
-      }));
-
-      const { error: itemsErr } = await supabase
-        .from('order_items')
-        .insert(orderItems);
-
-      if (itemsErr) console.error('Order items error:', itemsErr.message);
-
-      const orderNumber = 'SB-IRV-' + order.id.substring(0, 6).toUpperCase();
-
-      console.log(`✓ Order confirmed: ${orderNumber} | Total: $${total} | Customer: ${customerName}`);
-
-      return { order, orderNumber, total };
-    });
-
-    session.cart = [];
-    session.orderConfirmed = false;
-
-    let cloverOrderId = null;
-    try {
-      cloverOrderId = await pushOrderToClover(cart, customerName, result.total);
-    } catch (cloverErr) {
-      console.error('Clover push failed (non-fatal):', cloverErr.message);
-    }
-
+  // The code may have expired or been used since the customer confirmed
+  const promoProblem = await recheckPromotion(callSid, session);
+  if (promoProblem) {
     return {
-      result: `Order confirmed successfully. Order number is ${result.orderNumber}.`,
-      orderId: result.order.id,
-      orderNumber: result.orderNumber,
-      total: result.total,
-      cloverOrderId
+      result: `${promoProblem} The discount was removed and the order was NOT placed. Tell the customer, ` +
+              'call getCartSummary and read back the new total, then call confirmOrder again once they agree.',
+      orderId: null
     };
+  }
 
+  const { totals, discount, total } = orderTotals(session);
+  // Only a promotion that actually discounted this cart is recorded
+  const promotion = discount > 0 ? session.promotion : null;
+  const key = idempotencyKey(callSid, session);
+  const orderId = orderIdFor(key);
+  const orderNumber = formatOrderNumber(orderId);
+  const pickupAt = session.pickupAt ? session.pickupAt.toISOString() : null;
+  const deliveryAddress = session.orderType === 'delivery' ? session.deliveryAddress : null;
+  const receipt = orderReceipt(session, { orderNumber, customerName, phoneNumber, cart, totals, deliveryAddress });
+  // Prepayment (payments.js): the outbox texts a payment link after the receipt
+  const payment = paymentFor(phoneNumber, { orderNumber, customerName, amountCents: totals.totalCents, language: session.language });
+
+  // On disk before anything else — from here on the order cannot be lost,
+  // even if Supabase is down for the rest of the call
+  try {
+    enqueueOrder({
+      orderId,
+      write: {
+        orderId,
+        idempotencyKey: key,
+        callId: callDbId,
+        customerName,
+        phoneNumber,
+        // Greets them in the same language next time (callerProfile.js)
+        preferredLanguage: session.language,
+        cartItems: cart,
+        // The confirmed amounts — a delayed retry must not re-price the order
+        totals,
+        pricingOpts: pricingOptions(session).opts,
+        orderType: session.orderType,
+        pickupAt,
+        deliveryAddress,
+        deliveryZone: session.deliveryZone?.id || null,
+        promotionId: promotion?.id || null
+      },
+      clover: {
+        cart,
+        customerName,
+        totals,
+        opts: { pickupAt, deliveryAddress: deliveryAddress ? deliveryAddress.formatted : null }
+      },
+      receipt,
+      payment
+    });
   } catch (err) {
-    console.error('handleCompleteOrder failed after 3 attempts:', err.message);
+    console.error(`Order outbox write failed for ${orderNumber}:`, err.message);
     return {
       result: 'I am sorry, there is a brief system issue. Your order has been noted. ' +
               'Please call us back in 2 minutes and we will get it placed immediately.',
       orderId: null
     };
   }
+
+  // First delivery attempt while the caller waits, but never for long — the
+  // outbox worker retries whatever has not gone through
+  const entry = await deliverWithin(orderId, INLINE_DELIVERY_MS);
+  const delivered = entry && entry.status === 'done';
+
+  console.log(`✓ Order confirmed: ${orderNumber} | Total: $${formatCents(totals.totalCents)} | Customer: ${customerName}` +
+              (delivered ? '' : ' (queued in the outbox — delivery will be retried)'));
+
+  session.cart = [];
+  session.orderConfirmed = false;
+
+  const pickup = describePickup(session);
+
+  session.ordersPlaced += 1;
+  session.lastCompleted = {
+    result: `Order confirmed successfully. Order number is ${orderNumber}. ` +
+            (session.orderType === 'delivery'
+              ? `It will be delivered ${pickup}.`
+              : `It will be ready for pickup ${pickup}.`) +
+            (receipt.to ? ' A receipt is being texted to the customer.' : '') +
+            (payment ? ' A payment link is also being texted: they can pay online now, or pay when they get the order.' : ''),
+    orderId,
+    orderNumber,
+    total,
+    orderType: session.orderType,
+    pickup,
+    cloverOrderId: entry?.cloverOrderId || null
+  };
+  return session.lastCompleted;
+}
+
+// The SMS receipt journalled with the order. A receipt that cannot be built
+// must not stop the order — it is recorded as skipped.
+function orderReceipt(session, { orderNumber, customerName, phoneNumber, cart, totals, deliveryAddress }) {
+  try {
+    return receiptFor(phoneNumber, {
+      orderNumber,
+      customerName,
+      cart,
+      totals,
+      orderType: session.orderType,
+      readyAt: readyAt(session),
+      deliveryAddress: deliveryAddress ? deliveryAddress.formatted : null,
+      language: session.language
+    });
+  } catch (err) {
+    console.error(`Receipt for ${orderNumber} could not be built:`, err.message);
+    return { skipped: `receipt could not be built: ${err.message}` };
+  }
+}
+
+// The outbox entry after one delivery attempt, or null if it is still running
+// after ms (it carries on in the background)
+async function deliverWithin(orderId, ms) {
+  let timer;
+  const timeout = new Promise(resolve => { timer = setTimeout(() => resolve(null), ms); });
+  try {
+    return await Promise.race([deliver(orderId), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
 }
 
 // ── Called by geminiSession.js when the call ends ─────────────────────────
@@ -509,5 +1032,14 @@ module.exports = {
   handleCompleteOrder,
   deleteSession,
   collectCustomerDetails,
-  confirmOrder
+  setPickupTime,
+  setOrderType,
+  collectDeliveryAddress,
+  getCartSummary,
+  applyPromoCode,
+  confirmOrder,
+  // Shared with placedOrders.js
+  resolveLine,
+  orderTotals,
+  buildCartSummary
 };
@@ -0,0 +1,402 @@
+// orderOutbox.js
+// Durable outbox for completed orders.
+//
+// completeOrder appends the order to an on-disk journal (fsync'd) before it
+// tries Supabase or the POS, so once the journal write succeeds the agent can
+// confirm the order even if the database is down, and the caller is never
+// kept waiting on retries. Each entry is delivered in steps, and a
+// background worker retries whatever is left with exponential backoff until
+// all have gone through:
+//   1. supabaseClient.writeOrder — idempotent per order, with the totals the
+//      caller confirmed
+//   2. the push to the restaurant's POS (posAdapter.js) and its sync status
+//      on the row. A push the POS refuses is not retried here; it is recorded
+//      on the order for the retry queue (cloverSync.js)
+//   3. the SMS receipt (orderReceipts.js) — at most once, so a crash while it
+//      is being sent records it as failed rather than texting the customer
+//      twice
+//   4. with prepayment on, the payment link (payments.js) — created and
+//      texted at most once, the same way
+//
+// The journal (ORDER_OUTBOX_PATH, default data/orderOutbox.jsonl) is
+// append-only: one JSON snapshot of an entry per line, the last line for an
+// id wins. It is compacted at startup so delivered entries do not pile up.
+// Staff can see what is still pending (and what is stuck) at GET /admin/outbox.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { writeOrder, saveCloverSync, saveReceiptSms, savePaymentLink } = require('./supabaseClient');
+const { getPosAdapter, pushOrder } = require('./posAdapter');
+const { syncUpdate } = require('./cloverSync');
+const { sendReceipt } = require('./orderReceipts');
+const { createPaymentLink, sendPaymentLink, paymentLinkUpdate } = require('./payments');
+const { formatOrderNumber } = require('./orderLookup');
+const { currentRestaurant, getRestaurant, defaultRestaurant, withRestaurant } = require('./restaurants');
+
+const DEFAULT_OUTBOX_PATH = path.join(__dirname, 'data', 'orderOutbox.jsonl');
+const DEFAULT_POLL_MS = 5_000;
+
+// Backoff between attempts: 5s, 10s, 20s ... capped at 5 minutes
+const BASE_BACKOFF_MS = 5_000;
+const MAX_BACKOFF_MS = 5 * 60_000;
+
+// An entry that has failed this many times shows up as stuck in the admin view.
+// It keeps being retried.
+const STUCK_AFTER_ATTEMPTS = 5;
+
+// id → entry snapshot (see enqueueOrder)
+let _entries = null;
+let _outboxPath = null;
+const _inFlight = new Map();   // id → Promise of the delivery in progress
+let _workerTimer = null;
+
+// ---------------------------------------------------------------------------
+// Journal
+// ---------------------------------------------------------------------------
+
+function getOutboxPath() {
+  return _outboxPath || process.env.ORDER_OUTBOX_PATH || DEFAULT_OUTBOX_PATH;
+}
+
+// Appends one line and fsyncs — the entry is on disk when this returns
+function appendLine(file, line) {
+  const fd = fs.openSync(file, 'a');
+  try {
+    fs.writeSync(fd, line + '\n');
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Reads the journal into memory and rewrites it with only the entries that
+ * are still pending. A torn last line (crash mid-append) is skipped.
+ *
+ * @returns {Map<string, object>}
+ */
+function loadJournal() {
+  const file = getOutboxPath();
+  const entries = new Map();
+
+  if (fs.existsSync(file)) {
+    const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+    lines.forEach((line, i) => {
+      try {
+        const entry = JSON.parse(line);
+        entries.set(entry.id, entry);
+      } catch (_) {
+        console.warn(`[orderOutbox] Skipping unreadable journal line ${i + 1} in ${file}`);
+      }
+    });
+  }
+
+  for (const [id, entry] of entries) {
+    if (entry.status === 'done') entries.delete(id);
+  }
+
+  // Compact: write the pending entries to a new file, then swap it in
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, [...entries.values()].map(e => JSON.stringify(e) + '\n').join(''));
+  const fd = fs.openSync(tmp, 'r');
+  try { fs.fsyncSync(fd); } finally { fs.closeSync(fd); }
+  fs.renameSync(tmp, file);
+
+  if (entries.size > 0) {
+    console.log(`[orderOutbox] ${entries.size} order(s) pending delivery from ${file}`);
+  }
+  return entries;
+}
+
+function getEntries() {
+  if (!_entries) _entries = loadJournal();
+  return _entries;
+}
+
+function save(entry) {
+  appendLine(getOutboxPath(), JSON.stringify(entry));
+  getEntries().set(entry.id, entry);
+  return entry;
+}
+
+// ---------------------------------------------------------------------------
+// Enqueue and deliver
+// ---------------------------------------------------------------------------
+
+/**
+ * Puts a completed order in the outbox, for the current restaurant
+ * (restaurants.js). Idempotent: an entry with the same order id is returned
+ * as it is.
+ *
+ * @param {object} order
+ * @param {string} order.orderId - orders.id the order will be written with
+ * @param {object} order.write   - writeOrder() argument (pickupAt as an ISO string), with the
+ *                                 confirmed totals so a later attempt writes the same amounts
+ * @param {object} order.clover  - { cart, customerName, totals, opts: { pickupAt, deliveryAddress } }
+ * @param {object} [order.receipt] - orderReceipts.receiptFor() result
+ * @param {object} [order.payment] - payments.paymentFor() result; null when paid at pickup
+ * @returns {object} the entry
+ * @throws if the journal cannot be written — the order is NOT safe
+ */
+function enqueueOrder({ orderId, write, clover, receipt = null, payment = null }) {
+  const existing = getEntries().get(orderId);
+  if (existing) return existing;
+
+  return save({
+    id: orderId,
+    restaurant: currentRestaurant().key,
+    orderNumber: formatOrderNumber(orderId),
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+    write,
+    clover,
+    written: false,
+    cloverOrderId: null,
+    cloverFailures: [],
+    cloverError: null,
+    cloverSaved: false,
+    receipt,
+    receiptSending: false,
+    receiptResult: null,
+    receiptSaved: false,
+    payment,
+    paymentLink: null,
+    paymentTexting: false,
+    paymentTexted: null,
+    paymentSaved: false,
+    attempts: 0,
+    lastError: null,
+    nextAttemptAt: new Date().toISOString(),
+  });
+}
+
+function backoffMs(attempts) {
+  return Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+}
+
+// Runs the steps that have not gone through yet. Each completed step is
+// journalled before the next, so a crash never repeats a finished step.
+async function runSteps(entry) {
+  if (!entry.written) {
+    const written = await writeOrder({
+      ...entry.write,
+      pickupAt: entry.write.pickupAt ? new Date(entry.write.pickupAt) : null,
+    });
+    // Found by its idempotency key — an earlier attempt may have reached the POS
+    entry = save({ ...entry, written: true, cloverOrderId: written.cloverOrderId, cloverSaved: Boolean(written.cloverOrderId) });
+  }
+
+  const adapter = getPosAdapter();
+  if (!entry.cloverSaved && !adapter.isConfigured()) {
+    await saveCloverSync(entry.id, { status: 'skipped' });
+    entry = save({ ...entry, cloverSaved: true });
+  }
+
+  // One push only. If the POS refuses the order, or part of it, the order is
+  // still done here: the sync status goes on the row and the retry queue
+  // (cloverSync.js) takes it from there.
+  if (!entry.cloverSaved && !entry.cloverOrderId && !entry.cloverError) {
+    const { cart, customerName, totals, opts } = entry.clover;
+    try {
+      const { posOrderId, failures } = await pushOrder(adapter, cart, customerName, totals, {
+        ...opts,
+        pickupAt: opts.pickupAt ? new Date(opts.pickupAt) : null,
+      });
+      entry = save({ ...entry, cloverOrderId: posOrderId, cloverFailures: failures });
+    } catch (err) {
+      console.error(`[orderOutbox] ${entry.orderNumber} ${adapter.label} push failed — handing it to the retry queue: ${err.message}`);
+      entry = save({ ...entry, cloverError: err.message });
+    }
+  }
+
+  // Kept on the order so later changes and cancellations reach the kitchen
+  if (!entry.cloverSaved) {
+    await saveCloverSync(entry.id, syncUpdate({
+      cloverOrderId: entry.cloverOrderId,
+      failures: entry.cloverFailures,
+      error: entry.cloverError ? new Error(entry.cloverError) : undefined,
+    }, 1));
+    entry = save({ ...entry, cloverSaved: true });
+  }
+
+  // Journalled as sending before the text goes out: after a crash mid-send
+  // it is recorded as failed, never sent a second time
+  if (entry.receipt && !entry.receiptSaved) {
+    if (!entry.receiptResult) {
+      let receiptResult;
+      if (entry.receiptSending) {
+        receiptResult = { status: 'failed', error: 'interrupted while sending — not sent again' };
+      } else {
+        entry = save({ ...entry, receiptSending: true });
+        receiptResult = await sendReceipt(entry.receipt, entry.orderNumber);
+      }
+      entry = save({ ...entry, receiptResult });
+    }
+    await saveReceiptSms(entry.id, entry.receiptResult);
+    entry = save({ ...entry, receiptSaved: true });
+  }
+
+  // The same for the payment link. Creating it is safe to repeat (one link
+  // per order at the provider); a link that cannot be created or texted is
+  // not retried — the order is paid at pickup
+  if (entry.payment && !entry.paymentSaved) {
+    if (!entry.paymentLink) {
+      entry = save({ ...entry, paymentLink: await createPaymentLink(entry.id, entry.payment) });
+    }
+    if (!entry.paymentLink.error && !entry.paymentTexted) {
+      let paymentTexted;
+      if (entry.paymentTexting) {
+        paymentTexted = { status: 'failed', error: 'interrupted while sending — not sent again' };
+      } else {
+        entry = save({ ...entry, paymentTexting: true });
+        paymentTexted = await sendPaymentLink(entry.payment, entry.paymentLink);
+      }
+      entry = save({ ...entry, paymentTexted });
+    }
+    await savePaymentLink(entry.id, paymentLinkUpdate(entry.paymentLink, entry.paymentTexted));
+    entry = save({ ...entry, paymentSaved: true });
+  }
+
+  return save({ ...entry, status: 'done', lastError: null, nextAttemptAt: null, doneAt: new Date().toISOString() });
+}
+
+async function attempt(id) {
+  let entry = getEntries().get(id);
+  // Entries journalled before restaurants were added belong to the default one
+  const restaurant = getRestaurant(entry.restaurant) || defaultRestaurant();
+  try {
+    entry = await withRestaurant(restaurant, () => runSteps(entry));
+    if (entry.attempts > 0) console.log(`[orderOutbox] ${entry.orderNumber} delivered after ${entry.attempts + 1} attempt(s)`);
+  } catch (err) {
+    const current = getEntries().get(id);
+    const attempts = current.attempts + 1;
+    const wait = backoffMs(attempts);
+    entry = {
+      ...current,
+      attempts,
+      lastError: err.message,
+      nextAttemptAt: new Date(Date.now() + wait).toISOString(),
+    };
+    try {
+      save(entry);
+    } catch (journalErr) {
+      // Still retried — the in-memory entry carries the backoff until restart
+      getEntries().set(id, entry);
+      console.error(`[orderOutbox] Journal write failed for ${entry.orderNumber}:`, journalErr.message);
+    }
+    console.error(`[orderOutbox] ${entry.orderNumber} ${entry.written ? 'status save' : 'database write'} failed ` +
+                  `(attempt ${attempts}, retrying in ${Math.round(wait / 1000)}s): ${err.message}`);
+  }
+  return entry;
+}
+
+/**
+ * One delivery attempt for an entry, now. A failed attempt does not reject —
+ * it is journalled and the worker retries it later.
+ *
+ * @param {string} id
+ * @returns {Promise<object>} the entry afterwards (status 'done' when fully delivered)
+ */
+function deliver(id) {
+  const entry = getEntries().get(id);
+  if (!entry) return Promise.reject(new RangeError(`orderOutbox: no entry "${id}"`));
+  if (entry.status === 'done') return Promise.resolve(entry);
+
+  // The worker and completeOrder must not deliver the same entry at once
+  if (_inFlight.has(id)) return _inFlight.get(id);
+  const running = attempt(id).finally(() => _inFlight.delete(id));
+  _inFlight.set(id, running);
+  return running;
+}
+
+// ---------------------------------------------------------------------------
+// Background worker
+// ---------------------------------------------------------------------------
+
+async function deliverDue() {
+  const now = Date.now();
+  const due = [...getEntries().values()]
+    .filter(e => e.status === 'pending' && new Date(e.nextAttemptAt).getTime() <= now);
+  // One at a time — during an outage there is no point hammering the database
+  for (const entry of due) {
+    await deliver(entry.id);
+  }
+}
+
+/**
+ * Loads the journal and starts retrying pending entries every
+ * ORDER_OUTBOX_POLL_MS.
+ *
+ * @param {number} [intervalMs]
+ */
+function startOutboxWorker(intervalMs = parseInt(process.env.ORDER_OUTBOX_POLL_MS || DEFAULT_POLL_MS, 10)) {
+  stopOutboxWorker();
+  getEntries();
+  let running = false;
+  const tick = () => {
+    if (running) return;
+    running = true;
+    deliverDue()
+      .catch(err => console.error('[orderOutbox] Worker pass failed:', err.message))
+      .finally(() => { running = false; });
+  };
+
+  tick();
+  _workerTimer = setInterval(tick, intervalMs);
+  _workerTimer.unref(); // don't keep the process alive for this timer
+}
+
+function stopOutboxWorker() {
+  if (_workerTimer) {
+    clearInterval(_workerTimer);
+    _workerTimer = null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Admin view
+// ---------------------------------------------------------------------------
+
+/**
+ * Entries not yet fully delivered, oldest first, without the order payload.
+ * @returns {Array<{ id: string, restaurant: string, orderNumber: string, customerName: string, createdAt: string,
+ *                   written: boolean, cloverOrderId: string|null, attempts: number,
+ *                   lastError: string|null, nextAttemptAt: string, stuck: boolean }>}
+ */
+function listPending() {
+  return [...getEntries().values()]
+    .filter(e => e.status === 'pending')
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .map(e => ({
+      id: e.id,
+      restaurant: e.restaurant || defaultRestaurant().key,
+      orderNumber: e.orderNumber,
+      customerName: e.write.customerName,
+      createdAt: e.createdAt,
+      written: e.written,
+      cloverOrderId: e.cloverOrderId,
+      attempts: e.attempts,
+      lastError: e.lastError,
+      nextAttemptAt: e.nextAttemptAt,
+      stuck: e.attempts >= STUCK_AFTER_ATTEMPTS,
+    }));
+}
+
+// Exposed for testing — points the outbox at another journal and forgets the loaded one
+function _setOutboxPath(file) {
+  _outboxPath = file;
+  _entries = null;
+}
+
+module.exports = {
+  STUCK_AFTER_ATTEMPTS,
+  enqueueOrder,
+  deliver,
+  startOutboxWorker,
+  stopOutboxWorker,
+  listPending,
+  _setOutboxPath,
+};
@@ -0,0 +1,226 @@
+// orderReceipts.js
+// SMS receipt for a completed order: the items, total, pickup or delivery
+// time and order number, texted to the phone number the customer confirmed.
+//
+// Templates live in data/receipts.json (override with RECEIPT_TEMPLATES_PATH):
+//   enabled         false turns receipts off — the shipped file has them off
+//                   until a real SMS_PROVIDER is set up (smsSender.js)
+//   templates       language → { pickup, delivery }; the order's language
+//                   (orders are taken in the caller's language) picks the
+//                   template, English when there is none for it
+// Placeholders: {restaurant} (the restaurant's name, restaurants.js) {name}
+// {orderNumber} {items} {subtotal} {tax} {total} {time} {address}. {items} is one line per item, then any fees and
+// discounts, priced in dollars; {subtotal} {tax} {total} are plain amounts
+// ("12.50"), so templates put the "$".
+//
+// completeOrder builds the receipt with the order (receiptFor) and the outbox
+// sends it once the order is written (orderOutbox.js) — at most once, and the
+// outcome is saved on the order (supabaseClient.saveReceiptSms).
+//
+// server.js calls getReceiptConfig() at startup so a bad file stops the process.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { formatCents } = require('./pricing');
+const { formatLocalDateTime } = require('./schedule');
+const { SUPPORTED_LANGUAGES } = require('./callerProfile');
+const { getSmsSender } = require('./smsSender');
+const { restaurantConfig, currentRestaurant } = require('./restaurants');
+
+const DEFAULT_RECEIPTS_PATH = path.join(__dirname, 'data', 'receipts.json');
+
+const DEFAULT_LANGUAGE = 'English';
+const TEMPLATE_KINDS = ['pickup', 'delivery'];
+const PLACEHOLDERS = ['restaurant', 'name', 'orderNumber', 'items', 'subtotal', 'tax', 'total', 'time', 'address'];
+
+// ---------------------------------------------------------------------------
+// Lazy, per restaurant — each restaurant's file (restaurants.js) is loaded
+// and validated once, on first use
+// ---------------------------------------------------------------------------
+let _config = null;   // set by tests — used for every restaurant
+
+const loadForRestaurant = restaurantConfig('receipts', () => process.env.RECEIPT_TEMPLATES_PATH || DEFAULT_RECEIPTS_PATH, loadReceiptConfig);
+
+function getReceiptConfig() {
+  return _config || loadForRestaurant();
+}
+
+// Exposed for testing — receipts turned on with short templates, whatever data/receipts.json ships
+function _setReceiptConfig(config) {
+  _config = config;
+}
+
+// ---------------------------------------------------------------------------
+// Loading & validation
+// ---------------------------------------------------------------------------
+
+/**
+ * Reads and validates a receipt template file.
+ *
+ * @param {string} filePath
+ * @returns {{ enabled: boolean, templates: Object<string, { pickup: string, delivery: string }> }}
+ * @throws if the file cannot be read, is not valid JSON, or fails validation
+ */
+function loadReceiptConfig(filePath) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`[orderReceipts] Cannot load ${filePath}: ${err.message}`);
+  }
+
+  const problems = validateReceiptConfig(raw);
+  if (problems.length > 0) {
+    throw new Error(
+      `[orderReceipts] ${filePath} is inconsistent (${problems.length} problem(s)):\n  - ` +
+      problems.join('\n  - ')
+    );
+  }
+
+  const config = {
+    enabled: raw.enabled !== false,
+    templates: raw.templates,
+  };
+  console.log(`[orderReceipts] SMS receipts ${config.enabled ? 'on' : 'off'}, templates for ` +
+              `${Object.keys(config.templates).join(', ')} (${filePath})`);
+  return config;
+}
+
+/**
+ * @param {object} raw - parsed receipt template JSON
+ * @returns {string[]} - human-readable problems (empty when valid)
+ */
+function validateReceiptConfig(raw) {
+  if (!raw || typeof raw !== 'object') return ['Receipt config must be a JSON object'];
+  const problems = [];
+
+  if (raw.enabled !== undefined && typeof raw.enabled !== 'boolean') problems.push('enabled must be true or false');
+
+  const templates = raw.templates;
+  if (!templates || typeof templates !== 'object' || Array.isArray(templates)) {
+    problems.push('templates must be an object of language → { pickup, delivery }');
+    return problems;
+  }
+  if (!templates[DEFAULT_LANGUAGE]) problems.push(`templates.${DEFAULT_LANGUAGE} is required — it is used for every other language`);
+
+  for (const [language, set] of Object.entries(templates)) {
+    if (!SUPPORTED_LANGUAGES.includes(language)) {
+      problems.push(`templates: "${language}" is not one of: ${SUPPORTED_LANGUAGES.join(', ')}`);
+    }
+    for (const kind of TEMPLATE_KINDS) {
+      const template = set && set[kind];
+      if (typeof template !== 'string' || !template.trim()) {
+        problems.push(`templates.${language}.${kind} is required`);
+        continue;
+      }
+      for (const [, name] of template.matchAll(/\{(\w+)\}/g)) {
+        if (!PLACEHOLDERS.includes(name)) problems.push(`templates.${language}.${kind}: unknown placeholder {${name}}`);
+      }
+      if (!template.includes('{orderNumber}')) problems.push(`templates.${language}.${kind} must include {orderNumber}`);
+    }
+  }
+  return problems;
+}
+
+// ---------------------------------------------------------------------------
+// Building and sending
+// ---------------------------------------------------------------------------
+
+// "2 x Masala Dosa (Extra Sambar) $25.98", then fees and discounts
+function itemLines(cart, totals) {
+  const lines = cart.map((item, i) => {
+    const modifiers = (item.modifiers || []).map(m => m.name);
+    return `${item.quantity} x ${item.itemName}${modifiers.length > 0 ? ` (${modifiers.join(', ')})` : ''} ` +
+           `$${formatCents(totals.lines[i].lineTotalCents)}`;
+  });
+  for (const fee of totals.fees) lines.push(`${fee.name} $${formatCents(fee.amountCents)}`);
+  for (const discount of totals.discounts) {
+    if (discount.amountCents > 0) lines.push(`${discount.name} -$${formatCents(discount.amountCents)}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Receipt text for an order.
+ *
+ * @param {object} order
+ * @param {string} order.orderNumber
+ * @param {string} order.customerName
+ * @param {Array}  order.cart
+ * @param {object} order.totals            - from pricing.priceCart
+ * @param {string} order.orderType         - 'pickup' | 'delivery'
+ * @param {Date}   order.readyAt           - scheduled time, or the estimate for an as-soon-as-possible order
+ * @param {string} [order.deliveryAddress] - formatted address
+ * @param {string} [order.language]        - e.g. 'Tamil'
+ * @returns {string}
+ */
+function buildReceipt(order, config = getReceiptConfig()) {
+  const set = config.templates[order.language] || config.templates[DEFAULT_LANGUAGE];
+  const template = order.orderType === 'delivery' ? set.delivery : set.pickup;
+  const values = {
+    restaurant: currentRestaurant().name,
+    name: order.customerName,
+    orderNumber: order.orderNumber,
+    items: itemLines(order.cart, order.totals),
+    subtotal: formatCents(order.totals.subtotalCents),
+    tax: formatCents(order.totals.taxCents),
+    total: formatCents(order.totals.totalCents),
+    time: formatLocalDateTime(order.readyAt),
+    address: order.deliveryAddress || '',
+  };
+  return template.replace(/\{(\w+)\}/g, (_, name) => values[name]);
+}
+
+/**
+ * The receipt to journal with a completed order: the message to send, or why
+ * none is sent.
+ *
+ * @param {string} phoneNumber - E.164, as confirmed by the customer
+ * @param {object} order       - see buildReceipt
+ * @returns {{ to: string, body: string }|{ skipped: string }}
+ */
+function receiptFor(phoneNumber, order) {
+  if (!getReceiptConfig().enabled) return { skipped: 'SMS receipts are turned off' };
+  if (!getSmsSender()) return { skipped: 'SMS_PROVIDER is off' };
+  return { to: phoneNumber, body: buildReceipt(order) };
+}
+
+/**
+ * Sends a receipt from receiptFor(). Never throws — a failed send is the
+ * result, for saveReceiptSms. A receipt the stub sender only logged is
+ * 'stubbed', not 'sent'.
+ *
+ * @param {{ to: string, body: string }|{ skipped: string }} receipt
+ * @param {string} orderNumber - for the log
+ * @returns {Promise<{ status: 'sent'|'stubbed'|'failed'|'skipped', messageId?: string, error?: string, sentAt?: string }>}
+ */
+async function sendReceipt(receipt, orderNumber) {
+  if (receipt.skipped) return { status: 'skipped', error: receipt.skipped };
+  try {
+    const sender = getSmsSender();
+    if (!sender) return { status: 'skipped', error: 'SMS_PROVIDER is off' };
+    const { messageId, status } = await sender.send({ to: receipt.to, body: receipt.body });
+    if (status === 'stubbed') {
+      console.log(`[orderReceipts] Receipt for ${orderNumber} logged by the stub sender — not texted`);
+      return { status: 'stubbed', messageId };
+    }
+    console.log(`✓ Receipt texted for ${orderNumber} (${sender.name} ${messageId})`);
+    return { status: 'sent', messageId, sentAt: new Date().toISOString() };
+  } catch (err) {
+    console.error(`[orderReceipts] Receipt SMS failed for ${orderNumber}: ${err.message}`);
+    return { status: 'failed', error: err.message };
+  }
+}
+
+module.exports = {
+  getReceiptConfig,
+  loadReceiptConfig,
+  validateReceiptConfig,
+  buildReceipt,
+  receiptFor,
+  sendReceipt,
+  // Exported for testing
+  _setReceiptConfig,
+};
@@ -0,0 +1,391 @@
+// payments.js
+// Optional prepayment: a payment link texted to the customer once the order
+// is placed, and the payment provider's webhook that reports it paid.
+//
+// Settings live in data/payments.json (override with PAYMENTS_CONFIG_PATH):
+//   prepay              false keeps paying at pickup, with no links at all
+//   provider            which payment provider creates the links (PROVIDERS)
+//   linkExpiresMinutes  how long a link can be paid
+//   messages            language → the text with the link; the order's
+//                       language picks it, English when there is none for it
+// Placeholders: {restaurant} {name} {orderNumber} {total} {link} {expires}.
+// {total} is a plain amount ("12.50"), so messages put the "$".
+//
+// The outbox (orderOutbox.js) creates the link and texts it — at most once —
+// after the order is written and pushed to the POS, and records it on the
+// order (orders.payment_status 'awaiting_payment'). A link that cannot be
+// created or texted leaves the order 'unpaid': it is paid at pickup as before.
+//
+// The provider reports back at POST /webhooks/payments/:provider:
+//   paid     → orders.payment_status 'paid', paid_at; the payment is recorded
+//              on the POS order and its note says so
+//   expired  → 'unpaid', and the POS order note tells staff to collect payment
+// Supabase is updated first — the Clover webhook must see the order as paid
+// by link before Clover reports it PAID (cloverWebhook.js).
+//
+// The fake provider (fakePayments.js) takes no money, so prepay with it is
+// refused unless NODE_ENV=development — otherwise a customer could "pay" a
+// real order from the texted link.
+//
+// server.js calls getPaymentConfig() at startup so a bad file stops the process.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { formatCents, toCents } = require('./pricing');
+const { formatLocalDateTime } = require('./schedule');
+const { SUPPORTED_LANGUAGES } = require('./callerProfile');
+const { getSmsSender } = require('./smsSender');
+const { currentRestaurant, getRestaurant, defaultRestaurant, withRestaurant } = require('./restaurants');
+const { fetchPlacedOrder, updateOrderPayment } = require('./supabaseClient');
+const { getPosAdapter, orderNote } = require('./posAdapter');
+const { orderForClover } = require('./cloverSync');
+const { formatOrderNumber } = require('./orderLookup');
+const { fakePaymentProvider } = require('./fakePayments');
+
+const DEFAULT_PAYMENTS_PATH = path.join(__dirname, 'data', 'payments.json');
+
+const DEFAULT_LANGUAGE = 'English';
+const PLACEHOLDERS = ['restaurant', 'name', 'orderNumber', 'total', 'link', 'expires'];
+
+/**
+ * @typedef {object} PaymentEvent
+ * @property {string} orderId    - orders.id the link was created for
+ * @property {string} restaurant - key of the restaurant that created the link (restaurants.js)
+ * @property {string} linkId
+ * @property {'paid'|'expired'} status
+ * @property {Date}   [paidAt]
+ * @property {string} [reference] - the provider's payment id
+ */
+
+/**
+ * @typedef {object} PaymentProvider
+ * @property {string} name  - key in data/payments.json
+ * @property {string} label - for log lines
+ * @property {(link: { orderId: string, restaurant: string, orderNumber: string, amountCents: number,
+ *                     description: string, expiresAt: Date }) => Promise<{ id: string, url: string }>} createLink
+ *           - one link per order: asked again for the same order, the same link
+ * @property {boolean} [developmentOnly] - takes no money: prepay is refused with it outside NODE_ENV=development
+ * @property {(req: object) => Promise<PaymentEvent[]|null>} parseWebhook
+ *           - the events in a webhook request; null when the request is not genuine. The same
+ *             event may come again (a retry after a failed webhook) — applying it twice changes nothing
+ */
+
+const PROVIDERS = {
+  fake: fakePaymentProvider,
+};
+
+// ---------------------------------------------------------------------------
+// Lazy singleton — loaded and validated once, on first use
+// ---------------------------------------------------------------------------
+let _config = null;
+
+function getPaymentConfig() {
+  if (!_config) {
+    _config = loadPaymentConfig(process.env.PAYMENTS_CONFIG_PATH || DEFAULT_PAYMENTS_PATH);
+  }
+  return _config;
+}
+
+// Exposed for testing — used as given, without validation, so tests can run prepay with the fake provider
+function _setPaymentConfig(config) {
+  _config = config;
+}
+
+// ---------------------------------------------------------------------------
+// Loading & validation
+// ---------------------------------------------------------------------------
+
+/**
+ * Reads and validates a payments config file.
+ *
+ * @param {string} filePath
+ * @returns {{ prepay: boolean, provider: string, linkExpiresMinutes: number, messages: Object<string, string> }}
+ * @throws if the file cannot be read, is not valid JSON, or fails validation
+ */
+function loadPaymentConfig(filePath) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`[payments] Cannot load ${filePath}: ${err.message}`);
+  }
+
+  const problems = validatePaymentConfig(raw);
+  if (problems.length > 0) {
+    throw new Error(
+      `[payments] ${filePath} is inconsistent (${problems.length} problem(s)):\n  - ` +
+      problems.join('\n  - ')
+    );
+  }
+
+  const config = {
+    prepay: raw.prepay === true,
+    provider: raw.provider,
+    linkExpiresMinutes: raw.linkExpiresMinutes,
+    messages: raw.messages,
+  };
+  console.log(`[payments] Prepayment ${config.prepay
+    ? `on — ${PROVIDERS[config.provider].label} links, valid ${config.linkExpiresMinutes} min`
+    : 'off — orders are paid at pickup'} (${filePath})`);
+  return config;
+}
+
+/**
+ * @param {object} raw - parsed payments config JSON
+ * @returns {string[]} - human-readable problems (empty when valid)
+ */
+function validatePaymentConfig(raw) {
+  if (!raw || typeof raw !== 'object') return ['Payments config must be a JSON object'];
+  const problems = [];
+
+  if (raw.prepay !== undefined && typeof raw.prepay !== 'boolean') problems.push('prepay must be true or false');
+  const provider = PROVIDERS[raw.provider];
+  if (!provider) problems.push(`provider "${raw.provider}" is not one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  if (raw.prepay === true && provider?.developmentOnly && process.env.NODE_ENV !== 'development') {
+    problems.push(`provider "${raw.provider}" takes no money — prepay needs a real provider (or NODE_ENV=development to try it out)`);
+  }
+  if (!Number.isInteger(raw.linkExpiresMinutes) || raw.linkExpiresMinutes <= 0) {
+    problems.push('linkExpiresMinutes must be a positive integer');
+  }
+
+  const messages = raw.messages;
+  if (!messages || typeof messages !== 'object' || Array.isArray(messages)) {
+    problems.push('messages must be an object of language → message');
+    return problems;
+  }
+  if (!messages[DEFAULT_LANGUAGE]) problems.push(`messages.${DEFAULT_LANGUAGE} is required — it is used for every other language`);
+
+  for (const [language, message] of Object.entries(messages)) {
+    if (!SUPPORTED_LANGUAGES.includes(language)) {
+      problems.push(`messages: "${language}" is not one of: ${SUPPORTED_LANGUAGES.join(', ')}`);
+    }
+    if (typeof message !== 'string' || !message.trim()) {
+      problems.push(`messages.${language} is required`);
+      continue;
+    }
+    for (const [, name] of message.matchAll(/\{(\w+)\}/g)) {
+      if (!PLACEHOLDERS.includes(name)) problems.push(`messages.${language}: unknown placeholder {${name}}`);
+    }
+    if (!message.includes('{link}')) problems.push(`messages.${language} must include {link}`);
+  }
+  return problems;
+}
+
+/**
+ * The provider that creates payment links.
+ *
+ * @param {string} [name] - defaults to the configured provider
+ * @returns {PaymentProvider|undefined}
+ */
+function getPaymentProvider(name = getPaymentConfig().provider) {
+  return PROVIDERS[name];
+}
+
+// ---------------------------------------------------------------------------
+// Creating and texting a link (orderOutbox.js)
+// ---------------------------------------------------------------------------
+
+/**
+ * The payment request to journal with a completed order, or null when the
+ * order is paid at pickup (prepayment off, or no texts to send the link with).
+ *
+ * @param {string} phoneNumber - E.164, as confirmed by the customer
+ * @param {object} order
+ * @param {string} order.orderNumber
+ * @param {string} order.customerName
+ * @param {number} order.amountCents
+ * @param {string} [order.language]
+ * @returns {{ to: string, orderNumber: string, customerName: string, amountCents: number, language: string|null }|null}
+ */
+function paymentFor(phoneNumber, order) {
+  if (!getPaymentConfig().prepay) return null;
+  if (!getSmsSender()) {
+    console.warn(`[payments] No payment link for ${order.orderNumber} — SMS_PROVIDER is off, it is paid at pickup`);
+    return null;
+  }
+  return {
+    to: phoneNumber,
+    orderNumber: order.orderNumber,
+    customerName: order.customerName,
+    amountCents: order.amountCents,
+    language: order.language || null,
+  };
+}
+
+/**
+ * Creates the order's payment link. Never throws — a link that cannot be
+ * created is the result, and the order is paid at pickup.
+ *
+ * @param {string} orderId
+ * @param {object} payment - from paymentFor
+ * @returns {Promise<{ provider: string, id: string, url: string, expiresAt: string }|{ provider: string, error: string }>}
+ */
+async function createPaymentLink(orderId, payment) {
+  const config = getPaymentConfig();
+  const provider = getPaymentProvider();
+  const expiresAt = new Date(Date.now() + config.linkExpiresMinutes * 60_000);
+  try {
+    const { id, url } = await provider.createLink({
+      orderId,
+      restaurant: currentRestaurant().key,
+      orderNumber: payment.orderNumber,
+      amountCents: payment.amountCents,
+      description: `${currentRestaurant().name} order ${payment.orderNumber}`,
+      expiresAt,
+    });
+    console.log(`✓ Payment link created for ${payment.orderNumber} (${provider.label} ${id})`);
+    return { provider: provider.name, id, url, expiresAt: expiresAt.toISOString() };
+  } catch (err) {
+    console.error(`[payments] Payment link failed for ${payment.orderNumber} — it is paid at pickup: ${err.message}`);
+    return { provider: provider.name, error: err.message };
+  }
+}
+
+/**
+ * Text with the link, in the order's language.
+ *
+ * @param {object} payment - from paymentFor
+ * @param {{ url: string, expiresAt: string }} link
+ * @returns {string}
+ */
+function buildPaymentMessage(payment, link, config = getPaymentConfig()) {
+  const template = config.messages[payment.language] || config.messages[DEFAULT_LANGUAGE];
+  const values = {
+    restaurant: currentRestaurant().name,
+    name: payment.customerName,
+    orderNumber: payment.orderNumber,
+    total: formatCents(payment.amountCents),
+    link: link.url,
+    expires: formatLocalDateTime(new Date(link.expiresAt)),
+  };
+  return template.replace(/\{(\w+)\}/g, (_, name) => values[name]);
+}
+
+/**
+ * Texts the link. Never throws — a failed send is the result.
+ *
+ * @param {object} payment - from paymentFor
+ * @param {{ url: string, expiresAt: string }} link - from createPaymentLink
+ * @returns {Promise<{ status: 'sent'|'failed', messageId?: string, error?: string }>}
+ */
+async function sendPaymentLink(payment, link) {
+  try {
+    const sender = getSmsSender();
+    if (!sender) return { status: 'failed', error: 'SMS_PROVIDER is off' };
+    const { messageId } = await sender.send({ to: payment.to, body: buildPaymentMessage(payment, link) });
+    console.log(`✓ Payment link texted for ${payment.orderNumber} (${sender.name} ${messageId})`);
+    return { status: 'sent', messageId };
+  } catch (err) {
+    console.error(`[payments] Payment link SMS failed for ${payment.orderNumber}: ${err.message}`);
+    return { status: 'failed', error: err.message };
+  }
+}
+
+/**
+ * The supabaseClient.savePaymentLink() argument for a link and how texting it went.
+ *
+ * @param {object} link     - from createPaymentLink
+ * @param {object} [texted] - from sendPaymentLink; absent when there was no link to text
+ * @returns {{ status: 'awaiting_payment'|'unpaid', provider: string, linkId?: string, url?: string, error?: string }}
+ */
+function paymentLinkUpdate(link, texted) {
+  if (link.error) return { status: 'unpaid', provider: link.provider, error: `payment link not created: ${link.error}` };
+  const base = { provider: link.provider, linkId: link.id, url: link.url };
+  if (texted.status !== 'sent') return { ...base, status: 'unpaid', error: `payment link not texted: ${texted.error}` };
+  return { ...base, status: 'awaiting_payment' };
+}
+
+// ---------------------------------------------------------------------------
+// Webhook events
+// ---------------------------------------------------------------------------
+
+// Marks the POS order paid or unpaid. Best effort: the order row is already
+// right, and staff can see the payment on it. An order not on the POS yet
+// gets the note when the sync queue pushes it (cloverSync.orderForClover).
+async function markPosOrder(row, event) {
+  if (!row.clover_order_id) return;
+  const adapter = getPosAdapter(row.restaurant_id);
+  if (!adapter.isConfigured()) return;
+
+  const orderNumber = formatOrderNumber(row.id);
+  try {
+    const { customerName, opts } = orderForClover(row);
+    if (event.status === 'paid') {
+      const failure = await adapter.recordPayment(row.clover_order_id, {
+        amountCents: toCents(Number(row.total_amount)),
+        reference: event.reference || event.linkId,
+      });
+      if (failure) console.error(`[payments] ${orderNumber} payment not recorded on ${adapter.label} — the note says it is paid: ${failure.error}`);
+    }
+    await adapter.setNote(row.clover_order_id, orderNote(customerName, opts));
+  } catch (err) {
+    console.error(`[payments] ${orderNumber} ${adapter.label} update failed: ${err.message}`);
+  }
+}
+
+async function applyPaymentEvent(event) {
+  const orderNumber = formatOrderNumber(event.orderId);
+  const row = await fetchPlacedOrder(event.orderId);
+  // Not written yet (the outbox is behind) — throw so the event comes back later
+  if (!row) throw new Error(`order ${orderNumber} not found`);
+  if (row.payment_link_id && row.payment_link_id !== event.linkId) {
+    console.warn(`[payments] ${orderNumber}: event for link ${event.linkId}, the order has ${row.payment_link_id} — ignored`);
+    return { orderNumber, outcome: 'not_ours' };
+  }
+
+  const updated = event.status === 'paid'
+    ? await updateOrderPayment(row.id, {
+      status: 'paid',
+      fromStatuses: [null, 'awaiting_payment', 'unpaid'],
+      linkId: event.linkId,
+      paidAt: event.paidAt || new Date(),
+      reference: event.reference,
+    })
+    : await updateOrderPayment(row.id, {
+      status: 'unpaid',
+      fromStatuses: ['awaiting_payment'],
+      linkId: event.linkId,
+      error: 'payment link expired',
+    });
+  if (!updated) return { orderNumber, outcome: 'unchanged' };
+
+  if (event.status === 'paid') {
+    console.log(`✓ ${orderNumber} paid by payment link (${event.reference || event.linkId})`);
+    if (row.status === 'cancelled') console.warn(`[payments] ${orderNumber} was paid after it was cancelled — refund it`);
+  } else {
+    console.log(`[payments] ${orderNumber} payment link expired — collect payment at pickup`);
+  }
+  if (row.status !== 'cancelled') await markPosOrder(updated, event);
+  return { orderNumber, outcome: updated.payment_status };
+}
+
+/**
+ * Applies one event from a payment provider's webhook, as the restaurant
+ * that created the link.
+ *
+ * @param {PaymentEvent} event
+ * @returns {Promise<{ orderNumber: string, outcome: 'not_ours'|'unchanged'|'paid'|'unpaid' }>}
+ * @throws if the order cannot be read or updated — the provider should send it again,
+ *         which it does for a failed webhook
+ */
+function handlePaymentEvent(event) {
+  const restaurant = getRestaurant(event.restaurant) || defaultRestaurant();
+  return withRestaurant(restaurant, () => applyPaymentEvent(event));
+}
+
+module.exports = {
+  getPaymentConfig,
+  loadPaymentConfig,
+  validatePaymentConfig,
+  getPaymentProvider,
+  paymentFor,
+  createPaymentLink,
+  buildPaymentMessage,
+  sendPaymentLink,
+  paymentLinkUpdate,
+  handlePaymentEvent,
+  // Exported for testing
+  _setPaymentConfig,
+};
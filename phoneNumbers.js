@@ -0,0 +1,172 @@
+// phoneNumbers.js
+// Phone number normalisation and validation.
+//
+// Every number the server stores — customers, orders, calls — is kept in
+// E.164 ("+19725550100") so the customers upsert on phone_number matches the
+// same person however the number was spoken or formatted. Numbers without a
+// country code are read in the default region (PHONE_DEFAULT_REGION, US).
+//
+// North American numbers are checked against the numbering plan: area code
+// and exchange rules, the 555-01XX fictional range, and patterns that are
+// never a real number (all one digit, 123-456-7890, Twilio's placeholders for
+// a withheld caller ID). Numbers from other countries are only checked for
+// length — there is no numbering plan for them here.
+
+'use strict';
+
+const { numberToWords } = require('./spokenForms');
+
+// Regions a number without a country code may be read in → country calling code
+const REGION_CALLING_CODES = { US: '1', CA: '1' };
+
+// Twilio sends these when the caller ID is withheld (RESTRICTED, UNKNOWN, ...
+// typed on a keypad)
+const ANONYMOUS_CALLER_IDS = ['+266696687', '+7378742833', '+2562533', '+86282452253', '+8656696'];
+
+// E.164: at most 15 digits; shorter than 8 is not a subscriber number anywhere we expect calls from
+const MIN_INTERNATIONAL_DIGITS = 8;
+const MAX_INTERNATIONAL_DIGITS = 15;
+
+// Why a number was rejected → what the agent tells the customer
+const REJECTION_TEXT = {
+  empty:             'No phone number was given.',
+  too_short:         'That phone number is too short — US numbers have 10 digits.',
+  too_long:          'That phone number has too many digits.',
+  invalid_area_code: 'That area code does not exist.',
+  invalid_exchange:  'That is not a valid phone number — the three digits after the area code cannot start with 0 or 1.',
+  fictional:         'That is not a real phone number (555-01XX numbers are reserved for films and examples).',
+  placeholder:       'That does not look like a real phone number.',
+  withheld:          'The caller ID for this call is hidden.',
+};
+
+/** PHONE_DEFAULT_REGION, checked — throws on a region this module cannot validate. */
+function getDefaultRegion() {
+  const region = (process.env.PHONE_DEFAULT_REGION || 'US').toUpperCase();
+  if (!REGION_CALLING_CODES[region]) {
+    throw new Error(`phoneNumbers: PHONE_DEFAULT_REGION "${region}" is not supported — ` +
+                    `use one of ${Object.keys(REGION_CALLING_CODES).join(', ')}`);
+  }
+  return region;
+}
+
+const rejected = reason => ({ ok: false, reason, message: REJECTION_TEXT[reason] });
+
+// 10-digit North American number (area code + exchange + line) → rejection reason, or null
+function nanpProblem(ten) {
+  const [area, exchange, line] = [ten.slice(0, 3), ten.slice(3, 6), ten.slice(6)];
+  // Area code: NXX, second digit never 9 (reserved), never N11 (211, 911 ...)
+  if (!/^[2-9][0-8]\d$/.test(area) || area.slice(1) === '11') return 'invalid_area_code';
+  if (!/^[2-9]\d\d$/.test(exchange) || exchange.slice(1) === '11') return 'invalid_exchange';
+  if (exchange === '555' && line.startsWith('01')) return 'fictional';
+  if (/^(\d)\1+$/.test(ten) || ten === '1234567890' || ten === '9876543210') return 'placeholder';
+  return null;
+}
+
+/**
+ * Reads a phone number as spoken, typed or sent by Twilio.
+ *
+ * "(972) 555-0100", "972.555.0100", "1 972 555 0100" and "+19725550100" all
+ * give e164 "+19725550100".
+ *
+ * @param {string} raw
+ * @param {object} [opts]
+ * @param {string} [opts.region] - region for numbers without a country code, defaults to PHONE_DEFAULT_REGION
+ * @returns {{ ok: true, e164: string, national: string, nanp: boolean }
+ *          | { ok: false, reason: string, message: string }}
+ */
+function parsePhone(raw, { region = getDefaultRegion() } = {}) {
+  const text = String(raw || '').trim();
+  let digits = text.replace(/\D/g, '');
+  if (!digits) return rejected(text.toLowerCase() === 'unknown' ? 'withheld' : 'empty');
+
+  // "011 44 ..." — US international dialling prefix
+  let international = text.startsWith('+');
+  if (!international && digits.startsWith('011')) {
+    international = true;
+    digits = digits.slice(3);
+  }
+  if (!international) digits = REGION_CALLING_CODES[region] + digits.replace(/^1(?=\d{10}$)/, '');
+
+  if (ANONYMOUS_CALLER_IDS.includes(`+${digits}`)) return rejected('withheld');
+
+  if (digits.startsWith('1')) {
+    const ten = digits.slice(1);
+    if (ten.length < 10) return rejected('too_short');
+    if (ten.length > 10) return rejected('too_long');
+    const problem = nanpProblem(ten);
+    if (problem) return rejected(problem);
+    return {
+      ok: true,
+      e164: `+1${ten}`,
+      national: `(${ten.slice(0, 3)}) ${ten.slice(3, 6)}-${ten.slice(6)}`,
+      nanp: true
+    };
+  }
+
+  if (digits.length < MIN_INTERNATIONAL_DIGITS) return rejected('too_short');
+  if (digits.length > MAX_INTERNATIONAL_DIGITS) return rejected('too_long');
+  return { ok: true, e164: `+${digits}`, national: `+${digits}`, nanp: false };
+}
+
+/**
+ * E.164 form of a valid number, or null.
+ * @param {string} raw
+ * @returns {string|null}
+ */
+function normalizePhone(raw) {
+  const parsed = parsePhone(raw);
+  return parsed.ok ? parsed.e164 : null;
+}
+
+/**
+ * Digit-by-digit readback: "+19725550100" → "nine seven two, five five five,
+ * zero one zero zero". The country code is only read out for numbers outside
+ * North America. The commas are where the agent pauses.
+ *
+ * @param {string} e164
+ * @returns {string}
+ */
+function spokenPhone(e164) {
+  const digits = String(e164 || '').replace(/\D/g, '');
+  const say = group => group.split('').map(d => numberToWords(Number(d))).join(' ');
+  if (digits.length === 11 && digits.startsWith('1')) {
+    return [digits.slice(1, 4), digits.slice(4, 7), digits.slice(7)].map(say).join(', ');
+  }
+  return `plus ${say(digits)}`;
+}
+
+/**
+ * The ways a number may have been stored in orders.phone_number / customers.
+ * Rows written before numbers were normalised hold the number as the agent
+ * passed it to collectCustomerDetails; newer rows hold E.164.
+ *
+ * Digit-based on purpose — a caller ID only has to have been stored the same
+ * way, not pass validation.
+ *
+ * @param {string} phone - e.g. "+12145550101"
+ * @returns {string[]} - empty when the number has fewer than 10 digits
+ */
+function phoneVariants(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (digits.length < 10) return [];
+  const ten = digits.slice(-10);
+  const [area, exchange, line] = [ten.slice(0, 3), ten.slice(3, 6), ten.slice(6)];
+  return [...new Set([
+    phone,
+    `+1${ten}`,
+    ten,
+    `1${ten}`,
+    `${area}-${exchange}-${line}`,
+    `(${area}) ${exchange}-${line}`,
+    `${area} ${exchange} ${line}`,
+  ])];
+}
+
+module.exports = {
+  REJECTION_TEXT,
+  getDefaultRegion,
+  parsePhone,
+  normalizePhone,
+  spokenPhone,
+  phoneVariants,
+};
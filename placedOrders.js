@@ -0,0 +1,614 @@
+// placedOrders.js
+// Changing or cancelling an order after completeOrder (modifyPlacedOrder and
+// cancelPlacedOrder tools).
+//
+// The caller's order is found the same way as for lookupOrderStatus (caller
+// ID or spoken order number). Whether it may still be changed is set in
+// data/orderChanges.json (override with ORDER_CHANGES_PATH):
+//   graceMinutes            minutes after ordering during which a change is allowed
+//   scheduledCutoffMinutes  scheduled orders can also be changed until this many
+//                           minutes before their pickup / delivery time
+//   modifiableStatuses      orders.status values that allow item changes
+//   cancellableStatuses     orders.status values that allow cancelling
+//
+// Both tools work in two steps: without confirmed:true they only describe the
+// result so the agent can read it back; with it they update orders /
+// order_items, push the change to the linked POS order and record the
+// before and after in order_changes.
+//
+// server.js calls getOrderChangePolicy() at startup so a bad file stops the process.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {
+  fetchPlacedOrder, replaceOrderContents, markOrderCancelled, recordOrderChange, fetchPromotion, saveCloverSync
+} = require('./supabaseClient');
+const { getPosAdapter, replacePosOrderContents } = require('./posAdapter');
+const { syncUpdate } = require('./cloverSync');
+const { resolveLine, orderTotals, buildCartSummary } = require('./orderManager');
+const {
+  ORDER_STATUSES, STATUS_TEXT, formatOrderNumber, describeOrder, cartFromOrder, findOrders, isCallerOrder
+} = require('./orderLookup');
+const { getDeliveryConfig } = require('./delivery');
+const { toCents, fromCents } = require('./pricing');
+const { fromRow } = require('./promotions');
+const { spokenDollars } = require('./spokenForms');
+
+const DEFAULT_ORDER_CHANGES_PATH = path.join(__dirname, 'data', 'orderChanges.json');
+
+// ---------------------------------------------------------------------------
+// Lazy singleton — loaded and validated once, on first use
+// ---------------------------------------------------------------------------
+let _policy = null;
+
+function getOrderChangePolicy() {
+  if (!_policy) {
+    _policy = loadOrderChangePolicy(process.env.ORDER_CHANGES_PATH || DEFAULT_ORDER_CHANGES_PATH);
+  }
+  return _policy;
+}
+
+// Exposed for testing — a policy object, so the tests fix the grace period and statuses they check against
+function _setOrderChangePolicy(policy) {
+  _policy = policy;
+}
+
+// ---------------------------------------------------------------------------
+// Loading & validation
+// ---------------------------------------------------------------------------
+
+/**
+ * Reads and validates an order-change policy file.
+ *
+ * @param {string} filePath
+ * @returns {{ graceMinutes: number, scheduledCutoffMinutes: number,
+ *             modifiableStatuses: string[], cancellableStatuses: string[] }}
+ * @throws if the file cannot be read, is not valid JSON, or fails validation
+ */
+function loadOrderChangePolicy(filePath) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`[placedOrders] Cannot load ${filePath}: ${err.message}`);
+  }
+
+  const problems = validateOrderChangePolicy(raw);
+  if (problems.length > 0) {
+    throw new Error(
+      `[placedOrders] ${filePath} is inconsistent (${problems.length} problem(s)):\n  - ` +
+      problems.join('\n  - ')
+    );
+  }
+
+  const policy = {
+    graceMinutes: raw.graceMinutes,
+    scheduledCutoffMinutes: raw.scheduledCutoffMinutes ?? 0,
+    modifiableStatuses: raw.modifiableStatuses,
+    cancellableStatuses: raw.cancellableStatuses,
+  };
+  console.log(`[placedOrders] Changes allowed for ${policy.graceMinutes} minute(s) after ordering (${filePath})`);
+  return policy;
+}
+
+/**
+ * @param {object} raw - parsed order-change JSON
+ * @returns {string[]} - human-readable problems (empty when valid)
+ */
+function validateOrderChangePolicy(raw) {
+  const problems = [];
+  if (!raw || typeof raw !== 'object') return ['order change policy must be a JSON object'];
+
+  const isMinutes = n => Number.isInteger(n) && n >= 0;
+  if (!isMinutes(raw.graceMinutes)) problems.push('graceMinutes must be a non-negative integer');
+  if (raw.scheduledCutoffMinutes !== undefined && !isMinutes(raw.scheduledCutoffMinutes)) {
+    problems.push('scheduledCutoffMinutes must be a non-negative integer');
+  }
+
+  for (const key of ['modifiableStatuses', 'cancellableStatuses']) {
+    const statuses = raw[key];
+    if (!Array.isArray(statuses)) {
+      problems.push(`${key} must be an array of order statuses`);
+      continue;
+    }
+    for (const status of statuses) {
+      if (!ORDER_STATUSES.includes(status)) {
+        problems.push(`${key}: unknown status "${status}" (known: ${ORDER_STATUSES.join(', ')})`);
+      } else if (status === 'cancelled') {
+        problems.push(`${key}: a cancelled order cannot be changed`);
+      }
+    }
+  }
+  return problems;
+}
+
+// ---------------------------------------------------------------------------
+// Rules
+// ---------------------------------------------------------------------------
+
+/**
+ * Whether an order may still be modified or cancelled.
+ *
+ * @param {object} row    - orders row
+ * @param {'modify'|'cancel'} action
+ * @param {Date}   [now]
+ * @returns {{ ok: true } | { ok: false, reason: 'already_cancelled'|'kitchen_status'|'prepaid'|'too_late', message: string }}
+ */
+function checkChangeAllowed(row, action, now = new Date(), policy = getOrderChangePolicy()) {
+  const orderNumber = formatOrderNumber(row.id);
+  const verb = action === 'cancel' ? 'cancelled' : 'changed';
+
+  if (row.status === 'cancelled') {
+    return { ok: false, reason: 'already_cancelled', message: `Order ${orderNumber} was already cancelled.` };
+  }
+  // Paid by payment link (payments.js), or the link for the current total is
+  // out and can still be paid — changing or cancelling means a refund or a new
+  // link, which staff handle
+  if (row.payment_status === 'paid' || row.payment_status === 'awaiting_payment') {
+    return {
+      ok: false,
+      reason: 'prepaid',
+      message: `Order ${orderNumber} ${row.payment_status === 'paid' ? 'has already been paid for' : 'has a payment link waiting to be paid'}, ` +
+               `so it can only be ${verb} by our team — offer to transfer the customer.`,
+    };
+  }
+  const statuses = action === 'cancel' ? policy.cancellableStatuses : policy.modifiableStatuses;
+  if (!statuses.includes(row.status)) {
+    return {
+      ok: false,
+      reason: 'kitchen_status',
+      message: `Order ${orderNumber} ${STATUS_TEXT[row.status] || `has status "${row.status}"`}, ` +
+               `so it can no longer be ${verb} by phone.`,
+    };
+  }
+
+  const graceEnds = new Date(row.created_at).getTime() + policy.graceMinutes * 60_000;
+  if (now.getTime() <= graceEnds) return { ok: true };
+
+  // Scheduled orders stay open to changes until shortly before they are made
+  if (row.pickup_at) {
+    const cutoff = new Date(row.pickup_at).getTime() - policy.scheduledCutoffMinutes * 60_000;
+    if (now.getTime() <= cutoff) return { ok: true };
+  }
+
+  return {
+    ok: false,
+    reason: 'too_late',
+    message: `Order ${orderNumber} can no longer be ${verb} by phone — changes are only possible within ` +
+             `${policy.graceMinutes} minutes of ordering` +
+             (policy.scheduledCutoffMinutes > 0
+               ? ` or up to ${policy.scheduledCutoffMinutes} minutes before a scheduled time.`
+               : '.'),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const rejected = response => ({ ok: false, response });
+
+// "Priya", "priya s" and "Priya Sharma" are the same customer
+function sameName(a, b) {
+  const words = name => String(name || '').toLowerCase().replace(/[^a-z\s]/g, '').split(/\s+/).filter(Boolean);
+  const [x, y] = [words(a), words(b)];
+  return x.length > 0 && y.length > 0 && x[0] === y[0];
+}
+
+/**
+ * Finds the caller's order and checks it may still be changed.
+ * By caller ID the newest order that allows the action is picked. An order
+ * found only by its number, from a different phone, also needs the name it
+ * was placed under.
+ */
+async function locateOrder(args, context, action, now) {
+  const found = await findOrders(args, context, now);
+  if (!found.ok) return found;
+
+  const policy = getOrderChangePolicy();
+  const statuses = action === 'cancel' ? policy.cancellableStatuses : policy.modifiableStatuses;
+  const match = found.byNumber
+    ? found.rows[0]
+    : found.rows.find(r => statuses.includes(r.status)) || found.rows[0];
+  const orderNumber = formatOrderNumber(match.id);
+
+  if (found.byNumber && !isCallerOrder(match, context.callerPhone)) {
+    if (!args.customerName) {
+      return rejected({
+        result: `Order ${orderNumber} was placed from a different phone. Ask the customer for the name ` +
+                'the order is under, then call again with customerName. The order was NOT changed.',
+        success: false,
+        reason: 'verify_name',
+        orderNumber
+      });
+    }
+    if (!sameName(args.customerName, match.customer_name)) {
+      console.warn(`Placed-order ${action} refused for ${orderNumber}: name did not match [${context.callSid}]`);
+      return rejected({
+        result: `The name does not match order ${orderNumber}. Do NOT change the order. ` +
+                'Offer to transfer the customer to our team.',
+        success: false,
+        reason: 'name_mismatch',
+        orderNumber
+      });
+    }
+  }
+
+  let row;
+  try {
+    row = await fetchPlacedOrder(match.id);
+  } catch (err) {
+    console.error(`Placed-order ${action} lookup failed:`, err.message);
+  }
+  if (!row) {
+    return rejected({
+      result: 'Order lookup is not working right now. Apologise and offer to transfer the customer to our team.',
+      success: false,
+      reason: 'lookup_failed'
+    });
+  }
+
+  const allowed = checkChangeAllowed(row, action, now, policy);
+  if (!allowed.ok) {
+    return rejected({
+      result: `${allowed.message} Tell the customer. The order was NOT changed.`,
+      success: false,
+      reason: allowed.reason,
+      orderNumber
+    });
+  }
+
+  return { ok: true, row, policy, orderNumber };
+}
+
+/**
+ * Applies manageOrder-style changes to a cart in place. New lines are priced
+ * from the catalog; lines already on the order keep their price.
+ * @returns {{ ok: true, applied: string[] } | { ok: false, response: object }}
+ */
+function applyChanges(cart, changes, { callSid, when }) {
+  const applied = [];
+  for (const change of changes) {
+    const { action } = change;
+    if (action !== 'add' && action !== 'remove') {
+      return rejected({
+        result: `Unknown action ${JSON.stringify(action)} for ${change.itemName} — use "add" (also to change ` +
+                'the quantity) or "remove". The placed order was NOT changed.',
+        success: false,
+        reason: 'invalid_action'
+      });
+    }
+    // As for manageOrder: a left-out quantity is one, anything else must be a whole number of at least one
+    const quantity = change.quantity === undefined || change.quantity === null ? 1 : change.quantity;
+    if (action === 'add' && !(Number.isInteger(quantity) && quantity > 0)) {
+      return rejected({
+        result: `The quantity for ${change.itemName} must be a whole number of at least 1, not ` +
+                `${JSON.stringify(change.quantity)}. Ask the customer how many they want, or use action "remove" ` +
+                'to take the item off. The placed order was NOT changed.',
+        success: false,
+        reason: 'invalid_quantity'
+      });
+    }
+    const resolved = resolveLine(callSid, change, { cart, when });
+    if (!resolved.ok) {
+      return rejected({ ...resolved.response, result: `${resolved.response.result} The placed order was NOT changed.` });
+    }
+    const { catalogItem, selections, hasModifiers, key, price, label } = resolved;
+
+    if (action === 'add') {
+      const existing = cart.find(line => line.lineKey === key);
+      if (existing) {
+        existing.quantity = quantity;
+        existing.notes = change.notes || existing.notes;
+      } else {
+        cart.push({
+          lineKey: key,
+          itemId: catalogItem.id,
+          itemName: catalogItem.name,
+          quantity,
+          basePrice: catalogItem.price,
+          price,
+          modifiers: selections,
+          notes: change.notes || ''
+        });
+      }
+      applied.push(`${quantity} x ${label}`);
+    } else {
+      const matches = line => (hasModifiers ? line.lineKey === key : line.itemId === catalogItem.id);
+      if (!cart.some(matches)) {
+        return rejected({
+          result: `${label} is not on the placed order, so it cannot be removed. The placed order was NOT changed.`,
+          success: false,
+          itemName: catalogItem.name
+        });
+      }
+      cart.splice(0, cart.length, ...cart.filter(line => !matches(line)));
+      applied.push(`removed ${label}`);
+    }
+  }
+  return { ok: true, applied };
+}
+
+// { status, items, total } — before/after snapshot for order_changes
+function snapshot(status, cart, total) {
+  return {
+    status,
+    items: cart.map(line => ({
+      itemName: line.itemName,
+      quantity: line.quantity,
+      unitPrice: line.price,
+      modifiers: (line.modifiers || []).map(m => m.name),
+      notes: line.notes || ''
+    })),
+    total
+  };
+}
+
+// POS changes are best effort: the Supabase row is the record, and a
+// failed sync is logged and kept on the audit row for staff to follow up.
+// Parts of a modified order the POS rejects go to the retry queue (cloverSync.js).
+// fn(adapter, posOrderId) → failures, or nothing
+async function syncClover(row, action, fn) {
+  if (!row.clover_order_id) {
+    // An order whose push failed is still queued — the retry sends it as it now stands
+    const queued = ['pending', 'partial', 'failed'].includes(row.clover_sync_status);
+    console.warn(`Order ${formatOrderNumber(row.id)} has no linked POS order — ${action} ` +
+                 (queued ? 'goes to the POS with the retry queue' : 'not sent to the POS'));
+    return { synced: false, error: 'no linked POS order' };
+  }
+  const adapter = getPosAdapter(row.restaurant_id);
+  try {
+    const failures = (await fn(adapter, row.clover_order_id)) || [];
+    if (failures.length === 0) return { synced: true, error: null };
+    const update = syncUpdate({ failures }, 1);
+    await saveCloverSync(row.id, update)
+      .catch(err => console.error(`POS sync status save failed for ${formatOrderNumber(row.id)}:`, err.message));
+    return { synced: false, error: update.error };
+  } catch (err) {
+    console.error(`${adapter.label} ${action} failed for ${formatOrderNumber(row.id)} — update the POS by hand:`, err.message);
+    return { synced: false, error: err.message };
+  }
+}
+
+async function audit(change) {
+  try {
+    await recordOrderChange(change);
+  } catch (err) {
+    console.error('Order change audit failed (non-fatal):', err.message);
+  }
+}
+
+// ── Called when Gemini fires the modifyPlacedOrder tool ───────────────────
+// context — { callSid, callDbId, callerPhone } of the current call
+
+async function modifyPlacedOrder(args = {}, context = {}, now = new Date()) {
+  const changes = Array.isArray(args.changes) ? args.changes.filter(c => c && c.itemName) : [];
+  if (changes.length === 0) {
+    return {
+      result: 'No changes given. Ask the customer what to add or remove, then call modifyPlacedOrder with them.',
+      success: false,
+      reason: 'no_changes'
+    };
+  }
+
+  const located = await locateOrder(args, context, 'modify', now);
+  if (!located.ok) return located.response;
+  const { row, policy, orderNumber } = located;
+
+  const cart = cartFromOrder(row);
+  const before = snapshot(row.status, cart, Number(row.total_amount));
+  const when = row.pickup_at ? new Date(row.pickup_at) : now;
+  const result = applyChanges(cart, changes, { callSid: context.callSid, when });
+  if (!result.ok) return result.response;
+
+  if (cart.length === 0) {
+    return {
+      result: `That would remove everything from order ${orderNumber}. If the customer wants to cancel, ` +
+              'use cancelPlacedOrder. The placed order was NOT changed.',
+      success: false,
+      reason: 'empty_order',
+      orderNumber
+    };
+  }
+
+  // The promo code applied at ordering is re-evaluated against the new items
+  let promotion = null;
+  if (row.promo_code) {
+    try {
+      const promoRow = await fetchPromotion(row.promo_code);
+      promotion = promoRow ? fromRow(promoRow) : null;
+    } catch (err) {
+      console.error('Promo lookup for placed-order change failed:', err.message);
+      return {
+        result: 'The order system is not responding. Apologise and offer to transfer the customer to our team. ' +
+                'The placed order was NOT changed.',
+        success: false,
+        reason: 'lookup_failed'
+      };
+    }
+  }
+
+  const orderType = row.order_type || 'pickup';
+  const zone = orderType === 'delivery' ? getDeliveryConfig().zones.find(z => z.id === row.delivery_zone) : null;
+  const draft = {
+    cart,
+    promotion,
+    orderType,
+    // The delivery fee charged at ordering stands
+    deliveryZone: orderType === 'delivery'
+      ? { id: row.delivery_zone, fee: Number(row.delivery_fee || 0), minimumOrder: zone ? zone.minimumOrder : 0 }
+      : null
+  };
+  const { totals, promoProblem, subtotal, discount, tax, fees, total } = orderTotals(draft);
+
+  if (draft.deliveryZone && subtotal < draft.deliveryZone.minimumOrder) {
+    return {
+      result: `Delivery orders to this address need at least ${draft.deliveryZone.minimumOrder.toFixed(2)} dollars ` +
+              `before tax; the changed order would be ${subtotal.toFixed(2)} dollars. The placed order was NOT changed.`,
+      success: false,
+      reason: 'below_minimum',
+      orderNumber
+    };
+  }
+
+  const summary = buildCartSummary(draft);
+  const differenceCents = toCents(total) - toCents(before.total);
+  const difference = differenceCents === 0
+    ? 'The total is unchanged.'
+    : `That is ${spokenDollars(fromCents(Math.abs(differenceCents)))} ${differenceCents > 0 ? 'more' : 'less'} than before.`;
+  const readback = `${summary.lines.map(l => l.spoken).join('; ')}. New total ${summary.spoken.total}. ${difference}` +
+                   (promoProblem ? ` The promo code no longer applies: ${promoProblem}` : '');
+
+  if (args.confirmed !== true) {
+    return {
+      result: `Order ${orderNumber} with the changes (${result.applied.join(', ')}): ${readback} ` +
+              'Read this back and ask the customer to confirm. If they say yes, call modifyPlacedOrder again ' +
+              'with the same changes and confirmed: true. Nothing has been changed yet.',
+      success: true,
+      confirmed: false,
+      orderNumber,
+      cart: summary
+    };
+  }
+
+  let updated;
+  try {
+    updated = await replaceOrderContents(row.id, {
+      expectStatuses: policy.modifiableStatuses,
+      order: {
+        subtotal_amount: subtotal,
+        tax_amount: tax,
+        fees_amount: fees,
+        discount_amount: discount,
+        promo_code: discount > 0 ? row.promo_code : null,
+        total_amount: total
+      },
+      items: cart
+    });
+  } catch (err) {
+    console.error(`modifyPlacedOrder failed for ${orderNumber}:`, err.message);
+    return {
+      result: 'The change could not be saved. Apologise and offer to transfer the customer to our team.',
+      success: false,
+      reason: 'save_failed',
+      orderNumber
+    };
+  }
+  if (!updated) {
+    return {
+      result: `The kitchen has just started on order ${orderNumber}, so it can no longer be changed. ` +
+              'Tell the customer. The order was NOT changed.',
+      success: false,
+      reason: 'kitchen_status',
+      orderNumber
+    };
+  }
+
+  const clover = await syncClover(row, 'modify', (adapter, posOrderId) =>
+    replacePosOrderContents(adapter, posOrderId, cart, row.customer_name, totals, {
+      pickupAt: row.pickup_at ? new Date(row.pickup_at) : null,
+      deliveryAddress: orderType === 'delivery' ? row.delivery_address?.formatted : null,
+      payment: row.payment_status === 'unpaid' ? 'unpaid' : null
+    })
+  );
+
+  await audit({
+    orderId: row.id,
+    callId: context.callDbId,
+    action: 'modify',
+    before,
+    after: snapshot(updated.status, cart, total),
+    cloverSynced: clover.synced,
+    cloverError: clover.error
+  });
+
+  console.log(`Placed order modified [${context.callSid}]: ${orderNumber} | ${result.applied.join(', ')} | total $${before.total} → $${total}`);
+
+  return {
+    result: `Order ${orderNumber} has been updated. ${readback} Tell the customer.`,
+    success: true,
+    confirmed: true,
+    orderNumber,
+    total,
+    cart: summary
+  };
+}
+
+// ── Called when Gemini fires the cancelPlacedOrder tool ───────────────────
+
+async function cancelPlacedOrder(args = {}, context = {}, now = new Date()) {
+  const located = await locateOrder(args, context, 'cancel', now);
+  if (!located.ok) return located.response;
+  const { row, policy, orderNumber } = located;
+
+  const order = describeOrder(row, now);
+  const itemText = order.items.map(i => `${i.quantity} ${i.itemName}`).join(', ');
+
+  if (args.confirmed !== true) {
+    return {
+      result: `Order ${orderNumber}${row.customer_name ? ` for ${row.customer_name}` : ''}: ${itemText}, ` +
+              `total ${order.spokenTotal}. Ask the customer: 'Are you sure you want to cancel this order?' ` +
+              'If they say yes, call cancelPlacedOrder again with confirmed: true. Nothing has been cancelled yet.',
+      success: true,
+      confirmed: false,
+      orderNumber
+    };
+  }
+
+  let cancelled;
+  try {
+    cancelled = await markOrderCancelled(row.id, { expectStatuses: policy.cancellableStatuses, reason: args.reason });
+  } catch (err) {
+    console.error(`cancelPlacedOrder failed for ${orderNumber}:`, err.message);
+    return {
+      result: 'The order could not be cancelled. Apologise and offer to transfer the customer to our team.',
+      success: false,
+      reason: 'save_failed',
+      orderNumber
+    };
+  }
+  if (!cancelled) {
+    return {
+      result: `The kitchen has just started on order ${orderNumber}, so it can no longer be cancelled. ` +
+              'Tell the customer and offer to transfer them to our team.',
+      success: false,
+      reason: 'kitchen_status',
+      orderNumber
+    };
+  }
+
+  const clover = await syncClover(row, 'cancel', (adapter, posOrderId) => adapter.cancelOrder(posOrderId));
+  const cart = cartFromOrder(row);
+  await audit({
+    orderId: row.id,
+    callId: context.callDbId,
+    action: 'cancel',
+    before: snapshot(row.status, cart, order.total),
+    after: snapshot('cancelled', cart, order.total),
+    reason: args.reason,
+    cloverSynced: clover.synced,
+    cloverError: clover.error
+  });
+
+  console.log(`Placed order cancelled [${context.callSid}]: ${orderNumber}${args.reason ? ` — ${args.reason}` : ''}`);
+
+  return {
+    result: `Order ${orderNumber} has been cancelled. Tell the customer.`,
+    success: true,
+    confirmed: true,
+    orderNumber
+  };
+}
+
+module.exports = {
+  getOrderChangePolicy,
+  loadOrderChangePolicy,
+  validateOrderChangePolicy,
+  checkChangeAllowed,
+  modifyPlacedOrder,
+  cancelPlacedOrder,
+  // Exported for testing
+  _setOrderChangePolicy,
+};
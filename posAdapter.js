@@ -0,0 +1,383 @@
+// posAdapter.js
+// Which point-of-sale system orders go to, and the order operations built on
+// top of it.
+//
+// Each POS is an adapter object with the same small set of operations (see
+// PosAdapter below):
+//   clover  cloverClient.js — the Clover REST API
+//   mock    mockPos.js      — a JSON file on disk, for local development and tests
+//
+// The adapter is chosen in data/pos.json (override with POS_CONFIG_PATH):
+//   adapter      default adapter for every restaurant
+//   restaurants  restaurant id → adapter, for restaurants on another POS
+//
+// Pushing an order, replacing its contents after a change and repairing what
+// a POS order is missing are written once here against the adapter, so the
+// outbox, placed-order changes and the sync queue (cloverSync.js) work the
+// same whichever POS a restaurant uses. The POS order id is kept in
+// orders.clover_order_id whatever the adapter — the column predates adapters.
+//
+// server.js calls getPosConfig() at startup so a bad file stops the process.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { formatLocalDateTime } = require('./schedule');
+const { toCents, formatCents } = require('./pricing');
+const { cloverAdapter } = require('./cloverClient');
+const { mockPosAdapter } = require('./mockPos');
+const { currentRestaurant } = require('./restaurants');
+
+const DEFAULT_POS_CONFIG_PATH = path.join(__dirname, 'data', 'pos.json');
+
+/**
+ * @typedef {object} PosOrder
+ * @property {string} id
+ * @property {'open'|'paid'|'fulfilled'} state
+ * @property {number|null} totalCents
+ * @property {Array<{ id: string, name: string, priceCents: number, quantity: number, modifiers: string[] }>} lineItems
+ *           - priceCents is the base price, before modifiers
+ * @property {Array<{ name: string, amountCents: number }>} discounts - amountCents positive
+ */
+
+/**
+ * A failure record: { kind: 'line_item'|'modification'|'fee'|'discount'|'total'|'payment', name, error }.
+ *
+ * @typedef {object} PosAdapter
+ * @property {string} name  - key in data/pos.json
+ * @property {string} label - for log lines and messages to staff
+ * @property {() => boolean} isConfigured - false when credentials are missing; orders are then not pushed
+ * @property {(order: { customerName: string, note: string }) => Promise<string>} createOrder
+ *           - the POS order id; throws if the order cannot be created
+ * @property {(posOrderId: string, item: object) => Promise<{ ok: true, lineItemId: string }|{ ok: false, error: string }>} addLineItem
+ *           - a cart line at its base price and quantity
+ * @property {(posOrderId: string, lineItemId: string, item: object, modifier: object) => Promise<object|null>} addModification
+ * @property {(posOrderId: string, fee: object) => Promise<object|null>} addFee
+ * @property {(posOrderId: string, discount: object) => Promise<object|null>} addDiscount
+ * @property {(posOrderId: string, totalCents: number) => Promise<object|null>} setTotal
+ * @property {(posOrderId: string) => Promise<void>} sendToKitchen - never throws
+ * @property {(posOrderId: string) => Promise<void>} clearContents - removes every line item and discount; throws on failure
+ * @property {(posOrderId: string, note: string) => Promise<void>} setNote - never throws
+ * @property {(posOrderId: string) => Promise<void>} cancelOrder - throws on failure
+ * @property {(posOrderId: string, payment: { amountCents: number, reference: string }) => Promise<object|null>} recordPayment
+ *           - a payment taken by payment link (payments.js), so the POS shows the order as paid
+ * @property {(posOrderId: string) => Promise<PosOrder|null>} fetchOrder - null when the POS no longer has it
+ */
+
+const ADAPTERS = {
+  clover: cloverAdapter,
+  mock: mockPosAdapter,
+};
+
+// ---------------------------------------------------------------------------
+// Lazy singleton — loaded and validated once, on first use
+// ---------------------------------------------------------------------------
+let _config = null;
+
+function getPosConfig() {
+  if (!_config) {
+    _config = loadPosConfig(process.env.POS_CONFIG_PATH || DEFAULT_POS_CONFIG_PATH);
+  }
+  return _config;
+}
+
+// Exposed for testing — chooses the adapter (mock or clover) without reading data/pos.json
+function _setPosConfig(config) {
+  _config = config;
+}
+
+// ---------------------------------------------------------------------------
+// Loading & validation
+// ---------------------------------------------------------------------------
+
+/**
+ * Reads and validates a POS config file.
+ *
+ * @param {string} filePath
+ * @returns {{ adapter: string, restaurants: Map<string, string> }}
+ * @throws if the file cannot be read, is not valid JSON, or fails validation
+ */
+function loadPosConfig(filePath) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`[posAdapter] Cannot load ${filePath}: ${err.message}`);
+  }
+
+  const problems = validatePosConfig(raw);
+  if (problems.length > 0) {
+    throw new Error(
+      `[posAdapter] ${filePath} is inconsistent (${problems.length} problem(s)):\n  - ` +
+      problems.join('\n  - ')
+    );
+  }
+
+  const config = {
+    adapter: raw.adapter,
+    restaurants: new Map(Object.entries(raw.restaurants || {})),
+  };
+  console.log(`[posAdapter] Orders go to ${ADAPTERS[config.adapter].label}` +
+              (config.restaurants.size > 0 ? ` (${config.restaurants.size} restaurant override(s))` : '') +
+              ` (${filePath})`);
+  return config;
+}
+
+/**
+ * @param {object} raw - parsed POS config JSON
+ * @returns {string[]} - human-readable problems (empty when valid)
+ */
+function validatePosConfig(raw) {
+  if (!raw || typeof raw !== 'object') return ['POS config must be a JSON object'];
+  const problems = [];
+  const known = Object.keys(ADAPTERS).join(', ');
+
+  if (!ADAPTERS[raw.adapter]) problems.push(`adapter "${raw.adapter}" is not one of: ${known}`);
+
+  const restaurants = raw.restaurants;
+  if (restaurants !== undefined && (!restaurants || typeof restaurants !== 'object' || Array.isArray(restaurants))) {
+    problems.push('restaurants must be an object of restaurant id → adapter');
+  } else {
+    for (const [restaurantId, adapter] of Object.entries(restaurants || {})) {
+      if (!ADAPTERS[adapter]) problems.push(`restaurants.${restaurantId}: adapter "${adapter}" is not one of: ${known}`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * The adapter a restaurant's orders go to.
+ *
+ * @param {string} [restaurantId] - defaults to the current restaurant (restaurants.js)
+ * @returns {PosAdapter}
+ */
+function getPosAdapter(restaurantId = currentRestaurant().id) {
+  const config = getPosConfig();
+  return ADAPTERS[(restaurantId && config.restaurants.get(restaurantId)) || config.adapter];
+}
+
+// ---------------------------------------------------------------------------
+// Pushing an order
+// ---------------------------------------------------------------------------
+
+// opts.pickupAt (Date) — scheduled pickup; shown in the order note so the
+// kitchen does not start a future order straight away.
+// opts.deliveryAddress (string) — delivery order; the address goes in the note.
+// opts.modifiedAt (Date) — set when the caller changed the order after placing it
+// opts.payment ('paid'|'unpaid') — how a payment link (payments.js) ended;
+// unpaid means staff collect payment as usual
+function orderNote(customerName, opts = {}) {
+  return `Voice agent order for ${customerName}` +
+    (opts.deliveryAddress ? ` — DELIVERY to ${opts.deliveryAddress}` : '') +
+    (opts.pickupAt ? ` — ${opts.deliveryAddress ? 'DELIVER BY' : 'PICKUP'} ${formatLocalDateTime(opts.pickupAt)}` : '') +
+    (opts.modifiedAt ? ` — CHANGED BY CALLER ${formatLocalDateTime(opts.modifiedAt)}` : '') +
+    (opts.payment === 'paid' ? ' — PAID BY PAYMENT LINK' : '') +
+    (opts.payment === 'unpaid' ? ' — NOT PAID, COLLECT PAYMENT' : '');
+}
+
+// Line items (with modifications), fee line items and discounts for an
+// order. Failures are collected per line so one bad item does not lose the
+// rest; the caller records them as a partial sync (cloverSync.js).
+// Returns [{ kind: 'line_item'|'modification'|'fee'|'discount', name, error }].
+async function addOrderContents(adapter, posOrderId, cart, totals) {
+  const failures = [];
+
+  for (const item of cart) {
+    const added = await adapter.addLineItem(posOrderId, item);
+    if (!added.ok) {
+      failures.push({ kind: 'line_item', name: item.itemName, error: added.error });
+      continue;
+    }
+    for (const modifier of item.modifiers || []) {
+      const failure = await adapter.addModification(posOrderId, added.lineItemId, item, modifier);
+      if (failure) failures.push(failure);
+    }
+  }
+
+  for (const fee of totals.fees) {
+    const failure = await adapter.addFee(posOrderId, fee);
+    if (failure) failures.push(failure);
+  }
+
+  for (const discount of totals.discounts) {
+    if (discount.amountCents <= 0) continue;
+    const failure = await adapter.addDiscount(posOrderId, discount);
+    if (failure) failures.push(failure);
+  }
+
+  return failures;
+}
+
+/**
+ * Creates the POS order for a completed cart, sets its total and sends it to
+ * the kitchen.
+ *
+ * @param {PosAdapter} adapter
+ * @param {Array}  cart
+ * @param {string} customerName
+ * @param {object} totals - from pricing.priceCart
+ * @param {{ pickupAt?: Date|null, deliveryAddress?: string|null }} [opts] - see orderNote
+ * @returns {Promise<{ posOrderId: string, failures: Array<object> }>}
+ * @throws only if the order itself cannot be created
+ */
+async function pushOrder(adapter, cart, customerName, totals, opts = {}) {
+  const posOrderId = await adapter.createOrder({ customerName, note: orderNote(customerName, opts) });
+
+  const failures = await addOrderContents(adapter, posOrderId, cart, totals);
+  const totalFailure = await adapter.setTotal(posOrderId, totals.totalCents);
+  if (totalFailure) failures.push(totalFailure);
+  await adapter.sendToKitchen(posOrderId);
+
+  console.log(`✓ ${adapter.label} order pushed: ${posOrderId} | Customer: ${customerName} | Total: $${formatCents(totals.totalCents)}` +
+              (failures.length > 0 ? ` | ${failures.length} part(s) rejected` : ''));
+  return { posOrderId, failures };
+}
+
+/**
+ * Replaces everything on an existing POS order — items, fees and discounts —
+ * with the modified cart, flags the change in the order note and resends the
+ * ticket so the kitchen notices.
+ *
+ * @param {PosAdapter} adapter
+ * @param {string} posOrderId
+ * @param {Array}  cart
+ * @param {string} customerName
+ * @param {object} totals
+ * @param {object} [opts] - as for pushOrder
+ * @returns {Promise<Array<object>>} the parts the POS rejected
+ * @throws if the old contents cannot be removed, since the order would otherwise show both versions
+ */
+async function replacePosOrderContents(adapter, posOrderId, cart, customerName, totals, opts = {}) {
+  await adapter.clearContents(posOrderId);
+
+  const failures = await addOrderContents(adapter, posOrderId, cart, totals);
+  await adapter.setNote(posOrderId, orderNote(customerName, { ...opts, modifiedAt: new Date() }));
+  const totalFailure = await adapter.setTotal(posOrderId, totals.totalCents);
+  if (totalFailure) failures.push(totalFailure);
+  await adapter.sendToKitchen(posOrderId);
+
+  console.log(`✓ ${adapter.label} order modified: ${posOrderId} | Customer: ${customerName} | Total: $${formatCents(totals.totalCents)}`);
+  return failures;
+}
+
+// ---------------------------------------------------------------------------
+// Sync repair (cloverSync.js)
+// ---------------------------------------------------------------------------
+
+/**
+ * What the cart and totals need that the POS order does not have. Line items
+ * and fees match on name and price, modifications on name, discounts on
+ * amount (the name may have been worded differently when it was pushed); a
+ * total other than the order's is set again.
+ * A line the POS has with another quantity is reported, not added — adding it
+ * would put the item on the ticket twice. Nothing is ever taken off.
+ *
+ * @param {PosOrder} posOrder
+ * @param {Array}  cart
+ * @param {object} totals
+ * @returns {{ lines: Array<{ item: object, lineItemId?: string, modifiers: Array }>, fees: Array,
+ *             discounts: Array, totalCents: number|null, mismatches: Array<object> }}
+ */
+function missingContents(posOrder, cart, totals) {
+  const unmatched = posOrder.lineItems.slice();
+  const take = match => {
+    const i = unmatched.findIndex(match);
+    return i === -1 ? null : unmatched.splice(i, 1)[0];
+  };
+  const missing = { lines: [], fees: [], discounts: [], totalCents: null, mismatches: [] };
+
+  for (const item of cart) {
+    const priceCents = toCents(item.basePrice ?? item.price);
+    const sameItem = li => li.name === item.itemName && li.priceCents === priceCents;
+    const found = take(li => sameItem(li) && li.quantity === item.quantity) || take(sameItem);
+    if (!found) {
+      missing.lines.push({ item, modifiers: item.modifiers || [] });
+      continue;
+    }
+    if (found.quantity !== item.quantity) {
+      missing.mismatches.push({
+        kind: 'line_item',
+        name: item.itemName,
+        error: `quantity on the POS is ${found.quantity}, order has ${item.quantity}`
+      });
+    }
+    const onPos = found.modifiers || [];
+    const modifiers = (item.modifiers || []).filter(m => !onPos.includes(m.name));
+    if (modifiers.length > 0) missing.lines.push({ item, lineItemId: found.id, modifiers });
+  }
+
+  for (const fee of totals.fees) {
+    if (!take(li => li.name === fee.name && li.priceCents === fee.amountCents)) missing.fees.push(fee);
+  }
+
+  const discounts = posOrder.discounts.slice();
+  for (const discount of totals.discounts) {
+    if (discount.amountCents <= 0) continue;
+    const i = discounts.findIndex(d => d.amountCents === discount.amountCents);
+    if (i === -1) missing.discounts.push(discount);
+    else discounts.splice(i, 1);
+  }
+
+  if (posOrder.totalCents !== totals.totalCents) missing.totalCents = totals.totalCents;
+  return missing;
+}
+
+/**
+ * Adds what missingContents() found.
+ *
+ * @param {PosAdapter} adapter
+ * @param {string} posOrderId
+ * @param {object} missing - from missingContents
+ * @returns {Promise<Array<object>>} failures as for addOrderContents; quantity
+ *          mismatches are passed through as failures for staff
+ */
+async function addMissingContents(adapter, posOrderId, missing) {
+  const failures = [...missing.mismatches];
+
+  for (const { item, lineItemId, modifiers } of missing.lines) {
+    let id = lineItemId;
+    if (!id) {
+      const added = await adapter.addLineItem(posOrderId, item);
+      if (!added.ok) {
+        failures.push({ kind: 'line_item', name: item.itemName, error: added.error });
+        continue;
+      }
+      id = added.lineItemId;
+    }
+    for (const modifier of modifiers) {
+      const failure = await adapter.addModification(posOrderId, id, item, modifier);
+      if (failure) failures.push(failure);
+    }
+  }
+  for (const fee of missing.fees) {
+    const failure = await adapter.addFee(posOrderId, fee);
+    if (failure) failures.push(failure);
+  }
+  for (const discount of missing.discounts) {
+    const failure = await adapter.addDiscount(posOrderId, discount);
+    if (failure) failures.push(failure);
+  }
+  if (missing.totalCents !== null) {
+    const failure = await adapter.setTotal(posOrderId, missing.totalCents);
+    if (failure) failures.push(failure);
+  }
+
+  // The kitchen needs a ticket with the items it never saw
+  if (missing.lines.length > 0) await adapter.sendToKitchen(posOrderId);
+  return failures;
+}
+
+module.exports = {
+  getPosConfig,
+  loadPosConfig,
+  validatePosConfig,
+  getPosAdapter,
+  orderNote,
+  pushOrder,
+  replacePosOrderContents,
+  missingContents,
+  addMissingContents,
+  // Exported for testing
+  _setPosConfig,
+};
@@ -0,0 +1,304 @@
+// pricing.js
+// Order totals — the single place tax, discounts and fees are computed.
+//
+// All arithmetic is in integer cents; dollars only appear at the edges
+// (catalog prices in, spoken/DB amounts out). Used by orderManager
+// (readbacks, confirmOrder, handleCompleteOrder), supabaseClient.writeOrder
+// and the Clover push, so every number the caller hears, the database stores
+// and the POS receives comes from computeTotals().
+//
+// Config lives in data/pricing.json (override with PRICING_CONFIG_PATH):
+//   tax                 { name, ratePercent } — e.g. 8.25 for Texas sales tax
+//   deliveryFeeTaxable  whether the delivery-zone fee is taxed
+//   fees                [{ id, name, type: "fixed"|"percent", amount, taxable?, orderTypes? }]
+//                       — fixed amounts in dollars, percent of the discounted subtotal;
+//                       orderTypes limits a fee to e.g. ["delivery"]
+// Item taxability comes from the catalog (item/category "taxable").
+//
+// Order of operations: line totals → discounts (before tax, shared
+// proportionally between taxable and non-taxable items) → fees → tax on
+// taxable items and taxable fees → total.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { getItemById } = require('./menuCatalog');
+const { restaurantConfig } = require('./restaurants');
+
+const DEFAULT_PRICING_PATH = path.join(__dirname, 'data', 'pricing.json');
+
+// Tax rates are held as millipercent (8.25% → 8250) so tax is integer maths too
+const RATE_SCALE = 1000;
+const FEE_TYPES = ['fixed', 'percent'];
+
+// ---------------------------------------------------------------------------
+// Lazy, per restaurant — each restaurant's file (restaurants.js) is loaded
+// and validated once, on first use
+// ---------------------------------------------------------------------------
+let _config = null;   // set by tests — used for every restaurant
+
+const loadForRestaurant = restaurantConfig('pricing', () => process.env.PRICING_CONFIG_PATH || DEFAULT_PRICING_PATH, loadPricingConfig);
+
+function getPricingConfig() {
+  return _config || loadForRestaurant();
+}
+
+// Exposed for testing — test/fixtures/pricing.json's tax rate and fees, so totals do not follow data/pricing.json
+function _setPricingConfig(config) {
+  _config = config;
+}
+
+// ---------------------------------------------------------------------------
+// Loading & validation
+// ---------------------------------------------------------------------------
+
+/**
+ * Reads and validates a pricing config file.
+ *
+ * @param {string} filePath
+ * @returns {object} config with the tax rate and fee amounts in integer units
+ * @throws if the file cannot be read, is not valid JSON, or fails validation
+ */
+function loadPricingConfig(filePath) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`[pricing] Cannot load ${filePath}: ${err.message}`);
+  }
+
+  const problems = validatePricingConfig(raw);
+  if (problems.length > 0) {
+    throw new Error(
+      `[pricing] ${filePath} is inconsistent (${problems.length} problem(s)):\n  - ` +
+      problems.join('\n  - ')
+    );
+  }
+
+  const config = buildPricingConfig(raw);
+  console.log(`[pricing] Loaded ${raw.tax.ratePercent}% ${config.tax.name} and ${config.fees.length} fee(s) from ${filePath}`);
+  return config;
+}
+
+/**
+ * @param {object} raw - parsed pricing JSON
+ * @returns {string[]} - human-readable problems (empty when valid)
+ */
+function validatePricingConfig(raw) {
+  const problems = [];
+  if (!raw || typeof raw !== 'object') return ['pricing config must be a JSON object'];
+
+  const tax = raw.tax;
+  if (!tax || typeof tax !== 'object') {
+    problems.push('tax must be an object with name and ratePercent');
+  } else {
+    if (typeof tax.name !== 'string' || tax.name.trim() === '') problems.push('tax.name is required');
+    if (!Number.isFinite(tax.ratePercent) || tax.ratePercent < 0 || tax.ratePercent >= 100) {
+      problems.push('tax.ratePercent must be a number from 0 to below 100');
+    } else if (Math.abs(tax.ratePercent * RATE_SCALE - Math.round(tax.ratePercent * RATE_SCALE)) > 1e-6) {
+      problems.push(`tax.ratePercent ${tax.ratePercent} has more than 3 decimal places`);
+    }
+  }
+
+  if (raw.deliveryFeeTaxable !== undefined && typeof raw.deliveryFeeTaxable !== 'boolean') {
+    problems.push('deliveryFeeTaxable must be true or false');
+  }
+
+  if (raw.fees !== undefined) {
+    if (!Array.isArray(raw.fees)) {
+      problems.push('fees must be an array');
+    } else {
+      const ids = new Set();
+      raw.fees.forEach((fee, i) => {
+        const at = `fees[${i}]`;
+        if (!fee || typeof fee.id !== 'string' || typeof fee.name !== 'string') {
+          problems.push(`${at} needs an id and a name`);
+          return;
+        }
+        if (ids.has(fee.id)) problems.push(`${at} id "${fee.id}" is duplicated`);
+        ids.add(fee.id);
+        if (!FEE_TYPES.includes(fee.type)) problems.push(`${at}.type must be one of: ${FEE_TYPES.join(', ')}`);
+        if (!Number.isFinite(fee.amount) || fee.amount < 0) problems.push(`${at}.amount must be a non-negative number`);
+        if (fee.taxable !== undefined && typeof fee.taxable !== 'boolean') problems.push(`${at}.taxable must be true or false`);
+        if (fee.orderTypes !== undefined && !Array.isArray(fee.orderTypes)) problems.push(`${at}.orderTypes must be an array`);
+      });
+    }
+  }
+
+  return problems;
+}
+
+function buildPricingConfig(raw) {
+  return {
+    tax: {
+      name: raw.tax.name,
+      ratePercent: raw.tax.ratePercent,
+      rate: Math.round(raw.tax.ratePercent * RATE_SCALE),
+    },
+    deliveryFeeTaxable: raw.deliveryFeeTaxable === true,
+    fees: (raw.fees || []).map(fee => ({
+      id: fee.id,
+      name: fee.name,
+      type: fee.type,
+      // fixed → cents; percent → millipercent
+      amount: fee.type === 'fixed' ? toCents(fee.amount) : Math.round(fee.amount * RATE_SCALE),
+      taxable: fee.taxable === true,
+      orderTypes: fee.orderTypes || null,
+    })),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Cents helpers
+// ---------------------------------------------------------------------------
+
+/** 6.49 → 649 */
+function toCents(dollars) {
+  return Math.round(Number(dollars) * 100);
+}
+
+/** 649 → 6.49 */
+function fromCents(cents) {
+  return cents / 100;
+}
+
+/** 649 → "6.49" */
+function formatCents(cents) {
+  const sign = cents < 0 ? '-' : '';
+  const abs = Math.abs(cents);
+  return `${sign}${Math.floor(abs / 100)}.${String(abs % 100).padStart(2, '0')}`;
+}
+
+// Rounds half up: cents × millipercent / 100 000
+function percentOf(cents, millipercent) {
+  return Math.floor((cents * millipercent + 50_000) / 100_000);
+}
+
+// ---------------------------------------------------------------------------
+// Totals
+// ---------------------------------------------------------------------------
+
+/**
+ * Computes an order's totals.
+ *
+ * @param {object} input
+ * @param {Array<{ unitPriceCents: number, quantity: number, taxable?: boolean }>} input.lines
+ * @param {Array<{ name: string, percent?: number, amountCents?: number }>} [input.discounts]
+ *   applied in order, each to what is left of the subtotal; amounts are capped
+ * @param {Array<{ id: string, name: string, amountCents: number, taxable?: boolean }>} [input.fees]
+ *   per-order fees such as delivery, on top of the configured ones
+ * @param {string} [input.orderType] - selects configured fees with orderTypes
+ * @returns {{ lines: Array<object>, subtotalCents: number,
+ *             discounts: Array<{ name: string, amountCents: number }>, discountCents: number,
+ *             fees: Array<{ id: string, name: string, amountCents: number, taxable: boolean }>, feesCents: number,
+ *             taxableCents: number, taxCents: number, taxName: string, taxRatePercent: number,
+ *             totalCents: number }}
+ */
+function computeTotals(input, config = getPricingConfig()) {
+  const lines = (input.lines || []).map(line => {
+    if (!Number.isInteger(line.unitPriceCents) || !Number.isInteger(line.quantity) || line.quantity < 1) {
+      throw new TypeError('computeTotals: lines need integer unitPriceCents and a positive integer quantity');
+    }
+    return { ...line, taxable: line.taxable !== false, lineTotalCents: line.unitPriceCents * line.quantity };
+  });
+
+  const subtotalCents = lines.reduce((sum, l) => sum + l.lineTotalCents, 0);
+  const taxableItemsCents = lines.filter(l => l.taxable).reduce((sum, l) => sum + l.lineTotalCents, 0);
+
+  // Discounts — before tax, never below zero
+  let remaining = subtotalCents;
+  const discounts = [];
+  for (const d of input.discounts || []) {
+    const wanted = d.percent !== undefined
+      ? percentOf(remaining, Math.round(d.percent * RATE_SCALE))
+      : Math.round(d.amountCents || 0);
+    const amountCents = Math.max(0, Math.min(wanted, remaining));
+    remaining -= amountCents;
+    discounts.push({ ...d, amountCents });
+  }
+  const discountCents = subtotalCents - remaining;
+
+  // The taxable items carry their share of the discount
+  const taxableDiscount = subtotalCents > 0
+    ? Math.round(discountCents * taxableItemsCents / subtotalCents)
+    : 0;
+
+  const fees = [
+    ...config.fees
+      .filter(f => !f.orderTypes || f.orderTypes.includes(input.orderType))
+      .map(f => ({
+        id: f.id,
+        name: f.name,
+        amountCents: f.type === 'fixed' ? f.amount : percentOf(remaining, f.amount),
+        taxable: f.taxable,
+      })),
+    ...(input.fees || []).map(f => ({ id: f.id, name: f.name, amountCents: f.amountCents, taxable: f.taxable === true })),
+  ].filter(f => f.amountCents > 0);
+  const feesCents = fees.reduce((sum, f) => sum + f.amountCents, 0);
+
+  const taxableCents = taxableItemsCents - taxableDiscount +
+    fees.filter(f => f.taxable).reduce((sum, f) => sum + f.amountCents, 0);
+  const taxCents = percentOf(taxableCents, config.tax.rate);
+
+  return {
+    lines,
+    subtotalCents,
+    discounts,
+    discountCents,
+    fees,
+    feesCents,
+    taxableCents,
+    taxCents,
+    taxName: config.tax.name,
+    taxRatePercent: config.tax.ratePercent,
+    totalCents: remaining + feesCents + taxCents,
+  };
+}
+
+/**
+ * Totals for a session cart. Unit prices and taxability come from the cart
+ * line and the catalog.
+ *
+ * @param {Array<{ itemId?: string, price: number, quantity: number }>} cart
+ * @param {object} [opts]
+ * @param {string} [opts.orderType]        - 'pickup' | 'delivery'
+ * @param {number} [opts.deliveryFeeCents] - delivery-zone fee
+ * @param {Array}  [opts.discounts]        - see computeTotals
+ * @returns {object} see computeTotals
+ */
+function priceCart(cart, opts = {}, config = getPricingConfig()) {
+  const fees = opts.deliveryFeeCents > 0
+    ? [{ id: 'delivery', name: 'Delivery Fee', amountCents: opts.deliveryFeeCents, taxable: config.deliveryFeeTaxable }]
+    : [];
+
+  return computeTotals({
+    lines: cart.map(line => ({
+      unitPriceCents: toCents(line.price),
+      quantity: line.quantity,
+      taxable: line.itemId ? (getItemById(line.itemId)?.taxable ?? true) : true,
+    })),
+    discounts: opts.discounts || [],
+    fees,
+    orderType: opts.orderType,
+  }, config);
+}
+
+/** "8.25% Texas sales tax" — for the system prompt. */
+function describeTax(config = getPricingConfig()) {
+  return `${config.tax.ratePercent}% ${config.tax.name}`;
+}
+
+module.exports = {
+  getPricingConfig,
+  loadPricingConfig,
+  validatePricingConfig,
+  computeTotals,
+  priceCart,
+  describeTax,
+  toCents,
+  fromCents,
+  formatCents,
+  // Exported for testing
+  _setPricingConfig,
+};
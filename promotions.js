@@ -0,0 +1,123 @@
+// promotions.js
+// Promo codes callers read out ("SAVE10", "BOGO DOSA").
+//
+// Promotions live in the Supabase promotions table (see migration
+// 20261019000500_promotions.sql). This module turns a row into the
+// discount pricing.computeTotals() applies before tax:
+//   percent  value% off the subtotal
+//   fixed    value dollars off the subtotal
+//   bogo     buy one get one free on item_id — every second unit of that
+//            item is free, priced at its cheapest cart line
+// The discount is recomputed from the current cart each time totals are
+// read, so removing items after applying a code can drop it below the
+// minimum spend.
+
+'use strict';
+
+const { toCents, fromCents } = require('./pricing');
+const { getItemById } = require('./menuCatalog');
+
+const PROMO_TYPES = ['percent', 'fixed', 'bogo'];
+
+/**
+ * "save 10" / "Save-10" → "SAVE10". Codes are stored in this form.
+ * @param {string} spoken
+ * @returns {string}
+ */
+function normalizeCode(spoken) {
+  return String(spoken || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Promotions row → the shape kept on the orderManager session.
+ * @param {object} row - promotions table row
+ * @returns {{ id: string, code: string, description: string, type: string, value: number|null,
+ *             itemId: string|null, minSubtotal: number, startsAt: Date|null, endsAt: Date|null,
+ *             onePerCustomer: boolean, active: boolean }}
+ */
+function fromRow(row) {
+  if (!PROMO_TYPES.includes(row.type)) {
+    throw new RangeError(`promotions: unknown type "${row.type}" for code ${row.code}`);
+  }
+  return {
+    id: row.id,
+    code: row.code,
+    description: row.description || row.code,
+    type: row.type,
+    value: row.value === null || row.value === undefined ? null : Number(row.value),
+    itemId: row.item_id || null,
+    minSubtotal: Number(row.min_subtotal || 0),
+    startsAt: row.starts_at ? new Date(row.starts_at) : null,
+    endsAt: row.ends_at ? new Date(row.ends_at) : null,
+    onePerCustomer: row.one_per_customer !== false,
+    active: row.active !== false,
+  };
+}
+
+/**
+ * Whether a promotion can be used at all right now (ignores the cart).
+ *
+ * @param {object} promo - from fromRow()
+ * @param {Date}   [now]
+ * @returns {{ ok: true } | { ok: false, reason: 'inactive'|'not_started'|'expired', message: string }}
+ */
+function checkValidity(promo, now = new Date()) {
+  if (!promo.active) {
+    return { ok: false, reason: 'inactive', message: `Code ${promo.code} is no longer active.` };
+  }
+  if (promo.startsAt && now < promo.startsAt) {
+    return { ok: false, reason: 'not_started', message: `Code ${promo.code} is not valid yet.` };
+  }
+  if (promo.endsAt && now > promo.endsAt) {
+    return { ok: false, reason: 'expired', message: `Code ${promo.code} has expired.` };
+  }
+  return { ok: true };
+}
+
+/**
+ * The discount a promotion gives on a cart.
+ *
+ * @param {object} promo - from fromRow()
+ * @param {Array<{ itemId: string, price: number, quantity: number }>} cart
+ * @returns {{ ok: true, discount: { code: string, name: string, percent?: number, amountCents?: number } }
+ *         | { ok: false, reason: 'min_spend'|'no_qualifying_item', message: string }}
+ */
+function promotionDiscount(promo, cart) {
+  const subtotalCents = cart.reduce((sum, line) => sum + toCents(line.price) * line.quantity, 0);
+  const minCents = toCents(promo.minSubtotal);
+  if (subtotalCents < minCents) {
+    return {
+      ok: false,
+      reason: 'min_spend',
+      message: `Code ${promo.code} needs a subtotal of at least ${promo.minSubtotal.toFixed(2)} dollars ` +
+               `(${fromCents(minCents - subtotalCents).toFixed(2)} dollars more).`,
+    };
+  }
+
+  const base = { code: promo.code, name: `${promo.description} (${promo.code})` };
+  if (promo.type === 'percent') return { ok: true, discount: { ...base, percent: promo.value } };
+  if (promo.type === 'fixed') return { ok: true, discount: { ...base, amountCents: toCents(promo.value) } };
+
+  // bogo — every second unit of the item is free, cheapest first
+  const lines = cart.filter(line => line.itemId === promo.itemId);
+  const quantity = lines.reduce((n, line) => n + line.quantity, 0);
+  if (quantity < 2) {
+    const item = getItemById(promo.itemId);
+    return {
+      ok: false,
+      reason: 'no_qualifying_item',
+      message: `Code ${promo.code} is buy one get one free on ${item ? item.name : 'a specific item'} — ` +
+               `the cart needs at least 2 of them.`,
+    };
+  }
+  const cheapest = Math.min(...lines.map(line => toCents(line.price)));
+  return { ok: true, discount: { ...base, amountCents: Math.floor(quantity / 2) * cheapest } };
+}
+
+module.exports = {
+  PROMO_TYPES,
+  normalizeCode,
+  fromRow,
+  checkValidity,
+  promotionDiscount,
+};
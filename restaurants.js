@@ -0,0 +1,324 @@
+// restaurants.js
+// The restaurants this server answers for, and which one a call belongs to.
+//
+// The registry lives in data/restaurants.json (override with RESTAURANTS_PATH):
+//   default       key of the restaurant that takes calls to any number not
+//                 listed, and the background work of orders without one
+//   restaurants   key → {
+//     restaurantId       restaurants.id in Supabase (null: DEFAULT_RESTAURANT_ID —
+//                        the default restaurant only)
+//     name, shortName, address, cuisine, heritage — for the system prompt,
+//                        receipts and the closed message
+//     phoneNumbers       Twilio numbers (E.164) that ring this restaurant
+//     orderNumberPrefix  e.g. "SB-IRV-"
+//     transferNumber     staff line for transfers (null: RESTAURANT_TRANSFER_NUMBER —
+//                        the default restaurant only)
+//     voice              Gemini prebuilt voice
+//     files              config kind → JSON file, for restaurants with their own
+//                        menu, pricing (tax), schedule (hours), delivery,
+//                        cloverItems or receipts; anything left out uses the
+//                        shared file as before
+//     clover             { merchantIdEnv, apiTokenEnv } — the env vars holding
+//                        its Clover credentials, so secrets stay out of the
+//                        repo (default restaurant: CLOVER_MERCHANT_ID /
+//                        CLOVER_API_TOKEN); the POS adapter is chosen in
+//                        data/pos.json as before
+//   }
+//
+// The restaurant is resolved from the dialled number (Twilio "To") in /twiml
+// and again in TwilioStream._onStart, then made the current restaurant for
+// the work done on its behalf (withRestaurant) — the call, the outbox entry,
+// a sync pass, a webhook event. Code underneath reads it with
+// currentRestaurant(), so getCatalog(), getSchedule(), supabaseClient's
+// restaurant id and the rest answer for that restaurant without every call
+// site passing it along. Per-restaurant config files are loaded once each
+// (restaurantConfig).
+//
+// server.js calls getRestaurants() at startup so a bad file stops the process.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { normalizePhone } = require('./phoneNumbers');
+
+const DEFAULT_RESTAURANTS_PATH = path.join(__dirname, 'data', 'restaurants.json');
+
+const FILE_KINDS = ['menu', 'pricing', 'schedule', 'delivery', 'cloverItems', 'receipts'];
+const TEXT_FIELDS = ['name', 'shortName', 'address', 'cuisine', 'heritage', 'orderNumberPrefix', 'voice'];
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const _current = new AsyncLocalStorage();
+
+// ---------------------------------------------------------------------------
+// Lazy singleton — loaded and validated once, on first use
+// ---------------------------------------------------------------------------
+let _registry = null;
+
+function getRestaurants() {
+  if (!_registry) {
+    _registry = loadRestaurants(process.env.RESTAURANTS_PATH || DEFAULT_RESTAURANTS_PATH);
+  }
+  return _registry;
+}
+
+// Exposed for testing — lets tests inject a registry built with buildRegistry()
+function _setRestaurants(registry) {
+  _registry = registry;
+}
+
+// ---------------------------------------------------------------------------
+// Loading & validation
+// ---------------------------------------------------------------------------
+
+/**
+ * Reads and validates a restaurant registry file.
+ *
+ * @param {string} filePath
+ * @returns {{ defaultKey: string, byKey: Map<string, object>, byNumber: Map<string, object> }}
+ * @throws if the file cannot be read, is not valid JSON, or fails validation
+ */
+function loadRestaurants(filePath) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`[restaurants] Cannot load ${filePath}: ${err.message}`);
+  }
+
+  const problems = validateRestaurants(raw);
+  if (problems.length > 0) {
+    throw new Error(
+      `[restaurants] ${filePath} is inconsistent (${problems.length} problem(s)):\n  - ` +
+      problems.join('\n  - ')
+    );
+  }
+
+  const registry = buildRegistry(raw);
+  console.log(`[restaurants] ${registry.byKey.size} restaurant(s): ` +
+              [...registry.byKey.values()].map(r => `${r.name} (${r.phoneNumbers.length} number(s))`).join(', ') +
+              `; calls to other numbers go to ${registry.byKey.get(registry.defaultKey).name} (${filePath})`);
+  return registry;
+}
+
+/**
+ * @param {object} raw - parsed registry JSON
+ * @returns {string[]} - human-readable problems (empty when valid)
+ */
+function validateRestaurants(raw) {
+  if (!raw || typeof raw !== 'object') return ['Restaurant registry must be a JSON object'];
+  const problems = [];
+
+  const restaurants = raw.restaurants;
+  if (!restaurants || typeof restaurants !== 'object' || Array.isArray(restaurants) || Object.keys(restaurants).length === 0) {
+    return ['restaurants must be an object of key → restaurant, with at least one restaurant'];
+  }
+  if (!restaurants[raw.default]) problems.push(`default "${raw.default}" is not one of the restaurants`);
+
+  const numbers = new Map();   // E.164 → restaurant key
+  for (const [key, r] of Object.entries(restaurants)) {
+    if (!r || typeof r !== 'object') {
+      problems.push(`restaurants.${key} must be an object`);
+      continue;
+    }
+    const isDefault = key === raw.default;
+
+    for (const field of TEXT_FIELDS) {
+      if (typeof r[field] !== 'string' || !r[field].trim()) problems.push(`restaurants.${key}.${field} is required`);
+    }
+    if (typeof r.orderNumberPrefix === 'string' && !/^[A-Z][A-Z0-9-]*$/.test(r.orderNumberPrefix)) {
+      problems.push(`restaurants.${key}.orderNumberPrefix "${r.orderNumberPrefix}" must be upper-case letters, digits and dashes`);
+    }
+
+    if (r.restaurantId == null) {
+      if (!isDefault) problems.push(`restaurants.${key}.restaurantId is required (only the default restaurant can use DEFAULT_RESTAURANT_ID)`);
+    } else if (typeof r.restaurantId !== 'string' || !UUID.test(r.restaurantId)) {
+      problems.push(`restaurants.${key}.restaurantId "${r.restaurantId}" is not a uuid`);
+    }
+    if (r.transferNumber == null) {
+      if (!isDefault) problems.push(`restaurants.${key}.transferNumber is required (only the default restaurant can use RESTAURANT_TRANSFER_NUMBER)`);
+    } else if (!normalizePhone(String(r.transferNumber))) {
+      problems.push(`restaurants.${key}.transferNumber "${r.transferNumber}" is not a phone number`);
+    }
+
+    if (!Array.isArray(r.phoneNumbers)) {
+      problems.push(`restaurants.${key}.phoneNumbers must be an array of E.164 numbers`);
+    } else {
+      for (const number of r.phoneNumbers) {
+        const e164 = normalizePhone(String(number));
+        if (!e164) {
+          problems.push(`restaurants.${key}.phoneNumbers: "${number}" is not a phone number`);
+        } else if (numbers.has(e164) && numbers.get(e164) !== key) {
+          problems.push(`restaurants.${key}.phoneNumbers: ${e164} also rings "${numbers.get(e164)}"`);
+        } else {
+          numbers.set(e164, key);
+        }
+      }
+    }
+
+    const files = r.files;
+    if (files !== undefined && (!files || typeof files !== 'object' || Array.isArray(files))) {
+      problems.push(`restaurants.${key}.files must be an object of config kind → file`);
+    } else {
+      for (const [kind, file] of Object.entries(files || {})) {
+        if (!FILE_KINDS.includes(kind)) problems.push(`restaurants.${key}.files: "${kind}" is not one of: ${FILE_KINDS.join(', ')}`);
+        else if (typeof file !== 'string' || !fs.existsSync(path.resolve(__dirname, file))) {
+          problems.push(`restaurants.${key}.files.${kind}: "${file}" does not exist`);
+        }
+      }
+    }
+
+    const clover = r.clover;
+    if (clover !== undefined && clover !== null &&
+        (typeof clover !== 'object' || typeof clover.merchantIdEnv !== 'string' || typeof clover.apiTokenEnv !== 'string')) {
+      problems.push(`restaurants.${key}.clover must be { merchantIdEnv, apiTokenEnv } — names of env vars`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Indexes a validated registry. Env fallbacks are read here, so this runs
+ * after dotenv has loaded.
+ *
+ * @param {object} raw - registry JSON that passed validateRestaurants
+ * @returns {{ defaultKey: string, byKey: Map<string, object>, byNumber: Map<string, object> }}
+ */
+function buildRegistry(raw) {
+  const byKey = new Map();
+  const byNumber = new Map();
+
+  for (const [key, r] of Object.entries(raw.restaurants)) {
+    const isDefault = key === raw.default;
+    const restaurant = {
+      key,
+      isDefault,
+      id: r.restaurantId || (isDefault ? process.env.DEFAULT_RESTAURANT_ID || null : null),
+      name: r.name,
+      shortName: r.shortName,
+      address: r.address,
+      cuisine: r.cuisine,
+      heritage: r.heritage,
+      phoneNumbers: r.phoneNumbers.map(n => normalizePhone(String(n))),
+      orderNumberPrefix: r.orderNumberPrefix,
+      transferNumber: r.transferNumber || (isDefault ? process.env.RESTAURANT_TRANSFER_NUMBER || null : null),
+      voice: r.voice,
+      files: Object.fromEntries(Object.entries(r.files || {}).map(([kind, file]) => [kind, path.resolve(__dirname, file)])),
+      clover: r.clover || (isDefault ? { merchantIdEnv: 'CLOVER_MERCHANT_ID', apiTokenEnv: 'CLOVER_API_TOKEN' } : null),
+    };
+    byKey.set(key, restaurant);
+    for (const number of restaurant.phoneNumbers) byNumber.set(number, restaurant);
+  }
+  return { defaultKey: raw.default, byKey, byNumber };
+}
+
+// ---------------------------------------------------------------------------
+// Lookups
+// ---------------------------------------------------------------------------
+
+/** @returns {object[]} every restaurant, default first */
+function listRestaurants() {
+  const { defaultKey, byKey } = getRestaurants();
+  return [byKey.get(defaultKey), ...[...byKey.values()].filter(r => r.key !== defaultKey)];
+}
+
+/** @returns {object} */
+function defaultRestaurant() {
+  const { defaultKey, byKey } = getRestaurants();
+  return byKey.get(defaultKey);
+}
+
+/**
+ * @param {string} key
+ * @returns {object|undefined}
+ */
+function getRestaurant(key) {
+  return getRestaurants().byKey.get(key);
+}
+
+/**
+ * The restaurant a dialled number belongs to — the default restaurant for a
+ * number not in the registry (or a missing one).
+ *
+ * @param {string} dialled - Twilio "To"
+ * @returns {object}
+ */
+function restaurantForNumber(dialled) {
+  const e164 = normalizePhone(String(dialled || ''));
+  return (e164 && getRestaurants().byNumber.get(e164)) || defaultRestaurant();
+}
+
+/**
+ * The restaurant an orders row belongs to, by its restaurant_id — the
+ * default restaurant when no entry has that id.
+ *
+ * @param {string} restaurantId
+ * @returns {object}
+ */
+function restaurantForId(restaurantId) {
+  return listRestaurants().find(r => r.id && r.id === restaurantId) || defaultRestaurant();
+}
+
+// ---------------------------------------------------------------------------
+// Current restaurant
+// ---------------------------------------------------------------------------
+
+/**
+ * Runs fn with restaurant as the current restaurant, for everything it
+ * calls and awaits.
+ *
+ * @param {object} restaurant
+ * @param {Function} fn
+ * @returns {*} fn's result
+ */
+function withRestaurant(restaurant, fn) {
+  return _current.run(restaurant, fn);
+}
+
+/**
+ * The restaurant the current call, order or event belongs to — the default
+ * restaurant outside withRestaurant().
+ *
+ * @returns {object}
+ */
+function currentRestaurant() {
+  return _current.getStore() || defaultRestaurant();
+}
+
+/**
+ * A lazy per-restaurant config getter: the current restaurant's file of
+ * that kind (or the shared file) is loaded once, then reused — also by other
+ * restaurants that share it.
+ *
+ * @param {string}   kind        - one of FILE_KINDS
+ * @param {() => string} sharedPath - the shared file (read on each call, so env overrides work)
+ * @param {(file: string) => *} load
+ * @returns {() => *}
+ */
+function restaurantConfig(kind, sharedPath, load) {
+  const loaded = new Map();   // file → config
+  return () => {
+    const file = currentRestaurant().files[kind] || sharedPath();
+    if (!loaded.has(file)) loaded.set(file, load(file));
+    return loaded.get(file);
+  };
+}
+
+module.exports = {
+  FILE_KINDS,
+  getRestaurants,
+  loadRestaurants,
+  validateRestaurants,
+  buildRegistry,
+  listRestaurants,
+  defaultRestaurant,
+  getRestaurant,
+  restaurantForNumber,
+  restaurantForId,
+  withRestaurant,
+  currentRestaurant,
+  restaurantConfig,
+  // Exported for testing
+  _setRestaurants,
+};
@@ -0,0 +1,565 @@
+// schedule.js
+// Restaurant opening hours, holiday closures and day-part menus.
+//
+// The schedule lives in data/schedule.json (override with SCHEDULE_PATH):
+//   timeZone        IANA zone the hours are written in, e.g. "America/Chicago"
+//   weeklyHours     mon..sun → [{ open: "HH:MM", close: "HH:MM" }]  (empty = closed)
+//   closures        [{ date: "YYYY-MM-DD", name, hours? }]  — no hours = closed all day,
+//                   hours = special opening hours for that date
+//   dayParts        [{ id, name, start, end, categories?, items? }] — items in these
+//                   categories/ids can only be ordered inside the window
+//   closedBehavior  "message" (play a closed message and hang up) or
+//                   "future_order" (take the order for the next opening)
+//   pickup          { minLeadMinutes, maxDaysAhead } — how soon / how far ahead a
+//                   pickup can be scheduled (defaults 20 minutes / 7 days)
+//
+// All clock maths happens in the restaurant's time zone, never the server's.
+// server.js calls getSchedule() at startup so a bad file stops the process.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { restaurantConfig } = require('./restaurants');
+
+const DEFAULT_SCHEDULE_PATH = path.join(__dirname, 'data', 'schedule.json');
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const WEEKDAY_NAMES = {
+  sun: 'Sunday', mon: 'Monday', tue: 'Tuesday', wed: 'Wednesday',
+  thu: 'Thursday', fri: 'Friday', sat: 'Saturday',
+};
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$|^24:00$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const CLOSED_BEHAVIORS = ['message', 'future_order'];
+
+// How many days ahead nextOpening() searches before giving up
+const MAX_LOOKAHEAD_DAYS = 14;
+
+const DEFAULT_PICKUP = { minLeadMinutes: 20, maxDaysAhead: 7 };
+// Earliest pickup times are rounded up to the next 5 minutes
+const PICKUP_ROUND_MS = 5 * 60_000;
+
+// ---------------------------------------------------------------------------
+// Lazy, per restaurant — each restaurant's file (restaurants.js) is loaded
+// and validated once, on first use
+// ---------------------------------------------------------------------------
+let _schedule = null;   // set by tests — used for every restaurant
+
+const loadForRestaurant = restaurantConfig('schedule', () => process.env.SCHEDULE_PATH || DEFAULT_SCHEDULE_PATH, loadSchedule);
+
+function getSchedule() {
+  return _schedule || loadForRestaurant();
+}
+
+// Exposed for testing — pins the hours to test/fixtures/schedule.json, whatever data/schedule.json says
+function _setSchedule(schedule) {
+  _schedule = schedule;
+}
+
+// ---------------------------------------------------------------------------
+// Loading & validation
+// ---------------------------------------------------------------------------
+
+/**
+ * Reads, validates and normalises a schedule file.
+ *
+ * @param {string} filePath
+ * @returns {object} schedule with times converted to minutes after midnight
+ * @throws if the file cannot be read, is not valid JSON, or fails validation
+ */
+function loadSchedule(filePath) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`[schedule] Cannot load ${filePath}: ${err.message}`);
+  }
+
+  const problems = validateSchedule(raw);
+  if (problems.length > 0) {
+    throw new Error(
+      `[schedule] ${filePath} is inconsistent (${problems.length} problem(s)):\n  - ` +
+      problems.join('\n  - ')
+    );
+  }
+
+  const schedule = buildSchedule(raw);
+  console.log(`[schedule] Loaded hours for ${schedule.timeZone} from ${filePath}`);
+  return schedule;
+}
+
+/**
+ * @param {object} raw - parsed schedule JSON
+ * @returns {string[]} - human-readable problems (empty when valid)
+ */
+function validateSchedule(raw) {
+  const problems = [];
+  if (!raw || typeof raw !== 'object') return ['schedule must be a JSON object'];
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: raw.timeZone });
+    if (typeof raw.timeZone !== 'string') throw new Error();
+  } catch (_) {
+    problems.push(`timeZone "${raw.timeZone}" is not a valid IANA time zone`);
+  }
+
+  if (!raw.weeklyHours || typeof raw.weeklyHours !== 'object') {
+    problems.push('weeklyHours must be an object keyed by mon..sun');
+  } else {
+    for (const day of WEEKDAYS) {
+      checkIntervals(raw.weeklyHours[day], `weeklyHours.${day}`, problems);
+    }
+  }
+
+  if (raw.closures !== undefined) {
+    if (!Array.isArray(raw.closures)) {
+      problems.push('closures must be an array');
+    } else {
+      const dates = new Set();
+      raw.closures.forEach((c, i) => {
+        const at = `closures[${i}]`;
+        if (!c || !DATE_PATTERN.test(c.date || '')) problems.push(`${at}.date must be YYYY-MM-DD`);
+        else if (dates.has(c.date)) problems.push(`${at}.date ${c.date} is duplicated`);
+        else dates.add(c.date);
+        if (c && c.hours !== undefined) checkIntervals(c.hours, `${at}.hours`, problems);
+      });
+    }
+  }
+
+  if (raw.dayParts !== undefined) {
+    if (!Array.isArray(raw.dayParts)) {
+      problems.push('dayParts must be an array');
+    } else {
+      raw.dayParts.forEach((d, i) => {
+        const at = `dayParts[${i}]`;
+        if (!d || typeof d.id !== 'string' || typeof d.name !== 'string') {
+          problems.push(`${at} needs an id and a name`);
+          return;
+        }
+        if (!TIME_PATTERN.test(d.start || '') || !TIME_PATTERN.test(d.end || '')) {
+          problems.push(`${at} start/end must be HH:MM`);
+        } else if (toMinutes(d.start) >= toMinutes(d.end)) {
+          problems.push(`${at} start must be before end`);
+        }
+        if (!Array.isArray(d.categories || []) || !Array.isArray(d.items || [])) {
+          problems.push(`${at} categories/items must be arrays of ids`);
+        }
+      });
+    }
+  }
+
+  if (raw.closedBehavior !== undefined && !CLOSED_BEHAVIORS.includes(raw.closedBehavior)) {
+    problems.push(`closedBehavior must be one of: ${CLOSED_BEHAVIORS.join(', ')}`);
+  }
+
+  if (raw.pickup !== undefined) {
+    if (!raw.pickup || typeof raw.pickup !== 'object') {
+      problems.push('pickup must be an object');
+    } else {
+      for (const key of Object.keys(DEFAULT_PICKUP)) {
+        const value = raw.pickup[key];
+        if (value !== undefined && !(Number.isInteger(value) && value >= 0)) {
+          problems.push(`pickup.${key} must be a non-negative integer`);
+        }
+      }
+    }
+  }
+
+  return problems;
+}
+
+function checkIntervals(intervals, at, problems) {
+  if (!Array.isArray(intervals)) {
+    problems.push(`${at} must be an array (use [] for closed)`);
+    return;
+  }
+  intervals.forEach((iv, i) => {
+    if (!iv || !TIME_PATTERN.test(iv.open || '') || !TIME_PATTERN.test(iv.close || '')) {
+      problems.push(`${at}[${i}] open/close must be HH:MM`);
+    } else if (toMinutes(iv.open) >= toMinutes(iv.close)) {
+      problems.push(`${at}[${i}] open must be before close (overnight hours are not supported)`);
+    }
+  });
+}
+
+function buildSchedule(raw) {
+  const toRanges = intervals => intervals
+    .map(iv => ({ open: toMinutes(iv.open), close: toMinutes(iv.close) }))
+    .sort((a, b) => a.open - b.open);
+
+  const weeklyHours = {};
+  for (const day of WEEKDAYS) weeklyHours[day] = toRanges(raw.weeklyHours[day]);
+
+  const closures = new Map();
+  for (const c of raw.closures || []) {
+    closures.set(c.date, { name: c.name || 'Holiday', hours: c.hours ? toRanges(c.hours) : [] });
+  }
+
+  return {
+    timeZone: raw.timeZone,
+    weeklyHours,
+    closures,
+    dayParts: (raw.dayParts || []).map(d => ({
+      id: d.id,
+      name: d.name,
+      start: toMinutes(d.start),
+      end: toMinutes(d.end),
+      categories: d.categories || [],
+      items: d.items || [],
+    })),
+    closedBehavior: raw.closedBehavior || 'message',
+    pickup: { ...DEFAULT_PICKUP, ...(raw.pickup || {}) },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Time-zone helpers
+// ---------------------------------------------------------------------------
+
+function toMinutes(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+/**
+ * Wall-clock parts of an instant in the given zone.
+ * @returns {{ date: string, weekday: string, minutes: number }}
+ */
+function zonedParts(instant, timeZone) {
+  const parts = {};
+  for (const p of new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit',
+  }).formatToParts(instant)) {
+    parts[p.type] = p.value;
+  }
+  const date = `${parts.year}-${parts.month}-${parts.day}`;
+  return {
+    date,
+    weekday: weekdayOf(date),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+function weekdayOf(dateStr) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return WEEKDAYS[new Date(Date.UTC(y, m - 1, d)).getUTCDay()];
+}
+
+function addDays(dateStr, days) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Converts a wall-clock time in the zone to a UTC instant.
+ * Two correction passes settle DST transitions.
+ *
+ * @param {string} dateStr - "YYYY-MM-DD" in the zone
+ * @param {number} minutes - minutes after local midnight
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+function zonedTimeToDate(dateStr, minutes, timeZone) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  const target = Date.UTC(y, m - 1, d, 0, minutes);
+  let guess = target;
+  for (let i = 0; i < 2; i++) {
+    const p = zonedParts(new Date(guess), timeZone);
+    const [py, pm, pd] = p.date.split('-').map(Number);
+    guess += target - Date.UTC(py, pm - 1, pd, 0, p.minutes);
+  }
+  return new Date(guess);
+}
+
+// ---------------------------------------------------------------------------
+// Opening hours
+// ---------------------------------------------------------------------------
+
+/**
+ * Opening ranges for a local date, honouring closures.
+ * @returns {{ ranges: Array<{ open: number, close: number }>, closure: string|null }}
+ */
+function hoursOn(dateStr, schedule = getSchedule()) {
+  const closure = schedule.closures.get(dateStr);
+  if (closure) return { ranges: closure.hours, closure: closure.name };
+  return { ranges: schedule.weeklyHours[weekdayOf(dateStr)], closure: null };
+}
+
+/**
+ * Whether the restaurant is open at an instant.
+ *
+ * @param {Date} [at]
+ * @returns {{ open: boolean, closure: string|null, closesAt: Date|null, nextOpen: Date|null }}
+ *   closure  — holiday name when closed for one
+ *   closesAt — end of the current opening range (when open)
+ *   nextOpen — start of the next opening range (when closed)
+ */
+function getOpenStatus(at = new Date(), schedule = getSchedule()) {
+  const { date, minutes } = zonedParts(at, schedule.timeZone);
+  const { ranges, closure } = hoursOn(date, schedule);
+  const current = ranges.find(r => minutes >= r.open && minutes < r.close);
+
+  if (current) {
+    return {
+      open: true,
+      closure: null,
+      closesAt: zonedTimeToDate(date, current.close, schedule.timeZone),
+      nextOpen: null,
+    };
+  }
+  return { open: false, closure, closesAt: null, nextOpen: nextOpening(at, schedule) };
+}
+
+/**
+ * Start of the next opening range strictly after `at`.
+ * @returns {Date|null} null if closed for the whole lookahead window
+ */
+function nextOpening(at = new Date(), schedule = getSchedule()) {
+  const { date, minutes } = zonedParts(at, schedule.timeZone);
+  for (let offset = 0; offset < MAX_LOOKAHEAD_DAYS; offset++) {
+    const day = addDays(date, offset);
+    for (const range of hoursOn(day, schedule).ranges) {
+      if (offset === 0 && range.open <= minutes) continue;
+      return zonedTimeToDate(day, range.open, schedule.timeZone);
+    }
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Pickup times
+// ---------------------------------------------------------------------------
+// A pickup must fall inside an opening range, at least minLeadMinutes after
+// both "now" and the range's opening (the kitchen needs time to cook), and no
+// more than maxDaysAhead days out. Pickup exactly at closing time is allowed.
+
+/**
+ * Pickup windows for a local date.
+ * @returns {Array<{ from: Date, to: Date }>}
+ */
+function pickupWindowsOn(dateStr, schedule) {
+  const lead = schedule.pickup.minLeadMinutes;
+  return hoursOn(dateStr, schedule).ranges
+    .filter(r => r.open + lead <= r.close)
+    .map(r => ({
+      from: zonedTimeToDate(dateStr, r.open + lead, schedule.timeZone),
+      to: zonedTimeToDate(dateStr, r.close, schedule.timeZone),
+    }));
+}
+
+/**
+ * Earliest pickup for an order placed at `now`.
+ * @returns {Date|null} null if nothing is open within maxDaysAhead
+ */
+function earliestPickup(now = new Date(), schedule = getSchedule()) {
+  const { minLeadMinutes, maxDaysAhead } = schedule.pickup;
+  const notBefore = Math.ceil((now.getTime() + minLeadMinutes * 60_000) / PICKUP_ROUND_MS) * PICKUP_ROUND_MS;
+  const today = zonedParts(now, schedule.timeZone).date;
+
+  for (let offset = 0; offset <= maxDaysAhead; offset++) {
+    for (const w of pickupWindowsOn(addDays(today, offset), schedule)) {
+      const candidate = Math.max(w.from.getTime(), notBefore);
+      if (candidate <= w.to.getTime()) return new Date(candidate);
+    }
+  }
+  return null;
+}
+
+/**
+ * Turns the day and time Gemini heard into an instant in the restaurant's zone.
+ *
+ * @param {string} [day]  - "today" (default), "tomorrow", a weekday name, or "YYYY-MM-DD"
+ * @param {string} time   - "18:30", "6:30pm", "6 pm"
+ * @param {Date}   [now]
+ * @returns {Date|null} null if either part cannot be understood
+ */
+function parsePickupTime(day, time, now = new Date(), schedule = getSchedule()) {
+  const t = /^(\d{1,2})(?::(\d{2}))?\s*([ap])?\.?\s*m?\.?$/i.exec(String(time || '').trim());
+  if (!t) return null;
+  let hour = Number(t[1]);
+  const minute = Number(t[2] || 0);
+  const meridiem = (t[3] || '').toLowerCase();
+  if (minute > 59) return null;
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (meridiem === 'p' ? 12 : 0);
+  } else if (hour > 23) {
+    return null;
+  }
+
+  const today = zonedParts(now, schedule.timeZone).date;
+  const spokenDay = String(day || 'today').trim().toLowerCase();
+  let date;
+  if (spokenDay === 'today' || spokenDay === 'tonight') {
+    date = today;
+  } else if (spokenDay === 'tomorrow') {
+    date = addDays(today, 1);
+  } else if (DATE_PATTERN.test(spokenDay)) {
+    date = spokenDay;
+  } else {
+    const weekday = WEEKDAYS.find(d => spokenDay === d || spokenDay === WEEKDAY_NAMES[d].toLowerCase());
+    if (!weekday) return null;
+    date = today;
+    while (weekdayOf(date) !== weekday) date = addDays(date, 1);
+  }
+
+  return zonedTimeToDate(date, hour * 60 + minute, schedule.timeZone);
+}
+
+/**
+ * Validates a requested pickup instant.
+ *
+ * @param {Date} at
+ * @param {Date} [now]
+ * @returns {{ ok: true } | { ok: false, reason: 'too_soon'|'too_far'|'closed', earliest: Date|null }}
+ *   earliest — the first valid pickup to offer instead (after the requested
+ *              time when closed, otherwise after now)
+ */
+function checkPickupTime(at, now = new Date(), schedule = getSchedule()) {
+  const { minLeadMinutes, maxDaysAhead } = schedule.pickup;
+  const fail = (reason, from = now) => ({ ok: false, reason, earliest: earliestPickup(from, schedule) });
+
+  if (at.getTime() < now.getTime() + minLeadMinutes * 60_000) return fail('too_soon');
+  if (at.getTime() > now.getTime() + maxDaysAhead * 86_400_000) return fail('too_far');
+
+  const { date } = zonedParts(at, schedule.timeZone);
+  const inWindow = pickupWindowsOn(date, schedule)
+    .some(w => at.getTime() >= w.from.getTime() && at.getTime() <= w.to.getTime());
+  // Closed then — offer the first pickup after the time they asked for
+  return inWindow ? { ok: true } : fail('closed', new Date(at.getTime() - minLeadMinutes * 60_000));
+}
+
+// ---------------------------------------------------------------------------
+// Day-parts
+// ---------------------------------------------------------------------------
+
+/**
+ * Checks whether a catalog item may be ordered for a given time.
+ * Items not covered by any day-part are served whenever the restaurant is open.
+ *
+ * @param {object} item - catalog item
+ * @param {Date}   [at] - when the food will be prepared (now, or the pickup time)
+ * @returns {{ ok: true } | { ok: false, dayPart: object }}
+ */
+function checkDayPart(item, at = new Date(), schedule = getSchedule()) {
+  const parts = schedule.dayParts.filter(d =>
+    d.categories.includes(item.categoryId) || d.items.includes(item.id)
+  );
+  if (parts.length === 0) return { ok: true };
+
+  const { minutes } = zonedParts(at, schedule.timeZone);
+  const serving = parts.find(d => minutes >= d.start && minutes < d.end);
+  return serving ? { ok: true } : { ok: false, dayPart: parts[0] };
+}
+
+/**
+ * Cross-checks day-part references against the menu catalog.
+ * @param {object} catalog - from menuCatalog.getCatalog()
+ * @returns {string[]} problems (empty when every reference exists)
+ */
+function checkScheduleRefs(catalog, schedule = getSchedule()) {
+  const categoryIds = new Set(catalog.categories.map(c => c.id));
+  const problems = [];
+  for (const d of schedule.dayParts) {
+    for (const id of d.categories) {
+      if (!categoryIds.has(id)) problems.push(`dayPart "${d.id}" references unknown category "${id}"`);
+    }
+    for (const id of d.items) {
+      if (!catalog.byId.has(id)) problems.push(`dayPart "${d.id}" references unknown item "${id}"`);
+    }
+  }
+  return problems;
+}
+
+// ---------------------------------------------------------------------------
+// Spoken / prompt formatting
+// ---------------------------------------------------------------------------
+
+/** "morning" | "afternoon" | "evening" at the restaurant. */
+function timeOfDay(at = new Date(), schedule = getSchedule()) {
+  const hour = Math.floor(zonedParts(at, schedule.timeZone).minutes / 60);
+  return hour < 12 ? 'morning' : hour < 17 ? 'afternoon' : 'evening';
+}
+
+/** 660 → "11am", 1350 → "10:30pm" */
+function formatMinutes(minutes) {
+  const h = Math.floor(minutes / 60) % 24;
+  const m = minutes % 60;
+  const suffix = h < 12 ? 'am' : 'pm';
+  const h12 = h % 12 === 0 ? 12 : h % 12;
+  return m === 0 ? `${h12}${suffix}` : `${h12}:${String(m).padStart(2, '0')}${suffix}`;
+}
+
+/**
+ * "Friday at 11am" / "today at 5:30pm" / "tomorrow at 11am" in the restaurant's zone.
+ * @param {Date} instant
+ * @param {Date} [now]
+ */
+function describeInstant(instant, now = new Date(), schedule = getSchedule()) {
+  const target = zonedParts(instant, schedule.timeZone);
+  const today = zonedParts(now, schedule.timeZone).date;
+  const day = target.date === today ? 'today'
+    : target.date === addDays(today, 1) ? 'tomorrow'
+    : WEEKDAY_NAMES[target.weekday];
+  return `${day} at ${formatMinutes(target.minutes)}`;
+}
+
+/** "Mon Oct 19, 6:30pm" — absolute local time for kitchen tickets and notes. */
+function formatLocalDateTime(instant, schedule = getSchedule()) {
+  const date = new Intl.DateTimeFormat('en-US', {
+    timeZone: schedule.timeZone, weekday: 'short', month: 'short', day: 'numeric',
+  }).format(instant);
+  return `${date}, ${formatMinutes(zonedParts(instant, schedule.timeZone).minutes)}`;
+}
+
+/** Weekly hours as prompt text, grouping identical consecutive days: "Mon-Sun 11am-10pm". */
+function describeWeeklyHours(schedule = getSchedule()) {
+  const order = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+  const label = day => {
+    const ranges = schedule.weeklyHours[day];
+    return ranges.length === 0 ? 'Closed' : ranges.map(r => `${formatMinutes(r.open)}-${formatMinutes(r.close)}`).join(', ');
+  };
+  const short = day => day[0].toUpperCase() + day.slice(1);
+
+  const groups = [];
+  for (const day of order) {
+    const last = groups[groups.length - 1];
+    if (last && last.label === label(day)) last.to = day;
+    else groups.push({ from: day, to: day, label: label(day) });
+  }
+  return groups
+    .map(g => `${g.from === g.to ? short(g.from) : `${short(g.from)}-${short(g.to)}`} ${g.label}`)
+    .join('; ');
+}
+
+/** One line per day-part: "Evening Specials: 3pm-10pm only" */
+function describeDayParts(schedule = getSchedule()) {
+  return schedule.dayParts.map(d => `${d.name}: ${formatMinutes(d.start)}-${formatMinutes(d.end)} only`);
+}
+
+module.exports = {
+  getSchedule,
+  loadSchedule,
+  validateSchedule,
+  getOpenStatus,
+  nextOpening,
+  earliestPickup,
+  parsePickupTime,
+  checkPickupTime,
+  checkDayPart,
+  checkScheduleRefs,
+  timeOfDay,
+  formatMinutes,
+  describeInstant,
+  formatLocalDateTime,
+  describeWeeklyHours,
+  describeDayParts,
+  zonedParts,
+  zonedTimeToDate,
+  // Exported for testing
+  _setSchedule,
+};
@@ -19,7 +19,7 @@
 //
 // Key objects:
 //   sessions  Map<callSid, SessionEntry>  all live calls tracked here
-//   app       Express HTTP server         handles /health and /twiml
+//   app       Express HTTP server         handles /health, /twiml and /admin/*
 //   wss       WebSocketServer             handles /stream (Twilio audio)
 //
 // For Peter 3 (Gemini layer): call server.setGeminiHandlers(factory) BEFORE
@@ -28,10 +28,47 @@
 'use strict';
 
 require('dotenv').config();
+const crypto = require('crypto');
 const http = require('http');
 const express = require('express');
 const { WebSocketServer } = require('ws');
 const TwilioStream = require('./twilioStream');
+const { getCatalog } = require('./menuCatalog');
+const {
+  getRestaurants,
+  listRestaurants,
+  defaultRestaurant,
+  getRestaurant,
+  restaurantForNumber,
+  withRestaurant,
+  currentRestaurant,
+} = require('./restaurants');
+const { buildSystemPrompt } = require('./systemPrompt');
+const { resolveItem } = require('./itemResolver');
+const {
+  getSchedule,
+  getOpenStatus,
+  describeInstant,
+  checkScheduleRefs,
+} = require('./schedule');
+const { getDeliveryConfig } = require('./delivery');
+const { getPricingConfig } = require('./pricing');
+const { getCloverMapping } = require('./cloverCatalog');
+const { getPosConfig } = require('./posAdapter');
+const { getReceiptConfig } = require('./orderReceipts');
+const { getSmsSender } = require('./smsSender');
+const { getPaymentConfig, getPaymentProvider, handlePaymentEvent } = require('./payments');
+const { renderPaymentPage } = require('./fakePayments');
+const { getOrderChangePolicy } = require('./placedOrders');
+const { parsePhone, normalizePhone, getDefaultRegion } = require('./phoneNumbers');
+const {
+  getUnavailable,
+  setAvailability,
+  startAvailabilitySync,
+} = require('./availability');
+const { startOutboxWorker, listPending, STUCK_AFTER_ATTEMPTS } = require('./orderOutbox');
+const { startCloverSyncWorker } = require('./cloverSync');
+const { verifyCloverAuth, handleCloverEvents } = require('./cloverWebhook');
 
 // ─── Session registry ─────────────────────────────────────────────────────────
 // Keyed by Twilio callSid (known only after the 'start' event).
@@ -77,7 +114,8 @@ app.get('/health', (_req, res) => {
 // ── TwiML webhook — called by Twilio when someone dials the restaurant number ──
 // Twilio POSTs application/x-www-form-urlencoded with at minimum:
 //   From  — caller's E.164 phone number
-//   To    — the Twilio number that was dialled (restaurant number)
+//   To    — the Twilio number that was dialled (restaurant number) — picks the
+//           restaurant (restaurants.js), whose hours decide if it is closed
 //   CallSid — Twilio's call identifier
 app.post('/twiml', (req, res) => {
   const host = req.headers.host;
@@ -89,17 +127,162 @@ app.post('/twiml', (req, res) => {
     return res.status(400).send('Bad Request');
   }
 
+  const restaurant = restaurantForNumber(restaurantPhone);
+
+  // Closed (after hours or a holiday) — either say so and hang up, or fall
+  // through and let the agent take an order for the next opening
+  const closed = withRestaurant(restaurant, () => {
+    const status = getOpenStatus();
+    return !status.open && getSchedule().closedBehavior === 'message' ? closedMessage(status) : null;
+  });
+  if (closed) {
+    console.log(`[server] /twiml: ${restaurant.name} closed — playing closed message to ${callerPhone}`);
+    res.set('Content-Type', 'text/xml');
+    return res.send(buildClosedTwiml(closed));
+  }
+
   // Build the TwiML that tells Twilio to:
   //   1. Keep the call open (Connect)
   //   2. Stream the audio to our WebSocket endpoint
   //   3. Pass the phone numbers as custom parameters so TwilioStream can read them
   const twiml = buildTwiml(host, callerPhone, restaurantPhone);
 
-  console.log(`[server] /twiml: incoming call from ${callerPhone} to ${restaurantPhone}`);
+  console.log(`[server] /twiml: incoming call from ${callerPhone} to ${restaurantPhone} (${restaurant.name})`);
   res.set('Content-Type', 'text/xml');
   res.send(twiml);
 });
 
+// ── Admin: runtime 86 list ────────────────────────────────────────────────────
+// Kitchen staff (or a tablet app) mark items out / back in mid-service.
+// Requires `Authorization: Bearer <ADMIN_API_TOKEN>`. Works on the default
+// restaurant's list unless ?restaurant=<key> (restaurants.js) names another.
+//
+//   GET  /admin/menu/availability  → { unavailable: [{ itemId, itemName, reason, since }] }
+//   POST /admin/menu/availability  body: { itemId | itemName, available: boolean, reason? }
+app.get('/admin/menu/availability', requireAdminToken, forRestaurant, (_req, res) => {
+  res.status(200).json({
+    unavailable: getUnavailable().map(({ item, reason, since }) => ({
+      itemId: item.id,
+      itemName: item.name,
+      reason,
+      since,
+    })),
+  });
+});
+
+app.post('/admin/menu/availability', requireAdminToken, forRestaurant, async (req, res) => {
+  const { itemId, itemName, available, reason } = req.body || {};
+
+  if (typeof available !== 'boolean') {
+    return res.status(400).json({ error: '"available" must be true or false' });
+  }
+  if (reason !== undefined && typeof reason !== 'string') {
+    return res.status(400).json({ error: '"reason" must be a string' });
+  }
+
+  // Accept either the catalog id or a name (resolved the same way as on calls)
+  let id = typeof itemId === 'string' ? itemId : null;
+  if (!id && typeof itemName === 'string') {
+    const match = resolveItem(itemName);
+    if (match.status === 'ambiguous') {
+      return res.status(409).json({
+        error: `"${itemName}" matches more than one item`,
+        candidates: match.candidates.map(c => ({ itemId: c.id, itemName: c.name })),
+      });
+    }
+    id = match.item?.id || null;
+  }
+  if (!id) {
+    return res.status(404).json({ error: 'Unknown menu item — pass a catalog itemId or itemName' });
+  }
+
+  try {
+    const updated = await setAvailability(id, available, reason);
+    return res.status(200).json(updated);
+  } catch (err) {
+    if (err instanceof RangeError) return res.status(404).json({ error: err.message });
+    console.error('[server] /admin/menu/availability update failed:', err.message);
+    return res.status(502).json({ error: 'Could not save availability — try again' });
+  }
+});
+
+// ── Admin: order outbox ───────────────────────────────────────────────────────
+// Orders confirmed to callers but not yet in Supabase and Clover (orderOutbox.js).
+// An entry is "stuck" after STUCK_AFTER_ATTEMPTS failures; it is still retried.
+//
+//   GET /admin/outbox  → { pending: [...], stuck: number, stuckAfterAttempts }
+app.get('/admin/outbox', requireAdminToken, (_req, res) => {
+  const pending = listPending();
+  res.status(200).json({
+    pending,
+    stuck: pending.filter(e => e.stuck).length,
+    stuckAfterAttempts: STUCK_AFTER_ATTEMPTS,
+  });
+});
+
+// ── Clover webhook ────────────────────────────────────────────────────────────
+// Order updates from the Clover device — paid, fulfilled, deleted — move the
+// order's status in Supabase (cloverWebhook.js). Authenticated by the
+// X-Clover-Auth header; failures return 500 so Clover delivers the event again.
+//
+//   POST /webhooks/clover  body: { merchants: { [merchantId]: [{ objectId: "O:...", type, ts }] } }
+//                          or, once when the URL is set up: { verificationCode }
+app.post('/webhooks/clover', async (req, res) => {
+  const body = req.body || {};
+  if (typeof body.verificationCode === 'string') {
+    console.log(`[server] Clover webhook verification code: ${body.verificationCode}`);
+    return res.status(200).json({ ok: true });
+  }
+
+  let authorized;
+  try {
+    authorized = verifyCloverAuth(req.headers['x-clover-auth']);
+  } catch (err) {
+    return res.status(503).json({ error: 'Clover webhook is disabled (CLOVER_WEBHOOK_AUTH_CODE not set)' });
+  }
+  if (!authorized) return res.status(401).json({ error: 'Unauthorized' });
+
+  try {
+    const results = await handleCloverEvents(body);
+    return res.status(200).json({ ok: true, updated: results.filter(r => r.outcome === 'updated').length });
+  } catch (err) {
+    console.error('[server] /webhooks/clover failed:', err.message);
+    return res.status(500).json({ error: 'Could not apply the event — retry' });
+  }
+});
+
+// ── Payment links ───────────────────────────────────────────────────────────
+// With prepayment on, the provider reports paid and expired links here
+// (payments.js). Only the configured provider is accepted; the provider
+// checks the request is genuine. Failures return 500 so it sends the event again.
+//
+//   POST /webhooks/payments/:provider  body: the provider's own format
+app.post('/webhooks/payments/:provider', async (req, res) => {
+  const provider = getPaymentProvider();
+  if (req.params.provider !== provider.name) return res.status(404).json({ error: 'Unknown payment provider' });
+
+  try {
+    const events = await provider.parseWebhook(req);
+    if (!events) return res.status(401).json({ error: 'Unauthorized' });
+    const results = [];
+    for (const event of events) results.push(await handlePaymentEvent(event));
+    return res.status(200).json({ ok: true, results });
+  } catch (err) {
+    console.error(`[server] /webhooks/payments/${provider.name} failed:`, err.message);
+    return res.status(500).json({ error: 'Could not apply the event — retry' });
+  }
+});
+
+// The fake provider's payment page (fakePayments.js) — its links point here
+//
+//   GET /payments/fake/:linkId
+app.get('/payments/fake/:linkId', (req, res) => {
+  if (getPaymentProvider().name !== 'fake') return res.status(404).send('Not found');
+  const page = renderPaymentPage(req.params.linkId);
+  if (!page) return res.status(404).send('Unknown payment link');
+  res.type('html').send(page);
+});
+
 // ─── WebSocket server ─────────────────────────────────────────────────────────
 const server = http.createServer(app);
 const wss = new WebSocketServer({ server, path: '/stream' });
@@ -196,8 +379,9 @@ process.on('SIGINT', () => shutdown('SIGINT'));
 
 /**
  * Sanitize a phone number before embedding it in XML.
- * Strips any characters that are not digits, +, (, ), -, space.
- * Falls back to 'unknown' if the result is empty.
+ * Valid numbers come back in E.164 (phoneNumbers.js). Anything else has every
+ * character that is not a digit, +, (, ), -, space stripped.
+ * Falls back to 'unknown' if the result is empty or the caller ID is withheld.
  *
  * This prevents TwiML-injection attacks where a malicious caller
  * could craft a From header containing XML tags.
@@ -209,7 +393,80 @@ function sanitizePhone(raw) {
   if (typeof raw !== 'string') return 'unknown';
   // Keep only valid phone number characters
   const cleaned = raw.replace(/[^0-9+\-()\s]/g, '').trim();
-  return cleaned || 'unknown';
+  if (!cleaned) return 'unknown';
+  const e164 = normalizePhone(cleaned);
+  if (e164) return e164;
+  // Twilio's stand-in numbers for a hidden caller ID
+  return parsePhone(cleaned).reason === 'withheld' ? 'unknown' : cleaned;
+}
+
+/**
+ * Express middleware guarding /admin routes with a shared bearer token.
+ * Responds 503 when ADMIN_API_TOKEN is not configured so the endpoints are
+ * never accidentally open.
+ */
+function requireAdminToken(req, res, next) {
+  const expected = process.env.ADMIN_API_TOKEN;
+  if (!expected) {
+    return res.status(503).json({ error: 'Admin API is disabled (ADMIN_API_TOKEN not set)' });
+  }
+
+  const header = req.headers.authorization || '';
+  const provided = header.startsWith('Bearer ') ? header.slice(7) : '';
+  const a = Buffer.from(provided);
+  const b = Buffer.from(expected);
+  // timingSafeEqual throws on length mismatch — check length first
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  return next();
+}
+
+/**
+ * Express middleware running the rest of the route as the restaurant named by
+ * ?restaurant=<key>, or the default restaurant without one. Responds 404 for
+ * an unknown key.
+ */
+function forRestaurant(req, res, next) {
+  const key = req.query.restaurant;
+  const restaurant = key === undefined ? defaultRestaurant() : getRestaurant(String(key));
+  if (!restaurant) return res.status(404).json({ error: `Unknown restaurant "${key}"` });
+  return withRestaurant(restaurant, next);
+}
+
+/**
+ * What callers hear when the current restaurant is closed.
+ * @param {{ closure: string|null, nextOpen: Date|null }} status - from getOpenStatus()
+ * @returns {string}
+ */
+function closedMessage(status) {
+  const name = currentRestaurant().name;
+  const why = status.closure ? ` today for ${status.closure}` : ' right now';
+  const next = status.nextOpen ? ` We open again ${describeInstant(status.nextOpen)}.` : '';
+  return `Thank you for calling ${name}. We are closed${why}.${next} Please call us back then. Goodbye!`;
+}
+
+/**
+ * TwiML that speaks a message and hangs up.
+ *
+ * @param {string} message - plain text; XML special characters are escaped
+ * @returns {string}       - complete TwiML XML document
+ */
+function buildClosedTwiml(message) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  <Say>${escapeXml(message)}</Say>
+  <Hangup />
+</Response>`;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
 }
 
 /**
@@ -238,15 +495,64 @@ const PORT = parseInt(process.env.PORT || '8080', 10);
 
 // Only auto-start when run directly (not when required by tests)
 if (require.main === module) {
+  // Fail loudly on a bad restaurant registry, or on a bad menu catalog,
+  // schedule, delivery, pricing, Clover mapping or receipt config for any
+  // restaurant, or a bad order-change, phone-region, POS, SMS or payments
+  // config — better than taking orders at wrong prices, at the wrong times or
+  // to the wrong places
+  try {
+    getRestaurants();
+    getOrderChangePolicy();
+    getDefaultRegion();
+    getPosConfig();
+    getSmsSender();
+    getPaymentConfig();
+    for (const restaurant of listRestaurants()) {
+      withRestaurant(restaurant, () => {
+        getCatalog();
+        getSchedule();
+        getDeliveryConfig();
+        getPricingConfig();
+        getCloverMapping();
+        getReceiptConfig();
+        const problems = checkScheduleRefs(getCatalog());
+        if (problems.length > 0) throw new Error(`[schedule] ${restaurant.key}: ${problems.join('; ')}`);
+        buildSystemPrompt();
+      });
+    }
+  } catch (err) {
+    console.error('[server] Restaurant registry / menu catalog / schedule / delivery / pricing / order-change / phone-region / POS / Clover mapping / receipt / SMS / payments config check failed — refusing to start');
+    console.error(err.message);
+    process.exit(1);
+  }
+
   server.listen(PORT, () => {
     console.log(`[server] Running on port ${PORT}`);
     console.log(`[server] TwiML endpoint : POST /twiml`);
     console.log(`[server] Stream endpoint: wss://[host]/stream`);
     console.log(`[server] Health check   : GET /health`);
+    console.log(`[server] 86 list        : GET|POST /admin/menu/availability`);
+    console.log(`[server] Order outbox   : GET /admin/outbox`);
+    console.log(`[server] Clover webhook : POST /webhooks/clover`);
+    console.log(`[server] Payment webhook: POST /webhooks/payments/${getPaymentProvider().name}`);
+
+    // Load the 86 list and keep it in sync — failures are logged, not fatal
+    startAvailabilitySync();
+
+    // Replay orders that were confirmed but not delivered before the last
+    // shutdown, then keep retrying anything that fails
+    startOutboxWorker();
+
+    // Retry POS pushes that failed or were only partly accepted
+    startCloverSyncWorker();
 
     if (!process.env.TWILIO_ACCOUNT_SID) console.warn('[server] WARNING: TWILIO_ACCOUNT_SID not set');
     if (!process.env.GEMINI_API_KEY) console.warn('[server] WARNING: GEMINI_API_KEY not set');
     if (!process.env.SUPABASE_URL) console.warn('[server] WARNING: SUPABASE_URL not set');
+    if (process.env.CLOVER_API_TOKEN && !process.env.CLOVER_WEBHOOK_AUTH_CODE) {
+      console.warn('[server] WARNING: CLOVER_WEBHOOK_AUTH_CODE not set — order updates from Clover are not received');
+    }
+    if (!process.env.ADMIN_API_TOKEN) console.warn('[server] WARNING: ADMIN_API_TOKEN not set — /admin endpoints disabled');
   });
 }
 
@@ -257,6 +563,8 @@ setGeminiHandlers((callSid, callDbId, twilioStream) => {
   const session = new GeminiSession({
     callSid,
     callDbId,
+    callerPhone: twilioStream.callerPhone,
+    restaurant: twilioStream.restaurant,
     onAudioResponse: (chunk) => twilioStream.sendAudioToCaller(chunk),
     onTransferRequested: (number) => twilioStream.executeTransfer(number),
     onClearAudio: () => twilioStream.clearAudioBuffer(),
@@ -275,6 +583,8 @@ module.exports = {
   setGeminiHandlers,  // Peter 3 calls this to inject AI session factory
   // Exported for unit testing
   _buildTwiml: buildTwiml,
+  _buildClosedTwiml: buildClosedTwiml,
   _sanitizePhone: sanitizePhone,
+  _requireAdminToken: requireAdminToken,
   _shutdown: shutdown,
 };
@@ -0,0 +1,96 @@
+// smsSender.js
+// Outbound text messages (order receipts).
+//
+// A sender is an object with a name and send({ to, body }) → { messageId, status }.
+// SMS_PROVIDER picks it:
+//   twilio  Twilio Messaging — TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN, sent from
+//           TWILIO_MESSAGING_SERVICE_SID if set, otherwise TWILIO_SMS_FROM
+//   stub    nothing leaves the machine: the message is logged and appended to
+//           SMS_STUB_PATH (default data/smsOutbox.jsonl), for local development
+//           only — it has to be asked for by name
+//   off     no texts at all
+// Unset, it is twilio when the Twilio credentials and a sender are configured
+// and off otherwise, so a deploy without Twilio never claims to have texted
+// anyone.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SMS_STUB_PATH = path.join(__dirname, 'data', 'smsOutbox.jsonl');
+
+// ---------------------------------------------------------------------------
+// Senders
+// ---------------------------------------------------------------------------
+
+function twilioConfigured() {
+  return Boolean(process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN &&
+                 (process.env.TWILIO_MESSAGING_SERVICE_SID || process.env.TWILIO_SMS_FROM));
+}
+
+const twilioSender = {
+  name: 'twilio',
+  async send({ to, body }) {
+    if (!twilioConfigured()) {
+      throw new Error('TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_MESSAGING_SERVICE_SID or TWILIO_SMS_FROM must be set in env.');
+    }
+    const client = require('twilio')(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+    const message = await client.messages.create({
+      to,
+      body,
+      ...(process.env.TWILIO_MESSAGING_SERVICE_SID
+        ? { messagingServiceSid: process.env.TWILIO_MESSAGING_SERVICE_SID }
+        : { from: process.env.TWILIO_SMS_FROM }),
+    });
+    return { messageId: message.sid, status: message.status };
+  },
+};
+
+const stubSender = {
+  name: 'stub',
+  async send({ to, body }) {
+    const messageId = `stub-${Date.now().toString(36)}`;
+    const file = process.env.SMS_STUB_PATH || DEFAULT_SMS_STUB_PATH;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, JSON.stringify({ messageId, to, body, sentAt: new Date().toISOString() }) + '\n');
+    console.log(`[smsSender] (stub) SMS to ${to}:\n${body}`);
+    return { messageId, status: 'stubbed' };
+  },
+};
+
+const SENDERS = { twilio: twilioSender, stub: stubSender };
+
+// ---------------------------------------------------------------------------
+// Lazy singleton — chosen once, on first use
+// ---------------------------------------------------------------------------
+let _sender;
+
+/**
+ * The configured SMS sender, or null when texts are off.
+ *
+ * @returns {{ name: string, send: (msg: { to: string, body: string }) => Promise<{ messageId: string, status: string }> }|null}
+ * @throws if SMS_PROVIDER names an unknown provider
+ */
+function getSmsSender() {
+  if (_sender === undefined) {
+    const provider = (process.env.SMS_PROVIDER || (twilioConfigured() ? 'twilio' : 'off')).trim().toLowerCase();
+    if (provider !== 'off' && !SENDERS[provider]) {
+      throw new Error(`[smsSender] SMS_PROVIDER "${provider}" is not one of: ${Object.keys(SENDERS).join(', ')}, off`);
+    }
+    _sender = provider === 'off' ? null : SENDERS[provider];
+    console.log(`[smsSender] Text messages ${_sender ? `go through ${_sender.name}` : 'are off'}`);
+  }
+  return _sender;
+}
+
+// Exposed for testing — lets tests capture messages (null turns texts off)
+function _setSmsSender(sender) {
+  _sender = sender;
+}
+
+module.exports = {
+  getSmsSender,
+  // Exported for testing
+  _setSmsSender,
+};
@@ -0,0 +1,56 @@
+// spokenForms.js
+// Text the agent reads aloud word for word, so numbers it speaks come from
+// the server rather than from the model's own arithmetic.
+//
+// English only — Gemini translates these phrases when the call is in
+// another language, but the numbers stay the ones the server computed.
+
+'use strict';
+
+const ONES = [
+  'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
+  'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen',
+  'seventeen', 'eighteen', 'nineteen',
+];
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+
+/**
+ * 38 → "thirty-eight", 1205 → "one thousand two hundred five"
+ * @param {number} n - non-negative integer below one million
+ * @returns {string}
+ */
+function numberToWords(n) {
+  if (!Number.isInteger(n) || n < 0 || n >= 1_000_000) {
+    throw new RangeError(`numberToWords: ${n} is not an integer from 0 to 999999`);
+  }
+  if (n < 20) return ONES[n];
+  if (n < 100) return TENS[Math.floor(n / 10)] + (n % 10 ? `-${ONES[n % 10]}` : '');
+  if (n < 1000) {
+    return `${ONES[Math.floor(n / 100)]} hundred` + (n % 100 ? ` ${numberToWords(n % 100)}` : '');
+  }
+  return `${numberToWords(Math.floor(n / 1000))} thousand` + (n % 1000 ? ` ${numberToWords(n % 1000)}` : '');
+}
+
+/**
+ * Dollar amount the way the prompt tells the agent to say prices:
+ * 38.98 → "thirty-eight dollars and ninety-eight cents", 20 → "twenty dollars",
+ * 0.5 → "fifty cents".
+ *
+ * @param {number} amount - dollars
+ * @returns {string}
+ */
+function spokenDollars(amount) {
+  const cents = Math.round(amount * 100);
+  const dollars = Math.floor(cents / 100);
+  const rest = cents % 100;
+  const dollarText = `${numberToWords(dollars)} ${dollars === 1 ? 'dollar' : 'dollars'}`;
+  const centText = `${numberToWords(rest)} ${rest === 1 ? 'cent' : 'cents'}`;
+  if (rest === 0) return dollarText;
+  if (dollars === 0) return centText;
+  return `${dollarText} and ${centText}`;
+}
+
+module.exports = {
+  numberToWords,
+  spokenDollars,
+};
@@ -0,0 +1,17 @@
+-- Runtime "86" list: menu items the kitchen has marked unavailable mid-service.
+-- item_id is the catalog id from data/menu.json (e.g. 'medhu-vada-2').
+-- A row with available = true is kept (rather than deleted) so the history
+-- of who re-enabled what stays visible in updated_at.
+
+create table if not exists public.menu_availability (
+  restaurant_id uuid        not null,
+  item_id       text        not null,
+  available     boolean     not null default false,
+  reason        text,
+  updated_at    timestamptz not null default now(),
+  primary key (restaurant_id, item_id)
+);
+
+create index if not exists menu_availability_unavailable_idx
+  on public.menu_availability (restaurant_id)
+  where available = false;
@@ -0,0 +1,5 @@
+-- Pickup time for orders taken ahead of time (e.g. a call while closed that
+-- is scheduled for the next opening). NULL means "as soon as possible".
+
+alter table public.orders
+  add column if not exists pickup_at timestamptz;
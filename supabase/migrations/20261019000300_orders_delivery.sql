@@ -0,0 +1,12 @@
+-- Delivery orders. order_type is 'pickup' (the default, and every order
+-- written before this migration) or 'delivery'. delivery_address holds the
+-- normalised address ({ street, unit, city, state, zip, formatted }),
+-- delivery_zone the zone id from data/delivery.json, and delivery_fee the fee
+-- included in total_amount.
+
+alter table public.orders
+  add column if not exists order_type text not null default 'pickup'
+    check (order_type in ('pickup', 'delivery')),
+  add column if not exists delivery_address jsonb,
+  add column if not exists delivery_zone text,
+  add column if not exists delivery_fee numeric(10, 2) not null default 0;
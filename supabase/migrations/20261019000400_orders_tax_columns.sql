@@ -0,0 +1,11 @@
+-- Order money broken out next to total_amount, all computed by pricing.js:
+--   subtotal_amount  items incl. modifiers, before discounts, tax and fees
+--   tax_amount       sales tax charged
+--   fees_amount      all fees (delivery_fee is included here too)
+-- total_amount = subtotal_amount + tax_amount + fees_amount (- discounts).
+-- Older rows keep NULL — their breakdown was never stored.
+
+alter table public.orders
+  add column if not exists subtotal_amount numeric(10, 2),
+  add column if not exists tax_amount      numeric(10, 2),
+  add column if not exists fees_amount     numeric(10, 2);
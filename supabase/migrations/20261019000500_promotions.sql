@@ -0,0 +1,39 @@
+-- Promo codes callers can redeem during the call (applyPromoCode tool).
+-- code is stored normalised: uppercase letters and digits only ("SAVE10").
+--   type 'percent' → value is the percentage off the subtotal
+--   type 'fixed'   → value is dollars off the subtotal
+--   type 'bogo'    → buy one get one free on item_id (catalog id), value unused
+-- Discounts apply before tax. one_per_customer is enforced per phone number
+-- by the unique key on promo_redemptions.
+
+create table if not exists public.promotions (
+  id               uuid        primary key default gen_random_uuid(),
+  restaurant_id    uuid        not null,
+  code             text        not null check (code ~ '^[A-Z0-9]+$'),
+  description      text,
+  type             text        not null check (type in ('percent', 'fixed', 'bogo')),
+  value            numeric(10, 2),
+  item_id          text,
+  min_subtotal     numeric(10, 2) not null default 0,
+  starts_at        timestamptz,
+  ends_at          timestamptz,
+  one_per_customer boolean     not null default true,
+  active           boolean     not null default true,
+  created_at       timestamptz not null default now(),
+  unique (restaurant_id, code),
+  check (type = 'bogo' or value > 0),
+  check (type <> 'percent' or value <= 100),
+  check (type <> 'bogo' or item_id is not null)
+);
+
+create table if not exists public.promo_redemptions (
+  promotion_id uuid        not null references public.promotions (id),
+  phone_number text        not null,
+  order_id     uuid        not null references public.orders (id),
+  redeemed_at  timestamptz not null default now(),
+  primary key (promotion_id, phone_number)
+);
+
+alter table public.orders
+  add column if not exists promo_code      text,
+  add column if not exists discount_amount numeric(10, 2) not null default 0;
@@ -0,0 +1,16 @@
+-- Order status lookups (lookupOrderStatus tool).
+-- Callers read out order numbers like SB-IRV-1A2B3C: the prefix is fixed and
+-- the suffix is the first six hex digits of orders.id, uppercased. order_ref
+-- stores that suffix so a spoken number can be matched with an index instead
+-- of casting every id to text.
+
+alter table public.orders
+  add column if not exists order_ref text
+    generated always as (upper(substr(id::text, 1, 6))) stored;
+
+create index if not exists orders_restaurant_order_ref_idx
+  on public.orders (restaurant_id, order_ref);
+
+-- Caller-ID lookups: most recent orders for a phone number
+create index if not exists orders_restaurant_phone_created_idx
+  on public.orders (restaurant_id, phone_number, created_at desc);
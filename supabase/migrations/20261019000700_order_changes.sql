@@ -0,0 +1,31 @@
+-- Changing or cancelling a placed order by phone (modifyPlacedOrder /
+-- cancelPlacedOrder tools). Rules for when a change is allowed live in
+-- data/orderChanges.json; every change that goes through is recorded in
+-- order_changes with the items and totals before and after.
+
+alter table public.orders
+  add column if not exists clover_order_id text,
+  add column if not exists updated_at      timestamptz,
+  add column if not exists cancelled_at    timestamptz,
+  add column if not exists cancel_reason   text;
+
+-- Catalog item id (data/menu.json), so a placed order can be rebuilt into a
+-- cart line. Older rows are matched by item_name.
+alter table public.order_items
+  add column if not exists item_id text;
+
+create table if not exists public.order_changes (
+  id            uuid        primary key default gen_random_uuid(),
+  order_id      uuid        not null references public.orders (id),
+  call_id       uuid,
+  action        text        not null check (action in ('modify', 'cancel')),
+  before        jsonb       not null,
+  after         jsonb       not null,
+  reason        text,
+  clover_synced boolean     not null default false,
+  clover_error  text,
+  created_at    timestamptz not null default now()
+);
+
+create index if not exists order_changes_order_idx
+  on public.order_changes (order_id, created_at);
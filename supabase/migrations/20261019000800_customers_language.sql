@@ -0,0 +1,5 @@
+-- Returning-caller recognition: the language a customer ordered in last
+-- time, so the agent can greet them in it. Set when an order is completed.
+
+alter table public.customers
+  add column if not exists preferred_language text;
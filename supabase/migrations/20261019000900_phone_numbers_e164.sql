@@ -0,0 +1,101 @@
+-- Phone numbers are now stored in E.164 ("+19725550100", phoneNumbers.js).
+-- Rewrites North American numbers stored as spoken or formatted
+-- ("(972) 555-0100", "972-555-0100", "19725550100") to the same form, so
+-- returning customers and one-per-customer promo checks match new orders.
+--
+-- customers.phone_number and promo_redemptions are unique per number, so rows
+-- that are the same number in different formats are merged first:
+--   customers          the one who ordered most recently is kept (the one
+--                      already in E.164 on a tie); the others' orders are
+--                      moved to it, it takes any name or language it lacks
+--                      from them, and they are deleted
+--   promo_redemptions  the first redemption of a code by the number is kept —
+--                      the later ones were the same caller using it again
+
+update public.orders
+set phone_number = '+1' || right(regexp_replace(phone_number, '\D', '', 'g'), 10)
+where regexp_replace(phone_number, '\D', '', 'g') ~ '^1?[2-9][0-9]{2}[2-9][0-9]{6}$'
+  and phone_number <> '+1' || right(regexp_replace(phone_number, '\D', '', 'g'), 10);
+
+-- ---------------------------------------------------------------------------
+-- Customers
+-- ---------------------------------------------------------------------------
+
+-- Every customer with a valid number, and the customer it is merged into
+-- (itself for the one that is kept)
+create temporary table customer_merge as
+with normalized as (
+  select c.id,
+         c.phone_number,
+         '+1' || right(regexp_replace(c.phone_number, '\D', '', 'g'), 10) as e164,
+         (select max(o.created_at) from public.orders o where o.customer_id = c.id) as last_order_at
+  from public.customers c
+  where regexp_replace(c.phone_number, '\D', '', 'g') ~ '^1?[2-9][0-9]{2}[2-9][0-9]{6}$'
+)
+select id, e164, last_order_at,
+       first_value(id) over (
+         partition by e164
+         order by last_order_at desc nulls last, (phone_number = e164) desc, id
+       ) as keep_id
+from normalized;
+
+update public.customers k
+set name               = coalesce(k.name, d.name),
+    preferred_language = coalesce(k.preferred_language, d.preferred_language)
+from (
+  select distinct on (m.keep_id) m.keep_id, c.name, c.preferred_language
+  from customer_merge m
+  join public.customers c on c.id = m.id
+  where m.id <> m.keep_id
+  order by m.keep_id, m.last_order_at desc nulls last, m.id
+) d
+where k.id = d.keep_id
+  and (k.name is null or k.preferred_language is null);
+
+update public.orders o
+set customer_id = m.keep_id
+from customer_merge m
+where o.customer_id = m.id
+  and m.id <> m.keep_id;
+
+delete from public.customers c
+using customer_merge m
+where c.id = m.id
+  and m.id <> m.keep_id;
+
+update public.customers c
+set phone_number = m.e164
+from customer_merge m
+where c.id = m.keep_id
+  and m.id = m.keep_id
+  and c.phone_number <> m.e164;
+
+drop table customer_merge;
+
+-- ---------------------------------------------------------------------------
+-- Promo redemptions
+-- ---------------------------------------------------------------------------
+
+with normalized as (
+  select promotion_id, phone_number, redeemed_at,
+         '+1' || right(regexp_replace(phone_number, '\D', '', 'g'), 10) as e164
+  from public.promo_redemptions
+  where regexp_replace(phone_number, '\D', '', 'g') ~ '^1?[2-9][0-9]{2}[2-9][0-9]{6}$'
+), ranked as (
+  select promotion_id, phone_number,
+         row_number() over (
+           partition by promotion_id, e164
+           order by redeemed_at, (phone_number = e164) desc, phone_number
+         ) as n
+  from normalized
+)
+delete from public.promo_redemptions p
+using ranked r
+where p.promotion_id = r.promotion_id
+  and p.phone_number = r.phone_number
+  and r.n > 1;
+
+update public.promo_redemptions
+set phone_number = '+1' || right(regexp_replace(phone_number, '\D', '', 'g'), 10)
+where regexp_replace(phone_number, '\D', '', 'g') ~ '^1?[2-9][0-9]{2}[2-9][0-9]{6}$'
+  and phone_number <> '+1' || right(regexp_replace(phone_number, '\D', '', 'g'), 10);
@@ -0,0 +1,10 @@
+-- One order per completed cart. handleCompleteOrder derives a key from the
+-- call and the cart it is writing; a retry after a timeout, or the model
+-- calling completeOrder twice, finds the order already written under that
+-- key instead of inserting a second one. Older orders have no key.
+
+alter table public.orders
+  add column if not exists idempotency_key text;
+
+create unique index if not exists orders_idempotency_key_idx
+  on public.orders (idempotency_key);
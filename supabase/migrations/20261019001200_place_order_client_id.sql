@@ -0,0 +1,108 @@
+-- place_order takes the order id from p_order when it is given. The order
+-- outbox (orderOutbox.js) picks the id before the order reaches the
+-- database, so the caller gets their order number even while Supabase is
+-- unreachable and the order is written under that number later.
+-- Otherwise unchanged from 20261019001100_place_order_function.sql.
+
+create or replace function public.place_order(
+  p_customer     jsonb,
+  p_order        jsonb,
+  p_items        jsonb,
+  p_promotion_id uuid default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_customer_id    uuid;
+  v_order          public.orders;
+  v_promo_recorded boolean := false;
+  v_constraint     text;
+begin
+  if jsonb_typeof(p_items) is distinct from 'array' or jsonb_array_length(p_items) = 0 then
+    raise exception 'place_order: an order needs at least one item' using errcode = '22023';
+  end if;
+
+  -- A retry, or completeOrder called twice
+  select * into v_order
+  from public.orders
+  where idempotency_key = p_order->>'idempotency_key';
+
+  if found then
+    return jsonb_build_object(
+      'order_id',        v_order.id,
+      'customer_id',     v_order.customer_id,
+      'created',         false,
+      'promo_recorded',  false,
+      'clover_order_id', v_order.clover_order_id
+    );
+  end if;
+
+  insert into public.customers (phone_number, name, preferred_language)
+  values (p_customer->>'phone_number', p_customer->>'name', p_customer->>'preferred_language')
+  on conflict (phone_number) do update
+    set name               = excluded.name,
+        preferred_language = coalesce(excluded.preferred_language, public.customers.preferred_language)
+  returning id into v_customer_id;
+
+  begin
+    insert into public.orders (
+      id, restaurant_id, customer_id, call_id, status,
+      subtotal_amount, tax_amount, fees_amount, discount_amount, promo_code, total_amount,
+      customer_name, phone_number, pickup_at,
+      order_type, delivery_address, delivery_zone, delivery_fee,
+      idempotency_key
+    )
+    select
+      coalesce(o.id, gen_random_uuid()), o.restaurant_id, v_customer_id, o.call_id, 'confirmed',
+      o.subtotal_amount, o.tax_amount, o.fees_amount, o.discount_amount, o.promo_code, o.total_amount,
+      o.customer_name, o.phone_number, o.pickup_at,
+      coalesce(o.order_type, 'pickup'), o.delivery_address, o.delivery_zone, coalesce(o.delivery_fee, 0),
+      o.idempotency_key
+    from jsonb_populate_record(null::public.orders, p_order) o
+    returning * into v_order;
+  exception when unique_violation then
+    get stacked diagnostics v_constraint = constraint_name;
+    if v_constraint is distinct from 'orders_idempotency_key_idx' then
+      raise;
+    end if;
+    -- Written by a concurrent call with the same key since the check above
+    select * into v_order
+    from public.orders
+    where idempotency_key = p_order->>'idempotency_key';
+
+    return jsonb_build_object(
+      'order_id',        v_order.id,
+      'customer_id',     v_order.customer_id,
+      'created',         false,
+      'promo_recorded',  false,
+      'clover_order_id', v_order.clover_order_id
+    );
+  end;
+
+  insert into public.order_items (order_id, item_id, item_name, quantity, unit_price, customizations)
+  select v_order.id, i.item_id, i.item_name, i.quantity, i.unit_price, i.customizations
+  from jsonb_populate_recordset(null::public.order_items, p_items) i;
+
+  -- One use per phone number — a second redemption (a race with another
+  -- call) leaves the order standing without a redemption row
+  if p_promotion_id is not null then
+    insert into public.promo_redemptions (promotion_id, phone_number, order_id)
+    values (p_promotion_id, v_order.phone_number, v_order.id)
+    on conflict do nothing;
+    v_promo_recorded := found;
+  end if;
+
+  return jsonb_build_object(
+    'order_id',        v_order.id,
+    'customer_id',     v_customer_id,
+    'created',         true,
+    'promo_recorded',  v_promo_recorded,
+    'clover_order_id', null
+  );
+end;
+$$;
+
+-- The server calls this with the service role key only
+revoke execute on function public.place_order(jsonb, jsonb, jsonb, uuid) from public, anon, authenticated;
+grant execute on function public.place_order(jsonb, jsonb, jsonb, uuid) to service_role;
@@ -0,0 +1,24 @@
+-- Clover sync status per order (cloverSync.js). New orders start 'pending';
+-- the first push sets 'synced', or 'partial' when some line items, options,
+-- fees or discounts were rejected, or 'failed' when the order could not be
+-- created at all. The Clover retry worker picks up 'pending' / 'partial' /
+-- 'failed' orders whose clover_next_attempt_at has passed.
+--
+-- Orders placed before this migration keep a NULL status — the reconcile
+-- command (npm run reconcile:clover) checks recent ones against Clover.
+
+alter table public.orders
+  add column if not exists clover_sync_status     text
+    check (clover_sync_status in ('pending', 'synced', 'partial', 'failed', 'skipped')),
+  add column if not exists clover_sync_error      text,
+  add column if not exists clover_sync_attempts   integer not null default 0,
+  add column if not exists clover_synced_at       timestamptz,
+  add column if not exists clover_next_attempt_at timestamptz;
+
+-- Default set after the columns exist so older rows stay NULL
+alter table public.orders
+  alter column clover_sync_status set default 'pending';
+
+create index if not exists orders_clover_retry_idx
+  on public.orders (clover_next_attempt_at)
+  where clover_sync_status in ('pending', 'partial', 'failed');
@@ -0,0 +1,13 @@
+-- Order state coming back from Clover (POST /webhooks/clover, cloverWebhook.js).
+-- Payment taken on the device is kept on the order; paying for or
+-- fulfilling an order on Clover marks it completed, deleting it there marks
+-- it cancelled.
+
+alter table public.orders
+  add column if not exists clover_payment_state text,
+  add column if not exists paid_at              timestamptz;
+
+-- Webhook events name the Clover order; this finds ours
+create index if not exists orders_clover_order_id_idx
+  on public.orders (clover_order_id)
+  where clover_order_id is not null;
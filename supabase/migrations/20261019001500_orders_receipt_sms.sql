@@ -0,0 +1,14 @@
+-- SMS receipt per order (orderReceipts.js). Once the order is written the
+-- outbox texts the itemized receipt to the confirmed phone number and records
+-- the outcome here: 'sent' with the provider's message id, 'failed' with the
+-- provider's error, or 'skipped' when receipts are turned off. A failed
+-- receipt is not re-sent — a duplicate text is worse than a missing one.
+--
+-- Orders placed before this migration keep a NULL status.
+
+alter table public.orders
+  add column if not exists receipt_sms_status  text
+    check (receipt_sms_status in ('sent', 'failed', 'skipped')),
+  add column if not exists receipt_sms_id      text,
+  add column if not exists receipt_sms_error   text,
+  add column if not exists receipt_sms_sent_at timestamptz;
@@ -0,0 +1,23 @@
+-- Payment by link (payments.js). With prepayment on, the outbox creates a
+-- payment link for each new order and texts it to the customer:
+--   awaiting_payment  link texted, not paid yet
+--   paid              the provider reported the payment (paid_at, payment_reference)
+--   unpaid            the link expired, or could not be created or texted —
+--                     payment is collected at pickup as before (payment_error says why)
+-- The payment webhook (POST /webhooks/payments/:provider) finds the order by
+-- its id and checks payment_link_id.
+--
+-- Orders placed without prepayment keep a NULL payment_status.
+
+alter table public.orders
+  add column if not exists payment_status    text
+    check (payment_status in ('awaiting_payment', 'paid', 'unpaid')),
+  add column if not exists payment_provider  text,
+  add column if not exists payment_link_id   text,
+  add column if not exists payment_link_url  text,
+  add column if not exists payment_error     text,
+  add column if not exists payment_reference text;
+
+create index if not exists orders_payment_link_id_idx
+  on public.orders (payment_link_id)
+  where payment_link_id is not null;
@@ -0,0 +1,62 @@
+-- Replaces a placed order's items and totals in one transaction: the order
+-- row is locked, its status checked, its totals updated and its items
+-- swapped, or nothing changes. Called through RPC by
+-- supabaseClient.replaceOrderContents() (modifyPlacedOrder).
+--
+-- p_order holds the orders columns to set (subtotal_amount, tax_amount,
+-- fees_amount, discount_amount, promo_code, total_amount), p_items a JSON
+-- array of order_items rows without order_id. Returns the updated orders row,
+-- or null when the order is not in one of p_expect_statuses any more (the
+-- kitchen moved it on) — then nothing is written.
+
+create or replace function public.replace_order_contents(
+  p_order_id        uuid,
+  p_expect_statuses text[],
+  p_order           jsonb,
+  p_items           jsonb
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_order public.orders;
+begin
+  if jsonb_typeof(p_items) is distinct from 'array' or jsonb_array_length(p_items) = 0 then
+    raise exception 'replace_order_contents: an order needs at least one item' using errcode = '22023';
+  end if;
+
+  -- Held until commit, so a status change from the kitchen waits for us (or
+  -- we wait for it and see the new status)
+  select * into v_order
+  from public.orders
+  where id = p_order_id
+  for update;
+
+  if not found or not (v_order.status = any (p_expect_statuses)) then
+    return null;
+  end if;
+
+  update public.orders o
+  set subtotal_amount = (p_order->>'subtotal_amount')::numeric,
+      tax_amount      = (p_order->>'tax_amount')::numeric,
+      fees_amount     = (p_order->>'fees_amount')::numeric,
+      discount_amount = (p_order->>'discount_amount')::numeric,
+      promo_code      = p_order->>'promo_code',
+      total_amount    = (p_order->>'total_amount')::numeric,
+      updated_at      = now()
+  where o.id = p_order_id
+  returning * into v_order;
+
+  delete from public.order_items where order_id = p_order_id;
+
+  insert into public.order_items (order_id, item_id, item_name, quantity, unit_price, customizations)
+  select p_order_id, i.item_id, i.item_name, i.quantity, i.unit_price, i.customizations
+  from jsonb_populate_recordset(null::public.order_items, p_items) i;
+
+  return to_jsonb(v_order);
+end;
+$$;
+
+-- The server calls this with the service role key only
+revoke execute on function public.replace_order_contents(uuid, text[], jsonb, jsonb) from public, anon, authenticated;
+grant execute on function public.replace_order_contents(uuid, text[], jsonb, jsonb) to service_role;
@@ -0,0 +1,9 @@
+-- 'stubbed': the receipt went to the local stub SMS sender (SMS_PROVIDER=stub),
+-- which only logs it — nothing reached the customer, so it is not 'sent'.
+
+alter table public.orders
+  drop constraint if exists orders_receipt_sms_status_check;
+
+alter table public.orders
+  add constraint orders_receipt_sms_status_check
+    check (receipt_sms_status in ('sent', 'stubbed', 'failed', 'skipped'));
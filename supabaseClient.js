@@ -8,12 +8,56 @@
 //   failCallRecord()      → when call drops unexpectedly   (status: failed)
 //
 // Order lifecycle:
-//   writeOrder()          → when AI confirms a completed order
+//   writeOrder()          → when AI confirms a completed order — customer, order, items and
+//                           promo redemption in one transaction (place_order RPC)
+//
+// Menu availability ("86" list):
+//   fetchMenuAvailability() → at startup and on each periodic refresh
+//   setMenuAvailability()   → when staff mark an item out / back in
+//
+// Order lookups:
+//   fetchOrdersByPhone()    → when a caller asks about their order (caller ID)
+//   fetchOrdersByRef()      → when a caller reads out an order number
+//   fetchOrderHistory()     → "same as last time" — past orders with full items
+//
+// Customers:
+//   fetchCustomerByPhone()  → at call start, to recognise a returning caller
+//
+// Placed-order changes:
+//   fetchPlacedOrder()      → full order + items before a change
+//   replaceOrderContents()  → modifyPlacedOrder saves the new items and totals (one transaction,
+//                             replace_order_contents RPC)
+//   markOrderCancelled()    → cancelPlacedOrder
+//   recordOrderChange()     → audit row for every modify / cancel
+//
+// Clover sync (cloverSync.js):
+//   saveCloverSync()               → after each push / repair — Clover order id and sync status,
+//                                    so changes can follow the order and failures get retried
+//   fetchOrdersNeedingCloverSync() → retry worker
+//   fetchOrdersSince()             → reconcile command
+//   fetchOrderByCloverId()         → Clover webhook events (cloverWebhook.js)
+//   updateOrderFromClover()        → paid / fulfilled / deleted on the Clover device
+//
+// Receipts:
+//   saveReceiptSms()        → after the outbox texts the order receipt (orderReceipts.js)
+//
+// Payment links (payments.js):
+//   savePaymentLink()       → after the outbox creates and texts the link
+//   updateOrderPayment()    → payment webhook — paid, or the link expired
+//
+// Promotions:
+//   fetchPromotion()        → when the caller reads out a promo code
+//   hasRedeemedPromotion()  → one-per-customer check before confirming
+//   (redemptions are written with the order by writeOrder)
 
 'use strict';
 
 require('dotenv').config();
 const { createClient } = require('@supabase/supabase-js');
+const { toCustomizations } = require('./modifiers');
+const { priceCart, fromCents } = require('./pricing');
+const { normalizePhone } = require('./phoneNumbers');
+const { currentRestaurant } = require('./restaurants');
 
 // ---------------------------------------------------------------------------
 // Client setup — lazy singleton so the module can be imported in tests
@@ -37,15 +81,17 @@ function _setClient(mockClient) {
   _supabase = mockClient;
 }
 
+// The restaurant of the current call or order (restaurants.js)
 const getRestaurantId = () => {
-  const id = process.env.DEFAULT_RESTAURANT_ID;
-  if (!id) throw new Error('Missing DEFAULT_RESTAURANT_ID environment variable');
-  return id;
+  const restaurant = currentRestaurant();
+  if (!restaurant.id) {
+    throw new Error(restaurant.isDefault
+      ? 'Missing DEFAULT_RESTAURANT_ID environment variable'
+      : `Restaurant "${restaurant.key}" has no restaurantId in the restaurant registry`);
+  }
+  return restaurant.id;
 };
 
-// Texas sales tax rate
-const TX_TAX_RATE = 0.0825;
-
 // ---------------------------------------------------------------------------
 // Internal helpers
 // ---------------------------------------------------------------------------
@@ -74,13 +120,12 @@ function calcDurationSeconds(startedAt) {
 }
 
 /**
- * Calculates order total including Texas sales tax.
+ * Calculates order total including tax and configured fees (see pricing.js).
  * @param {Array<{price: number, quantity: number}>} cartItems
- * @returns {number} total rounded to 2 decimal places
+ * @returns {number} total in dollars, exact to the cent
  */
 function calcOrderTotal(cartItems) {
-  const subtotal = cartItems.reduce((sum, item) => sum + item.price * item.quantity, 0);
-  return Math.round(subtotal * (1 + TX_TAX_RATE) * 100) / 100;
+  return fromCents(priceCart(cartItems).totalCents);
 }
 
 // ---------------------------------------------------------------------------
@@ -108,8 +153,9 @@ async function createCallRecord(callSid, streamSid, callerPhone, restaurantPhone
     restaurant_id:     getRestaurantId(),
     twilio_call_sid:   callSid,
     twilio_stream_sid: streamSid || null,
-    caller_phone:      callerPhone,
-    restaurant_phone:  restaurantPhone,
+    // E.164 where the number is valid — 'unknown' etc. are kept as sent
+    caller_phone:      normalizePhone(callerPhone) || callerPhone,
+    restaurant_phone:  normalizePhone(restaurantPhone) || restaurantPhone,
     status:            'in_progress',
     started_at:        new Date().toISOString(),
   }).select().single();
@@ -190,21 +236,48 @@ async function failCallRecord(callSid, reason) {
 // ORDERS
 // ---------------------------------------------------------------------------
 
+/**
+ * @typedef {object} OrderWriteResult
+ * @property {string}      orderId
+ * @property {string}      customerId
+ * @property {boolean}     created       - false when an order with this idempotency key already existed
+ *                                         and was returned without writing anything
+ * @property {boolean}     promoRecorded - whether a promo redemption row was written
+ * @property {string|null} cloverOrderId - set when the existing order already reached Clover
+ * @property {object}      totals        - pricing.priceCart() result the order was written with
+ * @property {number}      total         - dollars
+ */
+
 /**
  * Writes a complete order when the AI finishes taking an order.
- * Steps: upsert customer → insert order → insert order_items (batch).
- * Called by Peter 3 via the bridge when the completeOrder tool fires.
+ * Customer upsert, order, order_items and promo redemption go in one
+ * transaction through the place_order Postgres function — all or nothing.
+ * Safe to retry: an order already written under the same idempotency key is
+ * returned instead of written again.
  *
- * @param {string} callId        - UUID of the call record (calls.id)
- * @param {string} customerName  - customer's display name
- * @param {string} phoneNumber   - customer's E.164 phone number
- * @param {Array}  cartItems     - array of cart items:
- *   { itemName: string, quantity: number, price: number, notes?: string }
- * @returns {Promise<{ orderId: string, total: number, customerId: string }>}
- * @throws if any DB step fails
+ * @param {object} order
+ * @param {string} order.idempotencyKey       - one key per call and cart (orders.idempotency_key)
+ * @param {string} [order.orderId]            - orders.id to write the order with; generated when omitted
+ * @param {string|null} order.callId          - UUID of the call record (calls.id)
+ * @param {string} order.customerName         - customer's display name
+ * @param {string} order.phoneNumber          - customer's E.164 phone number
+ * @param {string} [order.preferredLanguage]  - language the order was taken in
+ * @param {Array}  order.cartItems            - array of cart items:
+ *   { itemId?: string, itemName: string, quantity: number, price: number, modifiers?: Array, notes?: string }
+ * @param {object} [order.totals]             - pricing.priceCart result the customer confirmed; written as it is
+ * @param {object} [order.pricingOpts]        - orderType / deliveryFeeCents / discounts, passed to pricing.priceCart
+ *                                              when there are no totals
+ * @param {string} [order.orderType]          - 'pickup' | 'delivery'
+ * @param {Date}   [order.pickupAt]           - scheduled pickup; omitted = as soon as possible
+ * @param {object} [order.deliveryAddress]    - normalised address for delivery orders
+ * @param {string} [order.deliveryZone]       - zone id from data/delivery.json
+ * @param {string} [order.promotionId]        - promotion that discounted this order
+ * @returns {Promise<OrderWriteResult>}
+ * @throws if the transaction fails — nothing has been written
  */
-async function writeOrder(callId, customerName, phoneNumber, cartItems) {
-  if (!callId)                  throw new TypeError('writeOrder: callId is required');
+async function writeOrder(order) {
+  const { idempotencyKey, customerName, phoneNumber, cartItems, pricingOpts = {} } = order || {};
+  if (!idempotencyKey)          throw new TypeError('writeOrder: idempotencyKey is required');
   if (!customerName)            throw new TypeError('writeOrder: customerName is required');
   if (!phoneNumber)             throw new TypeError('writeOrder: phoneNumber is required');
   if (!Array.isArray(cartItems)) throw new TypeError('writeOrder: cartItems must be an array');
@@ -220,47 +293,631 @@ async function writeOrder(callId, customerName, phoneNumber, cartItems) {
                                        throw new TypeError(`writeOrder: cartItems[${i}].price must be a non-negative number`);
   }
 
+  const phone = normalizePhone(phoneNumber) || phoneNumber;
+
+  // Subtotal, tax, fees and total — the amounts read back to the caller, not
+  // today's prices and tax when a retry writes the order later
+  const totals = order.totals || priceCart(cartItems, pricingOpts);
+  const total = fromCents(totals.totalCents);
+  const deliveryFeeCents = totals.fees.find(f => f.id === 'delivery')?.amountCents || 0;
+
   const db = getClient();
+  const result = await db.rpc('place_order', {
+    p_customer: {
+      phone_number:       phone,
+      name:               customerName,
+      preferred_language: order.preferredLanguage || null,
+    },
+    p_order: {
+      id:               order.orderId || null,
+      restaurant_id:    getRestaurantId(),
+      call_id:          order.callId || null,
+      subtotal_amount:  fromCents(totals.subtotalCents),
+      tax_amount:       fromCents(totals.taxCents),
+      fees_amount:      fromCents(totals.feesCents),
+      discount_amount:  fromCents(totals.discountCents),
+      promo_code:       totals.discounts.find(d => d.code)?.code || null,
+      total_amount:     total,
+      customer_name:    customerName,
+      phone_number:     phone,
+      pickup_at:        order.pickupAt ? order.pickupAt.toISOString() : null,
+      order_type:       order.orderType || 'pickup',
+      delivery_address: order.deliveryAddress || null,
+      delivery_zone:    order.deliveryZone || null,
+      delivery_fee:     fromCents(deliveryFeeCents),
+      idempotency_key:  idempotencyKey,
+    },
+    p_items: cartItems.map(item => ({
+      item_id:        item.itemId || null,
+      item_name:      item.itemName,
+      quantity:       item.quantity,
+      unit_price:     item.price,
+      customizations: toCustomizations(item),
+    })),
+    p_promotion_id: order.promotionId || null,
+  });
+  const written = handleResult('writeOrder:place_order', result);
+
+  console.log(`[supabaseClient] Order ${written.created ? 'written' : 'already written'}: ${written.order_id} ` +
+              `| total: $${total} | items: ${cartItems.length}`);
+  return {
+    orderId:       written.order_id,
+    customerId:    written.customer_id,
+    created:       written.created,
+    promoRecorded: written.promo_recorded,
+    cloverOrderId: written.clover_order_id || null,
+    totals,
+    total,
+  };
+}
 
-  // 1. Upsert customer — match on phone_number; update name if it changed
-  const customerResult = await db.from('customers')
-    .upsert(
-      { phone_number: phoneNumber, name: customerName },
-      { onConflict: 'phone_number' }
-    )
-    .select()
-    .single();
-  const customer = handleResult('writeOrder:upsertCustomer', customerResult);
+// ---------------------------------------------------------------------------
+// CUSTOMERS
+// ---------------------------------------------------------------------------
+
+/**
+ * Finds the customer record for a phone number.
+ * An exact match on the first form given wins over the other forms.
+ *
+ * @param {string[]} phoneNumbers - every form the number may be stored in, preferred first
+ * @returns {Promise<{ id: string, name: string, phone_number: string, preferred_language: string|null }|null>}
+ * @throws if the select fails
+ */
+async function fetchCustomerByPhone(phoneNumbers) {
+  if (!Array.isArray(phoneNumbers) || phoneNumbers.length === 0) {
+    throw new TypeError('fetchCustomerByPhone: phoneNumbers must be a non-empty array');
+  }
 
-  // 2. Calculate total with Texas sales tax
-  const total = calcOrderTotal(cartItems);
+  const db = getClient();
+  const result = await db.from('customers')
+    .select('id, name, phone_number, preferred_language')
+    .in('phone_number', phoneNumbers)
+    .limit(phoneNumbers.length);
 
-  // 3. Insert order header
-  const orderResult = await db.from('orders').insert({
-    restaurant_id: getRestaurantId(),
-    customer_id:   customer.id,
-    call_id:       callId,
-    status:        'confirmed',
-    total_amount:  total,
-    customer_name: customerName,
-    phone_number:  phoneNumber,
-  }).select().single();
-  const order = handleResult('writeOrder:insertOrder', orderResult);
+  const rows = handleResult('fetchCustomerByPhone', result) || [];
+  return rows.find(r => r.phone_number === phoneNumbers[0]) || rows[0] || null;
+}
+
+// ---------------------------------------------------------------------------
+// ORDER LOOKUPS
+// ---------------------------------------------------------------------------
+
+// Columns a status readback needs, with the items embedded
+const ORDER_STATUS_COLUMNS =
+  'id, order_ref, status, order_type, customer_name, phone_number, total_amount, pickup_at, paid_at, created_at, ' +
+  'order_items(item_name, quantity)';
+
+/**
+ * Most recent orders placed under any of the given phone numbers.
+ *
+ * @param {string[]} phoneNumbers - every form the number may be stored in
+ * @param {object}   [opts]
+ * @param {Date}     [opts.since]  - only orders created at or after this time
+ * @param {number}   [opts.limit=3]
+ * @returns {Promise<Array<object>>} - orders rows, newest first, each with order_items
+ * @throws if the select fails
+ */
+async function fetchOrdersByPhone(phoneNumbers, { since, limit = 3 } = {}) {
+  if (!Array.isArray(phoneNumbers) || phoneNumbers.length === 0) {
+    throw new TypeError('fetchOrdersByPhone: phoneNumbers must be a non-empty array');
+  }
+
+  const db = getClient();
+  let query = db.from('orders')
+    .select(ORDER_STATUS_COLUMNS)
+    .eq('restaurant_id', getRestaurantId())
+    .in('phone_number', phoneNumbers);
+  if (since) query = query.gte('created_at', since.toISOString());
+
+  const result = await query.order('created_at', { ascending: false }).limit(limit);
+  return handleResult('fetchOrdersByPhone', result) || [];
+}
+
+/**
+ * Orders whose number ends in the given reference (SB-IRV-<ref>).
+ * Six hex digits can repeat across orders, so newest comes first.
+ *
+ * @param {string} orderRef - six uppercase hex digits
+ * @param {object} [opts]
+ * @param {number} [opts.limit=3]
+ * @returns {Promise<Array<object>>} - orders rows, newest first, each with order_items
+ * @throws if the select fails
+ */
+async function fetchOrdersByRef(orderRef, { limit = 3 } = {}) {
+  if (!orderRef) throw new TypeError('fetchOrdersByRef: orderRef is required');
+
+  const db = getClient();
+  const result = await db.from('orders')
+    .select(ORDER_STATUS_COLUMNS)
+    .eq('restaurant_id', getRestaurantId())
+    .eq('order_ref', orderRef)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  return handleResult('fetchOrdersByRef', result) || [];
+}
 
-  // 4. Batch-insert order items
-  const orderItemsResult = await db.from('order_items').insert(
-    cartItems.map(item => ({
-      order_id:       order.id,
+/**
+ * A phone number's past orders, newest first, with the items as ordered
+ * (catalog id, quantity and customizations) so they can be re-added to a cart.
+ * Cancelled orders are left out.
+ *
+ * @param {string[]} phoneNumbers - every form the number may be stored in
+ * @param {object}   [opts]
+ * @param {number}   [opts.limit=3]
+ * @returns {Promise<Array<object>>} - orders rows, each with order_items
+ * @throws if the select fails
+ */
+async function fetchOrderHistory(phoneNumbers, { limit = 3 } = {}) {
+  if (!Array.isArray(phoneNumbers) || phoneNumbers.length === 0) {
+    throw new TypeError('fetchOrderHistory: phoneNumbers must be a non-empty array');
+  }
+
+  const db = getClient();
+  const result = await db.from('orders')
+    .select('id, status, order_type, total_amount, created_at, ' +
+            'order_items(item_id, item_name, quantity, unit_price, customizations)')
+    .eq('restaurant_id', getRestaurantId())
+    .in('phone_number', phoneNumbers)
+    .neq('status', 'cancelled')
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  return handleResult('fetchOrderHistory', result) || [];
+}
+
+// ---------------------------------------------------------------------------
+// PLACED-ORDER CHANGES
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {string} orderId
+ * @returns {Promise<object|null>} - the orders row with order_items, or null
+ * @throws if the select fails
+ */
+async function fetchPlacedOrder(orderId) {
+  if (!orderId) throw new TypeError('fetchPlacedOrder: orderId is required');
+
+  const db = getClient();
+  const result = await db.from('orders')
+    .select('*, order_items(*)')
+    .eq('restaurant_id', getRestaurantId())
+    .eq('id', orderId)
+    .maybeSingle();
+
+  return handleResult('fetchPlacedOrder', result);
+}
+
+/**
+ * Replaces an order's items and totals in one transaction through the
+ * replace_order_contents Postgres function — all or nothing. The order is
+ * only changed while it is still in one of expectStatuses (checked under a
+ * row lock), so a kitchen status change between the caller's request and
+ * this write wins — null is returned and nothing is changed.
+ *
+ * @param {string}   orderId
+ * @param {object}   change
+ * @param {string[]} change.expectStatuses - statuses the order may be changed in
+ * @param {object}   change.order          - orders columns to set (totals, promo_code)
+ * @param {Array}    change.items          - cart lines, as passed to writeOrder
+ * @returns {Promise<object|null>} - the updated orders row, or null if its status moved on
+ * @throws if the transaction fails — nothing has been changed
+ */
+async function replaceOrderContents(orderId, { expectStatuses, order, items }) {
+  if (!orderId) throw new TypeError('replaceOrderContents: orderId is required');
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new RangeError('replaceOrderContents: items must not be empty');
+  }
+
+  const db = getClient();
+  const result = await db.rpc('replace_order_contents', {
+    p_order_id:        orderId,
+    p_expect_statuses: expectStatuses,
+    p_order:           order,
+    p_items: items.map(item => ({
+      item_id:        item.itemId || null,
       item_name:      item.itemName,
       quantity:       item.quantity,
       unit_price:     item.price,
-      customizations: item.notes ? { notes: item.notes } : {},
-    }))
-  );
-  handleResult('writeOrder:insertOrderItems', orderItemsResult);
+      customizations: toCustomizations(item),
+    })),
+  });
+  const updated = handleResult('replaceOrderContents:replace_order_contents', result);
+  if (!updated) return null;
+
+  console.log(`[supabaseClient] Order modified: ${orderId} | total: $${updated.total_amount} | items: ${items.length}`);
+  return updated;
+}
+
+/**
+ * Cancels an order if it is still in one of expectStatuses.
+ *
+ * @param {string}   orderId
+ * @param {object}   cancel
+ * @param {string[]} cancel.expectStatuses
+ * @param {string}   [cancel.reason]
+ * @returns {Promise<object|null>} - the cancelled orders row, or null if its status moved on
+ * @throws if the update fails
+ */
+async function markOrderCancelled(orderId, { expectStatuses, reason }) {
+  if (!orderId) throw new TypeError('markOrderCancelled: orderId is required');
+
+  const now = new Date().toISOString();
+  const db = getClient();
+  const result = await db.from('orders')
+    .update({ status: 'cancelled', cancelled_at: now, cancel_reason: reason || null, updated_at: now })
+    .eq('id', orderId)
+    .in('status', expectStatuses)
+    .select()
+    .maybeSingle();
+
+  const cancelled = handleResult('markOrderCancelled', result);
+  if (cancelled) console.log(`[supabaseClient] Order cancelled: ${orderId}`);
+  return cancelled;
+}
+
+/**
+ * Audit trail for placed-order changes.
+ *
+ * @param {object}  change
+ * @param {string}  change.orderId
+ * @param {string}  [change.callId]       - calls.id of the call that made the change
+ * @param {string}  change.action         - 'modify' | 'cancel'
+ * @param {object}  change.before         - { status, items, total } before the change
+ * @param {object}  change.after          - the same after it
+ * @param {string}  [change.reason]
+ * @param {boolean} change.cloverSynced   - whether the linked Clover order was updated
+ * @param {string}  [change.cloverError]
+ * @returns {Promise<void>}
+ * @throws if the insert fails
+ */
+async function recordOrderChange(change) {
+  if (!change || !change.orderId) throw new TypeError('recordOrderChange: orderId is required');
+
+  const db = getClient();
+  const result = await db.from('order_changes').insert({
+    order_id:      change.orderId,
+    call_id:       change.callId || null,
+    action:        change.action,
+    before:        change.before,
+    after:         change.after,
+    reason:        change.reason || null,
+    clover_synced: change.cloverSynced === true,
+    clover_error:  change.cloverError || null,
+  });
+
+  handleResult('recordOrderChange', result);
+}
+
+// ---------------------------------------------------------------------------
+// CLOVER SYNC
+// ---------------------------------------------------------------------------
+
+/**
+ * Records the outcome of a Clover push or repair on the order (cloverSync.js).
+ *
+ * @param {string} orderId
+ * @param {object} sync
+ * @param {string} [sync.cloverOrderId]   - set once the Clover order exists
+ * @param {string} sync.status            - 'synced' | 'partial' | 'failed' | 'skipped'
+ * @param {string} [sync.error]           - what Clover rejected, for staff
+ * @param {number} [sync.attempts]        - push / repair attempts so far
+ * @param {Date}   [sync.nextAttemptAt]   - when the retry worker should try again; omitted = never
+ * @returns {Promise<void>}
+ * @throws if the update fails
+ */
+async function saveCloverSync(orderId, sync) {
+  if (!orderId)               throw new TypeError('saveCloverSync: orderId is required');
+  if (!sync || !sync.status)  throw new TypeError('saveCloverSync: status is required');
+
+  const db = getClient();
+  const result = await db.from('orders')
+    .update({
+      ...(sync.cloverOrderId ? { clover_order_id: sync.cloverOrderId } : {}),
+      ...(sync.attempts !== undefined ? { clover_sync_attempts: sync.attempts } : {}),
+      clover_sync_status:     sync.status,
+      clover_sync_error:      sync.error || null,
+      clover_synced_at:       sync.status === 'synced' ? new Date().toISOString() : null,
+      clover_next_attempt_at: sync.nextAttemptAt ? sync.nextAttemptAt.toISOString() : null,
+    })
+    .eq('id', orderId);
+
+  handleResult('saveCloverSync', result);
+}
+
+/**
+ * Records the outcome of the SMS receipt on the order (orderReceipts.js).
+ *
+ * @param {string} orderId
+ * @param {object} receipt
+ * @param {string} receipt.status      - 'sent' | 'stubbed' | 'failed' | 'skipped'
+ * @param {string} [receipt.messageId] - the SMS provider's message id
+ * @param {string} [receipt.error]     - why it failed or was skipped
+ * @param {string} [receipt.sentAt]    - ISO timestamp
+ * @returns {Promise<void>}
+ * @throws if the update fails
+ */
+async function saveReceiptSms(orderId, receipt) {
+  if (!orderId)                     throw new TypeError('saveReceiptSms: orderId is required');
+  if (!receipt || !receipt.status)  throw new TypeError('saveReceiptSms: status is required');
+
+  const db = getClient();
+  const result = await db.from('orders')
+    .update({
+      receipt_sms_status:  receipt.status,
+      receipt_sms_id:      receipt.messageId || null,
+      receipt_sms_error:   receipt.error || null,
+      receipt_sms_sent_at: receipt.sentAt || null,
+    })
+    .eq('id', orderId);
+
+  handleResult('saveReceiptSms', result);
+}
+
+/**
+ * Records the payment link sent for an order (payments.js). An order the
+ * webhook has already marked paid keeps its status — the link can be paid
+ * before this write goes through.
+ *
+ * @param {string} orderId
+ * @param {object} link
+ * @param {string} link.status     - 'awaiting_payment' | 'unpaid'
+ * @param {string} link.provider   - e.g. 'fake'
+ * @param {string} [link.linkId]   - the provider's id for the link
+ * @param {string} [link.url]
+ * @param {string} [link.error]    - why the order is unpaid
+ * @returns {Promise<void>}
+ * @throws if the update fails
+ */
+async function savePaymentLink(orderId, link) {
+  if (!orderId)               throw new TypeError('savePaymentLink: orderId is required');
+  if (!link || !link.status)  throw new TypeError('savePaymentLink: status is required');
+
+  const db = getClient();
+  const result = await db.from('orders')
+    .update({
+      payment_status:   link.status,
+      payment_provider: link.provider,
+      payment_link_id:  link.linkId || null,
+      payment_link_url: link.url || null,
+      payment_error:    link.error || null,
+    })
+    .eq('id', orderId)
+    .or('payment_status.is.null,payment_status.neq.paid');
+
+  handleResult('savePaymentLink', result);
+}
+
+/**
+ * Moves an order's payment status on a payment webhook event. Only matches
+ * while the status is one of fromStatuses (null for an order whose link has
+ * not been saved yet), so a repeated or late event changes nothing.
+ *
+ * @param {string} orderId
+ * @param {object} update
+ * @param {string} update.status         - 'paid' | 'unpaid'
+ * @param {Array<string|null>} update.fromStatuses
+ * @param {string} [update.linkId]       - the link the event is for
+ * @param {Date}   [update.paidAt]
+ * @param {string} [update.reference]    - the provider's payment id
+ * @param {string} [update.error]        - why the order is unpaid
+ * @returns {Promise<object|null>} the updated row, or null when the status had moved on
+ * @throws if the update fails
+ */
+async function updateOrderPayment(orderId, update) {
+  if (!orderId)                  throw new TypeError('updateOrderPayment: orderId is required');
+  if (!update || !update.status) throw new TypeError('updateOrderPayment: status is required');
+
+  const statuses = update.fromStatuses.filter(Boolean);
+  const from = [
+    ...(update.fromStatuses.includes(null) ? ['payment_status.is.null'] : []),
+    ...(statuses.length > 0 ? [`payment_status.in.(${statuses.join(',')})`] : []),
+  ];
+
+  const db = getClient();
+  const result = await db.from('orders')
+    .update({
+      payment_status:    update.status,
+      ...(update.linkId ? { payment_link_id: update.linkId } : {}),
+      ...(update.paidAt ? { paid_at: update.paidAt.toISOString() } : {}),
+      payment_reference: update.reference || null,
+      payment_error:     update.error || null,
+    })
+    .eq('id', orderId)
+    .or(from.join(','))
+    .select('*, order_items(*)')
+    .maybeSingle();
+
+  return handleResult('updateOrderPayment', result);
+}
+
+/**
+ * Orders due for another Clover push or repair, oldest retry first.
+ *
+ * @param {object} [opts]
+ * @param {Date}   [opts.now]
+ * @param {number} [opts.limit]
+ * @returns {Promise<Array<object>>} - orders rows with order_items
+ * @throws if the select fails
+ */
+async function fetchOrdersNeedingCloverSync({ now = new Date(), limit = 20 } = {}) {
+  const db = getClient();
+  const result = await db.from('orders')
+    .select('*, order_items(*)')
+    .eq('restaurant_id', getRestaurantId())
+    .in('clover_sync_status', ['pending', 'partial', 'failed'])
+    .lte('clover_next_attempt_at', now.toISOString())
+    .order('clover_next_attempt_at', { ascending: true })
+    .limit(limit);
+
+  return handleResult('fetchOrdersNeedingCloverSync', result) || [];
+}
+
+/**
+ * Every order placed since a time, for the Clover reconcile command.
+ *
+ * @param {Date} since
+ * @returns {Promise<Array<object>>} - orders rows with order_items, oldest first
+ * @throws if the select fails
+ */
+async function fetchOrdersSince(since) {
+  if (!(since instanceof Date)) throw new TypeError('fetchOrdersSince: since must be a Date');
+
+  const db = getClient();
+  const result = await db.from('orders')
+    .select('*, order_items(*)')
+    .eq('restaurant_id', getRestaurantId())
+    .gte('created_at', since.toISOString())
+    .order('created_at', { ascending: true });
+
+  return handleResult('fetchOrdersSince', result) || [];
+}
+
+/**
+ * The order linked to a Clover order, for Clover webhook events.
+ *
+ * @param {string} cloverOrderId
+ * @returns {Promise<object|null>} - the orders row, or null when no order is linked to it
+ * @throws if the select fails
+ */
+async function fetchOrderByCloverId(cloverOrderId) {
+  if (!cloverOrderId) throw new TypeError('fetchOrderByCloverId: cloverOrderId is required');
+
+  const db = getClient();
+  const result = await db.from('orders')
+    .select('*')
+    .eq('restaurant_id', getRestaurantId())
+    .eq('clover_order_id', cloverOrderId)
+    .maybeSingle();
+
+  return handleResult('fetchOrderByCloverId', result);
+}
+
+/**
+ * Applies an order state reported by Clover. The status only changes while
+ * the order is still in one of expectStatuses, so a stale or repeated event
+ * cannot undo a later change — null is returned and nothing is changed.
+ *
+ * @param {string}   orderId
+ * @param {object}   update
+ * @param {string}   [update.status]         - new orders.status
+ * @param {string[]} update.expectStatuses   - statuses the order may move from
+ * @param {string}   [update.paymentState]   - Clover paymentState, e.g. 'PAID'
+ * @param {Date}     [update.paidAt]
+ * @param {string}   [update.cancelReason]
+ * @returns {Promise<object|null>} - the updated orders row, or null if its status did not allow it
+ * @throws if the update fails
+ */
+async function updateOrderFromClover(orderId, { status, expectStatuses, paymentState, paidAt, cancelReason }) {
+  if (!orderId) throw new TypeError('updateOrderFromClover: orderId is required');
+
+  const now = new Date().toISOString();
+  const db = getClient();
+  const result = await db.from('orders')
+    .update({
+      ...(status ? { status } : {}),
+      ...(status === 'cancelled' ? { cancelled_at: now, cancel_reason: cancelReason || null } : {}),
+      ...(paymentState ? { clover_payment_state: paymentState } : {}),
+      ...(paidAt ? { paid_at: paidAt.toISOString() } : {}),
+      updated_at: now,
+    })
+    .eq('id', orderId)
+    .in('status', expectStatuses)
+    .select()
+    .maybeSingle();
+
+  return handleResult('updateOrderFromClover', result);
+}
+
+// ---------------------------------------------------------------------------
+// MENU AVAILABILITY
+// ---------------------------------------------------------------------------
+
+/**
+ * Loads every availability row for the restaurant.
+ * Rows with available = true are returned too; callers filter.
+ *
+ * @returns {Promise<Array<{ item_id: string, available: boolean, reason: string|null, updated_at: string }>>}
+ * @throws if the select fails
+ */
+async function fetchMenuAvailability() {
+  const db = getClient();
+  const result = await db.from('menu_availability')
+    .select('item_id, available, reason, updated_at')
+    .eq('restaurant_id', getRestaurantId());
+
+  return handleResult('fetchMenuAvailability', result) || [];
+}
+
+/**
+ * Marks a catalog item available or unavailable.
+ *
+ * @param {string}  itemId    - catalog item id (data/menu.json)
+ * @param {boolean} available - false to 86 the item, true to bring it back
+ * @param {string}  [reason]  - shown to the agent, e.g. "sold out for tonight"
+ * @returns {Promise<object>} - the upserted row
+ * @throws if the upsert fails
+ */
+async function setMenuAvailability(itemId, available, reason) {
+  if (!itemId)                        throw new TypeError('setMenuAvailability: itemId is required');
+  if (typeof available !== 'boolean') throw new TypeError('setMenuAvailability: available must be a boolean');
+
+  const db = getClient();
+  const result = await db.from('menu_availability').upsert({
+    restaurant_id: getRestaurantId(),
+    item_id:       itemId,
+    available,
+    reason:        available ? null : (reason || null),
+    updated_at:    new Date().toISOString(),
+  }, { onConflict: 'restaurant_id,item_id' }).select().single();
+
+  const data = handleResult('setMenuAvailability', result);
+  console.log(`[supabaseClient] Menu item ${itemId} marked ${available ? 'available' : 'unavailable'}`);
+  return data;
+}
+
+// ---------------------------------------------------------------------------
+// PROMOTIONS
+// ---------------------------------------------------------------------------
+
+/**
+ * Looks up a promo code for the restaurant.
+ *
+ * @param {string} code - normalised code (promotions.normalizeCode)
+ * @returns {Promise<object|null>} - the promotions row, or null if there is none
+ * @throws if the select fails
+ */
+async function fetchPromotion(code) {
+  if (!code) throw new TypeError('fetchPromotion: code is required');
+
+  const db = getClient();
+  const result = await db.from('promotions')
+    .select('*')
+    .eq('restaurant_id', getRestaurantId())
+    .eq('code', code)
+    .maybeSingle();
+
+  return handleResult('fetchPromotion', result);
+}
+
+/**
+ * @param {string} promotionId
+ * @param {string} phoneNumber
+ * @returns {Promise<boolean>} - true if this phone number already used the promotion
+ * @throws if the select fails
+ */
+async function hasRedeemedPromotion(promotionId, phoneNumber) {
+  if (!promotionId) throw new TypeError('hasRedeemedPromotion: promotionId is required');
+  if (!phoneNumber) throw new TypeError('hasRedeemedPromotion: phoneNumber is required');
+
+  const db = getClient();
+  const result = await db.from('promo_redemptions')
+    .select('promotion_id')
+    .eq('promotion_id', promotionId)
+    .eq('phone_number', phoneNumber)
+    .limit(1);
 
-  console.log(`[supabaseClient] Order written: ${order.id} | total: $${total} | items: ${cartItems.length}`);
-  return { orderId: order.id, total, customerId: customer.id };
+  return (handleResult('hasRedeemedPromotion', result) || []).length > 0;
 }
 
 // ---------------------------------------------------------------------------
@@ -272,6 +929,26 @@ module.exports = {
   escalateCallRecord,
   failCallRecord,
   writeOrder,
+  fetchCustomerByPhone,
+  fetchOrdersByPhone,
+  fetchOrdersByRef,
+  fetchOrderHistory,
+  fetchPlacedOrder,
+  replaceOrderContents,
+  markOrderCancelled,
+  recordOrderChange,
+  saveCloverSync,
+  saveReceiptSms,
+  savePaymentLink,
+  updateOrderPayment,
+  fetchOrdersNeedingCloverSync,
+  fetchOrdersSince,
+  fetchOrderByCloverId,
+  updateOrderFromClover,
+  fetchMenuAvailability,
+  setMenuAvailability,
+  fetchPromotion,
+  hasRedeemedPromotion,
   // Internal helpers exported for testing and potential reuse
   _setClient,
   _calcDurationSeconds: calcDurationSeconds,
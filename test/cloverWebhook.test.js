@@ -0,0 +1,172 @@
+// test/cloverWebhook.test.js
+// The status a Clover order implies (statusFromClover), the X-Clover-Auth
+// check, and webhook events applied to orders held by a fake Supabase
+// client, with fetch stubbed in place of the Clover API.
+
+'use strict';
+
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildRegistry, _setRestaurants } = require('../restaurants');
+const { _setClient } = require('../supabaseClient');
+const { onOrderStatusChange } = require('../orderEvents');
+const { verifyCloverAuth, statusFromClover, handleCloverEvents } = require('../cloverWebhook');
+const { fakeSupabase } = require('./helpers/fakeSupabase');
+
+const ENV = {
+  CLOVER_API_TOKEN: 'test-token',
+  CLOVER_MERCHANT_ID: 'MERCHANT00001',
+  CLOVER_WEBHOOK_AUTH_CODE: 'auth-code-0001',
+};
+
+const ROW = {
+  id: 'd00dfeed-0000-4000-8000-000000000005',
+  status: 'confirmed',
+  payment_status: null,
+  clover_payment_state: null,
+  paid_at: null,
+};
+
+let savedEnv;
+let rows;          // clover_order_id → orders row
+let cloverOrders;  // clover_order_id → what the Clover API returns
+let fetched;
+let events;
+let db;
+let realFetch;
+let stopListening;
+
+const cloverIdOf = call => call.filters.find(([method, column]) => method === 'eq' && column === 'clover_order_id')?.[2];
+
+before(() => {
+  _setRestaurants(buildRegistry(require('./fixtures/restaurants.json')));
+  savedEnv = Object.fromEntries(Object.keys(ENV).map(name => [name, process.env[name]]));
+  Object.assign(process.env, ENV);
+  realFetch = global.fetch;
+});
+
+beforeEach(() => {
+  rows = new Map();
+  cloverOrders = new Map();
+  fetched = [];
+  events = [];
+  db = fakeSupabase({
+    'orders.select': call => rows.get(cloverIdOf(call)) || null,
+    'orders.update': call => {
+      const [, , id] = call.filters.find(([method, column]) => method === 'eq' && column === 'id');
+      const row = [...rows.values()].find(r => r.id === id);
+      return { ...row, ...call.values };
+    },
+  });
+  _setClient(db);
+  global.fetch = async url => {
+    fetched.push(url);
+    const id = url.split('/orders/')[1].split('?')[0];
+    const order = cloverOrders.get(id);
+    return new Response(JSON.stringify(order || { message: 'Not Found' }), { status: order ? 200 : 404 });
+  };
+  stopListening = onOrderStatusChange(change => { events.push(change); });
+});
+
+afterEach(() => {
+  global.fetch = realFetch;
+  stopListening();
+});
+
+after(() => {
+  for (const [name, value] of Object.entries(savedEnv)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+});
+
+const webhook = (...events) => ({ merchants: { MERCHANT00001: events } });
+
+// ---------------------------------------------------------------------------
+// statusFromClover
+// ---------------------------------------------------------------------------
+
+test('a deleted Clover order means cancelled', () => {
+  assert.equal(statusFromClover(null, ROW), 'cancelled');
+});
+
+test('paid or fulfilled on the device means completed', () => {
+  assert.equal(statusFromClover({ paymentState: 'PAID', state: 'locked' }, ROW), 'completed');
+  assert.equal(statusFromClover({ paymentState: 'OPEN', state: 'Fulfilled' }, ROW), 'completed');
+});
+
+test('an order paid by payment link is not completed just because Clover says PAID', () => {
+  const prepaid = { ...ROW, payment_status: 'paid' };
+  assert.equal(statusFromClover({ paymentState: 'PAID', state: 'locked' }, prepaid), null);
+  assert.equal(statusFromClover({ paymentState: 'PAID', state: 'fulfilled' }, prepaid), 'completed');
+});
+
+test('anything else implies no status', () => {
+  assert.equal(statusFromClover({ paymentState: 'OPEN', state: 'open' }, ROW), null);
+  assert.equal(statusFromClover({}, ROW), null);
+});
+
+// ---------------------------------------------------------------------------
+// verifyCloverAuth
+// ---------------------------------------------------------------------------
+
+test('only the configured auth code is accepted', () => {
+  assert.equal(verifyCloverAuth('auth-code-0001'), true);
+  assert.equal(verifyCloverAuth('auth-code-0002'), false);
+  assert.equal(verifyCloverAuth(undefined), false);
+});
+
+// ---------------------------------------------------------------------------
+// handleCloverEvents
+// ---------------------------------------------------------------------------
+
+test('a payment on the device completes the order and records when it was paid', async () => {
+  rows.set('ORDERPAID0001', { ...ROW });
+  cloverOrders.set('ORDERPAID0001', { id: 'ORDERPAID0001', paymentState: 'PAID', state: 'locked' });
+
+  const results = await handleCloverEvents(webhook({ objectId: 'O:ORDERPAID0001', type: 'UPDATE', ts: 1 }));
+  assert.deepEqual(results, [{ cloverOrderId: 'ORDERPAID0001', outcome: 'updated', status: 'completed' }]);
+
+  const update = db.calls.find(c => c.op === 'update');
+  assert.equal(update.values.status, 'completed');
+  assert.equal(update.values.clover_payment_state, 'PAID');
+  assert.ok(update.values.paid_at);
+  assert.deepEqual(update.filters.find(([method]) => method === 'in'), ['in', 'status', ['confirmed']]);
+  assert.deepEqual(events.map(e => [e.orderNumber, e.previousStatus, e.status, e.source]),
+                   [['TK-D00DFE', 'confirmed', 'completed', 'clover']]);
+});
+
+test('a delete cancels the order without asking Clover, and wins over the order\'s other events', async () => {
+  rows.set('ORDERGONE0001', { ...ROW });
+
+  const results = await handleCloverEvents(webhook(
+    { objectId: 'O:ORDERGONE0001', type: 'UPDATE', ts: 1 },
+    { objectId: 'O:ORDERGONE0001', type: 'DELETE', ts: 2 },
+    { objectId: 'O:ORDERGONE0001', type: 'UPDATE', ts: 3 },
+  ));
+  assert.deepEqual(results, [{ cloverOrderId: 'ORDERGONE0001', outcome: 'updated', status: 'cancelled' }]);
+  assert.deepEqual(fetched, []);
+  assert.equal(db.calls.find(c => c.op === 'update').values.cancel_reason, 'Deleted on the Clover device');
+});
+
+test('a completed order keeps its status', async () => {
+  rows.set('ORDERDONE0001', { ...ROW, status: 'completed', clover_payment_state: 'PAID', paid_at: '2026-10-20T17:00:00Z' });
+  cloverOrders.set('ORDERDONE0001', { id: 'ORDERDONE0001', paymentState: 'PAID', state: 'fulfilled' });
+
+  const results = await handleCloverEvents(webhook({ objectId: 'O:ORDERDONE0001', type: 'UPDATE', ts: 1 }));
+  assert.deepEqual(results, [{ cloverOrderId: 'ORDERDONE0001', outcome: 'unchanged', status: 'completed' }]);
+  assert.ok(!db.calls.some(c => c.op === 'update'));
+  assert.deepEqual(events, []);
+});
+
+test('orders the agent did not place, other objects and other merchants are skipped', async () => {
+  const results = await handleCloverEvents({
+    merchants: {
+      MERCHANT00001: [{ objectId: 'O:WALKIN000001', type: 'CREATE', ts: 1 }, { objectId: 'P:PAYMENT00001', type: 'CREATE', ts: 1 }],
+      MERCHANT99999: [{ objectId: 'O:ORDERPAID0001', type: 'UPDATE', ts: 1 }],
+    },
+  });
+  assert.deepEqual(results, [{ cloverOrderId: 'WALKIN000001', outcome: 'not_ours' }]);
+  assert.deepEqual(fetched, []);
+});
@@ -0,0 +1,94 @@
+// test/delivery.test.js
+// Address clean-up and delivery zones from the fixture config
+// (test/fixtures/delivery.json): the Irving zips, then anywhere within 5
+// miles of the restaurant.
+
+'use strict';
+
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { loadCatalog, _setCatalog } = require('../menuCatalog');
+const { loadSchedule, _setSchedule } = require('../schedule');
+const { loadPricingConfig, _setPricingConfig } = require('../pricing');
+const { loadDeliveryConfig, normalizeAddress, findZone, _setDeliveryConfig } = require('../delivery');
+const {
+  createSession, deleteSession, getSession, handleManageOrder, setOrderType, collectDeliveryAddress
+} = require('../orderManager');
+
+const CALL = 'CA-test-delivery';
+// A Tuesday, 12:00 in Chicago
+const NOON = new Date('2026-10-20T17:00:00Z');
+const CONFIG = loadDeliveryConfig(path.join(__dirname, 'fixtures', 'delivery.json'));
+
+before(() => {
+  _setCatalog(loadCatalog(path.join(__dirname, 'fixtures', 'menu.json')));
+  _setSchedule(loadSchedule(path.join(__dirname, 'fixtures', 'schedule.json')));
+  _setPricingConfig(loadPricingConfig(path.join(__dirname, 'fixtures', 'pricing.json')));
+});
+
+beforeEach(() => {
+  _setDeliveryConfig(CONFIG);
+  deleteSession(CALL);
+  createSession(CALL, null, { pickupAt: NOON });
+});
+
+// ---------------------------------------------------------------------------
+// Addresses
+// ---------------------------------------------------------------------------
+
+test('an address as heard is cleaned up to USPS style', () => {
+  const res = normalizeAddress({ street: '8604 north MacArthur boulevard', unit: 'apartment 5b', city: 'irving', zip: '75063-1234' });
+  assert.equal(res.ok, true);
+  assert.deepEqual(res.address, { street: '8604 N MacArthur Blvd', unit: 'Apt 5B', city: 'Irving', state: 'TX', zip: '75063' });
+  assert.equal(res.formatted, '8604 N MacArthur Blvd, Apt 5B, Irving, TX 75063');
+});
+
+test('a spoken state is read as its code; anything else is refused', () => {
+  assert.equal(normalizeAddress({ street: '1 Elm Street', state: 'oklahoma', zip: '73102' }).address.state, 'OK');
+  assert.match(normalizeAddress({ street: '1 Elm Street', state: 'Texarkana', zip: '75501' }).message, /not a US state/);
+});
+
+test('an address without a house number or a zip code is refused', () => {
+  assert.match(normalizeAddress({ street: 'MacArthur Boulevard', zip: '75063' }).message, /house number/);
+  assert.match(normalizeAddress({ street: '8604 MacArthur Boulevard', zip: '750' }).message, /5-digit zip/);
+});
+
+// ---------------------------------------------------------------------------
+// Zones
+// ---------------------------------------------------------------------------
+
+test('zones are checked in order: a listed zip, then the radius from its centroid', () => {
+  assert.equal(findZone({ zip: '75063' }).id, 'irving');
+  assert.equal(findZone({ zip: '75019' }).id, 'five-miles');   // about 3 miles away
+  assert.equal(findZone({ zip: '75220' }), null);               // about 7 miles away
+  assert.equal(findZone({ zip: '10001' }), null);               // no centroid
+});
+
+test('collectDeliveryAddress saves the address and zone, and says how short of the minimum the cart is', () => {
+  handleManageOrder(CALL, { action: 'add', itemName: 'Masala Dosa', quantity: 1 });
+  const res = collectDeliveryAddress(CALL, { street: '8604 N MacArthur Blvd', city: 'Irving', zip: '75063' });
+  assert.equal(res.success, true);
+  assert.equal(res.deliveryFee, 3.99);
+  assert.match(res.result, /short of the minimum/);
+  assert.match(res.result, /7\.01 dollars/);
+
+  const session = getSession(CALL);
+  assert.equal(session.orderType, 'delivery');
+  assert.equal(session.deliveryZone.id, 'irving');
+});
+
+test('an address outside every zone is not saved', () => {
+  const res = collectDeliveryAddress(CALL, { street: '2500 Walnut Hill Lane', city: 'Dallas', zip: '75220' });
+  assert.equal(res.reason, 'out_of_zone');
+  assert.equal(getSession(CALL).deliveryAddress, null);
+  assert.equal(getSession(CALL).orderType, 'pickup');
+});
+
+test('with delivery turned off, every order is pickup', () => {
+  _setDeliveryConfig({ ...CONFIG, enabled: false });
+  assert.equal(setOrderType(CALL, { orderType: 'delivery' }).success, false);
+  assert.equal(collectDeliveryAddress(CALL, { street: '8604 N MacArthur Blvd', zip: '75063' }).success, false);
+  assert.equal(setOrderType(CALL, { orderType: 'pickup' }).success, true);
+});
@@ -0,0 +1,50 @@
+// test/helpers/fakeSupabase.js
+// A stand-in for the Supabase client, for supabaseClient._setClient().
+//
+// Every query is recorded in `calls` as { table, op, values, filters } and
+// answered by handlers[`${table}.${op}`] (op: select, insert, update, upsert,
+// delete), or handlers[`rpc.${name}`] for db.rpc() with { table: 'rpc', name,
+// args }. A handler is the data to return or a function of the call; an
+// Error becomes the { error } Supabase would return. No handler → data null.
+
+'use strict';
+
+const WRITES = ['insert', 'update', 'upsert', 'delete'];
+
+function fakeSupabase(handlers = {}) {
+  const calls = [];
+
+  function respond(key, call) {
+    const handler = handlers[key];
+    let data = typeof handler === 'function' ? handler(call) : handler;
+    if (data instanceof Error) return { data: null, error: { message: data.message } };
+    return { data: data === undefined ? null : data, error: null };
+  }
+
+  function from(table) {
+    const call = { table, op: 'select', values: undefined, filters: [] };
+    calls.push(call);
+    const query = new Proxy({}, {
+      get(_, method) {
+        if (method === 'then') {
+          return (resolve, reject) => Promise.resolve().then(() => respond(`${table}.${call.op}`, call)).then(resolve, reject);
+        }
+        if (WRITES.includes(method)) {
+          return values => { call.op = method; call.values = values; return query; };
+        }
+        return (...args) => { call.filters.push([method, ...args]); return query; };
+      },
+    });
+    return query;
+  }
+
+  async function rpc(name, args) {
+    const call = { table: 'rpc', name, args };
+    calls.push(call);
+    return respond(`rpc.${name}`, call);
+  }
+
+  return { from, rpc, calls };
+}
+
+module.exports = { fakeSupabase };
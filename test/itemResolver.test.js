@@ -0,0 +1,53 @@
+// test/itemResolver.test.js
+// Spoken names against the fixture menu (test/fixtures/menu.json).
+
+'use strict';
+
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { loadCatalog, _setCatalog } = require('../menuCatalog');
+const { resolveItem, tokenize } = require('../itemResolver');
+
+before(() => {
+  _setCatalog(loadCatalog(path.join(__dirname, 'fixtures', 'menu.json')));
+});
+
+test('an exact name or alias matches', () => {
+  assert.equal(resolveItem('Masala Dosa').item.id, 'masala-dosa');
+  assert.equal(resolveItem('madras coffee').item.id, 'filter-coffee');
+});
+
+test('transliterations, plurals and filler words match the catalog spelling', () => {
+  assert.equal(resolveItem('masala dosai').item.id, 'masala-dosa');
+  assert.equal(resolveItem('two plain dosas please').item.id, 'plain-dosa');
+  assert.equal(resolveItem('madras kaapi').item.id, 'filter-coffee');
+  assert.equal(resolveItem('Medhu Vadai').item.id, 'medhu-vada');
+});
+
+test('native-script names match', () => {
+  assert.equal(resolveItem('மசாலா தோசை').item.id, 'masala-dosa');
+  assert.equal(resolveItem('ರಸಂ').item.id, 'rasam');
+});
+
+test('a near-miss spelling matches by fuzzy score', () => {
+  assert.equal(resolveItem('onion masla dosa').item.id, 'onion-masala-dosa');
+});
+
+test('a name shared by several items is ambiguous, with the candidates', () => {
+  const resolution = resolveItem('dosa');
+  assert.equal(resolution.status, 'ambiguous');
+  assert.deepEqual(resolution.candidates.map(c => c.id).sort(), ['masala-dosa', 'onion-masala-dosa', 'plain-dosa']);
+});
+
+test('an off-menu or empty name is not found', () => {
+  assert.deepEqual(resolveItem('pepperoni pizza'), { status: 'not_found' });
+  assert.deepEqual(resolveItem(''), { status: 'not_found' });
+  assert.deepEqual(resolveItem(undefined), { status: 'not_found' });
+});
+
+test('tokenize drops piece counts and punctuation', () => {
+  assert.deepEqual(tokenize('Medhu Vada (2)'), ['medhu', 'vada']);
+  assert.deepEqual(tokenize('Ghee & Podi!'), ['ghee', 'podi']);
+});
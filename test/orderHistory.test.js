@@ -0,0 +1,83 @@
+// test/orderHistory.test.js
+// reorderPrevious against past orders held by a fake Supabase client.
+
+'use strict';
+
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { buildRegistry, _setRestaurants } = require('../restaurants');
+const { loadCatalog, _setCatalog } = require('../menuCatalog');
+const { loadSchedule, _setSchedule } = require('../schedule');
+const { _setUnavailable } = require('../availability');
+const { _setClient } = require('../supabaseClient');
+const { createSession, deleteSession, getSession, handleManageOrder } = require('../orderManager');
+const { reorderPrevious } = require('../orderHistory');
+const { fakeSupabase } = require('./helpers/fakeSupabase');
+
+const CALL = 'CA-test-order-history';
+const CONTEXT = { callerPhone: '+12142345678' };
+// A Tuesday, 12:00 in Chicago
+const NOON = new Date('2026-10-20T17:00:00Z');
+
+const PAST_ORDER = {
+  id: 'b1c2d3e4-0000-4000-8000-000000000003',
+  created_at: '2026-10-13T17:00:00Z',
+  total_amount: '34.61',
+  order_items: [
+    { item_id: 'masala-dosa', item_name: 'Masala Dosa', quantity: 2, unit_price: '12.99',
+      customizations: { modifiers: [{ group: 'spice-level', option: 'spicy', name: 'Spicy', price: 0 }] } },
+    { item_id: 'filter-coffee', item_name: 'Filter Coffee', quantity: 1, unit_price: '3.49', customizations: null },
+    { item_id: 'retired-item', item_name: 'Retired Special', quantity: 1, unit_price: '9.99', customizations: null },
+  ],
+};
+
+const quantities = () => getSession(CALL).cart.map(line => [line.itemName, line.quantity]);
+
+before(() => {
+  _setRestaurants(buildRegistry(require('./fixtures/restaurants.json')));
+  _setCatalog(loadCatalog(path.join(__dirname, 'fixtures', 'menu.json')));
+  _setSchedule(loadSchedule(path.join(__dirname, 'fixtures', 'schedule.json')));
+  _setClient(fakeSupabase({ 'orders.select': [PAST_ORDER] }));
+});
+
+beforeEach(() => {
+  deleteSession(CALL);
+  createSession(CALL, null, { pickupAt: NOON, callerPhone: CONTEXT.callerPhone });
+  _setUnavailable({});
+});
+
+test('the past order goes in the cart at today\'s prices, leaving out what is off the menu', async () => {
+  const res = await reorderPrevious(CALL, {}, CONTEXT);
+  assert.equal(res.success, true);
+  assert.deepEqual(quantities(), [['Masala Dosa', 2], ['Filter Coffee', 1]]);
+  assert.equal(getSession(CALL).cart[1].price, 3.99);
+  assert.deepEqual(res.skipped.map(s => [s.itemName, s.reason]), [['Retired Special', 'not_found']]);
+  assert.match(res.result, /Filter Coffee is now 3\.99 dollars \(was 3\.49\)/);
+});
+
+test('calling it again does not double the cart', async () => {
+  await reorderPrevious(CALL, {}, CONTEXT);
+  await reorderPrevious(CALL, {}, CONTEXT);
+  assert.deepEqual(quantities(), [['Masala Dosa', 2], ['Filter Coffee', 1]]);
+});
+
+test('a line already in the cart is set to the past quantity, as manageOrder does', async () => {
+  handleManageOrder(CALL, { action: 'add', itemName: 'Filter Coffee', quantity: 4 });
+  await reorderPrevious(CALL, {}, CONTEXT);
+  assert.deepEqual(quantities(), [['Filter Coffee', 1], ['Masala Dosa', 2]]);
+});
+
+test('an 86\'d item is skipped; with nothing left the cart is not changed', async () => {
+  _setUnavailable({ 'masala-dosa': { reason: null }, 'filter-coffee': { reason: null } });
+  const res = await reorderPrevious(CALL, {}, CONTEXT);
+  assert.equal(res.success, false);
+  assert.equal(res.reason, 'nothing_available');
+  assert.deepEqual(getSession(CALL).cart, []);
+});
+
+test('an order number that is not one of the caller\'s orders is refused', async () => {
+  const res = await reorderPrevious(CALL, { orderNumber: 'TK-FFFFFF' }, CONTEXT);
+  assert.equal(res.reason, 'not_found');
+});
@@ -0,0 +1,78 @@
+// test/orderLookup.test.js
+// Order numbers, and lookupOrderStatus against an order held by a fake
+// Supabase client.
+
+'use strict';
+
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { buildRegistry, _setRestaurants } = require('../restaurants');
+const { loadSchedule, _setSchedule } = require('../schedule');
+const { _setClient } = require('../supabaseClient');
+const { formatOrderNumber, parseOrderNumber, lookupOrderStatus } = require('../orderLookup');
+const { fakeSupabase } = require('./helpers/fakeSupabase');
+
+const NOW = new Date('2026-10-20T17:00:00Z');
+const CALLER = '+12142345678';
+
+const ORDER = {
+  id: 'c0ffee12-0000-4000-8000-000000000004',
+  order_ref: 'C0FFEE',
+  status: 'preparing',
+  order_type: 'pickup',
+  customer_name: 'Priya',
+  phone_number: CALLER,
+  total_amount: '28.13',
+  pickup_at: null,
+  paid_at: null,
+  created_at: '2026-10-20T16:55:00Z',
+  order_items: [{ item_name: 'Masala Dosa', quantity: 2 }],
+};
+
+before(() => {
+  _setRestaurants(buildRegistry(require('./fixtures/restaurants.json')));
+  _setSchedule(loadSchedule(path.join(__dirname, 'fixtures', 'schedule.json')));
+  _setClient(fakeSupabase({ 'orders.select': [ORDER] }));
+});
+
+test('order numbers carry the restaurant prefix and read back however they are spoken', () => {
+  assert.equal(formatOrderNumber(ORDER.id), 'TK-C0FFEE');
+  assert.equal(parseOrderNumber('TK-C0FFEE'), 'C0FFEE');
+  assert.equal(parseOrderNumber('tk c o f f e e'), 'C0FFEE');
+  assert.equal(parseOrderNumber('c0ffee'), 'C0FFEE');
+  assert.equal(parseOrderNumber('TK-12345'), null);
+});
+
+test('a lookup by caller ID reads out the name, items and ready time', async () => {
+  const res = await lookupOrderStatus({}, { callerPhone: CALLER }, NOW);
+  assert.equal(res.success, true);
+  const [order] = res.orders;
+  assert.equal(order.customerName, 'Priya');
+  assert.deepEqual(order.items, [{ itemName: 'Masala Dosa', quantity: 2 }]);
+  assert.match(order.summary, /for Priya.*2 Masala Dosa.*is being prepared/);
+});
+
+test('a lookup by number from the phone that ordered reads out everything', async () => {
+  const res = await lookupOrderStatus({ orderNumber: 'TK-C0FFEE' }, { callerPhone: CALLER }, NOW);
+  assert.equal(res.orders[0].customerName, 'Priya');
+  assert.equal(res.orders[0].total, 28.13);
+});
+
+test('a lookup by number from another phone gives the status only', async () => {
+  const res = await lookupOrderStatus({ orderNumber: 'TK-C0FFEE' }, { callerPhone: '+12142349999' }, NOW);
+  assert.equal(res.success, true);
+  const [order] = res.orders;
+  assert.equal(order.status, 'preparing');
+  assert.equal(order.customerName, null);
+  assert.deepEqual(order.items, []);
+  assert.equal(order.total, null);
+  assert.doesNotMatch(res.result, /Priya|Masala Dosa|28/);
+  assert.match(res.result, /is being prepared/);
+});
+
+test('a withheld caller ID without an order number asks for the number', async () => {
+  const res = await lookupOrderStatus({}, { callerPhone: 'unknown' }, NOW);
+  assert.equal(res.reason, 'no_caller_id');
+});
@@ -0,0 +1,103 @@
+// test/orderManager.test.js
+// manageOrder against the fixture menu and schedule — nothing here reaches
+// Supabase.
+
+'use strict';
+
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { loadCatalog, _setCatalog } = require('../menuCatalog');
+const { loadSchedule, _setSchedule } = require('../schedule');
+const { _setUnavailable } = require('../availability');
+const { createSession, getSession, deleteSession, handleManageOrder } = require('../orderManager');
+
+const CALL = 'CA-test-order-manager';
+// A Tuesday, 12:00 in Chicago — open, before the Evening Specials
+const NOON = new Date('2026-10-20T17:00:00Z');
+
+before(() => {
+  _setCatalog(loadCatalog(path.join(__dirname, 'fixtures', 'menu.json')));
+  _setSchedule(loadSchedule(path.join(__dirname, 'fixtures', 'schedule.json')));
+});
+
+beforeEach(() => {
+  deleteSession(CALL);
+  createSession(CALL, null, { pickupAt: NOON });
+  _setUnavailable({});
+});
+
+test('add puts the catalog item and price in the cart, whatever price Gemini sends', () => {
+  const res = handleManageOrder(CALL, { action: 'add', itemName: 'masala dosai', quantity: 2, price: 0.01 });
+  assert.equal(res.success, true);
+  assert.deepEqual(getSession(CALL).cart.map(({ itemId, itemName, quantity, price }) => ({ itemId, itemName, quantity, price })),
+                   [{ itemId: 'masala-dosa', itemName: 'Masala Dosa', quantity: 2, price: 12.99 }]);
+});
+
+test('add of an item already in the cart sets its quantity', () => {
+  handleManageOrder(CALL, { action: 'add', itemName: 'Rasam', quantity: 2 });
+  handleManageOrder(CALL, { action: 'add', itemName: 'Rasam', quantity: 3 });
+  assert.deepEqual(getSession(CALL).cart.map(i => i.quantity), [3]);
+});
+
+test('a left-out quantity means one', () => {
+  handleManageOrder(CALL, { action: 'add', itemName: 'Rasam' });
+  assert.deepEqual(getSession(CALL).cart.map(i => i.quantity), [1]);
+});
+
+test('modifiers are priced on top of the item', () => {
+  const res = handleManageOrder(CALL, { action: 'add', itemName: 'Rasam', quantity: 1, modifiers: ['ghee'] });
+  assert.equal(res.unitPrice, 8.98);
+  assert.deepEqual(res.modifiers, ['Extra Ghee']);
+});
+
+test('a quantity that is not a whole number of at least one is rejected', () => {
+  for (const quantity of [0, -1, 1.5, '2']) {
+    const res = handleManageOrder(CALL, { action: 'add', itemName: 'Rasam', quantity });
+    assert.equal(res.success, false, `quantity ${JSON.stringify(quantity)}`);
+    assert.equal(res.reason, 'invalid_quantity');
+  }
+  assert.deepEqual(getSession(CALL).cart, []);
+});
+
+test('an action other than add or remove is rejected', () => {
+  handleManageOrder(CALL, { action: 'add', itemName: 'Rasam', quantity: 1 });
+  const res = handleManageOrder(CALL, { action: 'update', itemName: 'Rasam', quantity: 4 });
+  assert.equal(res.success, false);
+  assert.equal(res.reason, 'invalid_action');
+  assert.deepEqual(getSession(CALL).cart.map(i => i.quantity), [1]);
+});
+
+test('remove takes the item out; removing one not in the cart fails', () => {
+  handleManageOrder(CALL, { action: 'add', itemName: 'Rasam', quantity: 1 });
+  assert.equal(handleManageOrder(CALL, { action: 'remove', itemName: 'Rasam' }).success, true);
+  assert.deepEqual(getSession(CALL).cart, []);
+  assert.equal(handleManageOrder(CALL, { action: 'remove', itemName: 'Rasam' }).success, false);
+});
+
+test('an ambiguous removal picks the one candidate in the cart', () => {
+  handleManageOrder(CALL, { action: 'add', itemName: 'Plain Dosa', quantity: 1 });
+  assert.equal(handleManageOrder(CALL, { action: 'remove', itemName: 'dosa' }).success, true);
+  assert.deepEqual(getSession(CALL).cart, []);
+});
+
+test('off-menu and ambiguous items are not added', () => {
+  assert.equal(handleManageOrder(CALL, { action: 'add', itemName: 'pizza', quantity: 1 }).match, 'not_found');
+  assert.equal(handleManageOrder(CALL, { action: 'add', itemName: 'dosa', quantity: 1 }).match, 'ambiguous');
+  assert.deepEqual(getSession(CALL).cart, []);
+});
+
+test('an 86\'d item is rejected with alternatives from its category', () => {
+  _setUnavailable({ 'masala-dosa': { reason: 'out of potato masala' } });
+  const res = handleManageOrder(CALL, { action: 'add', itemName: 'Masala Dosa', quantity: 1 });
+  assert.equal(res.match, 'unavailable');
+  assert.equal(res.reason, 'out of potato masala');
+  assert.ok(res.alternatives.some(a => a.itemName === 'Onion Masala Dosa'));
+});
+
+test('a day-part item is rejected outside its window', () => {
+  const res = handleManageOrder(CALL, { action: 'add', itemName: 'Kothu Parotta', quantity: 1 });
+  assert.equal(res.success, false);
+  assert.equal(res.match, 'not_served_now');
+});
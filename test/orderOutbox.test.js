@@ -0,0 +1,132 @@
+// test/orderOutbox.test.js
+// The order outbox with its journal in a temp file: delivery, retries with
+// backoff, a restart part-way through, and the at-most-once receipt. Supabase
+// is a fake client, the POS the mock adapter and texts a capturing sender.
+
+'use strict';
+
+const { test, before, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { buildRegistry, _setRestaurants, withRestaurant, defaultRestaurant } = require('../restaurants');
+const { loadCatalog, _setCatalog } = require('../menuCatalog');
+const { loadPricingConfig, _setPricingConfig, priceCart } = require('../pricing');
+const { _setClient } = require('../supabaseClient');
+const { _setPosConfig } = require('../posAdapter');
+const { _setMockPosPath } = require('../mockPos');
+const { _setSmsSender } = require('../smsSender');
+const { enqueueOrder, deliver, listPending, _setOutboxPath } = require('../orderOutbox');
+const { fakeSupabase } = require('./helpers/fakeSupabase');
+
+const ORDER_ID = 'e0e0e0e0-0000-4000-8000-000000000006';
+const CART = [{ itemId: 'masala-dosa', itemName: 'Masala Dosa', quantity: 1, price: 12.99 }];
+
+let tmpDir;
+let journal;
+let databaseDown;
+let db;
+let sent;
+
+before(() => {
+  _setRestaurants(buildRegistry(require('./fixtures/restaurants.json')));
+  _setCatalog(loadCatalog(path.join(__dirname, 'fixtures', 'menu.json')));
+  _setPricingConfig(loadPricingConfig(path.join(__dirname, 'fixtures', 'pricing.json')));
+  _setPosConfig({ adapter: 'mock', restaurants: new Map() });
+});
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+  journal = path.join(tmpDir, 'orderOutbox.jsonl');
+  _setOutboxPath(journal);
+  _setMockPosPath(path.join(tmpDir, 'mockPos.json'));
+
+  databaseDown = false;
+  db = fakeSupabase({
+    'rpc.place_order': () => (databaseDown
+      ? new Error('connection refused')
+      : { order_id: ORDER_ID, customer_id: 'cust-1', created: true, promo_recorded: false, clover_order_id: null }),
+  });
+  _setClient(db);
+
+  sent = [];
+  _setSmsSender({ name: 'capture', send: async msg => { sent.push(msg); return { messageId: `SM${sent.length}`, status: 'queued' }; } });
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// The entry completeOrder would journal for CART
+function enqueue() {
+  const totals = priceCart(CART);
+  return withRestaurant(defaultRestaurant(), () => enqueueOrder({
+    orderId: ORDER_ID,
+    write: { idempotencyKey: 'CA-test-outbox:1', orderId: ORDER_ID, customerName: 'Priya', phoneNumber: '+12142345678', cartItems: CART, totals },
+    clover: { cart: CART, customerName: 'Priya', totals, opts: { pickupAt: null } },
+    receipt: { to: '+12142345678', body: 'Order TK-E0E0E0 is confirmed.' },
+  }));
+}
+
+const journalLines = () => fs.readFileSync(journal, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+const placeOrderCalls = () => db.calls.filter(c => c.name === 'place_order').length;
+
+test('an order is on disk before anything is written, and one attempt delivers every step', async () => {
+  enqueue();
+  assert.deepEqual(journalLines().map(e => [e.id, e.status]), [[ORDER_ID, 'pending']]);
+
+  const entry = await deliver(ORDER_ID);
+  assert.equal(entry.status, 'done');
+  assert.equal(entry.written, true);
+  assert.ok(entry.cloverOrderId);
+  assert.equal(entry.receiptResult.status, 'sent');
+  assert.equal(placeOrderCalls(), 1);
+  assert.equal(sent.length, 1);
+  assert.deepEqual(listPending(), []);
+});
+
+test('enqueueing the same order again returns the entry already journalled', () => {
+  const first = enqueue();
+  assert.equal(enqueue(), first);
+  assert.equal(journalLines().length, 1);
+});
+
+test('a failed database write is retried with backoff, and survives a restart', async () => {
+  databaseDown = true;
+  enqueue();
+  const failed = await deliver(ORDER_ID);
+  assert.equal(failed.status, 'pending');
+  assert.equal(failed.attempts, 1);
+  assert.match(failed.lastError, /place_order failed: connection refused/);
+  assert.ok(new Date(failed.nextAttemptAt).getTime() > Date.now() + 4_000);
+
+  // A restart reads the journal back
+  _setOutboxPath(journal);
+  assert.deepEqual(listPending().map(p => [p.orderNumber, p.attempts, p.written]), [['TK-E0E0E0', 1, false]]);
+
+  databaseDown = false;
+  assert.equal((await deliver(ORDER_ID)).status, 'done');
+  assert.equal(sent.length, 1);
+
+  // and compacts it, dropping what was delivered
+  _setOutboxPath(journal);
+  assert.deepEqual(listPending(), []);
+  assert.deepEqual(journalLines(), []);
+});
+
+test('a receipt that was being sent when the process stopped is recorded as failed, not sent again', async () => {
+  enqueue();
+  const [entry] = journalLines();
+  fs.appendFileSync(journal, JSON.stringify({ ...entry, written: true, cloverSaved: true, receiptSending: true }) + '\n');
+  _setOutboxPath(journal);
+
+  const delivered = await deliver(ORDER_ID);
+  assert.equal(delivered.status, 'done');
+  assert.equal(placeOrderCalls(), 0);
+  assert.deepEqual(sent, []);
+  assert.equal(delivered.receiptResult.status, 'failed');
+  const saved = db.calls.find(c => c.op === 'update' && c.values.receipt_sms_status);
+  assert.equal(saved.values.receipt_sms_status, 'failed');
+});
@@ -0,0 +1,109 @@
+// test/orderReceipts.test.js
+// Receipt text (buildReceipt), when a receipt is sent (receiptFor) and what
+// sendReceipt records for each sender outcome. Texts go to a capturing
+// sender, never to Twilio.
+
+'use strict';
+
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { buildRegistry, _setRestaurants } = require('../restaurants');
+const { loadSchedule, _setSchedule } = require('../schedule');
+const { _setSmsSender } = require('../smsSender');
+const { loadReceiptConfig, buildReceipt, receiptFor, sendReceipt, _setReceiptConfig } = require('../orderReceipts');
+
+const CONFIG = {
+  enabled: true,
+  templates: {
+    English: {
+      pickup: '{restaurant}: {name}, order {orderNumber}\n{items}\nTotal ${total}\nPickup: {time}',
+      delivery: '{restaurant}: order {orderNumber} to {address}\nTotal ${total}',
+    },
+    Tamil: {
+      pickup: 'நன்றி {name}! ஆர்டர் {orderNumber}\nமொத்தம் ${total}',
+      delivery: 'நன்றி {name}! ஆர்டர் {orderNumber} — {address}',
+    },
+  },
+};
+
+const ORDER = {
+  orderNumber: 'TK-C0FFEE',
+  customerName: 'Priya',
+  cart: [{ itemName: 'Masala Dosa', quantity: 2, modifiers: [{ name: 'Extra Ghee' }] }],
+  totals: {
+    lines: [{ lineTotalCents: 2998 }],
+    fees: [],
+    discounts: [{ name: '10% off (SAVE10)', amountCents: 300 }],
+    subtotalCents: 2998,
+    taxCents: 223,
+    totalCents: 2921,
+  },
+  orderType: 'pickup',
+  // A Tuesday, 12:20 in Chicago
+  readyAt: new Date('2026-10-20T17:20:00Z'),
+  language: 'English',
+};
+
+let sent;
+
+before(() => {
+  _setRestaurants(buildRegistry(require('./fixtures/restaurants.json')));
+  _setSchedule(loadSchedule(path.join(__dirname, 'fixtures', 'schedule.json')));
+});
+
+beforeEach(() => {
+  sent = [];
+  _setReceiptConfig(CONFIG);
+  _setSmsSender({ name: 'capture', send: async msg => { sent.push(msg); return { messageId: `SM${sent.length}`, status: 'queued' }; } });
+});
+
+test('the shipped receipt file loads, with receipts turned off', () => {
+  const config = loadReceiptConfig(path.join(__dirname, '..', 'data', 'receipts.json'));
+  assert.equal(config.enabled, false);
+  assert.ok(config.templates.English);
+});
+
+test('a receipt lists the items, discounts and total', () => {
+  const body = buildReceipt(ORDER);
+  assert.match(body, /^Test Kitchen Main Street: Priya, order TK-C0FFEE\n/);
+  assert.match(body, /2 x Masala Dosa \(Extra Ghee\) \$29\.98\n10% off \(SAVE10\) -\$3\.00\n/);
+  assert.match(body, /Total \$29\.21/);
+});
+
+test('the order\'s language picks the template, English when it has none', () => {
+  assert.match(buildReceipt({ ...ORDER, language: 'Tamil' }), /^நன்றி Priya! ஆர்டர் TK-C0FFEE/);
+  assert.match(buildReceipt({ ...ORDER, language: 'Kannada' }), /^Test Kitchen Main Street: Priya/);
+  assert.equal(buildReceipt({ ...ORDER, orderType: 'delivery', deliveryAddress: '12 Elm St' }),
+               'Test Kitchen Main Street: order TK-C0FFEE to 12 Elm St\nTotal $29.21');
+});
+
+test('no receipt is built when receipts or texts are off', () => {
+  _setReceiptConfig({ ...CONFIG, enabled: false });
+  assert.deepEqual(receiptFor('+12142345678', ORDER), { skipped: 'SMS receipts are turned off' });
+  _setReceiptConfig(CONFIG);
+  _setSmsSender(null);
+  assert.deepEqual(receiptFor('+12142345678', ORDER), { skipped: 'SMS_PROVIDER is off' });
+});
+
+test('sendReceipt texts the receipt to the confirmed phone number', async () => {
+  const receipt = receiptFor('+12142345678', ORDER);
+  const result = await sendReceipt(receipt, ORDER.orderNumber);
+  assert.equal(result.status, 'sent');
+  assert.equal(result.messageId, 'SM1');
+  assert.deepEqual(sent, [{ to: '+12142345678', body: buildReceipt(ORDER) }]);
+});
+
+test('sendReceipt records a stubbed, failed or skipped send without throwing', async () => {
+  const receipt = receiptFor('+12142345678', ORDER);
+  _setSmsSender({ name: 'stub', send: async () => ({ messageId: 'stub-1', status: 'stubbed' }) });
+  assert.deepEqual(await sendReceipt(receipt, ORDER.orderNumber), { status: 'stubbed', messageId: 'stub-1' });
+
+  _setSmsSender({ name: 'twilio', send: async () => { throw new Error('Twilio 21211: invalid To number'); } });
+  assert.deepEqual(await sendReceipt(receipt, ORDER.orderNumber),
+                   { status: 'failed', error: 'Twilio 21211: invalid To number' });
+
+  assert.deepEqual(await sendReceipt({ skipped: 'SMS receipts are turned off' }, ORDER.orderNumber),
+                   { status: 'skipped', error: 'SMS receipts are turned off' });
+});
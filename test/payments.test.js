@@ -0,0 +1,206 @@
+// test/payments.test.js
+// Payment config checks, creating and texting a link with the fake provider,
+// and payment webhook events applied to an order held by a fake Supabase
+// client. The mock POS and the fake provider's links are in a temp dir.
+
+'use strict';
+
+const { test, before, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { buildRegistry, _setRestaurants } = require('../restaurants');
+const { loadCatalog, _setCatalog } = require('../menuCatalog');
+const { loadSchedule, _setSchedule } = require('../schedule');
+const { _setClient } = require('../supabaseClient');
+const { _setPosConfig, getPosAdapter } = require('../posAdapter');
+const { _setMockPosPath } = require('../mockPos');
+const { _setSmsSender } = require('../smsSender');
+const { fakePaymentProvider, _setFakePaymentsPath } = require('../fakePayments');
+const {
+  validatePaymentConfig, paymentFor, createPaymentLink, sendPaymentLink, paymentLinkUpdate, handlePaymentEvent,
+  _setPaymentConfig
+} = require('../payments');
+const { fakeSupabase } = require('./helpers/fakeSupabase');
+
+const ORDER_ID = 'a1b2c3d4-0000-4000-8000-000000000001';
+const CONFIG = { prepay: true, provider: 'fake', linkExpiresMinutes: 60, messages: { English: 'Pay here: {link}' } };
+
+let tmpDir;
+let orderRow;
+let db;
+let sent;
+
+before(() => {
+  _setRestaurants(buildRegistry(require('./fixtures/restaurants.json')));
+  _setCatalog(loadCatalog(path.join(__dirname, 'fixtures', 'menu.json')));
+  _setSchedule(loadSchedule(path.join(__dirname, 'fixtures', 'schedule.json')));
+  _setPosConfig({ adapter: 'mock', restaurants: new Map() });
+});
+
+beforeEach(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'payments-'));
+  _setMockPosPath(path.join(tmpDir, 'mockPos.json'));
+  _setFakePaymentsPath(path.join(tmpDir, 'fakePayments.json'));
+  _setPaymentConfig(CONFIG);
+  sent = [];
+  _setSmsSender({ name: 'capture', send: async msg => { sent.push(msg); return { messageId: `SM${sent.length}`, status: 'queued' }; } });
+  const posOrderId = await getPosAdapter(null).createOrder({ customerName: 'Priya', note: '' });
+
+  orderRow = {
+    id: ORDER_ID,
+    status: 'received',
+    customer_name: 'Priya',
+    total_amount: '14.06',
+    payment_status: 'awaiting_payment',
+    payment_link_id: 'link-1',
+    clover_order_id: posOrderId,
+    order_items: [{ item_id: 'masala-dosa', item_name: 'Masala Dosa', quantity: 1, unit_price: '12.99', customizations: null }],
+  };
+  // The update only goes through while the order is in one of the statuses asked for
+  db = fakeSupabase({
+    'orders.select': () => orderRow,
+    'orders.update': call => {
+      const from = call.filters.find(([method]) => method === 'or')[1];
+      const matches = orderRow.payment_status === null
+        ? from.includes('payment_status.is.null')
+        : new RegExp(`payment_status\\.in\\.\\([^)]*\\b${orderRow.payment_status}\\b`).test(from);
+      if (!matches) return null;
+      orderRow = { ...orderRow, ...call.values };
+      return orderRow;
+    },
+  });
+  _setClient(db);
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const event = (fields = {}) => ({ orderId: ORDER_ID, restaurant: 'main', linkId: 'link-1', status: 'paid', reference: 'pay-1', ...fields });
+
+// ---------------------------------------------------------------------------
+// Config
+// ---------------------------------------------------------------------------
+
+test('prepay with the fake provider is refused outside development', t => {
+  const nodeEnv = process.env.NODE_ENV;
+  t.after(() => { if (nodeEnv === undefined) delete process.env.NODE_ENV; else process.env.NODE_ENV = nodeEnv; });
+
+  delete process.env.NODE_ENV;
+  assert.match(validatePaymentConfig(CONFIG).join('\n'), /takes no money/);
+  process.env.NODE_ENV = 'production';
+  assert.match(validatePaymentConfig(CONFIG).join('\n'), /takes no money/);
+
+  process.env.NODE_ENV = 'development';
+  assert.deepEqual(validatePaymentConfig(CONFIG), []);
+});
+
+test('the fake provider with prepay off is accepted anywhere', () => {
+  assert.deepEqual(validatePaymentConfig({ ...CONFIG, prepay: false }), []);
+});
+
+test('a message without {link} or with an unknown placeholder is refused', () => {
+  const problems = validatePaymentConfig({ ...CONFIG, prepay: false, messages: { English: 'Pay {amount} now' } });
+  assert.ok(problems.some(p => p.includes('unknown placeholder {amount}')));
+  assert.ok(problems.some(p => p.includes('must include {link}')));
+});
+
+// ---------------------------------------------------------------------------
+// Creating and texting a link
+// ---------------------------------------------------------------------------
+
+const ORDER = { orderNumber: 'TK-A1B2C3', customerName: 'Priya', amountCents: 1406, language: 'Tamil' };
+
+test('no payment is asked for with prepay off, or with no texts to send the link with', () => {
+  _setPaymentConfig({ ...CONFIG, prepay: false });
+  assert.equal(paymentFor('+12142345678', ORDER), null);
+  _setPaymentConfig(CONFIG);
+  _setSmsSender(null);
+  assert.equal(paymentFor('+12142345678', ORDER), null);
+});
+
+test('the link is created once per order and texted in English when the language has no message', async () => {
+  const payment = paymentFor('+12142345678', ORDER);
+  const link = await createPaymentLink(ORDER_ID, payment);
+  assert.equal(link.provider, 'fake');
+  assert.match(link.url, /\/payments\/fake\/fake_[0-9a-f]+$/);
+  assert.equal((await createPaymentLink(ORDER_ID, payment)).id, link.id);
+
+  const texted = await sendPaymentLink(payment, link);
+  assert.equal(texted.status, 'sent');
+  assert.deepEqual(sent, [{ to: '+12142345678', body: `Pay here: ${link.url}` }]);
+  assert.deepEqual(paymentLinkUpdate(link, texted),
+                   { provider: 'fake', linkId: link.id, url: link.url, status: 'awaiting_payment' });
+});
+
+test('a link that could not be texted leaves the order to be paid at pickup', async () => {
+  const payment = paymentFor('+12142345678', ORDER);
+  const link = await createPaymentLink(ORDER_ID, payment);
+  _setSmsSender({ name: 'twilio', send: async () => { throw new Error('Twilio 21610: unsubscribed'); } });
+  const texted = await sendPaymentLink(payment, link);
+  assert.equal(paymentLinkUpdate(link, texted).status, 'unpaid');
+  assert.match(paymentLinkUpdate(link, texted).error, /21610/);
+});
+
+test('paying on the fake provider\'s page marks the order paid', async () => {
+  const link = await createPaymentLink(ORDER_ID, paymentFor('+12142345678', ORDER));
+  orderRow.payment_link_id = link.id;
+
+  const [paid] = await fakePaymentProvider.parseWebhook({ body: { linkId: link.id, outcome: 'pay' } });
+  assert.equal(paid.status, 'paid');
+  assert.equal((await handlePaymentEvent(paid)).outcome, 'paid');
+  assert.equal(orderRow.payment_status, 'paid');
+
+  // Whatever is clicked afterwards, the link stays paid
+  const [again] = await fakePaymentProvider.parseWebhook({ body: { linkId: link.id, outcome: 'expire' } });
+  assert.equal(again.status, 'paid');
+  assert.equal(await fakePaymentProvider.parseWebhook({ body: { linkId: 'fake_unknown', outcome: 'pay' } }), null);
+});
+
+// ---------------------------------------------------------------------------
+// Webhook events
+// ---------------------------------------------------------------------------
+
+test('a paid event marks the order paid and records the payment on the POS', async () => {
+  const result = await handlePaymentEvent(event());
+  assert.deepEqual(result, { orderNumber: 'TK-A1B2C3', outcome: 'paid' });
+  assert.equal(orderRow.payment_status, 'paid');
+  assert.equal(orderRow.payment_reference, 'pay-1');
+
+  const posOrder = await getPosAdapter(null).fetchOrder(orderRow.clover_order_id);
+  assert.equal(posOrder.state, 'paid');
+});
+
+test('the same paid event a second time changes nothing', async () => {
+  await handlePaymentEvent(event());
+  const result = await handlePaymentEvent(event());
+  assert.equal(result.outcome, 'unchanged');
+  assert.equal(orderRow.payment_status, 'paid');
+});
+
+test('an expired event leaves a paid order paid', async () => {
+  await handlePaymentEvent(event());
+  const result = await handlePaymentEvent(event({ status: 'expired' }));
+  assert.equal(result.outcome, 'unchanged');
+  assert.equal(orderRow.payment_status, 'paid');
+});
+
+test('an expired event makes a waiting order unpaid', async () => {
+  const result = await handlePaymentEvent(event({ status: 'expired' }));
+  assert.equal(result.outcome, 'unpaid');
+  assert.equal(orderRow.payment_error, 'payment link expired');
+});
+
+test('an event for another link is ignored', async () => {
+  const result = await handlePaymentEvent(event({ linkId: 'link-old' }));
+  assert.equal(result.outcome, 'not_ours');
+  assert.equal(db.calls.filter(c => c.op === 'update').length, 0);
+});
+
+test('an event for an order not written yet throws, so the provider sends it again', async () => {
+  orderRow = null;
+  await assert.rejects(handlePaymentEvent(event()), /not found/);
+});
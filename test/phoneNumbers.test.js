@@ -0,0 +1,65 @@
+// test/phoneNumbers.test.js
+// Reading numbers as spoken or typed into E.164, the North American
+// numbering-plan checks, and the digit readback.
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parsePhone, normalizePhone, spokenPhone, phoneVariants } = require('../phoneNumbers');
+
+test('however a US number is written it comes out in E.164', () => {
+  for (const raw of ['(214) 234-5678', '214.234.5678', '1 214 234 5678', '+12142345678', ' 214 234 5678 ']) {
+    assert.equal(normalizePhone(raw), '+12142345678', raw);
+  }
+  assert.deepEqual(parsePhone('2142345678'), { ok: true, e164: '+12142345678', national: '(214) 234-5678', nanp: true });
+});
+
+test('a number with a country code is kept, and only its length is checked', () => {
+  assert.equal(normalizePhone('+44 20 7946 0958'), '+442079460958');
+  assert.equal(normalizePhone('011 91 98765 43210'), '+919876543210');
+  assert.equal(parsePhone('+44 1234').reason, 'too_short');
+  assert.equal(parsePhone('+1234567890123456').reason, 'too_long');
+});
+
+test('numbers outside the numbering plan are rejected with the reason', () => {
+  const reasons = {
+    '214 234 567': 'too_short',
+    '214 234 56789': 'too_long',
+    '114 234 5678': 'invalid_area_code',
+    '911 234 5678': 'invalid_area_code',
+    '294 234 5678': 'invalid_area_code',
+    '214 034 5678': 'invalid_exchange',
+    '214 555 0142': 'fictional',
+    '222 222 2222': 'placeholder',
+    '': 'empty',
+  };
+  for (const [raw, reason] of Object.entries(reasons)) {
+    const parsed = parsePhone(raw);
+    assert.equal(parsed.ok, false, raw);
+    assert.equal(parsed.reason, reason, raw);
+    assert.equal(typeof parsed.message, 'string');
+  }
+  assert.equal(normalizePhone('214 555 0142'), null);
+  assert.equal(normalizePhone('214 555 1234'), '+12145551234');
+});
+
+test('a withheld caller ID is told apart from a bad number', () => {
+  assert.equal(parsePhone('unknown').reason, 'withheld');
+  assert.equal(parsePhone('+266696687').reason, 'withheld');
+});
+
+test('the readback is digit by digit, grouped as the number is said', () => {
+  assert.equal(spokenPhone('+12142345678'), 'two one four, two three four, five six seven eight');
+  assert.match(spokenPhone('+442079460958'), /^plus four four two zero/);
+});
+
+test('variants cover the formats older rows were stored in', () => {
+  const variants = phoneVariants('+12142345678');
+  assert.equal(variants[0], '+12142345678');
+  for (const form of ['2142345678', '12142345678', '214-234-5678', '(214) 234-5678', '214 234 5678']) {
+    assert.ok(variants.includes(form), form);
+  }
+  assert.deepEqual(phoneVariants('234-5678'), []);
+});
@@ -0,0 +1,142 @@
+// test/placedOrders.test.js
+// When a placed order may be changed (checkChangeAllowed), and the change
+// tools against an order held by a fake Supabase client.
+
+'use strict';
+
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { buildRegistry, _setRestaurants } = require('../restaurants');
+const { loadCatalog, _setCatalog } = require('../menuCatalog');
+const { loadSchedule, _setSchedule } = require('../schedule');
+const { _setClient } = require('../supabaseClient');
+const { checkChangeAllowed, modifyPlacedOrder, cancelPlacedOrder, _setOrderChangePolicy } = require('../placedOrders');
+const { fakeSupabase } = require('./helpers/fakeSupabase');
+
+const POLICY = {
+  graceMinutes: 10,
+  scheduledCutoffMinutes: 60,
+  modifiableStatuses: ['confirmed'],
+  cancellableStatuses: ['confirmed', 'preparing'],
+};
+// A Tuesday, 12:00 in Chicago
+const NOW = new Date('2026-10-20T17:00:00Z');
+const minutesAgo = minutes => new Date(NOW.getTime() - minutes * 60_000).toISOString();
+const CALLER = '+12142345678';
+const CONTEXT = { callSid: 'CA-test-placed-orders', callerPhone: CALLER };
+
+let orderRow;
+let db;
+
+before(() => {
+  _setRestaurants(buildRegistry(require('./fixtures/restaurants.json')));
+  _setCatalog(loadCatalog(path.join(__dirname, 'fixtures', 'menu.json')));
+  _setSchedule(loadSchedule(path.join(__dirname, 'fixtures', 'schedule.json')));
+  _setOrderChangePolicy(POLICY);
+});
+
+beforeEach(() => {
+  orderRow = {
+    id: 'a1b2c3d4-0000-4000-8000-000000000002',
+    status: 'confirmed',
+    created_at: minutesAgo(5),
+    pickup_at: null,
+    phone_number: CALLER,
+    customer_name: 'Priya',
+    order_type: 'pickup',
+    total_amount: '14.06',
+    payment_status: null,
+    promo_code: null,
+    clover_order_id: null,
+    order_items: [{ item_id: 'masala-dosa', item_name: 'Masala Dosa', quantity: 1, unit_price: '12.99', customizations: null }],
+  };
+  // A caller-ID lookup selects a list; fetchPlacedOrder asks for a single row
+  db = fakeSupabase({
+    'orders.select': call => (call.filters.some(([method]) => method === 'maybeSingle') ? orderRow : [orderRow]),
+  });
+  _setClient(db);
+});
+
+// ---------------------------------------------------------------------------
+// checkChangeAllowed
+// ---------------------------------------------------------------------------
+
+test('an order can be changed and cancelled inside the grace period', () => {
+  assert.deepEqual(checkChangeAllowed(orderRow, 'modify', NOW), { ok: true });
+  assert.deepEqual(checkChangeAllowed(orderRow, 'cancel', NOW), { ok: true });
+});
+
+test('after the grace period it is too late, unless a scheduled time is far enough off', () => {
+  const late = { ...orderRow, created_at: minutesAgo(11) };
+  assert.equal(checkChangeAllowed(late, 'modify', NOW).reason, 'too_late');
+
+  const scheduled = { ...late, pickup_at: new Date(NOW.getTime() + 61 * 60_000).toISOString() };
+  assert.deepEqual(checkChangeAllowed(scheduled, 'modify', NOW), { ok: true });
+  const soon = { ...late, pickup_at: new Date(NOW.getTime() + 59 * 60_000).toISOString() };
+  assert.equal(checkChangeAllowed(soon, 'modify', NOW).reason, 'too_late');
+});
+
+test('the kitchen status decides, separately for changing and cancelling', () => {
+  const preparing = { ...orderRow, status: 'preparing' };
+  assert.equal(checkChangeAllowed(preparing, 'modify', NOW).reason, 'kitchen_status');
+  assert.deepEqual(checkChangeAllowed(preparing, 'cancel', NOW), { ok: true });
+});
+
+test('a cancelled order cannot be changed again', () => {
+  const cancelled = { ...orderRow, status: 'cancelled' };
+  assert.equal(checkChangeAllowed(cancelled, 'modify', NOW).reason, 'already_cancelled');
+  assert.equal(checkChangeAllowed(cancelled, 'cancel', NOW).reason, 'already_cancelled');
+});
+
+test('a paid order, or one with a payment link waiting, is left to staff', () => {
+  for (const payment_status of ['paid', 'awaiting_payment']) {
+    const row = { ...orderRow, payment_status };
+    assert.equal(checkChangeAllowed(row, 'modify', NOW).reason, 'prepaid', `${payment_status} modify`);
+    assert.equal(checkChangeAllowed(row, 'cancel', NOW).reason, 'prepaid', `${payment_status} cancel`);
+  }
+  assert.deepEqual(checkChangeAllowed({ ...orderRow, payment_status: 'unpaid' }, 'cancel', NOW), { ok: true });
+});
+
+// ---------------------------------------------------------------------------
+// modifyPlacedOrder / cancelPlacedOrder
+// ---------------------------------------------------------------------------
+
+test('modifyPlacedOrder reads back the changed order before changing anything', async () => {
+  const res = await modifyPlacedOrder({ changes: [{ action: 'add', itemName: 'Rasam', quantity: 2 }] }, CONTEXT, NOW);
+  assert.equal(res.success, true);
+  assert.equal(res.confirmed, false);
+  assert.deepEqual(res.cart.lines.map(l => [l.itemName, l.quantity]), [['Masala Dosa', 1], ['Rasam', 2]]);
+  assert.ok(!db.calls.some(c => c.table === 'rpc' || c.op !== 'select'));
+});
+
+test('modifyPlacedOrder rejects a quantity that is not a whole number of at least one', async () => {
+  for (const quantity of [0, -1, 1.5, '2']) {
+    const res = await modifyPlacedOrder({ changes: [{ action: 'add', itemName: 'Rasam', quantity }] }, CONTEXT, NOW);
+    assert.equal(res.success, false, `quantity ${JSON.stringify(quantity)}`);
+    assert.equal(res.reason, 'invalid_quantity');
+  }
+});
+
+test('modifyPlacedOrder rejects an action other than add or remove', async () => {
+  const res = await modifyPlacedOrder({ changes: [{ action: 'update', itemName: 'Masala Dosa', quantity: 3 }] }, CONTEXT, NOW);
+  assert.equal(res.success, false);
+  assert.equal(res.reason, 'invalid_action');
+});
+
+test('cancelPlacedOrder refuses an order with a payment link waiting', async () => {
+  orderRow.payment_status = 'awaiting_payment';
+  const res = await cancelPlacedOrder({ confirmed: true }, CONTEXT, NOW);
+  assert.equal(res.success, false);
+  assert.equal(res.reason, 'prepaid');
+  assert.ok(!db.calls.some(c => c.op === 'update'));
+});
+
+test('an order found by number from another phone needs the name it is under', async () => {
+  const context = { ...CONTEXT, callerPhone: '+12142349999' };
+  const orderNumber = 'TK-A1B2C3';
+  assert.equal((await cancelPlacedOrder({ orderNumber }, context, NOW)).reason, 'verify_name');
+  assert.equal((await cancelPlacedOrder({ orderNumber, customerName: 'Ravi' }, context, NOW)).reason, 'name_mismatch');
+  assert.equal((await cancelPlacedOrder({ orderNumber, customerName: 'priya s' }, context, NOW)).success, true);
+});
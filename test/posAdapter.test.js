@@ -0,0 +1,201 @@
+// test/posAdapter.test.js
+// Pushes an order through posAdapter.js to each POS adapter: the file-backed
+// mock (mockPos.js) and Clover (cloverClient.js) with fetch stubbed out.
+// Run with `npm test`.
+
+'use strict';
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { getPosAdapter, pushOrder, replacePosOrderContents, missingContents, _setPosConfig } = require('../posAdapter');
+const { _setMockPosPath } = require('../mockPos');
+const { _setCloverMapping } = require('../cloverCatalog');
+const { priceCart } = require('../pricing');
+
+const CART = [
+  {
+    itemId: 'rasam',
+    itemName: 'Rasam',
+    quantity: 2,
+    basePrice: 6.99,
+    price: 8.98,
+    modifiers: [{ groupId: 'ghee-and-podi', optionId: 'extra-ghee', name: 'Extra Ghee', price: 1.99 }],
+    notes: 'extra hot',
+  },
+];
+const TOTALS = priceCart(CART, { discounts: [{ name: 'WELCOME10', percent: 10 }] });
+
+// ---------------------------------------------------------------------------
+// Adapter selection
+// ---------------------------------------------------------------------------
+
+test('getPosAdapter uses the per-restaurant adapter, else the default', () => {
+  _setPosConfig({ adapter: 'clover', restaurants: new Map([['r-test', 'mock']]) });
+  assert.equal(getPosAdapter('r-test').name, 'mock');
+  assert.equal(getPosAdapter('r-other').name, 'clover');
+  assert.equal(getPosAdapter(null).name, 'clover');
+});
+
+// ---------------------------------------------------------------------------
+// Mock adapter
+// ---------------------------------------------------------------------------
+
+let tmpDir;
+
+// Every test starts on the mock adapter; the Clover tests switch to Clover
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mockpos-'));
+  _setMockPosPath(path.join(tmpDir, 'orders.json'));
+  _setPosConfig({ adapter: 'mock', restaurants: new Map() });
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('mock adapter: a pushed order reads back with nothing missing', async () => {
+  const adapter = getPosAdapter(null);
+
+  const { posOrderId, failures } = await pushOrder(adapter, CART, 'Priya', TOTALS);
+  assert.deepEqual(failures, []);
+
+  const posOrder = await adapter.fetchOrder(posOrderId);
+  assert.equal(posOrder.state, 'open');
+  assert.equal(posOrder.totalCents, TOTALS.totalCents);
+  assert.deepEqual(posOrder.lineItems.map(({ name, priceCents, quantity, modifiers }) => ({ name, priceCents, quantity, modifiers })),
+                   [{ name: 'Rasam', priceCents: 699, quantity: 2, modifiers: ['Extra Ghee'] }]);
+  assert.deepEqual(posOrder.discounts, TOTALS.discounts.map(({ name, amountCents }) => ({ name, amountCents })));
+
+  const missing = missingContents(posOrder, CART, TOTALS);
+  assert.deepEqual(missing.lines, []);
+  assert.deepEqual(missing.discounts, []);
+  assert.equal(missing.totalCents, null);
+});
+
+test('mock adapter: replacing the contents drops the old lines', async () => {
+  const adapter = getPosAdapter(null);
+  const { posOrderId } = await pushOrder(adapter, CART, 'Priya', TOTALS);
+
+  const cart = [{ itemId: 'rasam', itemName: 'Rasam', quantity: 1, price: 6.99, modifiers: [] }];
+  const totals = priceCart(cart);
+  const failures = await replacePosOrderContents(adapter, posOrderId, cart, 'Priya', totals);
+  assert.deepEqual(failures, []);
+
+  const posOrder = await adapter.fetchOrder(posOrderId);
+  assert.deepEqual(posOrder.lineItems.map(li => li.quantity), [1]);
+  assert.deepEqual(posOrder.discounts, []);
+  assert.equal(posOrder.totalCents, totals.totalCents);
+});
+
+test('mock adapter: a cancelled order is gone', async () => {
+  const adapter = getPosAdapter(null);
+  const { posOrderId } = await pushOrder(adapter, CART, 'Priya', TOTALS);
+
+  await adapter.cancelOrder(posOrderId);
+  assert.equal(await adapter.fetchOrder(posOrderId), null);
+});
+
+// ---------------------------------------------------------------------------
+// Clover adapter
+// ---------------------------------------------------------------------------
+
+// Stubs global fetch; each request is recorded and answered by respond()
+function stubFetch(respond) {
+  const requests = [];
+  const realFetch = global.fetch;
+  global.fetch = async (url, init = {}) => {
+    const request = { url, method: init.method || 'GET', body: init.body ? JSON.parse(init.body) : undefined };
+    requests.push(request);
+    const { status = 200, body = {} } = respond(request) || {};
+    return new Response(JSON.stringify(body), { status });
+  };
+  return { requests, restore: () => { global.fetch = realFetch; } };
+}
+
+const CLOVER_ENV = { CLOVER_API_TOKEN: 'test-token', CLOVER_MERCHANT_ID: 'MERCHANT00001' };
+let savedEnv;
+
+function useClover() {
+  savedEnv = Object.fromEntries(Object.keys(CLOVER_ENV).map(name => [name, process.env[name]]));
+  Object.assign(process.env, CLOVER_ENV);
+  _setCloverMapping({
+    items: new Map([['rasam', 'RASAM00000001']]),
+    modifiers: new Map([['ghee-and-podi:extra-ghee', 'GHEE000000001']]),
+    taxRateId: 'TAXRATE000001',
+    paymentTenderId: null,
+    printTickets: true,
+  });
+  _setPosConfig({ adapter: 'clover', restaurants: new Map() });
+  return getPosAdapter(null);
+}
+
+function restoreEnv() {
+  for (const [name, value] of Object.entries(savedEnv)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+}
+
+test('clover adapter: pushes the order, its total and a kitchen ticket', async t => {
+  const adapter = useClover();
+  t.after(restoreEnv);
+  const { requests, restore } = stubFetch(({ url }) => {
+    if (url.endsWith('/orders')) return { body: { id: 'ORDER00000001' } };
+    if (url.endsWith('/line_items')) return { body: { id: 'LINE000000001' } };
+    return null;
+  });
+  t.after(restore);
+
+  const { posOrderId, failures } = await pushOrder(adapter, CART, 'Priya', TOTALS);
+  assert.equal(posOrderId, 'ORDER00000001');
+  assert.deepEqual(failures, []);
+
+  const base = `${process.env.CLOVER_BASE_URL || 'https://api.clover.com/v3'}/merchants/MERCHANT00001`;
+  assert.deepEqual(requests.map(r => r.url), [
+    `${base}/orders`,
+    `${base}/orders/ORDER00000001/line_items`,
+    `${base}/orders/ORDER00000001/line_items/LINE000000001/modifications`,
+    `${base}/orders/ORDER00000001/discounts`,
+    `${base}/orders/ORDER00000001`,
+    `${base}/print_event`,
+  ]);
+
+  const [create, line, modification, discount, total, print] = requests;
+  assert.equal(create.body.title, 'Phone Order — Priya');
+  assert.deepEqual(line.body, {
+    item: { id: 'RASAM00000001' },
+    name: 'Rasam',
+    price: 699,
+    unitQty: 2000,
+    taxRates: [{ id: 'TAXRATE000001' }],
+    note: 'Extra Ghee — extra hot',
+  });
+  assert.deepEqual(modification.body, { modifier: { id: 'GHEE000000001' }, name: 'Extra Ghee', amount: 199 });
+  assert.equal(discount.body.amount, -TOTALS.discounts[0].amountCents);
+  assert.deepEqual(total.body, { total: TOTALS.totalCents });
+  assert.deepEqual(print.body, { orderRef: { id: 'ORDER00000001' } });
+});
+
+test('clover adapter: a rejected line item is reported, not thrown', async t => {
+  const adapter = useClover();
+  t.after(restoreEnv);
+  const { requests, restore } = stubFetch(({ url }) => {
+    if (url.endsWith('/orders')) return { body: { id: 'ORDER00000002' } };
+    if (url.endsWith('/line_items')) return { status: 400, body: { message: 'bad item' } };
+    return null;
+  });
+  t.after(restore);
+
+  const { posOrderId, failures } = await pushOrder(adapter, CART, 'Priya', TOTALS);
+  assert.equal(posOrderId, 'ORDER00000002');
+  assert.equal(failures.length, 1);
+  assert.equal(failures[0].kind, 'line_item');
+  assert.equal(failures[0].name, 'Rasam');
+  // No modification is sent for a line Clover rejected; the total still is
+  assert.ok(!requests.some(r => r.url.includes('/modifications')));
+  assert.ok(requests.some(r => r.url.endsWith('/orders/ORDER00000002') && r.body.total === TOTALS.totalCents));
+});
@@ -0,0 +1,142 @@
+// test/pricing.test.js
+// Totals from the fixture pricing config (test/fixtures/pricing.json):
+// 8.25% tax, and a taxable 3% service fee and a $0.10 bag fee on delivery
+// orders only.
+
+'use strict';
+
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { loadCatalog, _setCatalog } = require('../menuCatalog');
+const {
+  loadPricingConfig, validatePricingConfig, computeTotals, priceCart, toCents, formatCents, _setPricingConfig
+} = require('../pricing');
+
+const line = (unitPriceCents, quantity = 1, taxable = true) => ({ unitPriceCents, quantity, taxable });
+
+before(() => {
+  _setPricingConfig(loadPricingConfig(path.join(__dirname, 'fixtures', 'pricing.json')));
+  _setCatalog(loadCatalog(path.join(__dirname, 'fixtures', 'menu.json')));
+});
+
+// ---------------------------------------------------------------------------
+// Rounding
+// ---------------------------------------------------------------------------
+
+test('tax rounds half a cent up and anything less down', () => {
+  // 8.25% of $2.00 is 16.5 cents; of $1.00, 8.25 cents
+  assert.equal(computeTotals({ lines: [line(200)] }).taxCents, 17);
+  assert.equal(computeTotals({ lines: [line(100)] }).taxCents, 8);
+  assert.equal(computeTotals({ lines: [line(200)] }).totalCents, 217);
+});
+
+test('cents helpers do not drift on float prices', () => {
+  assert.equal(toCents(12.99), 1299);
+  assert.equal(toCents(0.1 + 0.2), 30);
+  assert.equal(toCents('6.49'), 649);
+  assert.equal(formatCents(5), '0.05');
+  assert.equal(formatCents(-1250), '-12.50');
+});
+
+test('line totals are unit price times quantity', () => {
+  const totals = computeTotals({ lines: [line(1299, 3), line(399, 2)] });
+  assert.equal(totals.subtotalCents, 4695);
+  assert.deepEqual(totals.lines.map(l => l.lineTotalCents), [3897, 798]);
+});
+
+test('a line without a positive whole quantity is refused', () => {
+  assert.throws(() => computeTotals({ lines: [line(100, 0)] }), TypeError);
+  assert.throws(() => computeTotals({ lines: [{ unitPriceCents: 1.5, quantity: 1 }] }), TypeError);
+});
+
+// ---------------------------------------------------------------------------
+// Discounts
+// ---------------------------------------------------------------------------
+
+test('a discount comes off before tax', () => {
+  const totals = computeTotals({ lines: [line(1000)], discounts: [{ name: '10% off', percent: 10 }] });
+  assert.equal(totals.discountCents, 100);
+  assert.equal(totals.taxableCents, 900);
+  assert.equal(totals.taxCents, 74);     // 8.25% of $9.00 = 74.25 cents
+  assert.equal(totals.totalCents, 974);
+});
+
+test('discounts apply in turn to what is left, and never below zero', () => {
+  const totals = computeTotals({
+    lines: [line(1000)],
+    discounts: [{ name: '10% off', percent: 10 }, { name: '$50 off', amountCents: 5000 }],
+  });
+  assert.deepEqual(totals.discounts.map(d => d.amountCents), [100, 900]);
+  assert.equal(totals.taxCents, 0);
+  assert.equal(totals.totalCents, 0);
+});
+
+// ---------------------------------------------------------------------------
+// Taxability
+// ---------------------------------------------------------------------------
+
+test('non-taxable items are not taxed and carry their share of a discount', () => {
+  const totals = computeTotals({
+    lines: [line(1000), line(1000, 1, false)],
+    discounts: [{ name: '$2 off', amountCents: 200 }],
+  });
+  // Half the subtotal is taxable, so half the discount comes off the taxable part
+  assert.equal(totals.taxableCents, 900);
+  assert.equal(totals.taxCents, 74);
+  assert.equal(totals.totalCents, 1800 + 74);
+});
+
+test('priceCart takes taxability from the catalog', () => {
+  // Podi Jar is in a "taxable": false category
+  const totals = priceCart([
+    { itemId: 'podi-jar', price: 8.00, quantity: 1 },
+    { itemId: 'rasam', price: 6.99, quantity: 1 },
+  ]);
+  assert.equal(totals.taxableCents, 699);
+  assert.equal(totals.taxCents, 58);     // 57.67 cents
+  assert.equal(totals.totalCents, 800 + 699 + 58);
+});
+
+// ---------------------------------------------------------------------------
+// Fees
+// ---------------------------------------------------------------------------
+
+test('configured fees only apply to their order types', () => {
+  const pickup = computeTotals({ lines: [line(1000)], orderType: 'pickup' });
+  assert.deepEqual(pickup.fees, []);
+  assert.equal(pickup.totalCents, 1083);
+});
+
+test('fees are added, taxed when taxable, and a percent fee is of the discounted subtotal', () => {
+  const totals = priceCart([{ itemId: 'plain-dosa', price: 10.00, quantity: 1 }], {
+    orderType: 'delivery',
+    deliveryFeeCents: 299,
+    discounts: [{ name: '10% off', percent: 10 }],
+  });
+  assert.deepEqual(totals.fees.map(f => [f.id, f.amountCents, f.taxable]),
+                   [['service', 27, true], ['bag', 10, false], ['delivery', 299, true]]);
+  assert.equal(totals.feesCents, 336);
+  // $9.00 of items + $0.27 service + $2.99 delivery are taxed; the bag fee is not
+  assert.equal(totals.taxableCents, 900 + 27 + 299);
+  assert.equal(totals.taxCents, 101);    // 101.145 cents
+  assert.equal(totals.totalCents, 900 + 336 + 101);
+});
+
+// ---------------------------------------------------------------------------
+// Config
+// ---------------------------------------------------------------------------
+
+test('a tax rate with more than three decimal places is refused', () => {
+  const problems = validatePricingConfig({ tax: { name: 'Sales tax', ratePercent: 8.2525 } });
+  assert.deepEqual(problems, ['tax.ratePercent 8.2525 has more than 3 decimal places']);
+});
+
+test('an unknown fee type is refused', () => {
+  const problems = validatePricingConfig({
+    tax: { name: 'Sales tax', ratePercent: 8.25 },
+    fees: [{ id: 'bag', name: 'Bag Fee', type: 'flat', amount: 0.1 }],
+  });
+  assert.deepEqual(problems, ['fees[0].type must be one of: fixed, percent']);
+});
@@ -0,0 +1,150 @@
+// test/promotions.test.js
+// Promo code rules (promotions.js), and applyPromoCode against promotions
+// held by a fake Supabase client.
+
+'use strict';
+
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { buildRegistry, _setRestaurants } = require('../restaurants');
+const { loadCatalog, _setCatalog } = require('../menuCatalog');
+const { loadSchedule, _setSchedule } = require('../schedule');
+const { _setClient } = require('../supabaseClient');
+const { createSession, deleteSession, getSession, handleManageOrder, applyPromoCode } = require('../orderManager');
+const { normalizeCode, fromRow, checkValidity, promotionDiscount } = require('../promotions');
+const { fakeSupabase } = require('./helpers/fakeSupabase');
+
+const NOW = new Date('2026-10-20T17:00:00Z');
+const CALL = 'CA-test-promotions';
+
+const promo = (fields = {}) => fromRow({
+  id: 'promo-1',
+  code: 'SAVE10',
+  description: '10% off',
+  type: 'percent',
+  value: '10',
+  item_id: null,
+  min_subtotal: '0',
+  starts_at: null,
+  ends_at: null,
+  one_per_customer: true,
+  active: true,
+  ...fields,
+});
+
+before(() => {
+  _setRestaurants(buildRegistry(require('./fixtures/restaurants.json')));
+  _setCatalog(loadCatalog(path.join(__dirname, 'fixtures', 'menu.json')));
+  _setSchedule(loadSchedule(path.join(__dirname, 'fixtures', 'schedule.json')));
+});
+
+// ---------------------------------------------------------------------------
+// Codes and rows
+// ---------------------------------------------------------------------------
+
+test('spoken codes are normalised to the stored form', () => {
+  assert.equal(normalizeCode('save 10'), 'SAVE10');
+  assert.equal(normalizeCode('Bogo-Dosa!'), 'BOGODOSA');
+  assert.equal(normalizeCode(undefined), '');
+});
+
+test('a row of an unknown type is refused', () => {
+  assert.throws(() => promo({ type: 'free_lunch' }), RangeError);
+});
+
+// ---------------------------------------------------------------------------
+// Validity window
+// ---------------------------------------------------------------------------
+
+test('a code is valid from starts_at to ends_at', () => {
+  const windowed = promo({ starts_at: '2026-10-01T00:00:00Z', ends_at: '2026-10-31T00:00:00Z' });
+  assert.deepEqual(checkValidity(windowed, NOW), { ok: true });
+  assert.equal(checkValidity(windowed, new Date('2026-09-30T23:59:59Z')).reason, 'not_started');
+  assert.equal(checkValidity(windowed, new Date('2026-10-31T00:00:01Z')).reason, 'expired');
+});
+
+test('an inactive code is refused whatever its dates', () => {
+  assert.equal(checkValidity(promo({ active: false }), NOW).reason, 'inactive');
+});
+
+// ---------------------------------------------------------------------------
+// Discounts
+// ---------------------------------------------------------------------------
+
+const cart = [
+  { itemId: 'masala-dosa', price: 12.99, quantity: 1 },
+  { itemId: 'rasam', price: 6.99, quantity: 1 },
+];
+
+test('percent and fixed codes become a discount for pricing', () => {
+  assert.deepEqual(promotionDiscount(promo(), cart).discount, { code: 'SAVE10', name: '10% off (SAVE10)', percent: 10 });
+  assert.equal(promotionDiscount(promo({ type: 'fixed', value: '5.50' }), cart).discount.amountCents, 550);
+});
+
+test('a subtotal under the minimum spend says how much is missing', () => {
+  const result = promotionDiscount(promo({ min_subtotal: '25' }), cart);
+  assert.equal(result.ok, false);
+  assert.equal(result.reason, 'min_spend');
+  assert.match(result.message, /5\.02 dollars more/);
+  assert.equal(promotionDiscount(promo({ min_subtotal: '19.98' }), cart).ok, true);
+});
+
+test('bogo makes every second unit free, at the cheapest line\'s price', () => {
+  const bogo = promo({ code: 'BOGODOSA', type: 'bogo', value: null, item_id: 'masala-dosa' });
+  const lines = [
+    { itemId: 'masala-dosa', price: 14.98, quantity: 2 },   // with Extra Ghee
+    { itemId: 'masala-dosa', price: 12.99, quantity: 3 },
+    { itemId: 'rasam', price: 6.99, quantity: 4 },
+  ];
+  // 5 dosas → 2 free, each at 12.99
+  assert.equal(promotionDiscount(bogo, lines).discount.amountCents, 2 * 1299);
+});
+
+test('bogo needs at least two of its item', () => {
+  const bogo = promo({ code: 'BOGODOSA', type: 'bogo', value: null, item_id: 'masala-dosa' });
+  const result = promotionDiscount(bogo, cart);
+  assert.equal(result.reason, 'no_qualifying_item');
+  assert.match(result.message, /Masala Dosa/);
+});
+
+// ---------------------------------------------------------------------------
+// applyPromoCode — one per phone number
+// ---------------------------------------------------------------------------
+
+let redeemed;
+
+beforeEach(() => {
+  redeemed = false;
+  _setClient(fakeSupabase({
+    'promotions.select': call => (call.filters.some(([method, , value]) => method === 'eq' && value === 'SAVE10')
+      ? { id: 'promo-1', code: 'SAVE10', description: '10% off', type: 'percent', value: '10', one_per_customer: true, active: true }
+      : null),
+    'promo_redemptions.select': () => (redeemed ? [{ promotion_id: 'promo-1' }] : []),
+  }));
+  deleteSession(CALL);
+  createSession(CALL, null, { pickupAt: NOW });
+  handleManageOrder(CALL, { action: 'add', itemName: 'Masala Dosa', quantity: 2 });
+  getSession(CALL).phoneNumber = '+12142345678';
+});
+
+test('applyPromoCode applies a code the phone number has not used', async () => {
+  const res = await applyPromoCode(CALL, { code: 'save 10' });
+  assert.equal(res.success, true);
+  assert.equal(res.discount, 2.60);
+  assert.equal(getSession(CALL).promotion.code, 'SAVE10');
+});
+
+test('applyPromoCode refuses a code already used with the phone number', async () => {
+  redeemed = true;
+  const res = await applyPromoCode(CALL, { code: 'SAVE10' });
+  assert.equal(res.success, false);
+  assert.equal(res.reason, 'already_used');
+  assert.equal(getSession(CALL).promotion, null);
+});
+
+test('applyPromoCode refuses an unknown code', async () => {
+  const res = await applyPromoCode(CALL, { code: 'FREEFOOD' });
+  assert.equal(res.reason, 'not_found');
+});
@@ -1,6 +1,8 @@
 // toolDefinitions.js
-// Gemini function declarations for manageOrder, collectCustomerDetails,
-// confirmOrder, and completeOrder.
+// Gemini function declarations for manageOrder, getCartSummary, applyPromoCode,
+// setPickupTime, setOrderType, collectDeliveryAddress, collectCustomerDetails,
+// confirmOrder, completeOrder, lookupOrderStatus, modifyPlacedOrder,
+// cancelPlacedOrder, getOrderHistory, and reorderPrevious.
 // These schemas tell Gemini when to call a function and what arguments to pass.
 // DO NOT rename these functions — Peter 1's server.js depends on exact names.
 
@@ -10,33 +12,154 @@ const manageOrderTool = {
   name: 'manageOrder',
   description:
     'Manage the cart. Call this IMMEDIATELY when the customer adds, ' +
-    'updates, or removes an item. Look up the price from the menu in your ' +
-    'system instruction and always include it.',
+    'updates, or removes an item. The server matches the name to the menu and ' +
+    'sets the price. The result includes the updated cart. ' +
+    'If the result has success:false, the cart was NOT changed — ' +
+    'ask the customer to choose one of the returned candidates, or tell them ' +
+    'the item is not on the menu.',
   parameters: {
     type: Type.OBJECT,
     properties: {
       action: {
         type: Type.STRING,
-        description: "Action to perform: add (adds or updates item) or remove."
+        enum: ['add', 'remove'],
+        description: 'add (adds the item, or sets its quantity if it is already in the cart) or remove.'
       },
       itemName: {
         type: Type.STRING,
-        description: 'Exact name of the item from the menu.'
+        description: 'Name of the item — the menu name if you know it, otherwise what the customer said.'
       },
       quantity: {
         type: Type.INTEGER,
         description: 'Quantity of the item. Default to 1 if not specified.'
       },
-      price: {
-        type: Type.NUMBER,
-        description: 'Unit price of the item from the menu. Example: 10.49. REQUIRED.'
+      modifiers: {
+        type: Type.ARRAY,
+        items: { type: Type.STRING },
+        description:
+          'Customer choices from the item\'s listed options, one per entry. ' +
+          'Example: ["Extra Ghee", "Mild", "No Onion"]. The server validates and prices them.'
       },
       notes: {
         type: Type.STRING,
-        description: 'Any special instructions from the customer.'
+        description: 'Special instructions that are NOT one of the listed options.'
       }
     },
-    required: ['action', 'itemName', 'quantity', 'price']
+    required: ['action', 'itemName', 'quantity']
+  }
+};
+
+const getCartSummaryTool = {
+  name: 'getCartSummary',
+  description:
+    'Get the current order from the server: every line item with its price, the ' +
+    'subtotal, tax, any delivery fee and the total, each with a spoken form. ' +
+    'Call this BEFORE reading back the order and say exactly these numbers. ' +
+    'NEVER calculate tax or totals yourself.',
+  parameters: {
+    type: Type.OBJECT,
+    properties: {},
+    required: []
+  }
+};
+
+const applyPromoCodeTool = {
+  name: 'applyPromoCode',
+  description:
+    'Apply a promo code or coupon the customer mentions. The server checks the code ' +
+    '(validity dates, minimum spend, one use per phone number) and applies the ' +
+    'discount before tax. If the result has success:false, no discount was applied — ' +
+    'tell the customer why. NEVER invent or promise a discount yourself.',
+  parameters: {
+    type: Type.OBJECT,
+    properties: {
+      code: {
+        type: Type.STRING,
+        description: 'The promo code as the customer spelled it, e.g. "SAVE10".'
+      }
+    },
+    required: ['code']
+  }
+};
+
+const setPickupTimeTool = {
+  name: 'setPickupTime',
+  description:
+    'Set when the customer will pick up the order. Call this ONLY when the customer ' +
+    'asks for a specific time ("at 6:30", "tomorrow at noon") or changes back to ' +
+    'as soon as possible. Without it the order is ready as soon as possible. ' +
+    'The server checks opening hours and preparation time; if the result has ' +
+    'success:false the time was NOT set — offer the earliest time it returns.',
+  parameters: {
+    type: Type.OBJECT,
+    properties: {
+      day: {
+        type: Type.STRING,
+        description: 'Pickup day: "today", "tomorrow", or a weekday name like "friday". Default "today".'
+      },
+      time: {
+        type: Type.STRING,
+        description: 'Pickup time as the customer said it, e.g. "6:30pm" or "18:30".'
+      },
+      asap: {
+        type: Type.BOOLEAN,
+        description: 'true if the customer wants it as soon as possible instead of a set time.'
+      }
+    },
+    required: []
+  }
+};
+
+const setOrderTypeTool = {
+  name: 'setOrderType',
+  description:
+    'Switch the order between pickup and delivery. Orders are pickup unless the ' +
+    'customer asks for delivery. To switch to delivery, call collectDeliveryAddress ' +
+    'instead — it sets the order to delivery. Use this to switch back to pickup.',
+  parameters: {
+    type: Type.OBJECT,
+    properties: {
+      orderType: {
+        type: Type.STRING,
+        description: '"pickup" or "delivery".'
+      }
+    },
+    required: ['orderType']
+  }
+};
+
+const collectDeliveryAddressTool = {
+  name: 'collectDeliveryAddress',
+  description:
+    'Save the delivery address and make this a delivery order. Call this when the ' +
+    'customer wants delivery and has given their address. The server normalises the ' +
+    'address, checks we deliver there, and returns the delivery fee and minimum order. ' +
+    'If the result has success:false the address was NOT saved.',
+  parameters: {
+    type: Type.OBJECT,
+    properties: {
+      street: {
+        type: Type.STRING,
+        description: 'House number and street, e.g. "8604 North MacArthur Boulevard".'
+      },
+      unit: {
+        type: Type.STRING,
+        description: 'Apartment, suite or unit, if any, e.g. "Apartment 5B".'
+      },
+      city: {
+        type: Type.STRING,
+        description: 'City, e.g. "Irving".'
+      },
+      state: {
+        type: Type.STRING,
+        description: 'State, if the customer said one.'
+      },
+      zip: {
+        type: Type.STRING,
+        description: '5-digit zip code.'
+      }
+    },
+    required: ['street', 'zip']
   }
 };
 
@@ -46,20 +169,33 @@ const collectCustomerDetailsTool = {
     'Collect and validate the customer\'s name and phone number. ' +
     'You MUST call this BEFORE confirmOrder. This stores the customer ' +
     'details in the session for the final order. ' +
-    'NEVER skip this step — completeOrder will reject without it.',
+    'NEVER skip this step — completeOrder will reject without it. ' +
+    'For a returning caller who said yes to "Is this still under [Name] at the ' +
+    'number you\'re calling from?", set useCallerId instead of phoneNumber.',
   parameters: {
     type: Type.OBJECT,
     properties: {
       customerName: {
         type: Type.STRING,
-        description: 'The full name of the customer for pickup.'
+        description: 'The full name of the customer for pickup. May be left out with useCallerId ' +
+                     'to keep the name on file.'
       },
       phoneNumber: {
         type: Type.STRING,
-        description: 'The phone number of the customer. Include country code if provided.'
+        description: 'The phone number of the customer. Include country code if provided. ' +
+                     'Required unless useCallerId is true.'
+      },
+      useCallerId: {
+        type: Type.BOOLEAN,
+        description: 'true ONLY after a returning caller confirmed their saved name and the number ' +
+                     'they are calling from. The server uses the caller ID as the phone number.'
+      },
+      language: {
+        type: Type.STRING,
+        description: 'Language the order was taken in: English, Tamil, Telugu, Hindi or Kannada.'
       }
     },
-    required: ['customerName', 'phoneNumber']
+    required: []
   }
 };
 
@@ -95,6 +231,165 @@ const completeOrderTool = {
   }
 };
 
-const tools = [{ functionDeclarations: [manageOrderTool, collectCustomerDetailsTool, confirmOrderTool, completeOrderTool] }];
+const lookupOrderStatusTool = {
+  name: 'lookupOrderStatus',
+  description:
+    'Look up an order the customer ALREADY placed — call this when they ask where ' +
+    'their order is, whether it is ready, or what they ordered. With no order number ' +
+    'it finds recent orders from the number they are calling from. If they give an ' +
+    'order number (like SB-IRV-1A2B3C), pass it. Read out the status, items and ready ' +
+    'time from the result — an order placed from a different phone comes back with its ' +
+    'status only. Not for the order being taken on this call.',
+  parameters: {
+    type: Type.OBJECT,
+    properties: {
+      orderNumber: {
+        type: Type.STRING,
+        description: 'Order number exactly as the customer read it out, e.g. "SB-IRV-1A2B3C". Omit to search by caller ID.'
+      }
+    },
+    required: []
+  }
+};
+
+// Shared by modifyPlacedOrder and cancelPlacedOrder — which order, and proof it is the caller's
+const placedOrderProperties = {
+  orderNumber: {
+    type: Type.STRING,
+    description: 'Order number as the customer read it out, e.g. "SB-IRV-1A2B3C". Omit to use the caller\'s most recent order.'
+  },
+  customerName: {
+    type: Type.STRING,
+    description: 'Name the order was placed under. Only needed when the result asks for it.'
+  },
+  confirmed: {
+    type: Type.BOOLEAN,
+    description: 'false (or omitted) to preview. true ONLY after the customer said yes to the preview.'
+  }
+};
+
+const modifyPlacedOrderTool = {
+  name: 'modifyPlacedOrder',
+  description:
+    'Change items on an order the customer ALREADY placed (after completeOrder, or on an ' +
+    'earlier call). Not for the order being taken now — use manageOrder for that. ' +
+    'First call with confirmed:false: the result is the changed order and new total — read it ' +
+    'back and ask the customer to confirm. Only if they say yes, call again with the same ' +
+    'changes and confirmed:true. Orders can only be changed shortly after ordering; if the ' +
+    'result has success:false, tell the customer why.',
+  parameters: {
+    type: Type.OBJECT,
+    properties: {
+      ...placedOrderProperties,
+      changes: {
+        type: Type.ARRAY,
+        description: 'One entry per item to add, change the quantity of, or remove.',
+        items: {
+          type: Type.OBJECT,
+          properties: {
+            action: {
+              type: Type.STRING,
+              enum: ['add', 'remove'],
+              description: 'add (adds the item or sets its quantity) or remove.'
+            },
+            itemName: {
+              type: Type.STRING,
+              description: 'Menu name of the item.'
+            },
+            quantity: {
+              type: Type.INTEGER,
+              description: 'For add: how many of this item the order should have in total.'
+            },
+            modifiers: {
+              type: Type.ARRAY,
+              items: { type: Type.STRING },
+              description: 'Options for the item, as for manageOrder.'
+            },
+            notes: {
+              type: Type.STRING,
+              description: 'Special instructions that are NOT one of the listed options.'
+            }
+          },
+          required: ['action', 'itemName']
+        }
+      }
+    },
+    required: ['changes']
+  }
+};
+
+const cancelPlacedOrderTool = {
+  name: 'cancelPlacedOrder',
+  description:
+    'Cancel an order the customer ALREADY placed. First call with confirmed:false and ask ' +
+    'the customer if they are sure. Only if they say yes, call again with confirmed:true. ' +
+    'Orders can only be cancelled shortly after ordering; if the result has success:false, ' +
+    'tell the customer why.',
+  parameters: {
+    type: Type.OBJECT,
+    properties: {
+      ...placedOrderProperties,
+      reason: {
+        type: Type.STRING,
+        description: 'Why the customer is cancelling, in a few words, if they said.'
+      }
+    },
+    required: []
+  }
+};
+
+const getOrderHistoryTool = {
+  name: 'getOrderHistory',
+  description:
+    'Get the caller\'s past orders (found by the number they are calling from), newest first. ' +
+    'Call this when the customer says "same as last time", "my usual" or asks what they ' +
+    'ordered before. Offer the orders it returns.',
+  parameters: {
+    type: Type.OBJECT,
+    properties: {
+      limit: {
+        type: Type.INTEGER,
+        description: 'How many past orders to return. Default 3, at most 5.'
+      }
+    },
+    required: []
+  }
+};
+
+const reorderPreviousTool = {
+  name: 'reorderPrevious',
+  description:
+    'Add all items of one of the caller\'s past orders to the current cart, at today\'s prices. ' +
+    'Call this when the customer picks a past order. Omit orderNumber to use their most recent ' +
+    'order. The result lists what was added and any items that are no longer available — tell ' +
+    'the customer about both.',
+  parameters: {
+    type: Type.OBJECT,
+    properties: {
+      orderNumber: {
+        type: Type.STRING,
+        description: 'orderNumber from getOrderHistory, e.g. "SB-IRV-1A2B3C".'
+      }
+    },
+    required: []
+  }
+};
+
+const tools = [{ functionDeclarations: [
+  manageOrderTool,
+  getCartSummaryTool,
+  applyPromoCodeTool,
+  setPickupTimeTool,
+  setOrderTypeTool,
+  collectDeliveryAddressTool,
+  collectCustomerDetailsTool,
+  confirmOrderTool,
+  completeOrderTool,
+  lookupOrderStatusTool,
+  modifyPlacedOrderTool,
+  cancelPlacedOrderTool,
+  getOrderHistoryTool,
+  reorderPreviousTool
+] }];
 
 module.exports = { tools };
@@ -13,6 +13,8 @@
 //   • Fires callbacks so the Gemini session layer (Peter 3) can react
 //   • Sends Gemini's synthesised speech back to the caller over the same WebSocket
 //   • Handles cold transfers to human agents
+//   • Resolves the restaurant from the dialled number (restaurants.js) — the
+//     call record and the Gemini session are made as that restaurant
 
 'use strict';
 
@@ -23,6 +25,7 @@ const {
   escalateCallRecord,
   failCallRecord,
 } = require('./supabaseClient');
+const { restaurantForNumber, withRestaurant } = require('./restaurants');
 
 // WebSocket readyState constants (matches the ws library and browser WebSocket)
 const WS_OPEN = 1;
@@ -45,6 +48,7 @@ class TwilioStream {
     this.callSid         = null;
     this.callerPhone     = null;
     this.restaurantPhone = null;
+    this.restaurant      = null;   // restaurants.js entry for restaurantPhone
     this.callDbRecord    = null;   // Supabase calls row
     this.startedAt       = null;
 
@@ -107,25 +111,30 @@ class TwilioStream {
     if (this.callerPhone     === 'unknown') console.warn('[TwilioStream] callerPhone not provided in customParameters');
     if (this.restaurantPhone === 'unknown') console.warn('[TwilioStream] restaurantPhone not provided in customParameters');
 
-    console.log(`[TwilioStream] Call started: ${this.callSid} | caller: ${this.callerPhone}`);
+    // Unknown or missing numbers go to the default restaurant
+    this.restaurant = restaurantForNumber(this.restaurantPhone);
 
-    // Write call record to Supabase — failure is non-fatal, call continues
-    try {
-      this.callDbRecord = await createCallRecord(
-        this.callSid, this.streamSid, this.callerPhone, this.restaurantPhone
-      );
-    } catch (err) {
-      console.error('[TwilioStream] Failed to write call record to DB:', err.message);
-    }
+    console.log(`[TwilioStream] Call started: ${this.callSid} | caller: ${this.callerPhone} | ${this.restaurant.name}`);
 
-    // Notify Gemini session layer
-    if (this.onCallStarted) {
+    await withRestaurant(this.restaurant, async () => {
+      // Write call record to Supabase — failure is non-fatal, call continues
       try {
-        this.onCallStarted(this.callSid, this.callDbRecord?.id || null);
+        this.callDbRecord = await createCallRecord(
+          this.callSid, this.streamSid, this.callerPhone, this.restaurantPhone
+        );
       } catch (err) {
-        console.error('[TwilioStream] onCallStarted callback threw:', err.message);
+        console.error('[TwilioStream] Failed to write call record to DB:', err.message);
       }
-    }
+
+      // Notify Gemini session layer
+      if (this.onCallStarted) {
+        try {
+          this.onCallStarted(this.callSid, this.callDbRecord?.id || null);
+        } catch (err) {
+          console.error('[TwilioStream] onCallStarted callback threw:', err.message);
+        }
+      }
+    });
   }
 
   _onMedia(msg) {